@@ -0,0 +1,90 @@
+/**
+ * =============================================================================
+ *  scripts/migrar-usuarios.js
+ * -----------------------------------------------------------------------------
+ *  Comando de ADMIN para copiar usuários entre backends — tipicamente as
+ *  contas criadas no SQLite enquanto o MySQL estava fora do ar.
+ *
+ *  Uso:
+ *    npm run usuarios:migrar -- --de sqlite --para mysql --dry-run   # só o relatório
+ *    npm run usuarios:migrar -- --de sqlite --para mysql             # grava
+ *    npm run usuarios:migrar -- --de sqlite --para mysql --sobrescrever
+ *
+ *  Opções:
+ *    --de / --para    "mysql" ou "sqlite" (conexões do .env: MYSQL_*, SQLITE_FILE)
+ *    --sqlite-file    outro arquivo SQLite no lugar de SQLITE_FILE
+ *    --dry-run        compara e mostra as diferenças, sem gravar nada
+ *    --sobrescrever   também grava os "divergentes" (mesmo id e e-mail)
+ *
+ *  Regras (ver src/services/MigracaoUsuarioService.js): ids e senha_hash são
+ *  mantidos; "conflito" (id ou e-mail já de outra conta) nunca é gravado.
+ *  "memory" não existe aqui (a memória é do processo do servidor): use
+ *  POST /api/admin/migracao/usuarios com o servidor no ar.
+ *  Saída 1 em erro; 2 quando sobram conflitos para resolver à mão.
+ * =============================================================================
+ */
+
+import { initMySql, mysqlPool } from "../src/config/mysql.js";
+import { initSqlite, sqliteDb } from "../src/config/sqlite.js";
+import { UsuarioMySqlRepository } from "../src/repositories/UsuarioMySqlRepository.js";
+import { UsuarioSqliteRepository } from "../src/repositories/UsuarioSqliteRepository.js";
+import { MigracaoUsuarioService } from "../src/services/MigracaoUsuarioService.js";
+
+/** Valor de "--opcao valor" (ou null) */
+function opcao(nome) {
+  const i = process.argv.indexOf(nome);
+  return i >= 0 ? process.argv[i + 1] || "" : null;
+}
+
+const de = String(opcao("--de") ?? "").toLowerCase();
+const para = String(opcao("--para") ?? "").toLowerCase();
+const dryRun = process.argv.includes("--dry-run");
+const sobrescrever = process.argv.includes("--sobrescrever");
+
+if (!de || !para) {
+  console.error("Informe a origem e o destino: --de sqlite --para mysql [--dry-run]");
+  process.exit(1);
+}
+
+const migracao = new MigracaoUsuarioService({
+  mysql: async () => {
+    await initMySql();
+    return new UsuarioMySqlRepository(mysqlPool);
+  },
+  sqlite: async () => {
+    initSqlite(opcao("--sqlite-file") || undefined);
+    return new UsuarioSqliteRepository(sqliteDb);
+  },
+  memory: async () => null,
+});
+
+let codigo = 0;
+try {
+  const { resumo, usuarios, apenas_no_destino } = await migracao.migrar({
+    de,
+    para,
+    dryRun,
+    sobrescrever,
+  });
+
+  for (const u of usuarios.filter((x) => x.status !== "igual")) {
+    const extra = u.campos ? ` (${u.campos.join(", ")})` : u.motivo ? ` — ${u.motivo}` : "";
+    console.log(`${u.status.padEnd(11)} #${u.id} ${u.email}${extra}`);
+  }
+  console.log("");
+  console.log(`${dryRun ? "SIMULAÇÃO (nada gravado)" : "Migração concluída"}: ${de} → ${para}`);
+  console.log(`Na origem / destino : ${resumo.origem} / ${resumo.destino}`);
+  console.log(`${dryRun ? "A copiar / atualizar" : "Copiados / atualiz."} : ${resumo.copiados} / ${resumo.atualizados}`);
+  console.log(`Iguais              : ${resumo.iguais}`);
+  console.log(`Divergentes         : ${resumo.divergentes}${resumo.divergentes ? " (use --sobrescrever)" : ""}`);
+  console.log(`Conflitos           : ${resumo.conflitos}`);
+  console.log(`Só no destino       : ${apenas_no_destino.join(", ") || "-"}`);
+  if (resumo.conflitos) codigo = 2;
+} catch (e) {
+  console.error(`Erro: ${e.message}`);
+  codigo = 1;
+} finally {
+  await mysqlPool?.end().catch(() => {});
+  sqliteDb?.close();
+}
+process.exit(codigo);
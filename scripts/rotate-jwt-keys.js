@@ -0,0 +1,50 @@
+/**
+ * =============================================================================
+ *  scripts/rotate-jwt-keys.js
+ * -----------------------------------------------------------------------------
+ *  Comando de ADMIN para rotacionar as chaves de assinatura do JWT.
+ *
+ *  Uso:
+ *    npm run jwt:rotate                 # usa o JWT_ALG do .env (RS256/ES256)
+ *    npm run jwt:rotate -- --alg ES256  # troca o algoritmo na rotação
+ *
+ *  O que faz (ver JwtKeyStore.rotacionar em src/utils/jwtKeys.js):
+ *    1) gera uma chave nova em JWT_KEYS_DIR e a torna "ativa";
+ *    2) a ativa anterior vira "retirada": não assina mais, mas ainda verifica
+ *       tokens por JWT_CHAVE_CARENCIA_HORAS;
+ *    3) apaga as retiradas com carência vencida.
+ *
+ *  O servidor em execução percebe a chave nova sozinho (relê a pasta a cada
+ *  minuto, ou na hora ao ver um kid desconhecido) — não precisa reiniciar.
+ *  Com várias instâncias, JWT_KEYS_DIR deve ser uma pasta compartilhada.
+ * =============================================================================
+ */
+
+import { JWT_ALG, JWT_KEYS_DIR, JWT_CHAVE_CARENCIA_HORAS } from "../src/config/env.js";
+import { ALGS_ASSIMETRICOS } from "../src/utils/jwtKeys.js";
+import { jwtKeyStore } from "../src/utils/jwt.js";
+
+const i = process.argv.indexOf("--alg");
+const alg = (i >= 0 ? process.argv[i + 1] || "" : JWT_ALG).toUpperCase();
+
+if (!ALGS_ASSIMETRICOS.includes(alg)) {
+  console.error(
+    `Rotação exige algoritmo assimétrico (${ALGS_ASSIMETRICOS.join(" ou ")}); recebido: ${alg}.\n` +
+      "Defina JWT_ALG no .env ou passe --alg RS256."
+  );
+  process.exit(1);
+}
+if (alg !== JWT_ALG) {
+  console.warn(
+    `Atenção: JWT_ALG do .env é ${JWT_ALG}. Ajuste-o para ${alg}, senão o servidor gera outra chave ${JWT_ALG} ao assinar.`
+  );
+}
+
+const { nova, retiradas, removidas } = jwtKeyStore.rotacionar(alg);
+
+console.log(`Pasta de chaves : ${JWT_KEYS_DIR}`);
+console.log(`Nova chave ativa: ${nova.kid} (${nova.alg})`);
+console.log(
+  `Retiradas       : ${retiradas.join(", ") || "-"} (verificam por mais ${JWT_CHAVE_CARENCIA_HORAS}h)`
+);
+console.log(`Removidas       : ${removidas.join(", ") || "-"}`);
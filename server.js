@@ -5,7 +5,8 @@
  *  O que este arquivo faz:
  *   - Cria e configura um servidor HTTP com Express.
  *   - Inicializa os bancos: MySQL (Usuários) e SQLite (Notas Fiscais).
- *   - Garante a existência do arquivo JSON de Produtos (com dados iniciais).
+ *   - Garante a existência dos arquivos JSON de Produtos e Categorias (com
+ *     dados iniciais).
  *   - Faz a "injeção de dependências":
  *       Repository  ->  Service  ->  Controller  ->  Routes
  *   - Expõe uma rota "/" (home) com mini-documentação da API, exemplos e dicas.
@@ -23,36 +24,102 @@ import express from "express";
 import path from "path";
 
 // Configurações (leem do .env) — centralizadas em src/config/env.js
-import { API_NAME, PORT, PRODUTOS_JSON } from "./src/config/env.js";
+import {
+  API_NAME,
+  PORT,
+  PRODUTOS_JSON,
+  CATEGORIAS_JSON,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  MAIL_FROM,
+  MAIL_OUTBOX_DIR,
+  TRUST_PROXY,
+  JWT_ALG,
+  JWT_KEYS_DIR,
+  JWT_HS256_ACEITO_ATE,
+  NODE_ENV,
+  configRedigida,
+} from "./src/config/env.js";
 
 // Inicializadores dos bancos
 import { initMySql, mysqlPool } from "./src/config/mysql.js";
 import { initSqlite, sqliteDb } from "./src/config/sqlite.js";
 
-// Utilitário para criar/garantir o JSON de produtos
+// Utilitário para criar/garantir os JSON de produtos e categorias
 import { ensureJsonFile } from "./src/utils/fsJson.js";
 
+// Chaves do JWT (RS256/ES256) e JWKS público
+import { jwtKeyStore, getJwks, hs256LegadoAceito } from "./src/utils/jwt.js";
+
 // Repositórios (cada um conversa com uma "fonte" de dados diferente)
 import { UsuarioMySqlRepository } from "./src/repositories/UsuarioMySqlRepository.js";
 import { UsuarioSqliteRepository } from "./src/repositories/UsuarioSqliteRepository.js";
 import { UsuarioMemoryRepository } from "./src/repositories/UsuarioMemoryRepository.js";
 import { ProdutoJsonRepository } from "./src/repositories/ProdutoJsonRepository.js";
 import { ProdutoMemoryRepository } from "./src/repositories/ProdutoMemoryRepository.js";
+import { CategoriaJsonRepository } from "./src/repositories/CategoriaJsonRepository.js";
+import { CategoriaMemoryRepository } from "./src/repositories/CategoriaMemoryRepository.js";
 import { NotaFiscalSqliteRepository } from "./src/repositories/NotaFiscalSqliteRepository.js";
 import { NotaFiscalMemoryRepository } from "./src/repositories/NotaFiscalMemoryRepository.js";
+import { EstoqueMovimentoSqliteRepository } from "./src/repositories/EstoqueMovimentoSqliteRepository.js";
+import { EstoqueMovimentoMemoryRepository } from "./src/repositories/EstoqueMovimentoMemoryRepository.js";
+import { RefreshTokenSqliteRepository } from "./src/repositories/RefreshTokenSqliteRepository.js";
+import { RefreshTokenMemoryRepository } from "./src/repositories/RefreshTokenMemoryRepository.js";
+import { SessaoSqliteRepository } from "./src/repositories/SessaoSqliteRepository.js";
+import { SessaoMemoryRepository } from "./src/repositories/SessaoMemoryRepository.js";
+import { AuditoriaSqliteRepository } from "./src/repositories/AuditoriaSqliteRepository.js";
+import { AuditoriaMemoryRepository } from "./src/repositories/AuditoriaMemoryRepository.js";
+import { UsuarioTokenMySqlRepository } from "./src/repositories/UsuarioTokenMySqlRepository.js";
+import { UsuarioTokenSqliteRepository } from "./src/repositories/UsuarioTokenSqliteRepository.js";
+import { UsuarioTokenMemoryRepository } from "./src/repositories/UsuarioTokenMemoryRepository.js";
+import { TentativaLoginMySqlRepository } from "./src/repositories/TentativaLoginMySqlRepository.js";
+import { TentativaLoginSqliteRepository } from "./src/repositories/TentativaLoginSqliteRepository.js";
+import { TentativaLoginMemoryRepository } from "./src/repositories/TentativaLoginMemoryRepository.js";
+import { ApiKeyMySqlRepository } from "./src/repositories/ApiKeyMySqlRepository.js";
+import { ApiKeySqliteRepository } from "./src/repositories/ApiKeySqliteRepository.js";
+import { ApiKeyMemoryRepository } from "./src/repositories/ApiKeyMemoryRepository.js";
+import { ConviteMySqlRepository } from "./src/repositories/ConviteMySqlRepository.js";
+import { ConviteSqliteRepository } from "./src/repositories/ConviteSqliteRepository.js";
+import { ConviteMemoryRepository } from "./src/repositories/ConviteMemoryRepository.js";
+import { EmpresaMySqlRepository } from "./src/repositories/EmpresaMySqlRepository.js";
+import { EmpresaSqliteRepository } from "./src/repositories/EmpresaSqliteRepository.js";
+import { EmpresaMemoryRepository } from "./src/repositories/EmpresaMemoryRepository.js";
+
+// Mailers (envio de e-mail: SMTP de verdade ou arquivos .eml locais)
+import { SmtpMailer } from "./src/mailers/SmtpMailer.js";
+import { OutboxMailer } from "./src/mailers/OutboxMailer.js";
 
 // Services (regras de negócio)
 import { AuthService } from "./src/services/AuthService.js";
 import { UsuarioService } from "./src/services/UsuarioService.js";
+import { TentativaLoginService } from "./src/services/TentativaLoginService.js";
+import { ApiKeyService } from "./src/services/ApiKeyService.js";
+import { SessaoService } from "./src/services/SessaoService.js";
+import { PoliticaSenhaService } from "./src/services/PoliticaSenhaService.js";
+import { AuditoriaService } from "./src/services/AuditoriaService.js";
+import { ConviteService } from "./src/services/ConviteService.js";
+import { ImpersonacaoService } from "./src/services/ImpersonacaoService.js";
+import { EmpresaService } from "./src/services/EmpresaService.js";
+import { ImportacaoUsuarioService } from "./src/services/ImportacaoUsuarioService.js";
+import { MigracaoUsuarioService } from "./src/services/MigracaoUsuarioService.js";
 import { ProdutoService } from "./src/services/ProdutoService.js";
+import { CategoriaService } from "./src/services/CategoriaService.js";
+import { EstoqueService } from "./src/services/EstoqueService.js";
 import { NotaFiscalService } from "./src/services/NotaFiscalService.js";
 
 // Rotas (camada HTTP) e middleware de autenticação
 import { createAuthRoutes } from "./src/routes/authRoutes.js";
 import { createUsuarioRoutes } from "./src/routes/usuarioRoutes.js";
 import { createProdutoRoutes } from "./src/routes/produtoRoutes.js";
+import { createCategoriaRoutes } from "./src/routes/categoriaRoutes.js";
 import { createNotaFiscalRoutes } from "./src/routes/notaFiscalRoutes.js";
-import { authMiddleware } from "./src/middlewares/authMiddleware.js";
+import { createApiKeyRoutes } from "./src/routes/apiKeyRoutes.js";
+import { createAdminRoutes } from "./src/routes/adminRoutes.js";
+import { createConviteRoutes } from "./src/routes/conviteRoutes.js";
+import { createAuthMiddleware } from "./src/middlewares/authMiddleware.js";
 
 // ----------------------------------------------------------------------------
 // Instancia o app Express e configura para aceitar JSON no body das requisições.
@@ -60,6 +127,10 @@ import { authMiddleware } from "./src/middlewares/authMiddleware.js";
 const app = express();
 app.use(express.json());
 
+// Atrás de proxy, req.ip passa a vir do X-Forwarded-For (ver TRUST_PROXY no .env).
+// Importa para o bloqueio de login por IP.
+app.set("trust proxy", TRUST_PROXY);
+
 /**
  * Função principal de boot:
  *  - prepara dados iniciais (produtos)
@@ -69,19 +140,30 @@ app.use(express.json());
  */
 async function bootstrap() {
   // --------------------------------------------------------------------------
-  // 1) Produtos "seed" e fallback de armazenamento (JSON → /tmp → memória)
+  // 1) Produtos e categorias: "seed" e fallback de armazenamento
+  //    (JSON → /tmp → memória)
   // --------------------------------------------------------------------------
+  // O produtos.json e o categorias.json versionados são cópias EXATAS destes
+  // seeds (campo a campo): ensureJsonFile não sobrescreve um arquivo que já
+  // existe, então um campo novo aqui precisa ir para o JSON também.
+  const categoriasSeed = [
+    { id: 1, nome: "Material escolar", parentId: null },
+    { id: 2, nome: "Escrita", parentId: 1 },
+    { id: 3, nome: "Cadernos e papéis", parentId: 1 },
+    { id: 4, nome: "Arte", parentId: 1 },
+    { id: 5, nome: "Mochilas e lancheiras", parentId: null },
+  ];
   const produtosSeed = [
-    { id: 1, nome: "Caneta esferográfica azul", preco: 3.5 },
-    { id: 2, nome: "Caderno espiral 96 folhas", preco: 18.9 },
-    { id: 3, nome: "Borracha branca", preco: 2.2 },
-    { id: 4, nome: "Lápis HB nº 2", preco: 1.5 },
-    { id: 5, nome: "Tinta guache 250ml", preco: 14.9 },
-    { id: 6, nome: "Papel Sulfite A4 (500 folhas)", preco: 28.9 },
-    { id: 7, nome: "Lápis de cor 24 cores", preco: 34.9 },
-    { id: 8, nome: "Corretivo (caneta)", preco: 8.5 },
-    { id: 9, nome: "Mochila escolar", preco: 159.9 },
-    { id: 10, nome: "Lancheira térmica", preco: 99.9 },
+    { id: 1, nome: "Caneta esferográfica azul", preco: 3.5, estoque: 500, categoriaId: 2 },
+    { id: 2, nome: "Caderno espiral 96 folhas", preco: 18.9, estoque: 120, categoriaId: 3 },
+    { id: 3, nome: "Borracha branca", preco: 2.2, estoque: 300, categoriaId: 2 },
+    { id: 4, nome: "Lápis HB nº 2", preco: 1.5, estoque: 400, categoriaId: 2 },
+    { id: 5, nome: "Tinta guache 250ml", preco: 14.9, estoque: 40, categoriaId: 4 },
+    { id: 6, nome: "Papel Sulfite A4 (500 folhas)", preco: 28.9, estoque: 60, categoriaId: 3 },
+    { id: 7, nome: "Lápis de cor 24 cores", preco: 34.9, estoque: 35, categoriaId: 4 },
+    { id: 8, nome: "Corretivo (caneta)", preco: 8.5, estoque: 80, categoriaId: 2 },
+    { id: 9, nome: "Mochila escolar", preco: 159.9, estoque: 10, categoriaId: 5 },
+    { id: 10, nome: "Lancheira térmica", preco: 99.9, estoque: 12, categoriaId: 5 },
   ];
 
   let produtosJsonPath = PRODUTOS_JSON;
@@ -103,6 +185,30 @@ async function bootstrap() {
     }
   }
 
+  // Categorias: mesmo fallback dos produtos. Com produtos em memória, as
+  // categorias também ficam (os dois "seeds" combinam entre si).
+  let categoriasJsonPath = CATEGORIAS_JSON;
+  let categoriaRepo = null;
+  let categoriasBackend = "memory";
+  if (produtosBackend === "json") {
+    try {
+      await ensureJsonFile(categoriasJsonPath, categoriasSeed);
+      categoriasBackend = "json";
+    } catch (e1) {
+      try {
+        categoriasJsonPath = path.join("/tmp", path.basename(CATEGORIAS_JSON || "categorias.json"));
+        await ensureJsonFile(categoriasJsonPath, categoriasSeed);
+        categoriasBackend = "json";
+      } catch (e2) {
+        // segue para a memória
+      }
+    }
+  }
+  categoriaRepo =
+    categoriasBackend === "json"
+      ? new CategoriaJsonRepository(categoriasJsonPath)
+      : new CategoriaMemoryRepository(categoriasSeed);
+
   // --------------------------------------------------------------------------
   // 2) SQLite: tenta caminho configurado → /tmp → memória (para Notas e, se
   //    necessário, para Usuários)
@@ -128,12 +234,22 @@ async function bootstrap() {
   // 3) MySQL: tenta inicializar; se falhar, caímos para SQLite → Memória
   // --------------------------------------------------------------------------
   let usuarioRepo = null;
+  let usuarioTokenRepo = null; // tokens de uso único ficam junto dos usuários
+  let tentativaLoginRepo = null; // falhas de login (força bruta), idem
+  let apiKeyRepo = null; // API keys (integrações), idem
+  let conviteRepo = null; // convites de cadastro, idem
+  let empresaRepo = null; // empresas (multiempresa), idem
   let usuariosBackend = "mysql";
   let mysqlConnected = false;
   let mysqlHint = null;
   try {
     await initMySql();
     usuarioRepo = new UsuarioMySqlRepository(mysqlPool);
+    usuarioTokenRepo = new UsuarioTokenMySqlRepository(mysqlPool);
+    tentativaLoginRepo = new TentativaLoginMySqlRepository(mysqlPool);
+    apiKeyRepo = new ApiKeyMySqlRepository(mysqlPool);
+    conviteRepo = new ConviteMySqlRepository(mysqlPool);
+    empresaRepo = new EmpresaMySqlRepository(mysqlPool);
     mysqlConnected = true;
   } catch (e) {
     mysqlConnected = false;
@@ -148,9 +264,19 @@ async function bootstrap() {
     if (sqliteOk) {
       usuariosBackend = "sqlite";
       usuarioRepo = new UsuarioSqliteRepository(sqliteDb);
+      usuarioTokenRepo = new UsuarioTokenSqliteRepository(sqliteDb);
+      tentativaLoginRepo = new TentativaLoginSqliteRepository(sqliteDb);
+      apiKeyRepo = new ApiKeySqliteRepository(sqliteDb);
+      conviteRepo = new ConviteSqliteRepository(sqliteDb);
+      empresaRepo = new EmpresaSqliteRepository(sqliteDb);
     } else {
       usuariosBackend = "memory";
       usuarioRepo = new UsuarioMemoryRepository();
+      usuarioTokenRepo = new UsuarioTokenMemoryRepository();
+      tentativaLoginRepo = new TentativaLoginMemoryRepository();
+      apiKeyRepo = new ApiKeyMemoryRepository();
+      conviteRepo = new ConviteMemoryRepository();
+      empresaRepo = new EmpresaMemoryRepository();
     }
   }
 
@@ -165,14 +291,134 @@ async function bootstrap() {
     notasBackend = "memory";
     notaRepo = new NotaFiscalMemoryRepository();
   }
+  // Extrato de estoque: no mesmo SQLite das notas (entra na transação delas)
+  const movimentoRepo = sqliteOk
+    ? new EstoqueMovimentoSqliteRepository(sqliteDb)
+    : new EstoqueMovimentoMemoryRepository();
+
+  // Refresh tokens: também no SQLite (mesmo com usuários no MySQL); senão memória
+  const refreshTokenRepo = sqliteOk
+    ? new RefreshTokenSqliteRepository(sqliteDb)
+    : new RefreshTokenMemoryRepository();
+  // Sessões (uma por login) ficam junto dos refresh tokens
+  const sessaoRepo = sqliteOk
+    ? new SessaoSqliteRepository(sqliteDb)
+    : new SessaoMemoryRepository();
+  // Auditoria (ações sensíveis) também fica no SQLite
+  const auditoriaRepo = sqliteOk
+    ? new AuditoriaSqliteRepository(sqliteDb)
+    : new AuditoriaMemoryRepository();
+
+  // E-mail: com SMTP_HOST → SMTP; sem ele → arquivos .eml em MAIL_OUTBOX_DIR
+  const mailBackend = SMTP_HOST ? "smtp" : "outbox";
+  const mailer = SMTP_HOST
+    ? new SmtpMailer({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        user: SMTP_USER,
+        pass: SMTP_PASS,
+        from: MAIL_FROM,
+      })
+    : new OutboxMailer({ dir: MAIL_OUTBOX_DIR, from: MAIL_FROM });
 
   // --------------------------------------------------------------------------
   // 4) Instancia os services (regras de negócio)
   // --------------------------------------------------------------------------
-  const authService = new AuthService(usuarioRepo);
-  const usuarioService = new UsuarioService(usuarioRepo);
-  const produtoService = new ProdutoService(produtoRepo);
-  const notaService = new NotaFiscalService(notaRepo, produtoRepo);
+  const tentativaLoginService = new TentativaLoginService(tentativaLoginRepo);
+  const sessaoService = new SessaoService(sessaoRepo, refreshTokenRepo);
+  const politicaSenhaService = new PoliticaSenhaService();
+  const auditoriaService = new AuditoriaService(auditoriaRepo);
+  const conviteService = new ConviteService(conviteRepo, usuarioRepo, {
+    mailer,
+    auditoriaService,
+  });
+  const authService = new AuthService(usuarioRepo, {
+    refreshTokenRepo,
+    usuarioTokenRepo,
+    mailer,
+    tentativaLoginService,
+    sessaoService,
+    politicaSenhaService,
+    conviteService,
+  });
+  const apiKeyService = new ApiKeyService(apiKeyRepo, usuarioRepo);
+  const usuarioService = new UsuarioService(usuarioRepo, {
+    tentativaLoginService,
+    sessaoService,
+    apiKeyService,
+    usuarioTokenRepo,
+    auditoriaService,
+    authService,
+  });
+  const importacaoService = new ImportacaoUsuarioService(usuarioRepo, {
+    politicaSenhaService,
+    authService,
+    auditoriaService,
+  });
+  const impersonacaoService = new ImpersonacaoService(usuarioRepo, {
+    auditoriaService,
+    sessaoService,
+  });
+  const empresaService = new EmpresaService(empresaRepo, usuarioRepo, { auditoriaService });
+
+  // Migração de usuários entre backends (POST /api/admin/migracao/usuarios).
+  // Depois de uma queda, o processo segue no fallback; por isso o MySQL é
+  // (re)conectado sob demanda aqui. "memory" só existe se for o backend ativo.
+  let usuarioRepoMySqlMigracao = null;
+  const migracaoService = new MigracaoUsuarioService(
+    {
+      mysql: async () => {
+        if (usuariosBackend === "mysql") return usuarioRepo;
+        if (!usuarioRepoMySqlMigracao) {
+          await initMySql();
+          usuarioRepoMySqlMigracao = new UsuarioMySqlRepository(mysqlPool);
+        }
+        return usuarioRepoMySqlMigracao;
+      },
+      sqlite: async () => {
+        if (usuariosBackend === "sqlite") return usuarioRepo;
+        return sqliteOk ? new UsuarioSqliteRepository(sqliteDb) : null;
+      },
+      memory: async () => (usuariosBackend === "memory" ? usuarioRepo : null),
+    },
+    { auditoriaService }
+  );
+  const estoqueService = new EstoqueService(produtoRepo, movimentoRepo);
+  const categoriaService = new CategoriaService(categoriaRepo, produtoRepo);
+  const produtoService = new ProdutoService(produtoRepo, { estoqueService, categoriaService });
+  const notaService = new NotaFiscalService(notaRepo, produtoRepo, { estoqueService });
+
+  // Middleware JWT: consulta o usuário (token_version, e-mail verificado) e a
+  // sessão do token ("sid").
+  // - authMiddleware   : aceita JWT ou API key (rotas de dados)
+  // - authJwtMiddleware: só JWT — senha, 2FA, sessões e API keys exigem login
+  //   de verdade (nem API key nem token de impersonação)
+  const authMiddleware = createAuthMiddleware({
+    usuarioRepo,
+    apiKeyService,
+    sessaoService,
+    impersonacaoService,
+  });
+  const authJwtMiddleware = createAuthMiddleware({ usuarioRepo, sessaoService });
+
+  // RBAC: garante que exista um admin (BOOTSTRAP_ADMIN_EMAIL ou 1º usuário)
+  const adminPromovido = await authService.garantirAdminBootstrap();
+  if (adminPromovido) {
+    console.log(`Usuário ${adminPromovido.email} promovido a admin (bootstrap).`);
+  }
+
+  // Assinatura assimétrica: garante a chave ativa já no boot (gera a primeira
+  // se JWT_KEYS_DIR estiver vazia), em vez de no primeiro login.
+  if (JWT_ALG !== "HS256") {
+    const chave = jwtKeyStore.chaveAtiva(JWT_ALG);
+    console.log(`JWT ${JWT_ALG}: chave ativa ${chave.kid} (${JWT_KEYS_DIR}).`);
+    if (hs256LegadoAceito()) {
+      console.log(
+        `JWT: tokens HS256 sem kid ainda aceitos até ${JWT_HS256_ACEITO_ATE.toISOString()} (migração).`
+      );
+    }
+  }
 
   // --------------------------------------------------------------------------
   // 5) Rota "Home" (mini-documentação interativa)
@@ -183,18 +429,22 @@ async function bootstrap() {
     res.json({
       ok: true,
       api: API_NAME,
+      ambiente: NODE_ENV,
       backends: {
         usuarios: usuariosBackend,
         notas: notasBackend,
         produtos: produtosBackend === "json" ? `json:${produtosJsonPath}` : "memory",
+        categorias: categoriasBackend === "json" ? `json:${categoriasJsonPath}` : "memory",
         sqlite_file: sqliteOk ? sqlitePathInUse : null,
+        email: mailBackend === "smtp" ? `smtp:${SMTP_HOST}` : `outbox:${MAIL_OUTBOX_DIR}`,
+        jwt: JWT_ALG === "HS256" ? "HS256" : `${JWT_ALG}:${JWT_KEYS_DIR}`,
       },
       status: {
         mysql_connected: mysqlConnected,
         sqlite_ok: sqliteOk,
         produtos_json: produtosBackend === "json",
         produtos_path: produtosBackend === "json" ? produtosJsonPath : null,
-        falling_back_to_memory: usuariosBackend === "memory" || notasBackend === "memory" || produtosBackend === "memory",
+        falling_back_to_memory: usuariosBackend === "memory" || notasBackend === "memory" || produtosBackend === "memory" || categoriasBackend === "memory",
       },
       warnings: [
         ...(mysqlHint ? [mysqlHint] : []),
@@ -203,12 +453,21 @@ async function bootstrap() {
         "API didática com autenticação JWT e CRUD distribuído em 3 camadas de persistência: Usuários (MySQL), Produtos (JSON) e Notas Fiscais (SQLite).",
       requisitos_gerais: [
         "Para acessar rotas protegidas, faça login e envie o cabeçalho Authorization: Bearer <seu_token_jwt>",
+        "Integrações/scripts podem usar uma API key: Authorization: ApiKey <chave> (ou X-API-Key: <chave>).",
         "Corpo das requisições em JSON (Content-Type: application/json).",
+        "Cada rota exige um papel (admin, gerente, operador, leitura). Sem permissão → 403.",
       ],
+      papeis: {
+        admin: "Tudo, inclusive gerenciar usuários (remover/restaurar) e seus papéis. O primeiro usuário cadastrado vira admin.",
+        gerente: "Lê usuários; cria/edita/remove produtos e notas (de todos os usuários).",
+        operador: "Papel padrão no cadastro. Lê produtos; cria/edita as PRÓPRIAS notas.",
+        leitura: "Apenas consultas (GET) de produtos e das próprias notas.",
+      },
       fluxo_sugerido: [
-        "1) POST /api/auth/register  -> criar um usuário",
-        "2) POST /api/auth/login     -> obter o token JWT",
+        "1) POST /api/auth/register  -> criar um usuário (ou POST /api/auth/accept-invite, com convite de um admin)",
+        "2) POST /api/auth/login     -> obter o token JWT (+ refreshToken)",
         "3) Usar o token nas rotas /api/usuarios, /api/produtos e /api/notas",
+        "4) POST /api/auth/refresh   -> quando o token expirar, trocar o refreshToken por um novo par",
       ],
       endpoints: {
         auth: {
@@ -218,22 +477,264 @@ async function bootstrap() {
             body_exemplo: {
               nome: "Ana",
               email: "ana@empresa.com",
-              senha: "123456",
+              senha: "Ipe-Roxo-2025",
             },
-            retorna: "{ ok, usuarioPublico, token }",
+            retorna: "{ ok, usuario, token, refreshToken }",
+            observacao:
+              "A senha passa pela política de senha (400 com 'detalhes' listando cada regra que falhou). Envia um link de verificação por e-mail. Com EXIGIR_EMAIL_VERIFICADO=true, retorna { ok, usuario, verificacao_pendente } sem tokens. Com REGISTRO_PUBLICO=false → 403 (só o 1º usuário consegue se cadastrar; os demais entram por convite).",
+          },
+          accept_invite: {
+            method: "POST",
+            path: "/api/auth/accept-invite",
+            body_exemplo: { token: "<token-do-convite>", nome: "Bruno", senha: "Ipe-Roxo-2025" },
+            retorna: "{ ok, usuario, token, refreshToken }",
+            observacao:
+              "Cria a conta com o papel escolhido pelo admin e o e-mail já verificado. O convite vale uma vez, por CONVITE_VALIDADE_HORAS.",
           },
           login: {
             method: "POST",
             path: "/api/auth/login",
-            body_exemplo: { email: "ana@empresa.com", senha: "123456" },
-            retorna: "{ ok, usuarioPublico, token }",
+            body_exemplo: { email: "ana@empresa.com", senha: "Ipe-Roxo-2025" },
+            retorna: "{ ok, usuario, token, refreshToken }",
+            observacao:
+              "Muitas senhas erradas seguidas (por e-mail ou IP) bloqueiam o login por um tempo crescente: 429 + Retry-After. Conta com 2FA recebe { requer_2fa, desafio } no lugar dos tokens.",
+          },
+          login_2fa: {
+            method: "POST",
+            path: "/api/auth/login/2fa",
+            body_exemplo: { desafio: "<desafio-do-login>", codigo: "123456" },
+            retorna: "{ ok, usuario, token, refreshToken }",
+            observacao:
+              "Código do app autenticador (TOTP) ou um código de recuperação. O desafio expira em LOGIN_2FA_MINUTOS.",
+          },
+          dois_fatores: {
+            protegido: true,
+            setup: { method: "POST", path: "/api/auth/2fa/setup", retorna: "{ ok, segredo, otpauth_uri }" },
+            confirm: {
+              method: "POST",
+              path: "/api/auth/2fa/confirm",
+              body_exemplo: { codigo: "123456" },
+              retorna: "{ ok, codigos_recuperacao }",
+            },
+            disable: {
+              method: "POST",
+              path: "/api/auth/2fa/disable",
+              body_exemplo: { senha: "Ipe-Roxo-2025", codigo: "123456" },
+              retorna: "{ ok, usuario }",
+            },
+            observacao:
+              "Os códigos de recuperação aparecem só na confirmação (guardamos apenas o hash) e cada um vale uma vez.",
+          },
+          refresh: {
+            method: "POST",
+            path: "/api/auth/refresh",
+            body_exemplo: { refreshToken: "<refresh-token>" },
+            retorna: "{ ok, usuario, token, refreshToken }",
+            observacao:
+              "Cada refresh token vale uma única vez (rotação). Reutilizar um token já trocado revoga a sessão inteira.",
+          },
+          logout: {
+            method: "POST",
+            path: "/api/auth/logout",
+            body_exemplo: { refreshToken: "<refresh-token>" },
+            retorna: "{ ok }",
+          },
+          sessions: {
+            protegido: true,
+            list: { method: "GET", path: "/api/auth/sessions" },
+            revoke: { method: "DELETE", path: "/api/auth/sessions/:id" },
+            revoke_outras: { method: "DELETE", path: "/api/auth/sessions" },
+            retorna: "list → { ok, data: [ { id, user_agent, ip, created_at, ultima_atividade_em, atual } ] }",
+            observacao:
+              "Cada login abre uma sessão (id = claim 'sid' do JWT). Encerrar uma sessão derruba o access e o refresh token dela na hora; DELETE sem id encerra todas, menos a atual.",
+          },
+          me: {
+            protegido: true,
+            get: { method: "GET", path: "/api/auth/me", retorna: "{ ok, usuario }" },
+            update: {
+              method: "PATCH",
+              path: "/api/auth/me",
+              body_exemplo: {
+                nome: "Ana Souza",
+                email: "ana.souza@empresa.com",
+                cpf: "529.982.247-25",
+                telefone: "+5511987654321",
+                senha: "Ipe-Roxo-2025",
+              },
+              retorna: "{ ok, usuario }",
+              observacao:
+                "Trocar o e-mail exige a senha atual; o e-mail novo volta a ser não verificado e recebe o link de verificação.",
+            },
+            preferencias: {
+              method: "PATCH",
+              path: "/api/auth/me/preferencias",
+              body_exemplo: { idioma: "en-US", fuso_horario: "America/Manaus", itens_por_pagina: 50 },
+              retorna: "{ ok, usuario }",
+            },
+            delete: {
+              method: "DELETE",
+              path: "/api/auth/me",
+              body_exemplo: { senha: "Ipe-Roxo-2025" },
+              retorna: "{ ok, anonimizado_em, sessoes_encerradas, api_keys_revogadas }",
+            },
+            observacao:
+              "Minha conta. PATCH não muda o papel (403); CPF (dígitos verificadores conferidos) e telefone (E.164) são opcionais e null os apaga. O CPF sai sempre mascarado; o telefone só sai inteiro para o titular e para o admin. itens_por_pagina é o limit padrão de GET /api/usuarios. DELETE (LGPD) anonimiza nome e e-mail — as notas emitidas continuam, sem dados pessoais —, revoga sessões, API keys e links pendentes e registra a exclusão na auditoria.",
+          },
+          senha: {
+            method: "PUT",
+            path: "/api/auth/senha",
+            protegido: true,
+            body_exemplo: { senha_atual: "Ipe-Roxo-2025", nova_senha: "outraSenha789" },
+            retorna: "{ ok, usuario, token, refreshToken }",
+            observacao:
+              "A nova senha passa pela política de senha e não pode repetir a atual nem as SENHA_HISTORICO anteriores. Todos os tokens emitidos antes (outros dispositivos) deixam de valer; use o par novo da resposta.",
+          },
+          verify: {
+            method: "GET",
+            path: "/api/auth/verify?token=<token-do-email>",
+            retorna: "{ ok, message, usuario }",
+            observacao:
+              "Link enviado no cadastro. Depois de verificar, use /refresh (ou login) para receber um token atualizado.",
+          },
+          verify_resend: {
+            method: "POST",
+            path: "/api/auth/verify/resend",
+            body_exemplo: { email: "ana@empresa.com" },
+            retorna: "{ ok, message } (429 + Retry-After se pedir de novo cedo demais)",
+          },
+          forgot: {
+            method: "POST",
+            path: "/api/auth/forgot",
+            body_exemplo: { email: "ana@empresa.com" },
+            retorna: "{ ok, message } (sempre igual, exista ou não o e-mail)",
+            observacao:
+              "Envia um token de uso único por e-mail. Sem SMTP_HOST, o e-mail vira um arquivo .eml na pasta de outbox.",
+          },
+          reset: {
+            method: "POST",
+            path: "/api/auth/reset",
+            body_exemplo: { token: "<token-do-email>", senha: "novaSenha123" },
+            retorna: "{ ok, message }",
+            observacao:
+              "O token expira (RESET_TOKEN_MINUTOS) e vale uma vez (senha recusada pela política não gasta o token). Todas as sessões (refresh tokens) são encerradas.",
+          },
+        },
+        api_keys: {
+          protegido: true,
+          base: "/api/api-keys",
+          rotas: {
+            list: { method: "GET", path: "/api/api-keys" },
+            create: {
+              method: "POST",
+              path: "/api/api-keys",
+              body_exemplo: { nome: "ERP", escopos: ["produtos:read", "notas:write"], expira_em: "2026-12-31" },
+              retorna: "{ ok, data, chave } (a chave inteira só aparece aqui)",
+            },
+            revoke: { method: "DELETE", path: "/api/api-keys/:id" },
+          },
+          observacoes: [
+            "Exige login com JWT (uma API key não cria nem revoga chaves).",
+            "Escopos: <recurso>:read|write para usuarios, produtos, categorias e notas ('write' inclui 'read'). Sem escopos, vale o papel do dono.",
+            "Guardamos só o hash; a listagem mostra o prefixo e o último uso.",
+          ],
+        },
+        jwks: {
+          protegido: false,
+          rotas: {
+            jwks: {
+              method: "GET",
+              path: "/.well-known/jwks.json",
+              retorna: "{ keys: [ { kty, kid, alg, use, ... } ] }",
+            },
           },
+          observacoes: [
+            "Chaves PÚBLICAS para outros serviços verificarem nossos JWT (JWT_ALG=RS256 ou ES256). Em HS256 a lista vem vazia.",
+            "Rotação: npm run jwt:rotate. A chave anterior ainda verifica por JWT_CHAVE_CARENCIA_HORAS.",
+          ],
+        },
+        admin: {
+          protegido: true,
+          base: "/api/admin",
+          rotas: {
+            config: {
+              method: "GET",
+              path: "/api/admin/config",
+              retorna: "{ ok, data: { node_env, producao, valores: { NOME: { valor, origem } } } }",
+            },
+            auditoria: {
+              method: "GET",
+              path: "/api/admin/auditoria?usuario_id=&acao=&limite=",
+              retorna: "{ ok, data: [ { id, acao, usuario_id, ator_id, ip, detalhes, created_at } ] }",
+            },
+            impersonate: {
+              method: "POST",
+              path: "/api/admin/impersonate/:userId",
+              body_exemplo: { motivo: "Chamado #1234" },
+              retorna: "{ ok, token, expira_em, usuario, ator }",
+            },
+            listEmpresas: {
+              method: "GET",
+              path: "/api/admin/empresas",
+              retorna: "{ ok, data: [ { id, nome, created_at } ] }",
+            },
+            createEmpresa: {
+              method: "POST",
+              path: "/api/admin/empresas",
+              body_exemplo: { nome: "Padaria Central" },
+              retorna: "{ ok, data: { id, nome, created_at } }",
+            },
+            setEmpresaUsuario: {
+              method: "PUT",
+              path: "/api/admin/usuarios/:id/empresa",
+              body_exemplo: { empresa_id: 2 },
+              retorna: "{ ok, data: usuario }",
+            },
+            migrarUsuarios: {
+              method: "POST",
+              path: "/api/admin/migracao/usuarios",
+              body_exemplo: { de: "sqlite", para: "mysql", dry_run: true },
+              retorna:
+                "{ ok, data: { dry_run, resumo, usuarios: [ { id, email, status, campos, motivo } ], apenas_no_destino } }",
+            },
+          },
+          observacoes: [
+            "Somente admin, com JWT (API key não serve).",
+            "Mostra a configuração efetiva (.env + padrões); segredos aparecem como '***'.",
+            "A auditoria registra ações sensíveis (ex.: usuario.anonimizado) só com ids — sem nome nem e-mail.",
+            "Impersonação: token de IMPERSONACAO_MINUTOS com o usuário + claim 'act' (o admin). Admins não podem ser impersonados; rotas de credenciais recusam o token; alterações feitas com ele voltam marcadas (header X-Impersonado-Por e campo 'impersonacao') e vão para a auditoria.",
+            "Multiempresa: produtos, notas, usuários e convites são isolados por empresa (tenant_id no JWT). Configuração, auditoria e empresas são só para admins da EMPRESA_PADRAO; mudar um usuário de empresa derruba os tokens dele.",
+            "Migração (admin da plataforma; também 'npm run usuarios:migrar'): copia usuários entre mysql, sqlite e memory com o mesmo id e a mesma senha. Cada um sai como copiar/copiado, igual, divergente (só sobrescreve com sobrescrever: true) ou conflito (id ou e-mail já de outra conta — nunca gravado). Depois de migrar para o MySQL, reinicie o servidor para ele voltar a usá-lo.",
+          ],
+        },
+        convites: {
+          protegido: true,
+          base: "/api/convites",
+          rotas: {
+            list: { method: "GET", path: "/api/convites" },
+            create: {
+              method: "POST",
+              path: "/api/convites",
+              body_exemplo: { email: "bruno@empresa.com", papel: "gerente" },
+              retorna: "{ ok, data: { id, email, papel, expires_at, ... }, email_enviado }",
+            },
+            resend: { method: "POST", path: "/api/convites/:id/reenviar" },
+            revoke: { method: "DELETE", path: "/api/convites/:id" },
+          },
+          observacoes: [
+            "Somente admin, com JWT (API key não serve).",
+            "O convidado recebe um link por e-mail (sem SMTP, um .eml em MAIL_OUTBOX_DIR) e cria a conta em POST /api/auth/accept-invite.",
+            "Reenviar gera um link novo; o anterior deixa de valer.",
+          ],
         },
         usuarios_mysql: {
           protegido: true,
           base: "/api/usuarios",
           rotas: {
-            list: { method: "GET", path: "/api/usuarios" },
+            list: {
+              method: "GET",
+              path: "/api/usuarios?page=&limit=&q=&criado_de=&criado_ate=&sort=",
+              retorna: "{ ok, data: [usuarios], paginacao: { total, page, limit, paginas, next, prev } }",
+            },
             get: { method: "GET", path: "/api/usuarios/:id" },
             update: {
               method: "PUT",
@@ -241,22 +742,36 @@ async function bootstrap() {
               body_exemplo: { nome: "Novo Nome", email: "novo@x.com" },
             },
             delete: { method: "DELETE", path: "/api/usuarios/:id" },
+            excluidos: { method: "GET", path: "/api/usuarios/excluidos" },
+            restore: { method: "POST", path: "/api/usuarios/:id/restore" },
+            unlock: { method: "POST", path: "/api/usuarios/:id/unlock" },
+            importar: {
+              method: "POST",
+              path: "/api/usuarios/import?dry_run=true",
+              body_exemplo: "text/csv → nome,email,papel,senha",
+              retorna: "{ ok, data: { dry_run, resumo, linhas: [ { linha, email, status, motivo } ] } }",
+            },
           },
           observacoes: [
-            "Senha não é alterada aqui; cadastro e login ficam em /api/auth.",
+            "Senha não é alterada aqui; o próprio usuário troca em PUT /api/auth/senha.",
             "Respostas devolvem visão pública (sem senha_hash).",
+            "Listagem paginada: limit padrão 20 (máx. 100); q busca no nome/e-mail; criado_de/criado_ate (AAAA-MM-DD ou ISO, inclusivos); sort em id, nome, email, papel ou created_at ('-' = decrescente; padrão -id).",
+            "GET: admin/gerente. PUT/DELETE/restore/unlock e a lista de removidos: somente admin (o PUT também aceita 'papel').",
+            "DELETE é soft delete: a conta some da listagem e não faz login (sessões encerradas na hora), mas volta com POST /:id/restore. Id inexistente ou já removido → 404.",
+            "unlock libera o login de uma conta bloqueada por excesso de senhas erradas.",
+            "import (admin): CSV com nome, email, papel e senha temporária opcional; cada linha é 'criar/criado', 'ignorado' (e-mail já existe) ou 'rejeitado'. dry_run só mostra o relatório; a gravação é uma transação. Quem vem sem senha recebe por e-mail um link para defini-la.",
           ],
         },
         produtos_json: {
           protegido: true,
           base: "/api/produtos",
           rotas: {
-            list: { method: "GET", path: "/api/produtos" },
+            list: { method: "GET", path: "/api/produtos?categoria=1" },
             get: { method: "GET", path: "/api/produtos/:id" },
             create: {
               method: "POST",
               path: "/api/produtos",
-              body_exemplo: { nome: "Apontador", preco: 4.5 },
+              body_exemplo: { nome: "Apontador", preco: 4.5, estoque: 100, categoriaId: 2 },
             },
             update: {
               method: "PUT",
@@ -264,9 +779,40 @@ async function bootstrap() {
               body_exemplo: { nome: "Apontador Premium", preco: 6.9 },
             },
             delete: { method: "DELETE", path: "/api/produtos/:id" },
+            estoque_extrato: { method: "GET", path: "/api/produtos/:id/estoque?limite=100" },
+            estoque_ajuste: {
+              method: "POST",
+              path: "/api/produtos/:id/estoque",
+              body_exemplo: { quantidade: 50, motivo: "Compra do fornecedor" },
+            },
           },
           persistencia:
             "Arquivo JSON em disco (caminho vem de .env - PRODUTOS_JSON).",
+          estoque:
+            "\"estoque\" é informado no cadastro; depois só muda por nota fiscal ou pelo ajuste (quantidade + / -, motivo obrigatório) — o PUT recusa o campo. Toda mudança vai para o extrato (SQLite). Produtos antigos sem o campo começam com 0.",
+        },
+        categorias_json: {
+          protegido: true,
+          base: "/api/categorias",
+          rotas: {
+            list: { method: "GET", path: "/api/categorias" },
+            arvore: { method: "GET", path: "/api/categorias/arvore" },
+            get: { method: "GET", path: "/api/categorias/:id" },
+            create: {
+              method: "POST",
+              path: "/api/categorias",
+              body_exemplo: { nome: "Canetas", parentId: 2 },
+            },
+            update: {
+              method: "PUT",
+              path: "/api/categorias/:id",
+              body_exemplo: { nome: "Canetas e marcadores", parentId: 2 },
+            },
+            delete: { method: "DELETE", path: "/api/categorias/:id?moverPara=2" },
+          },
+          persistencia: "Arquivo JSON em disco (CATEGORIAS_JSON), ao lado do de produtos.",
+          regras:
+            "Árvore via parentId (null = raiz); sem ciclos; nome único no mesmo nível. GET /api/produtos?categoria=<id> inclui as subcategorias. Remover categoria com subcategorias → 409; com produtos → 409, a menos que moverPara indique a categoria que os recebe.",
         },
         notas_sqlite: {
           protegido: true,
@@ -286,7 +832,7 @@ async function bootstrap() {
                 ],
               },
               observacao:
-                "O total é calculado automaticamente com base no preço do produto (JSON) x quantidade.",
+                "O total é calculado automaticamente com base no preço do produto (JSON) x quantidade. Os itens saem do estoque; sem saldo suficiente → 409 (\"detalhes\" com o que faltou) e nada é gravado.",
             },
             update: {
               method: "PUT",
@@ -304,17 +850,22 @@ async function bootstrap() {
           },
           persistencia:
             "Banco local SQLite (arquivo .db) criado automaticamente.",
+          estoque:
+            "Emitir baixa o estoque, alterar aplica a diferença dos itens e remover devolve. Se a gravação no SQLite falhar, a mudança no JSON de produtos é desfeita.",
+          visibilidade:
+            "Cada nota guarda criado_por/atualizado_por (ids de usuário). admin e gerente veem todas; os demais papéis veem e editam só as que emitiram (nota de outro usuário → 404). Notas antigas ficam com o dono NOTAS_DONO_PADRAO.",
         },
       },
       headers_importantes: {
-        Authorization: "Bearer <token-jwt>",
+        Authorization: "Bearer <token-jwt>  |  ApiKey <chave>",
+        "X-API-Key": "<chave> (alternativa ao Authorization: ApiKey)",
         "Content-Type": "application/json",
       },
       curl_examples: [
         // Registro
-        `curl -X POST http://localhost:${PORT}/api/auth/register -H "Content-Type: application/json" -d '{"nome":"Ana","email":"ana@empresa.com","senha":"123456"}'`,
+        `curl -X POST http://localhost:${PORT}/api/auth/register -H "Content-Type: application/json" -d '{"nome":"Ana","email":"ana@empresa.com","senha":"Ipe-Roxo-2025"}'`,
         // Login
-        `curl -X POST http://localhost:${PORT}/api/auth/login -H "Content-Type: application/json" -d '{"email":"ana@empresa.com","senha":"123456"}'`,
+        `curl -X POST http://localhost:${PORT}/api/auth/login -H "Content-Type: application/json" -d '{"email":"ana@empresa.com","senha":"Ipe-Roxo-2025"}'`,
         // Listar produtos (exige token)
         `curl -H "Authorization: Bearer SEU_TOKEN" http://localhost:${PORT}/api/produtos`,
         // Criar nota (exige token)
@@ -334,18 +885,56 @@ async function bootstrap() {
   //    - As rotas protegidas exigem JWT (middleware authMiddleware).
   //    - A ordem importa: primeiro /api/auth (público), depois as protegidas.
   // --------------------------------------------------------------------------
-  app.use("/api/auth", createAuthRoutes({ authService }));
+  app.use(
+    "/api/auth",
+    createAuthRoutes({
+      authService,
+      sessaoService,
+      usuarioService,
+      authMiddleware: authJwtMiddleware,
+    })
+  );
+
+  app.use(
+    "/api/api-keys",
+    authJwtMiddleware,
+    createApiKeyRoutes({ apiKeyService })
+  );
+
+  app.use(
+    "/api/admin",
+    authJwtMiddleware,
+    createAdminRoutes({
+      configRedigida,
+      auditoriaService,
+      impersonacaoService,
+      empresaService,
+      migracaoService,
+    })
+  );
+
+  app.use(
+    "/api/convites",
+    authJwtMiddleware,
+    createConviteRoutes({ conviteService })
+  );
 
   app.use(
     "/api/usuarios",
     authMiddleware,
-    createUsuarioRoutes({ usuarioService })
+    createUsuarioRoutes({ usuarioService, importacaoService })
   );
 
   app.use(
     "/api/produtos",
     authMiddleware,
-    createProdutoRoutes({ produtoService })
+    createProdutoRoutes({ produtoService, estoqueService })
+  );
+
+  app.use(
+    "/api/categorias",
+    authMiddleware,
+    createCategoriaRoutes({ categoriaService })
   );
 
   app.use(
@@ -366,6 +955,13 @@ async function bootstrap() {
     });
   });
 
+  // JWKS: chaves públicas do JWT (ativa + retiradas em carência). Público e
+  // cacheável por alguns minutos — quem verifica rebusca ao ver um kid novo.
+  app.get("/.well-known/jwks.json", (req, res) => {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(getJwks());
+  });
+
   // --------------------------------------------------------------------------
   // 8) 404 (não encontrado) — quando nenhuma rota anterior casa.
   // --------------------------------------------------------------------------
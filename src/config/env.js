@@ -23,6 +23,9 @@
  *  MYSQL_DATABASE=aula_backend_uniso
  *  SQLITE_FILE=./notas.db
  *  PRODUTOS_JSON=./produtos.json
+ *  CATEGORIAS_JSON=./categorias.json
+ *  APP_URL=http://localhost:4000
+ *  SMTP_HOST=smtp.exemplo.com   (vazio → e-mails vão para ./outbox/*.eml)
  *  ---------------------------------------------------------------------------
  *
  *  Observações:
@@ -36,6 +39,7 @@
 import dotenv from "dotenv"; // Carrega variáveis do arquivo .env para process.env
 import path from "path"; // Utilitário para manipular caminhos de forma portável (Windows/Linux/Mac)
 import { fileURLToPath } from "url"; // Necessário para reproduzir __filename/__dirname no modo ESM (import/export)
+import { carregarConfig, redigirConfig } from "./schema.js"; // leitura TIPADA + validação
 
 // -----------------------------------------------------------------------------
 // 1) Carrega as variáveis definidas em .env (se existir).
@@ -55,71 +59,366 @@ const __dirname = path.dirname(__filename);
 //  e __dirname contém o diretório onde ele está.
 
 // -----------------------------------------------------------------------------
-// 3) Exposição das configurações como constantes nomeadas.
-//    Padrão: "pegar do ambiente" OU "usar um valor padrão sensato".
-//    Isso torna o consumo desses valores previsível no restante do sistema.
+// 3) ESQUEMA das configurações: uma entrada por variável, com tipo, padrão e
+//    limites (o "motor" que lê, converte e valida está em ./schema.js).
+//    A ORDEM importa: um padrão pode depender de valores anteriores
+//    (ex.: TOTP_EMISSOR usa API_NAME; APP_URL usa PORT).
 // -----------------------------------------------------------------------------
+const JWT_SECRET_DEV = "DEVELOPMENT-ONLY-CHANGE-THIS";
 
-// Nome "humano" da API para logs, documentação e retornos simples.
-export const API_NAME =
-  process.env.API_NAME || "API Aula CRUD 3 Repositórios (Split)";
-
-// Porta do servidor HTTP:
-// - process.env.PORT é string; parseInt converte para número.
-// - Sempre especifique a base 10 (segundo argumento) por segurança.
-export const PORT = parseInt(process.env.PORT || "4000", 10);
-
-// Segredo do JWT:
-// - Em DEV, temos um fallback. Em PRODUÇÃO, sempre defina JWT_SECRET via ambiente.
-// - Boas práticas: usar um valor grande, aleatório e armazenado com segurança (ex.: Secret Manager).
-export const JWT_SECRET =
-  process.env.JWT_SECRET || "DEVELOPMENT-ONLY-CHANGE-THIS";
-
-// Configurações de conexão do MySQL para o módulo de Usuários.
-// - Em provedores de nuvem (Railway, PlanetScale, RDS, etc.), essas variáveis
-//   virão do painel de configuração/segredos.
-// Suporte a múltiplos nomes de variáveis (Railway e afins)
-function pickEnv(...keys) {
-  for (const k of keys) {
-    const v = process.env[k];
-    if (v !== undefined && v !== "") return v;
-  }
-  return undefined;
+export const SCHEMA = [
+  // Ambiente: "production" liga as checagens de segurança (campos "producao").
+  {
+    nome: "NODE_ENV",
+    tipo: "enum",
+    opcoes: ["development", "test", "production"],
+    padrao: "development",
+  },
+
+  // Nome "humano" da API para logs, documentação e retornos simples.
+  { nome: "API_NAME", tipo: "string", padrao: "API Aula CRUD 3 Repositórios (Split)" },
+
+  // Porta do servidor HTTP (número inteiro entre 1 e 65535).
+  { nome: "PORT", tipo: "int", min: 1, max: 65535, padrao: 4000 },
+
+  // Segredo do JWT:
+  // - Em DEV, temos um fallback. Em PRODUÇÃO o boot RECUSA o fallback e
+  //   segredos curtos: use um valor grande, aleatório e armazenado com
+  //   segurança (ex.: Secret Manager).
+  // - Com JWT_ALG=RS256/ES256 ele só verifica tokens SEM "kid" durante a
+  //   janela de migração JWT_HS256_ACEITO_ATE (ver abaixo e utils/jwt.js).
+  {
+    nome: "JWT_SECRET",
+    tipo: "string",
+    padrao: JWT_SECRET_DEV,
+    segredo: true,
+    producao: (v, { definido }) =>
+      !definido || v === JWT_SECRET_DEV
+        ? "defina um segredo próprio (o padrão de desenvolvimento é público)"
+        : v.length < 32
+        ? "use pelo menos 32 caracteres"
+        : null,
+  },
+
+  // Validade do access token (formato do jsonwebtoken: "15m", "2h", "1d"...).
+  { nome: "JWT_EXPIRES_IN", tipo: "duracao", padrao: "2h" },
+
+  // Algoritmo de assinatura do JWT (ver utils/jwt.js e utils/jwtKeys.js):
+  // - HS256 (padrão): segredo compartilhado JWT_SECRET — como sempre foi.
+  // - RS256 / ES256 : par de chaves (privada assina, pública verifica), com "kid"
+  //                   no header e chaves públicas em GET /.well-known/jwks.json.
+  // - JWT_KEYS_DIR            : pasta das chaves (criada no 1º boot). NÃO versionar.
+  // - JWT_CHAVE_CARENCIA_HORAS: por quanto tempo uma chave retirada na rotação
+  //                             ainda verifica tokens. Deve ser MAIOR que a
+  //                             validade do access token (JWT_EXPIRES_IN).
+  { nome: "JWT_ALG", tipo: "enum", opcoes: ["HS256", "RS256", "ES256"], padrao: "HS256" },
+  { nome: "JWT_KEYS_DIR", tipo: "string", padrao: () => path.join(process.cwd(), "keys") },
+  { nome: "JWT_CHAVE_CARENCIA_HORAS", tipo: "int", min: 1, padrao: 24 },
+
+  // Janela de migração HS256 → RS256/ES256: até esta data/hora (ISO 8601), os
+  // tokens antigos SEM "kid" (HS256 + JWT_SECRET) ainda são aceitos. Vazio
+  // (padrão) ou já passada → recusados sempre que JWT_ALG não for HS256.
+  // Use algo como "agora + JWT_EXPIRES_IN" e apague depois da migração.
+  {
+    nome: "JWT_HS256_ACEITO_ATE",
+    padrao: null,
+    parse: (texto) => {
+      const v = texto.trim();
+      const data = new Date(v);
+      if (!/^\d{4}-\d{2}-\d{2}/.test(v) || Number.isNaN(data.getTime())) {
+        throw new Error("deve ser uma data/hora ISO (ex.: 2026-12-31T23:59:59Z)");
+      }
+      return data;
+    },
+  },
+
+  // Validade do refresh token, em dias. Ele é guardado (hash) no SQLite e
+  // trocado a cada uso (rotação) em POST /api/auth/refresh.
+  { nome: "REFRESH_TOKEN_DIAS", tipo: "int", min: 1, padrao: 30 },
+
+  // E-mail que deve virar "admin" (opcional). Útil para promover alguém em um
+  // banco que já tem usuários. Sem ele, o PRIMEIRO usuário cadastrado vira admin.
+  { nome: "BOOTSTRAP_ADMIN_EMAIL", tipo: "email", padrao: "" },
+
+  // Proteção contra força bruta no login (ver TentativaLoginService):
+  // - LOGIN_MAX_TENTATIVAS    : falhas seguidas por E-MAIL antes de bloquear.
+  // - LOGIN_MAX_TENTATIVAS_IP : falhas por IP (maior: vários usuários podem
+  //                             sair pelo mesmo IP, ex.: laboratório da faculdade).
+  // - LOGIN_BLOQUEIO_SEGUNDOS : 1º bloqueio; dobra a cada nova falha
+  //                             (back-off exponencial) até LOGIN_BLOQUEIO_MAX_SEGUNDOS.
+  // - LOGIN_JANELA_MINUTOS    : falhas mais antigas que isso são esquecidas.
+  { nome: "LOGIN_MAX_TENTATIVAS", tipo: "int", min: 1, padrao: 5 },
+  { nome: "LOGIN_MAX_TENTATIVAS_IP", tipo: "int", min: 1, padrao: 20 },
+  { nome: "LOGIN_BLOQUEIO_SEGUNDOS", tipo: "int", min: 1, padrao: 30 },
+  { nome: "LOGIN_BLOQUEIO_MAX_SEGUNDOS", tipo: "int", min: 1, padrao: 900 },
+  { nome: "LOGIN_JANELA_MINUTOS", tipo: "int", min: 1, padrao: 15 },
+
+  // Autenticação em dois fatores (TOTP, ver utils/totp.js):
+  // - TOTP_EMISSOR       : nome exibido no app autenticador (padrão: API_NAME).
+  // - LOGIN_2FA_MINUTOS  : validade do "desafio" entregue pelo login quando a
+  //                        conta tem 2FA (tempo para digitar o código).
+  { nome: "TOTP_EMISSOR", tipo: "string", padrao: (v) => v.API_NAME },
+  { nome: "LOGIN_2FA_MINUTOS", tipo: "int", min: 1, padrao: 5 },
+
+  // Impersonação (suporte "vendo o que o usuário vê"): validade do token
+  // emitido por POST /api/admin/impersonate/:userId. Não há refresh: acabou o
+  // prazo, o admin pede outro.
+  { nome: "IMPERSONACAO_MINUTOS", tipo: "int", min: 1, max: 120, padrao: 15 },
+
+  // Política de senha (ver PoliticaSenhaService), aplicada no cadastro, na
+  // troca e na redefinição de senha:
+  // - SENHA_MIN_TAMANHO            : quantidade mínima de caracteres.
+  // - SENHA_MIN_CLASSES            : quantos TIPOS de caractere misturar, entre
+  //                                  minúsculas, maiúsculas, números e símbolos (0 = livre).
+  // - SENHA_BLOQUEAR_DADOS_PESSOAIS: recusa senhas que contêm o nome ou o e-mail.
+  // - SENHA_LISTA_VAZADAS          : arquivo com senhas vazadas/comuns, uma por
+  //                                  linha (vazio = não consultar). O padrão é a
+  //                                  lista que acompanha o projeto (data/).
+  // - SENHA_HISTORICO              : quantas senhas anteriores não podem ser
+  //                                  reaproveitadas (0 = só a atual).
+  { nome: "SENHA_MIN_TAMANHO", tipo: "int", min: 1, max: 72, padrao: 8 },
+  { nome: "SENHA_MIN_CLASSES", tipo: "int", min: 0, max: 4, padrao: 3 },
+  { nome: "SENHA_BLOQUEAR_DADOS_PESSOAIS", tipo: "bool", padrao: true },
+  {
+    nome: "SENHA_LISTA_VAZADAS",
+    tipo: "string",
+    padrao: () => path.join(__dirname, "..", "..", "data", "senhas-vazadas.txt"),
+  },
+  { nome: "SENHA_HISTORICO", tipo: "int", min: 0, max: 24, padrao: 5 },
+
+  // Custo do bcrypt (log2 do trabalho: cada +1 dobra o tempo do hash).
+  // Subiu o valor? Os hashes antigos são refeitos com o custo novo no próximo
+  // login de cada usuário (ver utils/crypto.js → precisaRehash).
+  { nome: "SENHA_BCRYPT_CUSTO", tipo: "int", min: 4, max: 15, padrao: 10 },
+
+  // Atrás de proxy/load balancer (Railway, Vercel, Nginx...), o IP real do
+  // cliente vem no X-Forwarded-For. Repassado para app.set("trust proxy", ...):
+  // "true", um número de saltos (ex.: 1) ou uma lista de IPs/sub-redes.
+  // Padrão: não confiar (req.ip = IP da conexão).
+  {
+    nome: "TRUST_PROXY",
+    padrao: false,
+    parse: (texto) => {
+      const v = texto.trim();
+      if (/^false$/i.test(v)) return false;
+      if (/^true$/i.test(v)) return true;
+      if (/^\d+$/.test(v)) return parseInt(v, 10);
+      return v;
+    },
+  },
+
+  // Endereço público do front-end/API, usado para montar links enviados por
+  // e-mail (ex.: link de redefinição de senha). Em produção é obrigatório:
+  // o padrão "localhost" geraria links que não abrem para ninguém.
+  {
+    nome: "APP_URL",
+    tipo: "url",
+    protocolos: ["http:", "https:"],
+    padrao: (v) => `http://localhost:${v.PORT}`,
+    producao: (v, { definido }) =>
+      !definido ? "defina o endereço público (usado nos links dos e-mails)" : null,
+  },
+
+  // Validade do token de "esqueci minha senha", em minutos (uso único).
+  { nome: "RESET_TOKEN_MINUTOS", tipo: "int", min: 1, padrao: 30 },
+
+  // Verificação de e-mail no cadastro:
+  // - EXIGIR_EMAIL_VERIFICADO=true → login e rotas protegidas recusam contas que
+  //   ainda não clicaram no link enviado por e-mail (403).
+  // - Com false (padrão), o link é enviado, mas a conta funciona mesmo sem ele.
+  // - VERIFICACAO_TOKEN_HORAS / VERIFICACAO_REENVIO_SEGUNDOS: validade do link
+  //   e intervalo mínimo entre reenvios para o mesmo e-mail.
+  { nome: "EXIGIR_EMAIL_VERIFICADO", tipo: "bool", padrao: false },
+  { nome: "VERIFICACAO_TOKEN_HORAS", tipo: "int", min: 1, padrao: 24 },
+  { nome: "VERIFICACAO_REENVIO_SEGUNDOS", tipo: "int", min: 0, padrao: 60 },
+
+  // Cadastro e convites:
+  // - REGISTRO_PUBLICO=false → POST /api/auth/register fica fechado (403); novas
+  //   contas só entram por convite de um admin (POST /api/convites). Exceção:
+  //   banco sem nenhum usuário (o primeiro cadastro, que vira admin).
+  // - CONVITE_VALIDADE_HORAS: validade do link do convite (reenviar renova).
+  { nome: "REGISTRO_PUBLICO", tipo: "bool", padrao: true },
+  { nome: "CONVITE_VALIDADE_HORAS", tipo: "int", min: 1, max: 720, padrao: 72 },
+
+  // E-mail (ver src/mailers):
+  // - Com SMTP_HOST definido, as mensagens saem por SMTP (nodemailer).
+  // - Sem ele, viram arquivos .eml em MAIL_OUTBOX_DIR (aula/testes sem servidor).
+  { nome: "SMTP_HOST", tipo: "string", padrao: "" },
+  { nome: "SMTP_PORT", tipo: "int", min: 1, max: 65535, padrao: 587 },
+  { nome: "SMTP_SECURE", tipo: "bool", padrao: false },
+  { nome: "SMTP_USER", tipo: "string", padrao: "" },
+  { nome: "SMTP_PASS", tipo: "string", padrao: "", segredo: true },
+  { nome: "MAIL_FROM", tipo: "string", padrao: "API Aula <no-reply@localhost>" },
+  {
+    nome: "MAIL_OUTBOX_DIR",
+    tipo: "string",
+    padrao: () => path.join(process.cwd(), "outbox"),
+  },
+
+  // Configurações de conexão do MySQL para o módulo de Usuários.
+  // - Em provedores de nuvem (Railway, PlanetScale, RDS, etc.), essas variáveis
+  //   virão do painel de configuração/segredos — por isso os "aliases".
+  // - MYSQL_URL: connection URL direta. Preferimos a URL pública do Railway
+  //   quando existir (funciona fora da rede Railway).
+  {
+    nome: "MYSQL_URL",
+    fontes: [
+      "MYSQL_PUBLIC_URL",
+      "MYSQL_URL",
+      "JAWSDB_URL",
+      "CLEARDB_DATABASE_URL",
+      "DATABASE_URL",
+    ],
+    tipo: "url",
+    protocolos: ["mysql:"],
+    padrao: "",
+  },
+  { nome: "MYSQL_HOST", aliases: ["MYSQLHOST"], tipo: "string", padrao: "localhost" },
+  { nome: "MYSQL_USER", aliases: ["MYSQLUSER"], tipo: "string", padrao: "root" },
+  {
+    nome: "MYSQL_PASSWORD",
+    aliases: ["MYSQLPASSWORD"],
+    tipo: "string",
+    padrao: "admin",
+    segredo: true,
+    // Com MYSQL_URL a senha vem na própria URL; sem ela, "admin" (o padrão
+    // do XAMPP da aula) não serve para produção.
+    producao: (v, { definido, valores }) =>
+      !valores.MYSQL_URL && (!definido || v === "admin")
+        ? 'defina a senha do MySQL (o padrão "admin" é só para a aula)'
+        : null,
+  },
+  {
+    nome: "MYSQL_DATABASE",
+    aliases: ["MYSQLDATABASE"],
+    tipo: "string",
+    padrao: "aula_backend_uniso",
+  },
+  { nome: "MYSQL_PORT", aliases: ["MYSQLPORT"], tipo: "int", min: 1, max: 65535, padrao: 3306 },
+  { nome: "MYSQL_SSL", tipo: "bool", padrao: false },
+
+  // Caminhos de arquivos (SQLite e JSON):
+  // - path.join(process.cwd(), ...) garante que esses caminhos serão resolvidos
+  //   a partir do diretório atual onde o processo foi iniciado (geralmente a raiz do projeto).
+  // - Usar path.join é importante para funcionar igualmente em Windows (\\) e Linux (/).
+  { nome: "SQLITE_FILE", tipo: "string", padrao: () => path.join(process.cwd(), "notas.db") },
+
+  // Id do usuário que vira "dono" das notas fiscais criadas antes de as notas
+  // guardarem quem as emitiu (migração do SQLite). Padrão: 1, o primeiro
+  // usuário cadastrado (admin).
+  { nome: "NOTAS_DONO_PADRAO", tipo: "int", min: 1, padrao: 1 },
+
+  // Empresa (tenant) padrão: recebe os dados de antes do multiempresa
+  // (usuários, produtos e notas), os cadastros públicos e o 1º usuário.
+  // Os admins DESTA empresa são os que criam empresas e movem usuários
+  // entre elas (/api/admin/empresas).
+  { nome: "EMPRESA_PADRAO", tipo: "int", min: 1, padrao: 1 },
+  {
+    nome: "PRODUTOS_JSON",
+    tipo: "string",
+    padrao: () => path.join(process.cwd(), "produtos.json"),
+  },
+  // Árvore de categorias de produtos (o produto guarda só o "categoriaId").
+  {
+    nome: "CATEGORIAS_JSON",
+    tipo: "string",
+    padrao: () => path.join(process.cwd(), "categorias.json"),
+  },
+];
+
+// -----------------------------------------------------------------------------
+// 4) Carrega e valida. Qualquer problema derruba o boot com UMA mensagem que
+//    lista TODOS os itens a corrigir (melhor falhar agora do que subir com
+//    um valor errado e descobrir no meio da aula/produção).
+// -----------------------------------------------------------------------------
+const config = carregarConfig(SCHEMA);
+
+// Regras que envolvem mais de uma variável
+if (config.valores.LOGIN_BLOQUEIO_MAX_SEGUNDOS < config.valores.LOGIN_BLOQUEIO_SEGUNDOS) {
+  config.erros.push(
+    "LOGIN_BLOQUEIO_MAX_SEGUNDOS: deve ser >= LOGIN_BLOQUEIO_SEGUNDOS"
+  );
 }
 
-// Connection URL direta (se disponibilizada pelo provedor)
-// Preferir URL pública do Railway quando existir (funciona fora da rede Railway)
-export const MYSQL_URL =
-  pickEnv(
-    "MYSQL_PUBLIC_URL",
-    "MYSQL_URL",
-    "JAWSDB_URL",
-    "CLEARDB_DATABASE_URL",
-    "DATABASE_URL"
-  ) || "";
-
-export const MYSQL_HOST =
-  pickEnv("MYSQL_HOST", "MYSQLHOST") || "localhost";
-export const MYSQL_USER = pickEnv("MYSQL_USER", "MYSQLUSER") || "root";
-export const MYSQL_PASSWORD =
-  pickEnv("MYSQL_PASSWORD", "MYSQLPASSWORD") || "admin";
-export const MYSQL_DATABASE =
-  pickEnv("MYSQL_DATABASE", "MYSQLDATABASE") || "aula_backend_uniso";
-export const MYSQL_PORT = parseInt(
-  pickEnv("MYSQL_PORT", "MYSQLPORT") || "3306",
-  10
-);
-export const MYSQL_SSL = /^true$/i.test(pickEnv("MYSQL_SSL") || "false");
-
-// Caminhos de arquivos (SQLite e JSON):
-// - path.join(process.cwd(), ...) garante que esses caminhos serão resolvidos
-//   a partir do diretório atual onde o processo foi iniciado (geralmente a raiz do projeto).
-// - Usar path.join é importante para funcionar igualmente em Windows (\\) e Linux (/).
-export const SQLITE_FILE =
-  process.env.SQLITE_FILE || path.join(process.cwd(), "notas.db");
-
-export const PRODUTOS_JSON =
-  process.env.PRODUTOS_JSON || path.join(process.cwd(), "produtos.json");
+if (config.erros.length) {
+  throw new Error(
+    `Configuração inválida (.env / variáveis de ambiente):\n` +
+      config.erros.map((e) => `  - ${e}`).join("\n")
+  );
+}
+
+/**
+ * configRedigida()
+ * Configuração efetiva SEM segredos, para GET /api/admin/config:
+ *   { node_env, producao, valores: { NOME: { valor, origem } } }
+ * "origem" diz de onde veio: "env", "env:<alias>" ou "padrao".
+ */
+export function configRedigida() {
+  return {
+    node_env: config.valores.NODE_ENV,
+    producao: config.producao,
+    valores: redigirConfig(SCHEMA, config),
+  };
+}
+
+// -----------------------------------------------------------------------------
+// 5) Exposição das configurações como constantes nomeadas (já convertidas).
+//    O resto do sistema continua importando { PORT, MYSQL_HOST, ... } daqui.
+// -----------------------------------------------------------------------------
+export const {
+  NODE_ENV,
+  API_NAME,
+  PORT,
+  JWT_SECRET,
+  JWT_EXPIRES_IN,
+  JWT_ALG,
+  JWT_KEYS_DIR,
+  JWT_CHAVE_CARENCIA_HORAS,
+  JWT_HS256_ACEITO_ATE,
+  REFRESH_TOKEN_DIAS,
+  BOOTSTRAP_ADMIN_EMAIL,
+  LOGIN_MAX_TENTATIVAS,
+  LOGIN_MAX_TENTATIVAS_IP,
+  LOGIN_BLOQUEIO_SEGUNDOS,
+  LOGIN_BLOQUEIO_MAX_SEGUNDOS,
+  LOGIN_JANELA_MINUTOS,
+  TOTP_EMISSOR,
+  LOGIN_2FA_MINUTOS,
+  IMPERSONACAO_MINUTOS,
+  SENHA_MIN_TAMANHO,
+  SENHA_MIN_CLASSES,
+  SENHA_BLOQUEAR_DADOS_PESSOAIS,
+  SENHA_LISTA_VAZADAS,
+  SENHA_HISTORICO,
+  SENHA_BCRYPT_CUSTO,
+  TRUST_PROXY,
+  APP_URL,
+  RESET_TOKEN_MINUTOS,
+  EXIGIR_EMAIL_VERIFICADO,
+  VERIFICACAO_TOKEN_HORAS,
+  VERIFICACAO_REENVIO_SEGUNDOS,
+  REGISTRO_PUBLICO,
+  CONVITE_VALIDADE_HORAS,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  MAIL_FROM,
+  MAIL_OUTBOX_DIR,
+  MYSQL_URL,
+  MYSQL_HOST,
+  MYSQL_USER,
+  MYSQL_PASSWORD,
+  MYSQL_DATABASE,
+  MYSQL_PORT,
+  MYSQL_SSL,
+  SQLITE_FILE,
+  NOTAS_DONO_PADRAO,
+  EMPRESA_PADRAO,
+  PRODUTOS_JSON,
+  CATEGORIAS_JSON,
+} = config.valores;
 
 /**
  * Dicas para troubleshooting:
@@ -128,6 +427,13 @@ export const PRODUTOS_JSON =
  *      -> Verifique se o arquivo .env existe na RAIZ do projeto.
  *      -> Confirme permissões de leitura do arquivo.
  *
+ *  - "Configuração inválida" ao subir?
+ *      -> A mensagem lista TODAS as variáveis com problema (tipo errado, fora
+ *         do limite, opção desconhecida). Corrija no .env e suba de novo.
+ *      -> Com NODE_ENV=production, os padrões de desenvolvimento (JWT_SECRET,
+ *         senha "admin" do MySQL, APP_URL em localhost) são recusados.
+ *      -> Para conferir o que está valendo: GET /api/admin/config (admin).
+ *
  *  - Porta ocupada (EADDRINUSE)?
  *      -> Altere PORT no .env (ex.: 4001) ou pare o processo que está usando a porta.
  *
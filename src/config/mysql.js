@@ -33,6 +33,7 @@ import {
   MYSQL_PORT,
   MYSQL_URL,
   MYSQL_SSL,
+  EMPRESA_PADRAO,
 } from "./env.js"; // credenciais e nome do BD centralizados
 
 // Exportamos o pool para que outras partes do sistema possam executar queries.
@@ -98,6 +99,17 @@ export async function initMySql() {
   //      nome        : nome do usuário
   //      email       : único (UNIQUE) para não permitir duplicidades
   //      senha_hash  : hash de senha (bcrypt) — jamais armazene a senha em texto puro
+  //      senha_historico_json : hashes das senhas anteriores (política de senha)
+  //      papel       : papel de acesso (admin | gerente | operador | leitura)
+  //      email_verificado_em : quando o e-mail foi confirmado (NULL = pendente)
+  //      token_version : sobe a cada troca de senha (JWT antigos deixam de valer)
+  //      totp_*      : autenticação em dois fatores (segredo, ligado/desligado,
+  //                    hashes dos códigos de recuperação, último passo usado)
+  //      anonimizado_em: quando a conta foi excluída pelo titular (LGPD)
+  //      deleted_at  : quando um admin removeu a conta (soft delete; restaurável)
+  //      tenant_id   : empresa do usuário (ver tabela "empresas", seção 8)
+  //      cpf / telefone / preferencias_json : perfil opcional (CPF só com os
+  //                    dígitos, telefone E.164, preferências em JSON)
   //      created_at  : timestamp automático de criação
   //  - Esta migração é propositalmente simples: o foco da disciplina aqui é
   //    arquitetura + repos + auth, não um sistema de migrações completo.
@@ -107,15 +119,234 @@ export async function initMySql() {
       nome VARCHAR(120) NOT NULL,
       email VARCHAR(180) NOT NULL UNIQUE,
       senha_hash VARCHAR(255) NOT NULL,
+      senha_historico_json TEXT NULL,
+      papel VARCHAR(20) NOT NULL DEFAULT 'operador',
+      email_verificado_em DATETIME NULL,
+      token_version INT NOT NULL DEFAULT 0,
+      totp_secret VARCHAR(64) NULL,
+      totp_ativo TINYINT(1) NOT NULL DEFAULT 0,
+      totp_recovery_json TEXT NULL,
+      totp_ultimo_passo BIGINT NULL,
+      anonimizado_em DATETIME NULL,
+      deleted_at DATETIME NULL,
+      tenant_id INT NOT NULL DEFAULT ${EMPRESA_PADRAO},
+      cpf CHAR(11) NULL,
+      telefone VARCHAR(16) NULL,
+      preferencias_json TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_usuarios_tenant (tenant_id)
+    );
+  `);
+
+  // ---------------------------------------------------------------------------
+  // 3) Colunas adicionadas depois da primeira versão da tabela.
+  // ---------------------------------------------------------------------------
+  //  - "CREATE TABLE IF NOT EXISTS" não altera tabelas que já existem; por isso
+  //    bancos antigos recebem as colunas novas via ALTER TABLE (ensureColumn).
+  await ensureColumn(
+    "usuarios",
+    "papel",
+    "VARCHAR(20) NOT NULL DEFAULT 'operador' AFTER senha_hash"
+  );
+  await ensureColumn(
+    "usuarios",
+    "senha_historico_json",
+    "TEXT NULL AFTER senha_hash"
+  );
+  const novaVerificacao = await ensureColumn(
+    "usuarios",
+    "email_verificado_em",
+    "DATETIME NULL AFTER papel"
+  );
+  if (novaVerificacao) {
+    // Contas que já existiam antes da verificação de e-mail são consideradas
+    // verificadas (senão ficariam bloqueadas com EXIGIR_EMAIL_VERIFICADO=true).
+    await mysqlPool.query(
+      "UPDATE usuarios SET email_verificado_em = COALESCE(created_at, NOW());"
+    );
+  }
+  await ensureColumn(
+    "usuarios",
+    "token_version",
+    "INT NOT NULL DEFAULT 0 AFTER email_verificado_em"
+  );
+  await ensureColumn(
+    "usuarios",
+    "totp_secret",
+    "VARCHAR(64) NULL AFTER token_version"
+  );
+  await ensureColumn(
+    "usuarios",
+    "totp_ativo",
+    "TINYINT(1) NOT NULL DEFAULT 0 AFTER totp_secret"
+  );
+  await ensureColumn(
+    "usuarios",
+    "totp_recovery_json",
+    "TEXT NULL AFTER totp_ativo"
+  );
+  await ensureColumn(
+    "usuarios",
+    "totp_ultimo_passo",
+    "BIGINT NULL AFTER totp_recovery_json"
+  );
+  await ensureColumn(
+    "usuarios",
+    "anonimizado_em",
+    "DATETIME NULL AFTER totp_ultimo_passo"
+  );
+  await ensureColumn(
+    "usuarios",
+    "deleted_at",
+    "DATETIME NULL AFTER anonimizado_em"
+  );
+  if (
+    await ensureColumn(
+      "usuarios",
+      "tenant_id",
+      `INT NOT NULL DEFAULT ${EMPRESA_PADRAO} AFTER deleted_at`
+    )
+  ) {
+    await mysqlPool.query("CREATE INDEX idx_usuarios_tenant ON usuarios (tenant_id);");
+  }
+  await ensureColumn("usuarios", "cpf", "CHAR(11) NULL AFTER tenant_id");
+  await ensureColumn("usuarios", "telefone", "VARCHAR(16) NULL AFTER cpf");
+  await ensureColumn("usuarios", "preferencias_json", "TEXT NULL AFTER telefone");
+
+  // ---------------------------------------------------------------------------
+  // 4) Tokens de uso único dos usuários (ex.: redefinição de senha).
+  // ---------------------------------------------------------------------------
+  //  - Guardamos só o HASH SHA-256 do token (o token puro vai por e-mail).
+  //  - "tipo" separa as finalidades ("reset", "verificacao"); "usado_em"
+  //    garante uso único.
+  //  - ON DELETE CASCADE: removeu o usuário, somem os tokens dele.
+  await mysqlPool.query(`
+    CREATE TABLE IF NOT EXISTS usuario_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      usuario_id INT NOT NULL,
+      tipo VARCHAR(20) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      usado_em DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_usuario_tokens_usuario (usuario_id, tipo),
+      FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+    );
+  `);
+
+  // ---------------------------------------------------------------------------
+  // 5) Tentativas de login que falharam (proteção contra força bruta).
+  // ---------------------------------------------------------------------------
+  //  - "chave" identifica quem errou: "email:<e-mail>" ou "ip:<endereço>".
+  //  - "bloqueado_ate" preenchido = login recusado (429) até esse instante.
+  await mysqlPool.query(`
+    CREATE TABLE IF NOT EXISTS tentativas_login (
+      chave VARCHAR(255) PRIMARY KEY,
+      falhas INT NOT NULL DEFAULT 0,
+      ultima_falha_em DATETIME NOT NULL,
+      bloqueado_ate DATETIME NULL
+    );
+  `);
+
+  // ---------------------------------------------------------------------------
+  // 6) API keys (integrações máquina-a-máquina: ERP, scripts noturnos...).
+  // ---------------------------------------------------------------------------
+  //  - Só o HASH SHA-256 da chave é guardado; "prefixo" é a parte visível que
+  //    ajuda o usuário a reconhecer a chave na listagem.
+  //  - escopos_json NULL = a chave pode tudo que o papel do dono permite.
+  await mysqlPool.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      usuario_id INT NOT NULL,
+      nome VARCHAR(80) NOT NULL,
+      prefixo VARCHAR(16) NOT NULL UNIQUE,
+      key_hash CHAR(64) NOT NULL UNIQUE,
+      escopos_json TEXT NULL,
+      expires_at DATETIME NULL,
+      ultimo_uso_em DATETIME NULL,
+      revogada_em DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_api_keys_usuario (usuario_id),
+      FOREIGN KEY (usuario_id) REFERENCES usuarios(id) ON DELETE CASCADE
+    );
+  `);
+
+  // ---------------------------------------------------------------------------
+  // 7) Convites de cadastro (admin convida; o convidado define nome e senha).
+  // ---------------------------------------------------------------------------
+  //  - Só o HASH SHA-256 do token é guardado (o token puro vai por e-mail).
+  //  - Pendente = aceito_em e revogado_em NULL e expires_at no futuro.
+  //  - Sem FOREIGN KEY em convidado_por: o convite continua no histórico
+  //    mesmo que o admin que convidou seja removido.
+  await mysqlPool.query(`
+    CREATE TABLE IF NOT EXISTS convites (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      papel VARCHAR(20) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      convidado_por INT NULL,
+      expires_at DATETIME NOT NULL,
+      enviado_em DATETIME NOT NULL,
+      aceito_em DATETIME NULL,
+      usuario_id INT NULL,
+      revogado_em DATETIME NULL,
+      tenant_id INT NOT NULL DEFAULT ${EMPRESA_PADRAO},
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_convites_email (email)
+    );
+  `);
+  await ensureColumn(
+    "convites",
+    "tenant_id",
+    `INT NOT NULL DEFAULT ${EMPRESA_PADRAO} AFTER revogado_em`
+  );
+
+  // ---------------------------------------------------------------------------
+  // 8) Empresas (multiempresa: uma instalação atende várias empresas).
+  // ---------------------------------------------------------------------------
+  //  - Usuários, convites, produtos e notas guardam o "tenant_id" da empresa.
+  //  - A EMPRESA_PADRAO sempre existe: recebe tudo o que foi criado antes do
+  //    multiempresa (o DEFAULT das colunas tenant_id) e os cadastros públicos.
+  await mysqlPool.query(`
+    CREATE TABLE IF NOT EXISTS empresas (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      nome VARCHAR(120) NOT NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
   `);
+  await mysqlPool.query(
+    "INSERT IGNORE INTO empresas (id, nome) VALUES (?, 'Empresa padrão');",
+    [EMPRESA_PADRAO]
+  );
 
   // Se precisar, você pode configurar collation/charset no banco/tabela, por exemplo:
   // ALTER DATABASE ${MYSQL_DATABASE} CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
   // (Faça isso com cuidado e com um usuário com permissões apropriadas.)
 }
 
+/**
+ * ensureColumn(tabela, coluna, ddl)
+ * -----------------------------------------------------------------------------
+ * Adiciona a coluna se ela ainda não existir (migração idempotente).
+ * - Consulta o information_schema em vez de "ADD COLUMN IF NOT EXISTS", que
+ *   existe no MariaDB (XAMPP) mas não no MySQL 8.
+ * - "tabela"/"coluna"/"ddl" são constantes do código, nunca entrada do usuário.
+ * - Retorna true quando a coluna acabou de ser criada (para "backfill").
+ */
+async function ensureColumn(tabela, coluna, ddl) {
+  const [rows] = await mysqlPool.query(
+    `SELECT COUNT(*) AS n
+       FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?;`,
+    [tabela, coluna]
+  );
+  if (Number(rows[0].n) === 0) {
+    await mysqlPool.query(`ALTER TABLE ${tabela} ADD COLUMN ${coluna} ${ddl};`);
+    return true;
+  }
+  return false;
+}
+
 /*
  * FAQ / Erros comuns:
  * -----------------------------------------------------------------------------
@@ -17,17 +17,21 @@
  *
  *  Sobre o schema "notas_fiscais":
  *    - id            : chave primária autoincremental (inteiro).
- *    - numero        : identificador da nota (deve ser único).
+ *    - numero        : identificador da nota (único DENTRO da empresa).
  *    - cliente_nome  : nome do cliente (texto simples).
  *    - itens_json    : array de itens em formato JSON (ex.: [{productId:1,qtd:2}, ...]).
  *    - total         : valor total da nota (número real).
  *    - created_at    : data/hora ISO em texto (ex.: "2025-10-28T12:34:56.789Z").
+ *    - criado_por    : id do usuário que emitiu a nota (o "dono").
+ *    - atualizado_por: id do usuário que fez a última alteração (NULL = nunca).
+ *    - tenant_id     : empresa (tenant) dona da nota (ver tabela "empresas").
  *
  *  Observações:
  *    - "created_at" como TEXT (ISO) facilita leitura humana e ordenação por string.
  *    - Guardamos itens como JSON para simplicidade (sem tabelas auxiliares item-a-item).
  *      Em sistemas maiores, poderia haver uma tabela "nota_itens" com FK para a nota.
- *    - "numero" é UNIQUE para evitar duplicidade de lançamento.
+ *    - UNIQUE(tenant_id, numero) evita duplicidade de lançamento; empresas
+ *      diferentes podem usar a mesma numeração.
  *
  *  Boas práticas que cabem aqui (comentadas para não mudar o comportamento agora):
  *    - Ativar WAL (journaling) para melhor concorrência: sqliteDb.pragma('journal_mode = WAL');
@@ -37,7 +41,7 @@
  */
 
 import Sqlite from "better-sqlite3"; // Biblioteca SÍNCRONA para SQLite (facilita o uso no Node)
-import { SQLITE_FILE } from "./env.js"; // Caminho do arquivo do banco vindo do .env (ou default)
+import { SQLITE_FILE, NOTAS_DONO_PADRAO, EMPRESA_PADRAO } from "./env.js"; // Caminho do banco, dono e empresa dos dados antigos
 
 // Exportamos a instância do banco para uso em repositórios (NotaFiscalSqliteRepository).
 // A instância é inicializada em "initSqlite()".
@@ -69,36 +73,136 @@ export function initSqlite(fileOverride) {
   // 2) Criar a tabela "notas_fiscais" se não existir
   // ---------------------------------------------------------------------------
   // - O método .prepare(sql) compila o SQL; .run() executa imediatamente.
-  // - Usamos backticks para facilitar quebra de linha no comando SQL.
+  // - O CREATE TABLE fica em ddlNotasFiscais() (mais abaixo), reaproveitado
+  //   pela migração do número por empresa.
+  sqliteDb.prepare(ddlNotasFiscais("notas_fiscais")).run();
+
+  // Dono das notas: bancos anteriores recebem as colunas, e as notas que
+  // ficaram sem dono passam a ser do NOTAS_DONO_PADRAO (padrão: usuário 1, o
+  // primeiro cadastrado — que vira admin). Sem isso, nenhum operador as veria.
+  ensureSqliteColumn(sqliteDb, "notas_fiscais", "criado_por", "INTEGER");
+  ensureSqliteColumn(sqliteDb, "notas_fiscais", "atualizado_por", "INTEGER");
+  sqliteDb
+    .prepare("UPDATE notas_fiscais SET criado_por = ? WHERE criado_por IS NULL;")
+    .run(NOTAS_DONO_PADRAO);
+
+  // Multiempresa: notas antigas ficam na EMPRESA_PADRAO, e o número passa a
+  // ser único por empresa (bancos antigos têm UNIQUE só em "numero").
+  ensureSqliteColumn(
+    sqliteDb,
+    "notas_fiscais",
+    "tenant_id",
+    `INTEGER NOT NULL DEFAULT ${EMPRESA_PADRAO}`
+  );
+  migrarNumeroPorEmpresa(sqliteDb);
+
+  // Índice depois da migração (recriar a tabela descarta os antigos). Buscas
+  // por empresa já usam o índice do UNIQUE(tenant_id, numero).
+  sqliteDb
+    .prepare(
+      "CREATE INDEX IF NOT EXISTS idx_notas_criado_por ON notas_fiscais(criado_por);"
+    )
+    .run();
+
+  // Tabela opcional para fallback de usuários quando MySQL não estiver disponível
+  migrateUsuariosSqlite(sqliteDb);
+
+  // Refresh tokens (guardamos só o HASH; ver RefreshTokenSqliteRepository).
+  // - "familia" agrupa os tokens nascidos do mesmo login (rotação).
+  // - Fica no SQLite mesmo quando os usuários estão no MySQL.
   sqliteDb
     .prepare(
       `
-    CREATE TABLE IF NOT EXISTS notas_fiscais (
-      id INTEGER PRIMARY KEY AUTOINCREMENT, -- chave primária autoincremental
-      numero TEXT NOT NULL UNIQUE,          -- número da nota (não pode repetir)
-      cliente_nome TEXT NOT NULL,           -- nome do cliente
-      itens_json TEXT NOT NULL,             -- itens em JSON (ex.: [{"productId":1,"qtd":2}, ...])
-      total REAL NOT NULL,                  -- valor total da NF (REAL = ponto flutuante)
-      created_at TEXT NOT NULL              -- timestamp ISO (string)
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      usuario_id INTEGER NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,      -- SHA-256 do token
+      familia TEXT NOT NULL,                -- família de rotação
+      expires_at TEXT NOT NULL,             -- ISO
+      created_at TEXT NOT NULL,             -- ISO
+      usado_em TEXT,                        -- preenchido quando rotacionado
+      revogado_em TEXT,                     -- preenchido quando revogado
+      substituido_por INTEGER               -- id do token sucessor
     );
   `
     )
     .run();
+  sqliteDb
+    .prepare(
+      "CREATE INDEX IF NOT EXISTS idx_refresh_tokens_familia ON refresh_tokens(familia);"
+    )
+    .run();
 
-  // Tabela opcional para fallback de usuários quando MySQL não estiver disponível
+  // Sessões (uma por login; ver SessaoSqliteRepository).
+  // - "id" é a MESMA string da "familia" dos refresh tokens e vai no JWT
+  //   como claim "sid": revogar a sessão derruba o access e o refresh token.
   sqliteDb
     .prepare(
       `
-    CREATE TABLE IF NOT EXISTS usuarios (
+    CREATE TABLE IF NOT EXISTS sessoes (
+      id TEXT PRIMARY KEY,                  -- = refresh_tokens.familia = claim "sid"
+      usuario_id INTEGER NOT NULL,
+      user_agent TEXT,                      -- navegador/app que fez o login
+      ip TEXT,                              -- último IP visto
+      created_at TEXT NOT NULL,             -- ISO (login)
+      ultima_atividade_em TEXT NOT NULL,    -- ISO (último uso do token/refresh)
+      expires_at TEXT NOT NULL,             -- ISO (validade do refresh atual)
+      revogada_em TEXT                      -- preenchido ao encerrar
+    );
+  `
+    )
+    .run();
+  sqliteDb
+    .prepare("CREATE INDEX IF NOT EXISTS idx_sessoes_usuario ON sessoes(usuario_id);")
+    .run();
+
+  // Auditoria (ver AuditoriaSqliteRepository): ações sensíveis, como a
+  // exclusão de conta. Guarda só ids e a ação — nunca nome/e-mail.
+  sqliteDb
+    .prepare(
+      `
+    CREATE TABLE IF NOT EXISTS auditoria (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      nome TEXT NOT NULL,
-      email TEXT NOT NULL UNIQUE,
-      senha_hash TEXT NOT NULL,
-      created_at TEXT DEFAULT (datetime('now'))
+      acao TEXT NOT NULL,                   -- ex.: "usuario.anonimizado"
+      usuario_id INTEGER,                   -- usuário afetado
+      ator_id INTEGER,                      -- quem fez (pode ser o próprio usuário)
+      ip TEXT,                              -- de onde veio a requisição
+      detalhes_json TEXT,                   -- dados extras (sem dados pessoais)
+      created_at TEXT NOT NULL              -- ISO
     );
   `
     )
     .run();
+  sqliteDb
+    .prepare("CREATE INDEX IF NOT EXISTS idx_auditoria_usuario ON auditoria(usuario_id);")
+    .run();
+
+  // Extrato do estoque (ver EstoqueMovimentoSqliteRepository): uma linha por
+  // movimentação de um produto. O saldo em si fica no JSON de produtos; aqui
+  // fica o histórico, gravado na MESMA transação da nota que o causou.
+  sqliteDb
+    .prepare(
+      `
+    CREATE TABLE IF NOT EXISTS estoque_movimentos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tenant_id INTEGER NOT NULL,           -- empresa dona do produto
+      produto_id INTEGER NOT NULL,
+      quantidade REAL NOT NULL,             -- + entrada / - saída
+      saldo REAL NOT NULL,                  -- estoque do produto depois do movimento
+      tipo TEXT NOT NULL,                   -- inicial | ajuste | nota_emitida | nota_alterada | nota_removida
+      nota_id INTEGER,                      -- nota que causou o movimento (se houver)
+      usuario_id INTEGER,                   -- quem fez
+      motivo TEXT,                          -- texto livre dos ajustes manuais
+      created_at TEXT NOT NULL              -- ISO
+    );
+  `
+    )
+    .run();
+  sqliteDb
+    .prepare(
+      "CREATE INDEX IF NOT EXISTS idx_estoque_movimentos_produto ON estoque_movimentos(tenant_id, produto_id);"
+    )
+    .run();
 
   // Caso queira, poderíamos criar um índice adicional para melhorar buscas por "numero":
   // sqliteDb.prepare('CREATE INDEX IF NOT EXISTS idx_notas_numero ON notas_fiscais(numero);').run();
@@ -110,6 +214,229 @@ export function initSqlite(fileOverride) {
   //  - Lembre-se de não chamar "initSqlite()" várias vezes; mantenha uma única instância global.
 }
 
+/**
+ * ddlNotasFiscais(tabela)
+ * -----------------------------------------------------------------------------
+ * CREATE TABLE das notas. Em função porque a migração do número por empresa
+ * recria a tabela com o mesmo schema (sob outro nome).
+ */
+function ddlNotasFiscais(tabela) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${tabela} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, -- chave primária autoincremental
+      numero TEXT NOT NULL,                 -- número da nota (não repete na empresa)
+      cliente_nome TEXT NOT NULL,           -- nome do cliente
+      itens_json TEXT NOT NULL,             -- itens em JSON (ex.: [{"productId":1,"qtd":2}, ...])
+      total REAL NOT NULL,                  -- valor total da NF (REAL = ponto flutuante)
+      created_at TEXT NOT NULL,             -- timestamp ISO (string)
+      criado_por INTEGER,                   -- id do usuário que emitiu (dono)
+      atualizado_por INTEGER,               -- id do usuário da última alteração
+      tenant_id INTEGER NOT NULL DEFAULT ${EMPRESA_PADRAO}, -- empresa dona da nota
+      UNIQUE (tenant_id, numero)
+    );
+  `;
+}
+
+/**
+ * migrarNumeroPorEmpresa(db)
+ * -----------------------------------------------------------------------------
+ * Bancos criados antes do multiempresa têm "numero TEXT NOT NULL UNIQUE":
+ * duas empresas não conseguiriam lançar a nota "NF-1". O SQLite não remove
+ * uma constraint com ALTER TABLE, então a tabela é recriada (numa transação)
+ * com UNIQUE(tenant_id, numero), copiando todas as linhas.
+ * Retorna true quando a migração rodou.
+ */
+function migrarNumeroPorEmpresa(db) {
+  const antigo = db
+    .prepare("PRAGMA index_list(notas_fiscais);")
+    .all()
+    .find((indice) => {
+      if (!indice.unique) return false;
+      const colunas = db.prepare(`PRAGMA index_info("${indice.name}");`).all();
+      return colunas.length === 1 && colunas[0].name === "numero";
+    });
+  if (!antigo) return false;
+
+  const colunas =
+    "id, numero, cliente_nome, itens_json, total, created_at, criado_por, atualizado_por, tenant_id";
+  db.transaction(() => {
+    db.prepare(ddlNotasFiscais("notas_fiscais_nova")).run();
+    db.prepare(
+      `INSERT INTO notas_fiscais_nova (${colunas}) SELECT ${colunas} FROM notas_fiscais;`
+    ).run();
+    db.prepare("DROP TABLE notas_fiscais;").run();
+    db.prepare("ALTER TABLE notas_fiscais_nova RENAME TO notas_fiscais;").run();
+  })();
+  return true;
+}
+
+/**
+ * migrateUsuariosSqlite(db)
+ * -----------------------------------------------------------------------------
+ * Cria a tabela "usuarios" (fallback do MySQL), aplica as colunas que foram
+ * surgindo depois e cria as tabelas auxiliares ("usuario_tokens",
+ * "tentativas_login", "api_keys", "convites", "empresas"). Chamado no initSqlite() e no
+ * UsuarioSqliteRepository, para que o schema fique definido em um lugar só.
+ */
+export function migrateUsuariosSqlite(db) {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS usuarios (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nome TEXT NOT NULL,
+      email TEXT NOT NULL UNIQUE,
+      senha_hash TEXT NOT NULL,
+      senha_historico_json TEXT,               -- hashes das senhas anteriores (reuso)
+      papel TEXT NOT NULL DEFAULT 'operador',  -- admin | gerente | operador | leitura
+      email_verificado_em TEXT,                -- ISO; NULL = e-mail ainda não confirmado
+      token_version INTEGER NOT NULL DEFAULT 0, -- sobe a cada troca de senha
+      totp_secret TEXT,                        -- 2FA: segredo Base32 (NULL = sem 2FA)
+      totp_ativo INTEGER NOT NULL DEFAULT 0,   -- 2FA confirmado (1) ou pendente (0)
+      totp_recovery_json TEXT,                 -- hashes dos códigos de recuperação
+      totp_ultimo_passo INTEGER,               -- anti-replay do código TOTP
+      anonimizado_em TEXT,                     -- ISO; conta excluída (LGPD)
+      deleted_at TEXT,                         -- ISO; removido por um admin (soft delete)
+      tenant_id INTEGER NOT NULL DEFAULT ${EMPRESA_PADRAO}, -- empresa do usuário
+      cpf TEXT,                                -- só os 11 dígitos (opcional)
+      telefone TEXT,                           -- E.164, ex.: +5511987654321 (opcional)
+      preferencias_json TEXT,                  -- { idioma, fuso_horario, itens_por_pagina }
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+  `
+  ).run();
+
+  // Bancos criados antes de cada coluna existir recebem o ALTER TABLE aqui.
+  ensureSqliteColumn(db, "usuarios", "papel", "TEXT NOT NULL DEFAULT 'operador'");
+  ensureSqliteColumn(db, "usuarios", "senha_historico_json", "TEXT");
+  if (ensureSqliteColumn(db, "usuarios", "email_verificado_em", "TEXT")) {
+    // Contas anteriores à verificação de e-mail contam como verificadas.
+    db.prepare(
+      "UPDATE usuarios SET email_verificado_em = COALESCE(created_at, datetime('now'));"
+    ).run();
+  }
+  ensureSqliteColumn(db, "usuarios", "token_version", "INTEGER NOT NULL DEFAULT 0");
+  ensureSqliteColumn(db, "usuarios", "totp_secret", "TEXT");
+  ensureSqliteColumn(db, "usuarios", "totp_ativo", "INTEGER NOT NULL DEFAULT 0");
+  ensureSqliteColumn(db, "usuarios", "totp_recovery_json", "TEXT");
+  ensureSqliteColumn(db, "usuarios", "totp_ultimo_passo", "INTEGER");
+  ensureSqliteColumn(db, "usuarios", "anonimizado_em", "TEXT");
+  ensureSqliteColumn(db, "usuarios", "deleted_at", "TEXT");
+  ensureSqliteColumn(db, "usuarios", "tenant_id", `INTEGER NOT NULL DEFAULT ${EMPRESA_PADRAO}`);
+  db.prepare("CREATE INDEX IF NOT EXISTS idx_usuarios_tenant ON usuarios(tenant_id);").run();
+  ensureSqliteColumn(db, "usuarios", "cpf", "TEXT");
+  ensureSqliteColumn(db, "usuarios", "telefone", "TEXT");
+  ensureSqliteColumn(db, "usuarios", "preferencias_json", "TEXT");
+
+  // Empresas (tenants; ver EmpresaSqliteRepository). A EMPRESA_PADRAO sempre
+  // existe: é dela tudo o que foi criado antes do multiempresa.
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS empresas (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nome TEXT NOT NULL,
+      created_at TEXT NOT NULL              -- ISO
+    );
+  `
+  ).run();
+  db.prepare("INSERT OR IGNORE INTO empresas (id, nome, created_at) VALUES (?, ?, ?);").run(
+    EMPRESA_PADRAO,
+    "Empresa padrão",
+    new Date().toISOString()
+  );
+
+  // Tokens de uso único (ex.: redefinição de senha) ficam junto dos usuários.
+  // Só o HASH SHA-256 é salvo; "usado_em" preenchido = token já consumido.
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS usuario_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      usuario_id INTEGER NOT NULL,
+      tipo TEXT NOT NULL,                   -- finalidade: "reset", "verificacao"
+      token_hash TEXT NOT NULL UNIQUE,      -- SHA-256 do token
+      expires_at TEXT NOT NULL,             -- ISO
+      usado_em TEXT,                        -- ISO (uso único)
+      created_at TEXT NOT NULL              -- ISO
+    );
+  `
+  ).run();
+  db.prepare(
+    "CREATE INDEX IF NOT EXISTS idx_usuario_tokens_usuario ON usuario_tokens(usuario_id, tipo);"
+  ).run();
+
+  // Falhas de login por e-mail/IP (ver TentativaLoginSqliteRepository).
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS tentativas_login (
+      chave TEXT PRIMARY KEY,               -- "email:<e-mail>" ou "ip:<endereço>"
+      falhas INTEGER NOT NULL DEFAULT 0,
+      ultima_falha_em TEXT NOT NULL,        -- ISO
+      bloqueado_ate TEXT                    -- ISO; NULL = sem bloqueio
+    );
+  `
+  ).run();
+
+  // API keys (ver ApiKeySqliteRepository). Só o hash da chave é salvo.
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      usuario_id INTEGER NOT NULL,
+      nome TEXT NOT NULL,
+      prefixo TEXT NOT NULL UNIQUE,         -- parte visível: ak_<prefixo>_...
+      key_hash TEXT NOT NULL UNIQUE,        -- SHA-256 da chave
+      escopos_json TEXT,                    -- ex.: ["produtos:read"]; NULL = todos
+      expires_at TEXT,                      -- ISO; NULL = não expira
+      ultimo_uso_em TEXT,                   -- ISO
+      revogada_em TEXT,                     -- ISO
+      created_at TEXT NOT NULL              -- ISO
+    );
+  `
+  ).run();
+  db.prepare(
+    "CREATE INDEX IF NOT EXISTS idx_api_keys_usuario ON api_keys(usuario_id);"
+  ).run();
+
+  // Convites de cadastro (ver ConviteSqliteRepository). Só o hash do token é
+  // salvo; aceito/revogado preenchidos = convite encerrado.
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS convites (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      papel TEXT NOT NULL,                  -- papel que a conta nova recebe
+      token_hash TEXT NOT NULL UNIQUE,      -- SHA-256 do token do link
+      convidado_por INTEGER,                -- id do admin que convidou
+      expires_at TEXT NOT NULL,             -- ISO
+      enviado_em TEXT NOT NULL,             -- ISO; último envio (reenviar atualiza)
+      aceito_em TEXT,                       -- ISO
+      usuario_id INTEGER,                   -- conta criada ao aceitar
+      revogado_em TEXT,                     -- ISO
+      tenant_id INTEGER NOT NULL DEFAULT ${EMPRESA_PADRAO}, -- empresa da conta nova
+      created_at TEXT NOT NULL              -- ISO
+    );
+  `
+  ).run();
+  ensureSqliteColumn(db, "convites", "tenant_id", `INTEGER NOT NULL DEFAULT ${EMPRESA_PADRAO}`);
+  db.prepare("CREATE INDEX IF NOT EXISTS idx_convites_email ON convites(email);").run();
+}
+
+/**
+ * ensureSqliteColumn(db, tabela, coluna, ddl)
+ * -----------------------------------------------------------------------------
+ * Adiciona a coluna se ela ainda não existir (migração idempotente).
+ * - PRAGMA table_info lista as colunas atuais da tabela.
+ * - "tabela"/"coluna"/"ddl" são constantes do código, nunca entrada do usuário.
+ * - Retorna true quando a coluna acabou de ser criada (para "backfill").
+ */
+export function ensureSqliteColumn(db, tabela, coluna, ddl) {
+  const colunas = db.prepare(`PRAGMA table_info(${tabela});`).all();
+  if (!colunas.some((c) => c.name === coluna)) {
+    db.prepare(`ALTER TABLE ${tabela} ADD COLUMN ${coluna} ${ddl};`).run();
+    return true;
+  }
+  return false;
+}
+
 /*
  * Troubleshooting:
  * -----------------------------------------------------------------------------
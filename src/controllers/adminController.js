@@ -0,0 +1,201 @@
+/**
+ * =============================================================================
+ *  src/controllers/adminController.js
+ * -----------------------------------------------------------------------------
+ *  PAPEL DO CONTROLLER:
+ *    - Endpoints de ADMINISTRAÇÃO da própria API (não de um recurso de negócio).
+ *    - Leitura de informações operacionais, impersonação (suporte),
+ *      cadastro de empresas (multiempresa, ver EmpresaService) e migração
+ *      de usuários entre backends (ver MigracaoUsuarioService).
+ *
+ *  STATUS CODES USADOS:
+ *    - 200 OK            → consulta realizada.
+ *    - 201 Created       → token de impersonação emitido / empresa criada.
+ *    - 400 Bad Request   → filtro inválido (ex.: limite fora da faixa),
+ *                          nome de empresa inválido, último admin, backend
+ *                          de migração inválido.
+ *    - 403 Forbidden     → impersonar um admin; admin fora da plataforma.
+ *    - 404 Not Found     → usuário ou empresa não existe.
+ *    - 409 Conflict      → migração desfeita por erro no meio da gravação.
+ *    - 503 Unavailable   → backend da migração fora do ar (ex.: MySQL).
+ *    - 500 Internal Error→ erro inesperado.
+ * =============================================================================
+ */
+
+/** dry_run: true (ou "true" / "1" / "sim") liga a simulação */
+function ehVerdadeiro(valor) {
+  return valor === true || ["true", "1", "sim"].includes(String(valor ?? "").toLowerCase());
+}
+
+export function makeAdminController({
+  configRedigida,
+  auditoriaService,
+  impersonacaoService,
+  empresaService,
+  migracaoService,
+}) {
+  return {
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/admin/config
+     * ---------------------------------------------------------------------------
+     * Configuração EFETIVA (depois de .env + padrões + conversão de tipos), para
+     * conferir "o que está valendo" sem acesso ao servidor.
+     *
+     * SAÍDA:
+     *   200 { ok: true, data: { node_env, producao, valores: {
+     *     PORT: { valor: 4000, origem: "padrao" },
+     *     JWT_SECRET: { valor: "***", origem: "env" }, ... } } }
+     *
+     * Segredos (JWT_SECRET, SMTP_PASS, MYSQL_PASSWORD) aparecem como "***" e a
+     * senha dentro de MYSQL_URL é mascarada.
+     */
+    config: async (req, res) => {
+      try {
+        return res.json({ ok: true, data: configRedigida() });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/admin/auditoria?usuario_id=&acao=&limite=
+     * ---------------------------------------------------------------------------
+     * Registros de auditoria, mais recentes primeiro (filtros opcionais;
+     * limite padrão 50, máximo 500).
+     *
+     * SAÍDA:
+     *   200 { ok: true, data: [ { id, acao, usuario_id, ator_id, ip,
+     *         detalhes, created_at } ] }
+     */
+    auditoria: async (req, res) => {
+      try {
+        const { usuario_id, acao, limite } = req.query;
+        const data = await auditoriaService.listar({ usuario_id, acao, limite });
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/admin/impersonate/:userId
+     * ---------------------------------------------------------------------------
+     * Emite um token curto para o admin agir COMO o usuário (suporte).
+     *
+     * ENTRADA (req.body, opcional):
+     *   { motivo?: string }  → ex.: número do chamado; vai para a auditoria
+     *
+     * SAÍDA:
+     *   201 { ok: true, token, expira_em, usuario, ator: { id, email } }
+     *   → use "token" no Authorization: Bearer; não há refresh token.
+     */
+    impersonate: async (req, res) => {
+      try {
+        const { motivo } = req.body || {};
+        const out = await impersonacaoService.iniciar(req.user, req.params.userId, {
+          motivo,
+          ip: req.ip,
+        });
+        return res.status(201).json({ ok: true, ...out });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/admin/empresas
+     * ---------------------------------------------------------------------------
+     * SAÍDA:
+     *   200 { ok: true, data: [ { id, nome, created_at } ] }
+     */
+    listEmpresas: async (req, res) => {
+      try {
+        const data = await empresaService.listar(req.user);
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/admin/empresas
+     * ---------------------------------------------------------------------------
+     * ENTRADA (req.body):
+     *   { nome: string }
+     *
+     * SAÍDA:
+     *   201 { ok: true, data: { id, nome, created_at } }
+     */
+    createEmpresa: async (req, res) => {
+      try {
+        const { nome } = req.body || {};
+        const data = await empresaService.criar({ nome }, { ator: req.user, ip: req.ip });
+        return res.status(201).json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * PUT /api/admin/usuarios/:id/empresa
+     * ---------------------------------------------------------------------------
+     * Move o usuário para outra empresa (os tokens dele param na hora).
+     *
+     * ENTRADA (req.body):
+     *   { empresa_id: number }
+     *
+     * SAÍDA:
+     *   200 { ok: true, data: usuario }   (visão pública, com "tenant_id")
+     */
+    setEmpresaUsuario: async (req, res) => {
+      try {
+        const { empresa_id } = req.body || {};
+        const data = await empresaService.definirEmpresaDoUsuario(req.params.id, empresa_id, {
+          ator: req.user,
+          ip: req.ip,
+        });
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/admin/migracao/usuarios
+     * ---------------------------------------------------------------------------
+     * Copia usuários entre backends (ex.: as contas criadas no SQLite durante
+     * uma queda do MySQL), mantendo ids e senhas.
+     *
+     * ENTRADA (req.body):
+     *   { de: "sqlite", para: "mysql", dry_run?: boolean, sobrescrever?: boolean }
+     *
+     * SAÍDA:
+     *   200 { ok: true, data: { dry_run, de, para, resumo, usuarios: [
+     *         { id, email, status, campos?, motivo? } ], apenas_no_destino } }
+     */
+    migrarUsuarios: async (req, res) => {
+      try {
+        const { de, para, dry_run, sobrescrever } = req.body || {};
+        const data = await migracaoService.migrar(
+          {
+            de: String(de ?? "").toLowerCase(),
+            para: String(para ?? "").toLowerCase(),
+            dryRun: ehVerdadeiro(req.query.dry_run ?? dry_run),
+            sobrescrever: ehVerdadeiro(sobrescrever),
+          },
+          { atorId: req.user.id, ip: req.ip }
+        );
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * =============================================================================
+ *  src/controllers/apiKeyController.js
+ * -----------------------------------------------------------------------------
+ *  PAPEL DO CONTROLLER:
+ *    - Fica ENTRE as rotas (HTTP) e a REGRA DE NEGÓCIO (ApiKeyService).
+ *    - Sempre age sobre as chaves do PRÓPRIO usuário logado (req.user.id).
+ *
+ *  STATUS CODES USADOS:
+ *    - 200 OK            → listagem / revogação.
+ *    - 201 Created       → chave criada (a chave inteira só aparece aqui).
+ *    - 400 Bad Request   → nome ausente, escopo inválido, expira_em no passado.
+ *    - 404 Not Found     → chave inexistente, de outro usuário ou já revogada.
+ *    - 500 Internal Error→ erro inesperado (ex.: falha no banco).
+ * =============================================================================
+ */
+
+export function makeApiKeyController({ apiKeyService }) {
+  return {
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/api-keys
+     * ---------------------------------------------------------------------------
+     * Lista as chaves do usuário (prefixo, escopos, validade, último uso).
+     * A chave em si e o hash NUNCA aparecem aqui.
+     */
+    list: async (req, res) => {
+      try {
+        const data = await apiKeyService.list(req.user.id);
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/api-keys
+     * ---------------------------------------------------------------------------
+     * ENTRADA (req.body):
+     *   { nome: string, escopos?: string[], expira_em?: string (data ISO) }
+     *
+     * SAÍDA (sucesso):
+     *   201 { ok: true, data: { ...api_key }, chave: "ak_..." }
+     *   → guarde "chave" agora: depois só o prefixo é exibido.
+     */
+    create: async (req, res) => {
+      try {
+        const { nome, escopos, expira_em } = req.body || {};
+        const { api_key, chave } = await apiKeyService.create(req.user.id, {
+          nome,
+          escopos,
+          expira_em,
+        });
+        return res.status(201).json({ ok: true, data: api_key, chave });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * DELETE /api/api-keys/:id
+     * ---------------------------------------------------------------------------
+     * Revoga a chave (ela para de funcionar na hora). O registro continua na
+     * listagem, com "revogada_em" preenchido.
+     */
+    revoke: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        await apiKeyService.revoke(req.user.id, id);
+        return res.json({ ok: true });
+      } catch (e) {
+        return res.status(404).json({ ok: false, error: e.message });
+      }
+    },
+  };
+}
@@ -8,7 +8,11 @@
  *      chamar o service e traduzir o resultado para uma resposta HTTP (status + JSON).
  *
  *  SOBRE ESTE CONTROLLER:
- *    - Possui duas ações: register e login.
+ *    - Ações: register, login, refresh (rotação do refresh token), logout,
+ *      verify/resendVerification (confirmação de e-mail), changePassword
+ *      (troca de senha, rota protegida), forgot/reset ("esqueci minha senha")
+ *      e me/updateMe/updatePreferencias/deleteMe ("minha conta", via
+ *      UsuarioService).
  *    - Não conhece detalhes de persistência (MySQL/SQLite/JSON) — isso é do Service/Repository.
  *    - Não gera hashes/JWT — isso é do Service (AuthService).
  *
@@ -16,7 +20,17 @@
  *    - 201 Created → cadastro concluído.
  *    - 200 OK      → login bem-sucedido.
  *    - 400 Bad Request → dados faltando ou inválidos no cadastro.
- *    - 401 Unauthorized → credenciais inválidas no login.
+ *    - 401 Unauthorized → credenciais inválidas no login / refresh token inválido.
+ *    - 403 Forbidden   → login de conta com e-mail não verificado (se exigido).
+ *    - 429 Too Many Requests → reenvio de verificação cedo demais ou login
+ *                              bloqueado por excesso de falhas (Retry-After).
+ *
+ *  ERROS COM STATUS PRÓPRIO:
+ *    - Quando o service lança AppError (utils/errors.js), usamos e.status no
+ *      lugar do status padrão da ação.
+ *    - Senha recusada pela política de senha (register, changePassword,
+ *      reset): a resposta leva também "detalhes", a lista das regras que
+ *      falharam — ver corpoDeErro().
  *
  *  BOAS PRÁTICAS APLICADAS:
  *    - Mensagens de erro genéricas em login (evita “enumeration” de usuários).
@@ -30,7 +44,26 @@
  * =============================================================================
  */
 
-export function makeAuthController({ authService }) {
+/**
+ * contextoDaRequisicao(req) → { ip, userAgent }
+ * Guardado na sessão aberta pelo login, para o usuário reconhecer depois
+ * "de onde" está logado (GET /api/auth/sessions).
+ */
+function contextoDaRequisicao(req) {
+  return { ip: req.ip, userAgent: req.get("user-agent") || null };
+}
+
+/**
+ * corpoDeErro(e) → { ok: false, error, detalhes? }
+ * "detalhes" só aparece quando o service mandou (ex.: política de senha).
+ */
+function corpoDeErro(e) {
+  return e.detalhes
+    ? { ok: false, error: e.message, detalhes: e.detalhes }
+    : { ok: false, error: e.message };
+}
+
+export function makeAuthController({ authService, sessaoService, usuarioService }) {
   return {
     /**
      * ---------------------------------------------------------------------------
@@ -44,10 +77,14 @@ export function makeAuthController({ authService }) {
      *   { nome: string, email: string, senha: string }
      *
      * SAÍDA (sucesso):
-     *   201 { ok: true, usuario: { id, nome, email, created_at }, token }
+     *   201 { ok: true, usuario: { id, nome, email, ... }, token, refreshToken }
+     *   201 { ok: true, usuario, verificacao_pendente: true }
+     *       (com EXIGIR_EMAIL_VERIFICADO: sem tokens até confirmar o e-mail)
      *
      * ERROS COMUNS:
-     *   - 400: campos obrigatórios ausentes / e-mail já existente (negócio).
+     *   - 400: campos obrigatórios ausentes / e-mail já existente (negócio) /
+     *          senha recusada pela política de senha ("detalhes" com cada regra).
+     *   - 403: cadastro público desligado (REGISTRO_PUBLICO=false).
      */
     register: async (req, res) => {
       try {
@@ -62,14 +99,58 @@ export function makeAuthController({ authService }) {
         }
 
         // Chama a regra de negócio (gera hash, cria usuário, emite JWT)
-        const out = await authService.register({ nome, email, senha });
+        const out = await authService.register({
+          nome,
+          email,
+          senha,
+          ...contextoDaRequisicao(req),
+        });
 
         // Cadastro bem-sucedido → 201 Created
         return res.status(201).json({ ok: true, ...out });
       } catch (e) {
-        // Qualquer erro de negócio (ex.: e-mail já cadastrado) vira 400 aqui
+        // Qualquer erro de negócio (ex.: e-mail já cadastrado, senha fraca) vira 400 aqui
         // Em apps maiores, prefira um errorHandler central para mapear códigos
-        return res.status(400).json({ ok: false, error: e.message });
+        return res.status(e.status || 400).json(corpoDeErro(e));
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/accept-invite
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Criar a conta de quem recebeu um convite (o admin já definiu e-mail
+     *     e papel; aqui o convidado escolhe nome e senha).
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { token: string, nome: string, senha: string }
+     *
+     * SAÍDA (sucesso):
+     *   201 { ok: true, usuario, token, refreshToken }
+     *
+     * ERROS COMUNS:
+     *   - 400: campos ausentes / convite inválido, expirado ou já usado /
+     *          senha recusada pela política de senha.
+     */
+    acceptInvite: async (req, res) => {
+      try {
+        const { token, nome, senha } = req.body || {};
+        if (!token || !nome || !senha) {
+          return res
+            .status(400)
+            .json({ ok: false, error: "token, nome, senha são obrigatórios" });
+        }
+
+        const out = await authService.acceptInvite({
+          token,
+          nome,
+          senha,
+          ...contextoDaRequisicao(req),
+        });
+        return res.status(201).json({ ok: true, ...out });
+      } catch (e) {
+        return res.status(e.status || 400).json(corpoDeErro(e));
       }
     },
 
@@ -85,11 +166,19 @@ export function makeAuthController({ authService }) {
      *   { email: string, senha: string }
      *
      * SAÍDA (sucesso):
-     *   200 { ok: true, usuario: { id, nome, email, created_at }, token }
+     *   200 { ok: true, usuario: { id, nome, email, created_at }, token, refreshToken }
+     *   200 { ok: true, requer_2fa: true, desafio }
+     *       (conta com 2FA: envie o desafio + código em POST /api/auth/login/2fa)
      *
      * ERROS COMUNS:
      *   - 400: corpo sem campos obrigatórios (email/senha ausentes).
      *   - 401: credenciais inválidas (mensagem genérica).
+     *   - 403: e-mail ainda não verificado (com EXIGIR_EMAIL_VERIFICADO).
+     *   - 429: muitas falhas seguidas para o e-mail ou IP (header Retry-After).
+     *
+     * SOBRE O IP:
+     *   - req.ip é o IP da conexão. Atrás de proxy, configure TRUST_PROXY para
+     *     o Express usar o X-Forwarded-For (senão todos parecem o mesmo IP).
      */
     login: async (req, res) => {
       try {
@@ -106,16 +195,584 @@ export function makeAuthController({ authService }) {
         // - busca por e-mail
         // - compareSenha (bcrypt)
         // - geração do JWT
-        const out = await authService.login({ email, senha });
+        // - bloqueio por excesso de falhas (e-mail/IP)
+        const out = await authService.login({
+          email,
+          senha,
+          ...contextoDaRequisicao(req),
+        });
 
         // Sucesso: devolve 200 com usuário público + token
         return res.json({ ok: true, ...out });
       } catch (e) {
         // Erros de autenticação → 401 Unauthorized
         // (Service usa mensagem genérica: "Usuário/senha inválidos.")
+        // E-mail não verificado chega como AppError com status 403;
+        // bloqueio por força bruta, como 429 + retryAfter.
+        if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+        return res.status(e.status || 401).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/refresh
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Trocar um refresh token por um novo par (access + refresh) sem pedir
+     *     a senha de novo. O refresh enviado deixa de valer (rotação).
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { refreshToken: string }
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, usuario, token, refreshToken }
+     *
+     * ERROS COMUNS:
+     *   - 400: refreshToken ausente.
+     *   - 401: token inválido, expirado, revogado ou reutilizado.
+     */
+    refresh: async (req, res) => {
+      try {
+        const { refreshToken } = req.body || {};
+        if (!refreshToken) {
+          return res
+            .status(400)
+            .json({ ok: false, error: "refreshToken é obrigatório" });
+        }
+
+        const out = await authService.refresh({
+          refreshToken,
+          ...contextoDaRequisicao(req),
+        });
+        return res.json({ ok: true, ...out });
+      } catch (e) {
         return res.status(401).json({ ok: false, error: e.message });
       }
     },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/logout
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Revogar no servidor a sessão ligada ao refresh token informado.
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { refreshToken: string }
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true }  (idempotente: token desconhecido também devolve 200)
+     */
+    logout: async (req, res) => {
+      try {
+        const { refreshToken } = req.body || {};
+        if (!refreshToken) {
+          return res
+            .status(400)
+            .json({ ok: false, error: "refreshToken é obrigatório" });
+        }
+
+        await authService.logout({ refreshToken });
+        return res.json({ ok: true });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * PUT /api/auth/senha   (PROTEGIDA: exige Authorization: Bearer <token>)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - O próprio usuário troca a senha informando a atual.
+     *   - Todos os tokens emitidos antes deixam de valer (outros dispositivos
+     *     são deslogados); a resposta traz um par novo para este dispositivo.
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { senha_atual: string, nova_senha: string }
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, usuario, token, refreshToken }
+     *
+     * ERROS COMUNS:
+     *   - 400: campos ausentes / senha atual incorreta / nova senha recusada pela
+     *          política (igual à atual ou a uma anterior, fraca...) → "detalhes".
+     */
+    changePassword: async (req, res) => {
+      try {
+        const { senha_atual, nova_senha } = req.body || {};
+        if (!senha_atual || !nova_senha) {
+          return res.status(400).json({
+            ok: false,
+            error: "senha_atual e nova_senha são obrigatórias",
+          });
+        }
+
+        // req.user foi preenchido pelo authMiddleware (payload do JWT)
+        const out = await authService.changePassword(req.user.id, {
+          senha_atual,
+          nova_senha,
+          ...contextoDaRequisicao(req),
+        });
+        return res.json({ ok: true, ...out });
+      } catch (e) {
+        return res.status(e.status || 400).json(corpoDeErro(e));
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/auth/verify?token=...
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Confirmar o e-mail (é o link que vai no e-mail de cadastro; por isso
+     *     é GET e lê o token da query string).
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, message, usuario }
+     *
+     * ERROS COMUNS:
+     *   - 400: token ausente / inválido, expirado ou já usado.
+     */
+    verify: async (req, res) => {
+      try {
+        const { token } = req.query || {};
+        if (!token) {
+          return res.status(400).json({ ok: false, error: "token é obrigatório" });
+        }
+
+        const usuario = await authService.verify({ token: String(token) });
+        return res.json({ ok: true, message: "E-mail verificado.", usuario });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/verify/resend
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Pedir um novo link de verificação (o anterior deixa de valer).
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { email: string }
+     *
+     * SAÍDA:
+     *   200 { ok: true, message } — sempre a mesma, exista ou não a conta.
+     *
+     * ERROS COMUNS:
+     *   - 400: email ausente.
+     *   - 429: pedido repetido antes do intervalo (header Retry-After em segundos).
+     */
+    resendVerification: async (req, res) => {
+      try {
+        const { email } = req.body || {};
+        if (!email) {
+          return res.status(400).json({ ok: false, error: "email é obrigatório" });
+        }
+
+        await authService.resendVerification({ email });
+        return res.json({
+          ok: true,
+          message:
+            "Se a conta existir e ainda não estiver verificada, enviaremos um novo link.",
+        });
+      } catch (e) {
+        if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/forgot
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Pedir o e-mail de redefinição de senha.
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { email: string }
+     *
+     * SAÍDA:
+     *   200 { ok: true, message } — SEMPRE a mesma, exista ou não o e-mail
+     *   (não revelamos quem tem conta).
+     *
+     * ERROS COMUNS:
+     *   - 400: email ausente.
+     */
+    forgot: async (req, res) => {
+      try {
+        const { email } = req.body || {};
+        if (!email) {
+          return res.status(400).json({ ok: false, error: "email é obrigatório" });
+        }
+
+        await authService.forgot({ email });
+        return res.json({
+          ok: true,
+          message:
+            "Se o e-mail estiver cadastrado, você receberá as instruções para redefinir a senha.",
+        });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/reset
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Definir uma nova senha usando o token recebido por e-mail.
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { token: string, senha: string }
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, message } — as sessões abertas são encerradas; faça login.
+     *
+     * ERROS COMUNS:
+     *   - 400: campos ausentes / token inválido, expirado ou já usado / senha
+     *          recusada pela política ("detalhes"; o token continua valendo).
+     */
+    reset: async (req, res) => {
+      try {
+        const { token, senha } = req.body || {};
+        if (!token || !senha) {
+          return res
+            .status(400)
+            .json({ ok: false, error: "token e senha são obrigatórios" });
+        }
+
+        await authService.reset({ token, senha });
+        return res.json({
+          ok: true,
+          message: "Senha redefinida. Faça login com a nova senha.",
+        });
+      } catch (e) {
+        return res.status(e.status || 400).json(corpoDeErro(e));
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/login/2fa
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - 2ª etapa do login de contas com 2FA: trocar o "desafio" devolvido
+     *     pelo /login + o código do app autenticador pelos tokens.
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { desafio: string, codigo: string }  (código TOTP ou de recuperação)
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, usuario, token, refreshToken }
+     *   (+ codigos_recuperacao_restantes, se usou um código de recuperação)
+     *
+     * ERROS COMUNS:
+     *   - 400: campos ausentes.
+     *   - 401: desafio inválido/expirado ou código errado.
+     *   - 429: muitas falhas seguidas (mesmo bloqueio do login; Retry-After).
+     */
+    login2fa: async (req, res) => {
+      try {
+        const { desafio, codigo } = req.body || {};
+        if (!desafio || !codigo) {
+          return res
+            .status(400)
+            .json({ ok: false, error: "desafio e codigo são obrigatórios" });
+        }
+
+        const out = await authService.login2fa({
+          desafio,
+          codigo,
+          ...contextoDaRequisicao(req),
+        });
+        return res.json({ ok: true, ...out });
+      } catch (e) {
+        if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+        return res.status(e.status || 401).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/2fa/setup   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Gerar o segredo do 2FA (ainda pendente) para cadastrar no app.
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, segredo, otpauth_uri }
+     *   (mostre a otpauth_uri como QR code ou digite o segredo no app)
+     *
+     * ERROS COMUNS:
+     *   - 400: 2FA já ativo.
+     */
+    setup2fa: async (req, res) => {
+      try {
+        const out = await authService.setup2fa(req.user.id);
+        return res.json({ ok: true, ...out });
+      } catch (e) {
+        return res.status(e.status || 400).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/2fa/confirm   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Ativar o 2FA confirmando um código gerado pelo app.
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { codigo: string }
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, codigos_recuperacao: [...] }
+     *   (aparecem SÓ aqui: o usuário deve guardá-los em local seguro)
+     *
+     * ERROS COMUNS:
+     *   - 400: código ausente/inválido, sem setup pendente ou 2FA já ativo.
+     */
+    confirm2fa: async (req, res) => {
+      try {
+        const { codigo } = req.body || {};
+        if (!codigo) {
+          return res.status(400).json({ ok: false, error: "codigo é obrigatório" });
+        }
+
+        const out = await authService.confirm2fa(req.user.id, { codigo });
+        return res.json({ ok: true, ...out });
+      } catch (e) {
+        return res.status(e.status || 400).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/auth/2fa/disable   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Desligar o 2FA (pede a senha e um código do app ou de recuperação).
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { senha: string, codigo: string }
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, usuario }
+     *
+     * ERROS COMUNS:
+     *   - 400: campos ausentes, senha/código incorretos ou 2FA não ativo.
+     */
+    disable2fa: async (req, res) => {
+      try {
+        const { senha, codigo } = req.body || {};
+        if (!senha) {
+          return res.status(400).json({ ok: false, error: "senha é obrigatória" });
+        }
+
+        const usuario = await authService.disable2fa(req.user.id, { senha, codigo });
+        return res.json({ ok: true, usuario });
+      } catch (e) {
+        return res.status(e.status || 400).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/auth/sessions   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Listar onde o usuário está logado (uma sessão por login).
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, data: [ { id, user_agent, ip, created_at,
+     *         ultima_atividade_em, expires_at, atual } ] }
+     *   ("atual: true" = a sessão do token usado nesta requisição)
+     */
+    listSessions: async (req, res) => {
+      try {
+        const data = await sessaoService.listar(req.user.id, req.user.sid);
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * DELETE /api/auth/sessions/:id   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Encerrar UMA sessão (ex.: o notebook perdido). O refresh token dela é
+     *     revogado e o access token passa a receber 401 na hora.
+     *   - Pode ser a própria sessão atual (equivale a um logout).
+     *
+     * ERROS COMUNS:
+     *   - 404: sessão inexistente, de outro usuário ou já encerrada.
+     */
+    revokeSession: async (req, res) => {
+      try {
+        await sessaoService.revogar(req.user.id, req.params.id);
+        return res.json({ ok: true });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * DELETE /api/auth/sessions   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - "Sair de todos os outros dispositivos": encerra todas as sessões,
+     *     MENOS a atual.
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, encerradas: <quantidade> }
+     */
+    revokeOtherSessions: async (req, res) => {
+      try {
+        const encerradas = await sessaoService.revogarOutras(req.user.id, req.user.sid);
+        return res.json({ ok: true, encerradas });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/auth/me   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Devolver o usuário logado, direto do banco (o cliente não precisa
+     *     decodificar o JWT, e vê o papel/nome ATUAIS, não os da emissão).
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, usuario: { id, nome, email, papel, cpf, telefone,
+     *         preferencias, ... } }
+     *   (visão "titular": telefone inteiro e preferências; CPF mascarado)
+     */
+    me: async (req, res) => {
+      try {
+        const usuario = await usuarioService.get(req.user.id, { visao: "titular" });
+        return res.json({ ok: true, usuario });
+      } catch (e) {
+        return res.status(404).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * PATCH /api/auth/me   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - O próprio usuário altera nome, e-mail, CPF e/ou telefone.
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { nome?: string, email?: string, cpf?: string|null,
+     *     telefone?: string|null }   (pelo menos um; null limpa CPF/telefone)
+     *   + senha: string              (obrigatória para trocar o e-mail)
+     *   - E-mail novo fica NÃO verificado e recebe o link de verificação.
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, usuario }
+     *
+     * ERROS COMUNS:
+     *   - 400: nada para alterar, nome curto, e-mail inválido ou já em uso,
+     *          CPF com dígitos verificadores errados, telefone fora do E.164,
+     *          troca de e-mail sem a senha ou com senha incorreta.
+     *   - 403: tentou mudar o "papel" (só admin, em PUT /api/usuarios/:id).
+     */
+    updateMe: async (req, res) => {
+      try {
+        const { nome, email, papel, cpf, telefone, senha } = req.body || {};
+        if (papel !== undefined) {
+          return res
+            .status(403)
+            .json({ ok: false, error: "O papel só pode ser alterado por um admin." });
+        }
+        if (nome == null && email == null && cpf === undefined && telefone === undefined) {
+          return res
+            .status(400)
+            .json({ ok: false, error: "Informe nome, email, cpf e/ou telefone." });
+        }
+
+        const usuario = await usuarioService.atualizarPerfil(req.user.id, {
+          nome,
+          email,
+          cpf,
+          telefone,
+          senha,
+        });
+        return res.json({ ok: true, usuario });
+      } catch (e) {
+        return res.status(e.status || 400).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * PATCH /api/auth/me/preferencias   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - O próprio usuário ajusta as preferências: idioma, fuso horário e
+     *     itens por página (padrão do "limit" em GET /api/usuarios).
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { idioma?: "pt-BR"|"en-US"|"es-ES", fuso_horario?: string,
+     *     itens_por_pagina?: number }   (só as enviadas mudam; null = padrão)
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, usuario }   (com "preferencias" completas)
+     *
+     * ERROS COMUNS:
+     *   - 400: chave desconhecida, idioma/fuso inválido, itens fora de 1..100.
+     */
+    updatePreferencias: async (req, res) => {
+      try {
+        const usuario = await usuarioService.atualizarPreferencias(req.user.id, req.body);
+        return res.json({ ok: true, usuario });
+      } catch (e) {
+        return res.status(e.status || 400).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * DELETE /api/auth/me   (PROTEGIDA)
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Excluir a própria conta (LGPD). Os dados pessoais são ANONIMIZADOS
+     *     (as notas emitidas continuam existindo), todas as credenciais são
+     *     revogadas e a exclusão fica registrada na auditoria.
+     *
+     * ENTRADA ESPERADA (req.body):
+     *   { senha: string }   (confirmação)
+     *
+     * SAÍDA (sucesso):
+     *   200 { ok: true, anonimizado_em, sessoes_encerradas, api_keys_revogadas }
+     *   (o token usado nesta requisição já deixa de valer)
+     *
+     * ERROS COMUNS:
+     *   - 400: senha ausente/incorreta ou conta do último admin.
+     */
+    deleteMe: async (req, res) => {
+      try {
+        const { senha } = req.body || {};
+        if (!senha) {
+          return res.status(400).json({ ok: false, error: "senha é obrigatória" });
+        }
+
+        const out = await usuarioService.excluirConta(req.user.id, { senha, ip: req.ip });
+        return res.json({ ok: true, ...out });
+      } catch (e) {
+        return res.status(e.status || 400).json({ ok: false, error: e.message });
+      }
+    },
   };
 }
 
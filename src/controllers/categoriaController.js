@@ -0,0 +1,157 @@
+/**
+ * =============================================================================
+ *  src/controllers/categoriaController.js
+ * -----------------------------------------------------------------------------
+ *  PAPEL DO CONTROLLER:
+ *    - Lê req.params / req.body / req.query, chama o CategoriaService e
+ *      traduz o resultado (ou o erro) para HTTP.
+ *    - Toda ação repassa req.user: cada empresa tem a própria árvore.
+ *
+ *  STATUS CODES USADOS:
+ *    - 200 OK            → leitura/atualização/remoção com sucesso.
+ *    - 201 Created       → criação concluída.
+ *    - 400 Bad Request   → dados inválidos (nome, pai inexistente, ciclo...).
+ *    - 404 Not Found     → categoria inexistente (ou de outra empresa).
+ *    - 409 Conflict      → nome repetido no mesmo nível; remoção de categoria
+ *                          com subcategorias ou com produtos sem "moverPara"
+ *                          (a resposta leva "detalhes" com o que impede).
+ *    - 500 Internal Error→ erro inesperado (ex.: I/O no JSON).
+ * =============================================================================
+ */
+
+/**
+ * corpoDeErro(e) → { ok: false, error, detalhes? }
+ * "detalhes" só aparece quando o service mandou (ex.: produtos da categoria).
+ */
+function corpoDeErro(e) {
+  return e.detalhes
+    ? { ok: false, error: e.message, detalhes: e.detalhes }
+    : { ok: false, error: e.message };
+}
+
+export function makeCategoriaController({ categoriaService }) {
+  return {
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/categorias
+     * ---------------------------------------------------------------------------
+     * Lista plana, em ordem de caminho:
+     *   200 { ok: true, data: [{ id, nome, parentId, tenant_id, caminho }] }
+     */
+    list: async (req, res) => {
+      try {
+        const data = await categoriaService.list(req.user);
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/categorias/arvore
+     * ---------------------------------------------------------------------------
+     * As categorias raiz com as "subcategorias" aninhadas:
+     *   200 { ok: true, data: [{ id, nome, parentId: null, subcategorias: [...] }] }
+     */
+    arvore: async (req, res) => {
+      try {
+        const data = await categoriaService.arvore(req.user);
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/categorias/:id
+     * ---------------------------------------------------------------------------
+     * Uma categoria com o "caminho" (ex.: "Material escolar / Escrita").
+     */
+    get: async (req, res) => {
+      try {
+        const data = await categoriaService.get(Number(req.params.id), req.user);
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 404).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/categorias
+     * ---------------------------------------------------------------------------
+     * ENTRADA (req.body): { nome: string, parentId?: number | null }
+     *   - parentId ausente/null → categoria raiz.
+     */
+    create: async (req, res) => {
+      try {
+        const { nome, parentId } = req.body || {};
+        const data = await categoriaService.create({ nome, parentId }, req.user);
+        return res.status(201).json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 400).json(corpoDeErro(e));
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * PUT /api/categorias/:id
+     * ---------------------------------------------------------------------------
+     * ENTRADA (req.body): { nome?: string, parentId?: number | null }
+     *   - Mudar "parentId" move a categoria (com subcategorias e produtos);
+     *     null a transforma em raiz.
+     */
+    update: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const { nome, parentId } = req.body || {};
+        const data = await categoriaService.update(id, { nome, parentId }, req.user);
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 400).json(corpoDeErro(e));
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * DELETE /api/categorias/:id?moverPara=<id>
+     * ---------------------------------------------------------------------------
+     * Remove a categoria. Se ela tiver produtos, "moverPara" (query) diz
+     * para qual categoria eles vão; sem ele → 409 com a lista de produtos.
+     * Categoria com subcategorias → 409.
+     *   200 { ok: true, data: { produtos_movidos, movidos_para } }
+     */
+    remove: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const data = await categoriaService.remove(id, req.user, {
+          moverPara: req.query.moverPara,
+        });
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json(corpoDeErro(e));
+      }
+    },
+  };
+}
+
+/* =============================================================================
+ * TESTES RÁPIDOS (cURL) — rotas de categoria exigem JWT (ou API key)
+ * -----------------------------------------------------------------------------
+ * # 1) Árvore
+ * curl http://localhost:4000/api/categorias/arvore \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ *
+ * # 2) Criar subcategoria
+ * curl -X POST http://localhost:4000/api/categorias \
+ *   -H "Authorization: Bearer SEU_TOKEN" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"nome":"Canetas","parentId":2}'
+ *
+ * # 3) Remover, passando os produtos para a categoria 2
+ * curl -X DELETE "http://localhost:4000/api/categorias/6?moverPara=2" \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ * =============================================================================
+ */
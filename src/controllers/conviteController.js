@@ -0,0 +1,105 @@
+/**
+ * =============================================================================
+ *  src/controllers/conviteController.js
+ * -----------------------------------------------------------------------------
+ *  PAPEL DO CONTROLLER:
+ *    - Fica ENTRE as rotas (HTTP) e a REGRA DE NEGÓCIO (ConviteService).
+ *    - Só admins chegam aqui (requireRole("admin") em conviteRoutes.js).
+ *      O aceite do convite é público e fica em /api/auth/accept-invite.
+ *
+ *  STATUS CODES USADOS:
+ *    - 200 OK            → listagem / reenvio / revogação.
+ *    - 201 Created       → convite criado e e-mail disparado.
+ *    - 400 Bad Request   → e-mail inválido ou já cadastrado, papel inválido.
+ *    - 404 Not Found     → convite inexistente, já aceito ou revogado.
+ *    - 409 Conflict      → já há convite pendente para o e-mail.
+ *    - 500 Internal Error→ erro inesperado (ex.: falha no banco).
+ * =============================================================================
+ */
+
+/** Contexto: quem fez (admin logado), em qual empresa e de onde */
+function ator(req) {
+  return { atorId: req.user.id, tenantId: req.user.tenant_id, ip: req.ip };
+}
+
+export function makeConviteController({ conviteService }) {
+  return {
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/convites
+     * ---------------------------------------------------------------------------
+     * Convites pendentes (nem aceitos nem revogados) da empresa do admin,
+     * mais recentes primeiro.
+     * Os vencidos aparecem com "expirado: true" — dá para reenviá-los.
+     */
+    list: async (req, res) => {
+      try {
+        const data = await conviteService.listar({ tenantId: req.user.tenant_id });
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/convites
+     * ---------------------------------------------------------------------------
+     * ENTRADA (req.body):
+     *   { email: string, papel?: "admin"|"gerente"|"operador"|"leitura" }
+     *
+     * SAÍDA (sucesso):
+     *   201 { ok: true, data: { id, email, papel, expires_at, ... }, email_enviado }
+     *   → email_enviado false: o convite existe, mas o e-mail falhou; tente
+     *     POST /api/convites/:id/reenviar.
+     */
+    create: async (req, res) => {
+      try {
+        const { email, papel } = req.body || {};
+        if (!email) {
+          return res.status(400).json({ ok: false, error: "email é obrigatório" });
+        }
+        const { convite, email_enviado } = await conviteService.criar(
+          { email, papel },
+          ator(req)
+        );
+        return res.status(201).json({ ok: true, data: convite, email_enviado });
+      } catch (e) {
+        return res.status(e.status || 400).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/convites/:id/reenviar
+     * ---------------------------------------------------------------------------
+     * Token e validade novos (o link anterior para de funcionar) + e-mail.
+     */
+    resend: async (req, res) => {
+      try {
+        const { convite, email_enviado } = await conviteService.reenviar(
+          req.params.id,
+          ator(req)
+        );
+        return res.json({ ok: true, data: convite, email_enviado });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * DELETE /api/convites/:id
+     * ---------------------------------------------------------------------------
+     * Revoga o convite pendente: o link para de funcionar na hora.
+     */
+    revoke: async (req, res) => {
+      try {
+        await conviteService.revogar(req.params.id, ator(req));
+        return res.json({ ok: true });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+  };
+}
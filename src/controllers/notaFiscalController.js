@@ -12,12 +12,17 @@
  *    - Persistência em SQLite (better-sqlite3) via Repository.
  *    - Cálculo do TOTAL é responsabilidade do Service (preço * qtd).
  *    - Os itens são um array: [{ productId: number, qtd: number }, ...].
+ *    - Toda ação repassa o usuário autenticado (req.user) ao Service: ele
+ *      grava quem emitiu/alterou a nota e aplica a visibilidade por dono
+ *      (operador vê só as próprias notas; admin/gerente veem todas).
  *
  *  STATUS CODES ESCOLHIDOS:
  *    - 200 OK      → operações de leitura/atualização/remoção bem-sucedidas.
  *    - 201 Created → criação concluída.
  *    - 400 Bad Request → dados inválidos (service lança Error e a gente converte).
  *    - 404 Not Found   → recurso não encontrado (id inexistente, por exemplo).
+ *    - 409 Conflict    → estoque insuficiente para os itens (criar/atualizar);
+ *                        a resposta leva "detalhes" com o que faltou.
  *    - 500 Internal Server Error → erro inesperado no list (ex.: falha de DB).
  *
  *  OBSERVAÇÕES:
@@ -34,10 +39,11 @@ export function makeNotaFiscalController({ notaService }) {
      * ---------------------------------------------------------------------------
      * GET /api/notas
      * ---------------------------------------------------------------------------
-     * OBJETIVO: Listar todas as notas fiscais.
+     * OBJETIVO: Listar as notas fiscais visíveis ao usuário.
      *
      * COMO FUNCIONA:
-     *  - Pede ao service a lista (service.list()).
+     *  - Pede ao service a lista (service.list(req.user)): todas para
+     *    admin/gerente, só as emitidas pelo próprio usuário para os demais.
      *  - O Service busca no repositório SQLite, converte Models para "plain".
      *  - Retorna { ok: true, data: [...] } com status 200.
      *
@@ -46,7 +52,7 @@ export function makeNotaFiscalController({ notaService }) {
      */
     list: async (req, res) => {
       try {
-        const data = await notaService.list();
+        const data = await notaService.list(req.user);
         return res.json({ ok: true, data });
       } catch (e) {
         // Em uma API real, preferimos logar o erro (sem expor detalhes sensíveis).
@@ -64,14 +70,15 @@ export function makeNotaFiscalController({ notaService }) {
      *  - Converte req.params.id para número.
      *  - Chama service.get(id), que:
      *      * procura a nota no repositório,
-     *      * se não encontrar, lança Error("Nota não encontrada").
+     *      * se não encontrar (ou a nota for de outro usuário e ele não puder
+     *        vê-la), lança Error("Nota não encontrada").
      *  - Em caso de sucesso, responde 200 com { ok: true, data }.
      *  - Se não encontrar, responde 404 com { ok: false, error }.
      */
     get: async (req, res) => {
       try {
         const id = Number(req.params.id); // Number(...) para garantir tipo numérico
-        const data = await notaService.get(id);
+        const data = await notaService.get(id, req.user);
         return res.json({ ok: true, data });
       } catch (e) {
         // Service lança Error("Nota não encontrada") → 404 aqui.
@@ -97,21 +104,25 @@ export function makeNotaFiscalController({ notaService }) {
      *
      * COMO FUNCIONA:
      *  - Extrai "numero, cliente_nome, itens" do body.
-     *  - Chama service.create({ numero, cliente_nome, itens }).
+     *  - Chama service.create({ numero, cliente_nome, itens }, req.user)
+     *    — o usuário autenticado vira o dono da nota (criado_por).
      *      * O Service valida campos mínimos, verifica duplicidade de "numero",
      *        consulta preços no repositório de produtos (JSON),
      *        calcula TOTAL e cria o Model NotaFiscal.
      *  - Em sucesso: 201 Created com { ok: true, data }.
      *  - Em dados inválidos/duplicidade: 400 Bad Request.
+     *  - Estoque insuficiente: 409 + "detalhes" (nada é gravado).
      */
     create: async (req, res) => {
       try {
         const { numero, cliente_nome, itens } = req.body || {};
-        const data = await notaService.create({ numero, cliente_nome, itens });
+        const data = await notaService.create({ numero, cliente_nome, itens }, req.user);
         return res.status(201).json({ ok: true, data });
       } catch (e) {
         // Exemplos: "Dados inválidos da nota", "Número de nota já existente", etc.
-        return res.status(400).json({ ok: false, error: e.message });
+        const body = { ok: false, error: e.message };
+        if (e.detalhes) body.detalhes = e.detalhes;
+        return res.status(e.status || 400).json(body);
       }
     },
 
@@ -128,28 +139,32 @@ export function makeNotaFiscalController({ notaService }) {
      * COMO FUNCIONA:
      *  - Converte :id para número.
      *  - Extrai { numero, cliente_nome, itens } do body.
-     *  - Chama service.update(id, { numero, cliente_nome, itens }):
+     *  - Chama service.update(id, { numero, cliente_nome, itens }, req.user):
+     *      * Só o dono (ou admin/gerente) pode editar; atualizado_por = req.user.id.
      *      * Se "numero" mudar, valida duplicidade.
      *      * Recalcula TOTAL com base nos itens recebidos (ou mantém os atuais).
      *      * Preserva created_at original.
      *  - Em sucesso: 200 OK com { ok: true, data }.
      *  - Em erros de validação/duplicidade: 400 Bad Request.
-     *  - Se id inexistente: o Service lança e o Controller poderia devolver 404;
-     *    nesta implementação tratamos tudo como 400 para simplificar a aula.
+     *  - Se id inexistente (ou nota de outro usuário): o Service lança AppError
+     *    404 e usamos e.status; os demais erros continuam 400.
+     *  - Itens novos sem estoque suficiente: 409 + "detalhes".
      */
     update: async (req, res) => {
       try {
         const id = Number(req.params.id);
         const { numero, cliente_nome, itens } = req.body || {};
-        const data = await notaService.update(id, {
-          numero,
-          cliente_nome,
-          itens,
-        });
+        const data = await notaService.update(
+          id,
+          { numero, cliente_nome, itens },
+          req.user
+        );
         return res.json({ ok: true, data });
       } catch (e) {
-        // Ex.: "Nota não encontrada", "Número de nota já existente", etc.
-        return res.status(400).json({ ok: false, error: e.message });
+        // Ex.: "Nota não encontrada" (404), "Número de nota já existente" (400), etc.
+        const body = { ok: false, error: e.message };
+        if (e.detalhes) body.detalhes = e.detalhes;
+        return res.status(e.status || 400).json(body);
       }
     },
 
@@ -161,16 +176,16 @@ export function makeNotaFiscalController({ notaService }) {
      *
      * COMO FUNCIONA:
      *  - Converte :id para número e chama service.remove(id).
-     *  - Se removeu, responde 200 { ok: true }.
+     *  - Se removeu, responde 200 { ok: true } (os itens voltam ao estoque).
      *  - Se não encontrar, service lança → 404 Not Found aqui.
      */
     remove: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        await notaService.remove(id);
+        await notaService.remove(id, req.user);
         return res.json({ ok: true });
       } catch (e) {
-        return res.status(404).json({ ok: false, error: e.message });
+        return res.status(e.status || 404).json({ ok: false, error: e.message });
       }
     },
   };
@@ -10,40 +10,50 @@
  *
  *  SOBRE PRODUTOS NESTE PROJETO:
  *    - Persistência em ARQUIVO JSON via ProdutoJsonRepository.
- *    - O Model Produto valida nome/preço (ex.: nome mínimo, preço >= 0).
+ *    - O Model Produto valida nome/preço/estoque (ex.: nome mínimo, preço >= 0).
+ *    - Categoria: "categoriaId" (ver CategoriaService); a listagem aceita
+ *      ?categoria=<id> e inclui as subcategorias.
+ *    - Estoque: saldo em "estoque"; extrato e ajustes manuais nas ações
+ *      extrato/ajustarEstoque (EstoqueService).
  *    - O Service retorna sempre objetos "planos" (toPlain) para responder a API.
+ *    - Toda ação repassa req.user ao Service: cada empresa (tenant_id) só
+ *      enxerga e altera o próprio catálogo.
  *
  *  STATUS CODES USADOS:
  *    - 200 OK            → leitura/atualização/remoção com sucesso.
  *    - 201 Created       → criação concluída.
  *    - 400 Bad Request   → dados inválidos (validação de domínio).
  *    - 404 Not Found     → id inexistente.
+ *    - 409 Conflict      → ajuste de saída maior que o saldo em estoque.
  *    - 500 Internal Error→ erro inesperado (ex.: I/O no JSON).
  * =============================================================================
  */
 
-export function makeProdutoController({ produtoService }) {
+export function makeProdutoController({ produtoService, estoqueService }) {
   return {
     /**
      * ---------------------------------------------------------------------------
-     * GET /api/produtos
+     * GET /api/produtos?categoria=3
      * ---------------------------------------------------------------------------
      * OBJETIVO:
-     *   - Listar todos os produtos.
+     *   - Listar todos os produtos da empresa do usuário logado.
+     *   - ?categoria=<id> (opcional): só os da categoria e das subcategorias.
      *
      * COMO FUNCIONA:
-     *   - Service.list() carrega do repository (JSON), converte Models → planos.
+     *   - Service.list(req.user, { categoria }) carrega do repository (JSON),
+     *     filtra e converte Models → planos.
      *   - Retornamos { ok: true, data: [...] } com status 200.
      *
      * OBSERVAÇÃO:
+     *   - categoria inválida → 400; inexistente → 404 (e.status do Service).
      *   - Em caso de erros inesperados (I/O), enviamos 500 para o cliente.
      */
     list: async (req, res) => {
       try {
-        const data = await produtoService.list();
+        const data = await produtoService.list(req.user, { categoria: req.query.categoria });
         return res.json({ ok: true, data });
       } catch (e) {
-        return res.status(500).json({ ok: false, error: e.message });
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
       }
     },
 
@@ -62,7 +72,7 @@ export function makeProdutoController({ produtoService }) {
     get: async (req, res) => {
       try {
         const id = Number(req.params.id); // Number(...) para garantir tipo numérico
-        const data = await produtoService.get(id);
+        const data = await produtoService.get(id, req.user);
         return res.json({ ok: true, data });
       } catch (e) {
         return res.status(404).json({ ok: false, error: e.message });
@@ -77,7 +87,8 @@ export function makeProdutoController({ produtoService }) {
      *   - Criar um novo produto.
      *
      * ENTRADA (req.body):
-     *   { nome: string, preco: number }
+     *   { nome: string, preco: number, estoque?: number (padrão 0),
+     *     categoriaId?: number | null }
      *
      * COMO FUNCIONA:
      *   - Extraímos nome e preço do body.
@@ -88,11 +99,14 @@ export function makeProdutoController({ produtoService }) {
      */
     create: async (req, res) => {
       try {
-        const { nome, preco } = req.body || {};
-        const data = await produtoService.create({ nome, preco });
+        const { nome, preco, estoque, categoriaId } = req.body || {};
+        const data = await produtoService.create(
+          { nome, preco, estoque, categoriaId },
+          req.user
+        );
         return res.status(201).json({ ok: true, data });
       } catch (e) {
-        return res.status(400).json({ ok: false, error: e.message });
+        return res.status(e.status || 400).json({ ok: false, error: e.message });
       }
     },
 
@@ -105,7 +119,8 @@ export function makeProdutoController({ produtoService }) {
      *
      * ENTRADA:
      *   - :id no path (ex.: /api/produtos/10)
-     *   - body: { nome?: string, preco?: number }
+     *   - body: { nome?: string, preco?: number, categoriaId?: number | null }
+     *     ("estoque" é recusado: use POST /api/produtos/:id/estoque)
      *
      * COMO FUNCIONA:
      *   - Convertemos :id para número.
@@ -118,8 +133,12 @@ export function makeProdutoController({ produtoService }) {
     update: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        const { nome, preco } = req.body || {};
-        const data = await produtoService.update(id, { nome, preco });
+        const { nome, preco, estoque, categoriaId } = req.body || {};
+        const data = await produtoService.update(
+          id,
+          { nome, preco, estoque, categoriaId },
+          req.user
+        );
         return res.json({ ok: true, data });
       } catch (e) {
         return res.status(400).json({ ok: false, error: e.message });
@@ -141,12 +160,62 @@ export function makeProdutoController({ produtoService }) {
     remove: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        await produtoService.remove(id);
+        await produtoService.remove(id, req.user);
         return res.json({ ok: true });
       } catch (e) {
         return res.status(404).json({ ok: false, error: e.message });
       }
     },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/produtos/:id/estoque?limite=100
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Saldo atual + extrato de movimentações (mais recentes primeiro).
+     *
+     * RESPOSTA:
+     *   200 { ok: true, data: { produto, movimentos: [{ id, quantidade, saldo,
+     *         tipo, nota_id, usuario_id, motivo, created_at }, ...] } }
+     *   400 limite inválido · 404 produto inexistente
+     */
+    extrato: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const data = await estoqueService.extrato(id, req.user, { limite: req.query.limite });
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/produtos/:id/estoque
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Entrada (+) ou saída (-) manual de estoque, com motivo.
+     *
+     * ENTRADA (req.body):
+     *   { quantidade: number (≠ 0), motivo: string }
+     *
+     * RESPOSTA:
+     *   201 { ok: true, data: { produto, movimento } }
+     *   400 dados inválidos · 404 produto inexistente
+     *   409 saída maior que o saldo ("detalhes" com disponível/solicitado)
+     */
+    ajustarEstoque: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const { quantidade, motivo } = req.body || {};
+        const data = await estoqueService.ajustar(id, { quantidade, motivo }, req.user);
+        return res.status(201).json({ ok: true, data });
+      } catch (e) {
+        const body = { ok: false, error: e.message };
+        if (e.detalhes) body.detalhes = e.detalhes;
+        return res.status(e.status || 500).json(body);
+      }
+    },
   };
 }
 
@@ -157,6 +226,10 @@ export function makeProdutoController({ produtoService }) {
  * curl http://localhost:4000/api/produtos \
  *   -H "Authorization: Bearer SEU_TOKEN"
  *
+ * # 1b) Listar só uma categoria (e as subcategorias dela)
+ * curl "http://localhost:4000/api/produtos?categoria=1" \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ *
  * # 2) Obter por id
  * curl http://localhost:4000/api/produtos/1 \
  *   -H "Authorization: Bearer SEU_TOKEN"
@@ -165,7 +238,7 @@ export function makeProdutoController({ produtoService }) {
  * curl -X POST http://localhost:4000/api/produtos \
  *   -H "Authorization: Bearer SEU_TOKEN" \
  *   -H "Content-Type: application/json" \
- *   -d '{"nome":"Caderno Universitário","preco":21.90}'
+ *   -d '{"nome":"Caderno Universitário","preco":21.90,"categoriaId":3}'
  *
  * # 4) Atualizar
  * curl -X PUT http://localhost:4000/api/produtos/1 \
@@ -176,5 +249,15 @@ export function makeProdutoController({ produtoService }) {
  * # 5) Remover
  * curl -X DELETE http://localhost:4000/api/produtos/1 \
  *   -H "Authorization: Bearer SEU_TOKEN"
+ *
+ * # 6) Entrada de estoque (saída: quantidade negativa)
+ * curl -X POST http://localhost:4000/api/produtos/1/estoque \
+ *   -H "Authorization: Bearer SEU_TOKEN" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"quantidade":50,"motivo":"Compra NF 1234 do fornecedor"}'
+ *
+ * # 7) Extrato de estoque
+ * curl "http://localhost:4000/api/produtos/1/estoque?limite=20" \
+ *   -H "Authorization: Bearer SEU_TOKEN"
  * =============================================================================
  */
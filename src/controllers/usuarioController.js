@@ -12,12 +12,15 @@
  *    - Persistência em MySQL via UsuarioMySqlRepository.
  *    - Criação (registro) e login ficam em /api/auth (AuthController/AuthService).
  *      → Aqui NÃO existe POST /api/usuarios (cadastro é no módulo de auth).
- *    - Este controller só lista, busca por id, atualiza e remove.
+ *    - Este controller só lista, busca por id, atualiza, remove e desbloqueia
+ *      o login (unlock) de uma conta — e importa contas em lote por CSV
+ *      (ImportacaoUsuarioService), o único jeito de criar contas por aqui.
  *
  *  STATUS CODES USADOS:
  *    - 200 OK            → leitura/atualização/remoção com sucesso.
  *    - 400 Bad Request   → dados inválidos (ex.: e-mail já usado).
  *    - 404 Not Found     → id inexistente.
+ *    - 409 Conflict      → importação desfeita (conflito no banco no meio do lote).
  *    - 500 Internal Error→ erro inesperado (ex.: falha no banco).
  *
  *  DICA DE LEITURA:
@@ -26,25 +29,98 @@
  * =============================================================================
  */
 
-export function makeUsuarioController({ usuarioService }) {
+/**
+ * linkPagina(req, page)
+ * Mesma URL da requisição (caminho + filtros), trocando só o "page".
+ * Ex.: /api/usuarios?q=ana&limit=10&page=3
+ */
+function linkPagina(req, page) {
+  const params = new URLSearchParams();
+  for (const [chave, valor] of Object.entries(req.query)) {
+    if (chave !== "page" && typeof valor === "string") params.set(chave, valor);
+  }
+  params.set("page", String(page));
+  return `${req.baseUrl}?${params.toString()}`;
+}
+
+/**
+ * opcoesDe(req)
+ * Empresa de quem pede e a visão dos dados pessoais: admin vê o telefone
+ * inteiro; os demais papéis, mascarado (ver Usuario.toPublic). O CPF sai
+ * sempre mascarado.
+ */
+function opcoesDe(req) {
+  return {
+    tenantId: req.user.tenant_id,
+    visao: req.user.papel === "admin" ? "admin" : "restrita",
+  };
+}
+
+/** "?dry_run=true" / "1" / "sim" (ou dry_run: true no JSON) liga a simulação */
+function ehVerdadeiro(valor) {
+  return valor === true || ["true", "1", "sim"].includes(String(valor ?? "").toLowerCase());
+}
+
+export function makeUsuarioController({ usuarioService, importacaoService }) {
   return {
     /**
      * ---------------------------------------------------------------------------
      * GET /api/usuarios
      * ---------------------------------------------------------------------------
      * OBJETIVO:
-     *   - Listar todos os usuários (em visão PÚBLICA: sem senha_hash).
+     *   - Listar os usuários da empresa de quem pede (em visão PÚBLICA: sem
+     *     senha_hash), UMA PÁGINA por vez. Usuários de outras empresas não
+     *     aparecem.
+     *
+     * ENTRADA (query string, tudo opcional):
+     *   ?page=1&limit=20&q=ana&criado_de=2025-01-01&criado_ate=2025-03-31&sort=-created_at
      *
      * COMO FUNCIONA:
-     *   - Chama service.list() → retorna array de Models → .toPublic() em cada.
-     *   - Responde 200 { ok: true, data: [...] }.
+     *   - Chama service.list(req.query) → página já em visão pública.
+     *   - Sem "limit", vale a preferência itens_por_pagina de quem pede.
+     *   - Responde 200 { ok: true, data: [...], paginacao: { total, page,
+     *     limit, paginas, next, prev } } — "next"/"prev" são os links das
+     *     páginas vizinhas (null quando não existem).
      *
      * ERROS:
+     *   - Filtro inválido (ex.: limit=1000, sort=senha) → 400.
      *   - Se ocorrer erro inesperado (ex.: conexão de banco), respondemos 500.
      */
     list: async (req, res) => {
       try {
-        const data = await usuarioService.list();
+        const pagina = await usuarioService.list(req.query, {
+          ...opcoesDe(req),
+          limitePadrao: req.user.preferencias?.itens_por_pagina,
+        });
+        const { page, paginas } = pagina;
+        return res.json({
+          ok: true,
+          data: pagina.itens,
+          paginacao: {
+            total: pagina.total,
+            page,
+            limit: pagina.limit,
+            paginas,
+            next: page < paginas ? linkPagina(req, page + 1) : null,
+            prev: page > 1 ? linkPagina(req, Math.min(page - 1, Math.max(paginas, 1))) : null,
+          },
+        });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * GET /api/usuarios/excluidos
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Listar os usuários REMOVIDOS (soft delete), para o admin decidir o
+     *     que restaurar. Cada item traz "deleted_at".
+     */
+    listExcluidos: async (req, res) => {
+      try {
+        const data = await usuarioService.listExcluidos(opcoesDe(req));
         return res.json({ ok: true, data });
       } catch (e) {
         return res.status(500).json({ ok: false, error: e.message });
@@ -66,7 +142,7 @@ export function makeUsuarioController({ usuarioService }) {
     get: async (req, res) => {
       try {
         const id = Number(req.params.id); // deixa claro que trabalhamos com número
-        const data = await usuarioService.get(id);
+        const data = await usuarioService.get(id, opcoesDe(req));
         return res.json({ ok: true, data });
       } catch (e) {
         return res.status(404).json({ ok: false, error: e.message });
@@ -78,17 +154,20 @@ export function makeUsuarioController({ usuarioService }) {
      * PUT /api/usuarios/:id
      * ---------------------------------------------------------------------------
      * OBJETIVO:
-     *   - Atualizar dados básicos (nome, email) de um usuário existente.
+     *   - Atualizar dados básicos (nome, email, papel, cpf, telefone) de um
+     *     usuário existente. cpf/telefone: null ou "" limpa o campo.
      *   - NÃO atualiza senha aqui (fluxo próprio em /auth).
+     *   - Rota restrita a admin (ver usuarioRoutes.js), por isso aceita "papel".
      *
      * ENTRADA:
      *   - :id no path (ex.: /api/usuarios/10)
-     *   - body: { nome?: string, email?: string }
+     *   - body: { nome?: string, email?: string, papel?: string,
+     *             cpf?: string|null, telefone?: string|null }
      *
      * COMO FUNCIONA:
      *   - Converte :id para número.
-     *   - Extrai { nome, email } do body.
-     *   - Chama service.update(id, { nome, email }):
+     *   - Extrai { nome, email, papel } do body.
+     *   - Chama service.update(id, { nome, email, papel }):
      *       * Valida unicidade de e-mail (se enviado).
      *       * Atualiza no repo e devolve Model → .toPublic().
      *   - Sucesso → 200 { ok: true, data }.
@@ -97,8 +176,12 @@ export function makeUsuarioController({ usuarioService }) {
     update: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        const { nome, email } = req.body || {};
-        const data = await usuarioService.update(id, { nome, email });
+        const { nome, email, papel, cpf, telefone } = req.body || {};
+        const data = await usuarioService.update(
+          id,
+          { nome, email, papel, cpf, telefone },
+          opcoesDe(req)
+        );
         return res.json({ ok: true, data });
       } catch (e) {
         return res.status(400).json({ ok: false, error: e.message });
@@ -110,18 +193,108 @@ export function makeUsuarioController({ usuarioService }) {
      * DELETE /api/usuarios/:id
      * ---------------------------------------------------------------------------
      * OBJETIVO:
-     *   - Remover um usuário por id.
+     *   - Remover um usuário por id (soft delete: pode ser restaurado).
      *
      * COMO FUNCIONA:
-     *   - Converte :id para número e chama service.remove(id).
+     *   - Converte :id para número e chama service.remove(id), informando
+     *     quem removeu (auditoria).
      *   - Em sucesso → 200 { ok: true }.
-     *   - Se não existir → 404.
+     *   - Se não existir (ou já estiver removido) → 404.
+     *   - Último admin → 400.
      */
     remove: async (req, res) => {
       try {
         const id = Number(req.params.id);
-        await usuarioService.remove(id);
+        await usuarioService.remove(id, {
+          atorId: req.user.id,
+          tenantId: req.user.tenant_id,
+          ip: req.ip,
+        });
         return res.json({ ok: true });
+      } catch (e) {
+        return res.status(e.status || 404).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/usuarios/:id/restore
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Desfazer a remoção de um usuário (volta a logar com a mesma senha).
+     *
+     * COMO FUNCIONA:
+     *   - Chama service.restore(id) → 200 { ok: true, data: usuario }.
+     *   - Se não existir ou não estiver removido → 404.
+     */
+    restore: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const data = await usuarioService.restore(id, {
+          ...opcoesDe(req),
+          atorId: req.user.id,
+          ip: req.ip,
+        });
+        return res.json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/usuarios/import[?dry_run=true]
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Criar várias contas a partir de um CSV (nome, email, papel, senha).
+     *
+     * ENTRADA:
+     *   - Corpo em text/csv (o arquivo cru) OU JSON { csv: "...", dry_run?: true }.
+     *   - dry_run → só o relatório do que aconteceria; nada é gravado.
+     *
+     * SAÍDA:
+     *   - 200 (simulação) / 201 (gravado):
+     *     { ok: true, data: { dry_run, resumo: { linhas, criados, ignorados,
+     *       rejeitados }, linhas: [ { linha, email, papel, status, motivo?,
+     *       acesso?, id? } ] } }
+     *   - 400 arquivo inválido (sem cabeçalho, vazio, linhas demais...).
+     *   - 409 o banco recusou o lote (nada foi gravado).
+     */
+    importar: async (req, res) => {
+      try {
+        const corpoJson = req.body && typeof req.body === "object" ? req.body : {};
+        const csv = typeof req.body === "string" ? req.body : corpoJson.csv;
+        const data = await importacaoService.importar(csv, {
+          dryRun: ehVerdadeiro(req.query.dry_run ?? corpoJson.dry_run),
+          atorId: req.user.id,
+          tenantId: req.user.tenant_id,
+          ip: req.ip,
+        });
+        return res.status(data.dry_run ? 200 : 201).json({ ok: true, data });
+      } catch (e) {
+        return res.status(e.status || 500).json({ ok: false, error: e.message });
+      }
+    },
+
+    /**
+     * ---------------------------------------------------------------------------
+     * POST /api/usuarios/:id/unlock
+     * ---------------------------------------------------------------------------
+     * OBJETIVO:
+     *   - Liberar o login de uma conta bloqueada por muitas senhas erradas
+     *     (o login respondia 429). Somente admin (ver usuarioRoutes.js).
+     *
+     * COMO FUNCIONA:
+     *   - Chama service.unlock(id), que zera falhas e bloqueio do e-mail.
+     *   - Sucesso → 200 { ok: true, data: { usuario, desbloqueado } }
+     *     ("desbloqueado": false = a conta não tinha falhas registradas).
+     *   - Se não existir → 404.
+     */
+    unlock: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const data = await usuarioService.unlock(id, opcoesDe(req));
+        return res.json({ ok: true, data });
       } catch (e) {
         return res.status(404).json({ ok: false, error: e.message });
       }
@@ -130,7 +303,7 @@ export function makeUsuarioController({ usuarioService }) {
 }
 
 /* =============================================================================
- * TESTES RÁPIDOS (cURL) — lembre-se: rotas de usuário exigem JWT!
+ * TESTES RÁPIDOS (cURL) — lembre-se: rotas de usuário exigem JWT (e papel)!
  * -----------------------------------------------------------------------------
  * # 1) Listar
  * curl http://localhost:4000/api/usuarios \
@@ -146,9 +319,29 @@ export function makeUsuarioController({ usuarioService }) {
  *   -H "Content-Type: application/json" \
  *   -d '{"nome":"Ana Maria","email":"ana.maria@empresa.com"}'
  *
- * # 4) Remover
+ * # 3a) CPF e telefone (apenas admin; null limpa)
+ * curl -X PUT http://localhost:4000/api/usuarios/1 \
+ *   -H "Authorization: Bearer SEU_TOKEN" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"cpf":"529.982.247-25","telefone":"+55 11 98765-4321"}'
+ *
+ * # 3b) Trocar o papel (apenas admin)
+ * curl -X PUT http://localhost:4000/api/usuarios/2 \
+ *   -H "Authorization: Bearer SEU_TOKEN" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"papel":"gerente"}'
+ *
+ * # 4) Remover (soft delete), listar removidos e restaurar (apenas admin)
  * curl -X DELETE http://localhost:4000/api/usuarios/1 \
  *   -H "Authorization: Bearer SEU_TOKEN"
+ * curl http://localhost:4000/api/usuarios/excluidos \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ * curl -X POST http://localhost:4000/api/usuarios/1/restore \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ *
+ * # 5) Desbloquear o login (apenas admin)
+ * curl -X POST http://localhost:4000/api/usuarios/2/unlock \
+ *   -H "Authorization: Bearer SEU_TOKEN"
  *
  * NOTAS:
  *  - O cadastro/login é em /api/auth (público).
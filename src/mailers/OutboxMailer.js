@@ -0,0 +1,61 @@
+/**
+ * =============================================================================
+ *  src/mailers/OutboxMailer.js
+ * -----------------------------------------------------------------------------
+ *  OBJETIVO:
+ *    - "Enviar" e-mails SEM servidor de e-mail: cada mensagem vira um arquivo
+ *      .eml na pasta de saída (MAIL_OUTBOX_DIR, padrão ./outbox).
+ *    - Ideal para aula e testes: abra o .eml no VS Code/Thunderbird/Outlook
+ *      e copie o link ou o token de redefinição de senha.
+ *
+ *  COMO FUNCIONA:
+ *    - O nodemailer monta a mensagem MIME completa (cabeçalhos, acentos,
+ *      codificação) com o "streamTransport" em modo buffer, sem abrir conexão.
+ *    - Nós só gravamos o resultado em disco.
+ *
+ *  INTERFACE: enviar({ para, assunto, texto, html? }) → Promise<{ id, arquivo }>
+ *  (mesma do SmtpMailer; "arquivo" é o caminho do .eml gerado).
+ * =============================================================================
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+export class OutboxMailer {
+  constructor({ dir, from }) {
+    this.dir = dir;
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: "unix",
+    });
+  }
+
+  /**
+   * enviar({ para, assunto, texto, html })
+   * Gera o .eml e grava em "<dir>/<timestamp>-<aleatório>.eml".
+   * - O timestamp no nome deixa os arquivos em ordem de envio no explorador.
+   * - A pasta é criada na primeira mensagem (mkdir recursive).
+   */
+  async enviar({ para, assunto, texto, html }) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to: para,
+      subject: assunto,
+      text: texto,
+      html,
+    });
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const nome = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto
+      .randomBytes(4)
+      .toString("hex")}.eml`;
+    const arquivo = path.join(this.dir, nome);
+    await fs.writeFile(arquivo, info.message);
+
+    return { id: info.messageId, arquivo };
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * =============================================================================
+ *  src/mailers/SmtpMailer.js
+ * -----------------------------------------------------------------------------
+ *  OBJETIVO:
+ *    - Enviar e-mails de verdade por um servidor SMTP (Gmail, SendGrid, Mailtrap,
+ *      servidor da empresa...), usando a biblioteca "nodemailer".
+ *
+ *  INTERFACE DOS MAILERS (igual ao OutboxMailer):
+ *    - enviar({ para, assunto, texto, html? }) → Promise<{ id }>
+ *      Os services só conhecem este método; trocar SMTP por outbox (ou por
+ *      uma API de e-mail) não muda nada fora da pasta src/mailers.
+ *
+ *  CONFIGURAÇÃO (.env → src/config/env.js):
+ *    SMTP_HOST, SMTP_PORT, SMTP_SECURE (true na porta 465), SMTP_USER,
+ *    SMTP_PASS e MAIL_FROM (remetente).
+ * =============================================================================
+ */
+
+import nodemailer from "nodemailer";
+
+export class SmtpMailer {
+  /**
+   * Recebe as configurações já lidas do env (injeção de dependência).
+   * - Sem "user", o transporte conecta sem autenticação (ex.: relay interno).
+   */
+  constructor({ host, port, secure, user, pass, from }) {
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  /**
+   * enviar({ para, assunto, texto, html })
+   * Envia a mensagem e devolve o Message-ID gerado pelo servidor.
+   * Erros de rede/autenticação SMTP sobem para quem chamou.
+   */
+  async enviar({ para, assunto, texto, html }) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to: para,
+      subject: assunto,
+      text: texto,
+      html,
+    });
+    return { id: info.messageId };
+  }
+}
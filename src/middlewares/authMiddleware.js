@@ -5,6 +5,9 @@
  *  OBJETIVO:
  *    - Proteger rotas exigindo um token JWT válido no cabeçalho HTTP:
  *        Authorization: Bearer <seu_token_aqui>
+ *    - Ou uma API key (integrações/scripts), quando o middleware for criado
+ *      com o apiKeyService:
+ *        Authorization: ApiKey ak_...      ou      X-API-Key: ak_...
  *
  *  COMO FUNCIONA:
  *    1) Lê o header Authorization.
@@ -12,9 +15,25 @@
  *    3) Valida o token com verifyJwt() (assinatura + expiração).
  *    4) Se válido, coloca o payload em req.user e segue para a próxima função.
  *    5) Se inválido/ausente, responde 401 (não autorizado).
+ *    6) Confere no banco se o usuário existe e se a "token_version" do token
+ *       ainda é a atual (troca de senha derruba tokens antigos → 401).
+ *       Se o token tiver "sid", a sessão precisa estar ativa (senão → 401).
+ *       O usuário também precisa seguir na empresa do token (claim
+ *       "tenant_id"); mudou de empresa → 401. Em req.user.tenant_id e
+ *       req.user.papel ficam sempre os valores lidos do banco (admin
+ *       rebaixado perde o acesso na hora, sem esperar o token expirar).
+ *    7) Com EXIGIR_EMAIL_VERIFICADO=true, contas com e-mail ainda não
+ *       verificado recebem 403.
+ *    Impersonação (claim "act", ver ImpersonacaoService): o admin por trás do
+ *    token também é conferido; requisições que alteram dados são marcadas na
+ *    resposta e vão para a auditoria.
+ *    API key: o apiKeyService confere a chave e devolve o DONO; req.user é
+ *    preenchido no mesmo formato do JWT (+ api_key_id/escopos) e os escopos
+ *    da chave são checados contra o recurso/verbo da requisição (403).
  *
  *  DICAS:
  *    - Monte este middleware no server.js ANTES das rotas protegidas, ex.:
+ *        const authMiddleware = createAuthMiddleware({ usuarioRepo });
  *        app.use("/api/produtos", authMiddleware, createProdutoRoutes(...));
  *        app.use("/api/notas",    authMiddleware, createNotaFiscalRoutes(...));
  *      Já as rotas públicas (ex.: /api/auth/login e /api/auth/register) NÃO usam esse middleware.
@@ -22,55 +41,311 @@
  *    - verifyJwt() (em utils/jwt.js) lança erro quando o token está inválido/expirado,
  *      por isso usamos try/catch aqui para responder 401 de forma padronizada.
  *
- *    - O payload padrão que assinamos é algo como { id, email, iat, exp }.
+ *    - O payload padrão que assinamos é algo como
+ *      { id, email, papel, ev, tv, sid, tenant_id, iat, exp }.
  *      Depois de verificar, salvamos isso em req.user para outras camadas usarem
  *      (ex.: controller pode acessar req.user.id para saber “quem” está chamando).
  *
  *  BOAS PRÁTICAS:
  *    - Sempre usar HTTPS em produção, evitando vazamento de token na rede.
  *    - Tokens curtos (ex.: 15min-2h) + refresh token (fluxo separado) melhoram segurança.
- *    - Se precisar de RBAC (roles/perfis), você pode criar middlewares adicionais
- *      que verifiquem req.user.role/claims depois que este middleware passar.
+ *    - Autorização por papel (RBAC) fica em middlewares/roleMiddleware.js
+ *      (requireRole), que lê req.user.papel depois que este middleware passar.
  * =============================================================================
  */
 
 import { verifyJwt } from "../utils/jwt.js";
+import { EXIGIR_EMAIL_VERIFICADO } from "../config/env.js";
 
-export function authMiddleware(req, res, next) {
-  // ---------------------------------------------------------------------------
-  // 1) Ler o cabeçalho Authorization
-  //    - Header típico: "Authorization: Bearer <token>"
-  //    - Se não existir, tratamos como string vazia para evitar undefined/null.
-  // ---------------------------------------------------------------------------
-  const auth = req.headers.authorization || "";
-
-  // ---------------------------------------------------------------------------
-  // 2) Checar o formato "Bearer <token>"
-  //    - Dividimos por espaço: ["Bearer", "<token>"]
-  //    - Se não vier exatamente duas partes ou o prefixo não for "Bearer",
-  //      respondemos com 401 (falta de credenciais corretas).
-  // ---------------------------------------------------------------------------
-  const parts = auth.split(" ");
-  if (parts.length !== 2 || parts[0] !== "Bearer") {
-    // DICA: Mensagem clara para facilitar teste no Insomnia/Postman.
-    return res.status(401).json({ ok: false, error: "Token ausente" });
-  }
+/**
+ * createAuthMiddleware({ usuarioRepo, apiKeyService, sessaoService, impersonacaoService })
+ * -----------------------------------------------------------------------------
+ * Fábrica do middleware: recebe o repositório de usuários (injeção de
+ * dependência, como nas rotas) porque, além da assinatura do JWT, precisamos
+ * consultar o ESTADO ATUAL do usuário:
+ *   - ele ainda existe?
+ *   - a "token_version" do token (claim "tv") ainda é a atual? Trocar a senha
+ *     incrementa a versão e derruba os tokens emitidos antes.
+ *   - o e-mail está verificado? (só com EXIGIR_EMAIL_VERIFICADO=true)
+ *   - a sessão do token (claim "sid") ainda está ativa? Encerrar a sessão
+ *     (logout, "sair deste dispositivo") derruba o token na hora.
+ *
+ * "apiKeyService" é opcional: sem ele, só JWT é aceito. O server.js cria as
+ * duas versões — rotas que mexem em credenciais (senha, 2FA, API keys) exigem
+ * login de verdade.
+ *
+ * "impersonacaoService" idem: sem ele, tokens de impersonação (claim "act")
+ * recebem 403 — o suporte vê o que o usuário vê, mas não mexe nas
+ * credenciais dele.
+ *
+ * Uso (server.js):
+ *   const authMiddleware = createAuthMiddleware({ usuarioRepo, apiKeyService });
+ *   app.use("/api/produtos", authMiddleware, createProdutoRoutes(...));
+ */
+export function createAuthMiddleware({
+  usuarioRepo,
+  apiKeyService = null,
+  sessaoService = null,
+  impersonacaoService = null,
+}) {
+  return async function authMiddleware(req, res, next) {
+    // -------------------------------------------------------------------------
+    // 1) Ler o cabeçalho Authorization
+    //    - Header típico: "Authorization: Bearer <token>"
+    //    - Se não existir, tratamos como string vazia para evitar undefined/null.
+    // -------------------------------------------------------------------------
+    const auth = req.headers.authorization || "";
+
+    // API key: "Authorization: ApiKey <chave>" ou "X-API-Key: <chave>"
+    const [esquema, credencial] = auth.split(" ");
+    const apiKey =
+      req.headers["x-api-key"] || (esquema === "ApiKey" ? credencial : null);
+    if (apiKey) {
+      return autenticarApiKey(apiKey, req, res, next);
+    }
+
+    // -------------------------------------------------------------------------
+    // 2) Checar o formato "Bearer <token>"
+    //    - Dividimos por espaço: ["Bearer", "<token>"]
+    //    - Se não vier exatamente duas partes ou o prefixo não for "Bearer",
+    //      respondemos com 401 (falta de credenciais corretas).
+    // -------------------------------------------------------------------------
+    const parts = auth.split(" ");
+    if (parts.length !== 2 || parts[0] !== "Bearer") {
+      // DICA: Mensagem clara para facilitar teste no Insomnia/Postman.
+      return res.status(401).json({ ok: false, error: "Token ausente" });
+    }
+
+    // -------------------------------------------------------------------------
+    // 3) Validar o token (assinatura + expiração)
+    //    - verifyJwt() lança erro se o token for inválido, expirado ou malformado.
+    //    - Se OK, colocamos o payload em req.user para as próximas camadas usarem.
+    // -------------------------------------------------------------------------
+    try {
+      const token = parts[1]; // a segunda parte é o token em si
+      req.user = verifyJwt(token); // payload → ex.: { id, email, papel, ev, tv, iat, exp }
+    } catch {
+      // Token inválido/expirado → 401
+      return res
+        .status(401)
+        .json({ ok: false, error: "Token inválido/expirado" });
+    }
+
+    // O "desafio" do login em 2 etapas (escopo "2fa") também é um JWT assinado
+    // por nós, mas só serve para POST /api/auth/login/2fa — nunca para a API.
+    if (req.user.escopo) {
+      return res
+        .status(401)
+        .json({ ok: false, error: "Token inválido/expirado" });
+    }
+
+    // -------------------------------------------------------------------------
+    // 4) Estado atual do usuário no banco
+    //    - Usuário removido → 401.
+    //    - "tv" diferente da token_version atual → a senha foi trocada depois
+    //      que o token foi emitido → 401 (faça login de novo).
+    //      Tokens antigos, sem "tv", valem como versão 0.
+    // -------------------------------------------------------------------------
+    let user;
+    try {
+      user = await usuarioRepo.findById(req.user.id);
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+    if (!user) {
+      return res
+        .status(401)
+        .json({ ok: false, error: "Token inválido/expirado" });
+    }
+    if ((req.user.tv ?? 0) !== user.token_version) {
+      return res.status(401).json({
+        ok: false,
+        error: "Sessão encerrada (senha alterada). Faça login novamente.",
+      });
+    }
+
+    // Empresa: o admin mudou o usuário de empresa depois que o token foi
+    // emitido → 401 (os dados da empresa antiga não podem mais vazar).
+    // Tokens antigos, sem a claim, assumem a empresa atual.
+    if (req.user.tenant_id != null && Number(req.user.tenant_id) !== user.tenant_id) {
+      return res.status(401).json({
+        ok: false,
+        error: "Sessão encerrada (empresa alterada). Faça login novamente.",
+      });
+    }
+    req.user.tenant_id = user.tenant_id;
+    // Papel do banco, não o do token: o RBAC (requireRole) vale na hora em
+    // que o admin muda o papel de alguém
+    req.user.papel = user.papel;
+    // Preferências do banco (ex.: itens por página da listagem), sem depender do token
+    req.user.preferencias = user.preferencias;
+
+    // -------------------------------------------------------------------------
+    // 4a) Impersonação: token emitido para um admin agir como este usuário
+    //    - Rota sem impersonacaoService (credenciais) → 403.
+    //    - O admin ("act") precisa seguir válido (admin da mesma empresa do
+    //      usuário, mesma token_version, sessão ativa); senão → 401.
+    // -------------------------------------------------------------------------
+    if (req.user.act) {
+      if (!impersonacaoService) {
+        return res.status(403).json({
+          ok: false,
+          error: "Indisponível durante a impersonação. Use o seu próprio login.",
+        });
+      }
+      let atorOk;
+      try {
+        atorOk = await impersonacaoService.atorValido(req.user.act, {
+          ip: req.ip,
+          tenantId: user.tenant_id,
+        });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+      if (!atorOk) {
+        return res.status(401).json({
+          ok: false,
+          error: "Impersonação encerrada. Peça um novo token.",
+        });
+      }
+      marcarImpersonacao(req, res);
+    }
+
+    // -------------------------------------------------------------------------
+    // 4b) Sessão ainda ativa?
+    //    - Tokens emitidos num login trazem "sid" (id da sessão). Se ela foi
+    //      encerrada (logout, DELETE /api/auth/sessions/:id, troca de senha),
+    //      o token é recusado mesmo antes de expirar.
+    //    - Tokens antigos, sem "sid", seguem valendo até expirarem.
+    // -------------------------------------------------------------------------
+    if (req.user.sid && sessaoService) {
+      let ativa;
+      try {
+        ativa = await sessaoService.ativa(req.user.sid, user.id, { ip: req.ip });
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: e.message });
+      }
+      if (!ativa) {
+        return res.status(401).json({
+          ok: false,
+          error: "Sessão encerrada. Faça login novamente.",
+        });
+      }
+    }
+
+    // -------------------------------------------------------------------------
+    // 5) E-mail verificado (somente se a exigência estiver ligada no .env)
+    //    - Lemos do banco: vale assim que o usuário clica no link, sem precisar
+    //      de um token novo.
+    //    - 403: sabemos quem é, mas a conta ainda não pode usar a API.
+    // -------------------------------------------------------------------------
+    if (EXIGIR_EMAIL_VERIFICADO && !user.email_verificado_em) {
+      return res.status(403).json({
+        ok: false,
+        error: "E-mail não verificado. Confirme pelo link enviado no cadastro.",
+      });
+    }
 
-  // ---------------------------------------------------------------------------
-  // 3) Validar o token (assinatura + expiração)
-  //    - verifyJwt() lança erro se o token for inválido, expirado ou malformado.
-  //    - Se OK, colocamos o payload em req.user para as próximas camadas usarem.
-  // ---------------------------------------------------------------------------
-  try {
-    const token = parts[1]; // a segunda parte é o token em si
-    req.user = verifyJwt(token); // payload → ex.: { id, email, iat, exp }
     // Segue para a próxima função da cadeia (outro middleware ou controller)
     return next();
-  } catch {
-    // Token inválido/expirado → 401
-    return res
-      .status(401)
-      .json({ ok: false, error: "Token inválido/expirado" });
+  };
+
+  /**
+   * marcarImpersonacao(req, res)
+   * ---------------------------------------------------------------------------
+   * Toda resposta leva o header "X-Impersonado-Por: <id do admin>". Nas
+   * requisições que ALTERAM dados, o JSON ganha o campo "impersonacao" e, ao
+   * terminar, a requisição vai para a auditoria (com o status da resposta).
+   */
+  function marcarImpersonacao(req, res) {
+    const act = req.user.act;
+    res.set("X-Impersonado-Por", String(act.id));
+    if (!impersonacaoService.alteraDados(req.method)) return;
+
+    const json = res.json.bind(res);
+    res.json = (corpo) =>
+      json(
+        corpo && typeof corpo === "object" && !Array.isArray(corpo)
+          ? { ...corpo, impersonacao: { ator_id: act.id } }
+          : corpo
+      );
+
+    const caminho = req.originalUrl.split("?")[0];
+    res.on("finish", () => {
+      impersonacaoService
+        .registrarRequisicao({
+          usuarioId: req.user.id,
+          atorId: act.id,
+          ip: req.ip,
+          metodo: req.method,
+          caminho,
+          status: res.statusCode,
+        })
+        .catch((e) => console.error("Falha ao auditar impersonação:", e.message));
+    });
+  }
+
+  /**
+   * autenticarApiKey(chave, req, res, next)
+   * ---------------------------------------------------------------------------
+   * Caminho da API key:
+   *   1) Rota só aceita JWT (middleware sem apiKeyService)? → 401
+   *   2) Chave inexistente, revogada, expirada ou dono removido? → 401
+   *   3) Escopo da chave cobre recurso + ação desta requisição? Senão → 403
+   *      - recurso: trecho da URL após /api/ (ex.: /api/produtos → "produtos")
+   *      - ação   : GET/HEAD → "read"; demais verbos → "write"
+   *   4) E-mail verificado (mesma regra do JWT)
+   */
+  async function autenticarApiKey(chave, req, res, next) {
+    if (!apiKeyService) {
+      return res.status(401).json({
+        ok: false,
+        error: "API key não é aceita nesta rota. Faça login e use o token JWT.",
+      });
+    }
+
+    let resultado;
+    try {
+      resultado = await apiKeyService.autenticar(chave);
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: e.message });
+    }
+    if (!resultado) {
+      return res
+        .status(401)
+        .json({ ok: false, error: "API key inválida, expirada ou revogada" });
+    }
+
+    const { user, apiKey } = resultado;
+    const recurso = req.baseUrl.replace(/^\/api\//, "").split("/")[0];
+    const acao = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+    if (!apiKeyService.permite(apiKey.escopos, recurso, acao)) {
+      return res.status(403).json({
+        ok: false,
+        error: `API key sem o escopo ${recurso}:${acao}.`,
+      });
+    }
+
+    if (EXIGIR_EMAIL_VERIFICADO && !user.email_verificado_em) {
+      return res.status(403).json({
+        ok: false,
+        error: "E-mail não verificado. Confirme pelo link enviado no cadastro.",
+      });
+    }
+
+    // Mesmo formato do payload do JWT, para as rotas não notarem a diferença
+    req.user = {
+      id: user.id,
+      email: user.email,
+      papel: user.papel,
+      ev: Boolean(user.email_verificado_em),
+      tv: user.token_version,
+      tenant_id: user.tenant_id,
+      preferencias: user.preferencias,
+      api_key_id: apiKey.id,
+      escopos: apiKey.escopos,
+    };
+    return next();
   }
 }
 
@@ -86,20 +361,8 @@ export function authMiddleware(req, res, next) {
  *      const token = req.cookies?.access_token;
  *      // Útil para SPAs que usam cookies em vez de header Authorization.
  *
- *  - Middleware de autorização (RBAC):
- *      export function requireRole(...roles) {
- *        return (req, res, next) => {
- *          if (!req.user || !roles.includes(req.user.role)) {
- *            return res.status(403).json({ ok:false, error:"Acesso negado" });
- *          }
- *          next();
- *        };
- *      }
- *      // Uso:
- *      router.post("/", authMiddleware, requireRole("admin"), ctrl.create);
- *
- *  - Revogação de tokens:
- *      // JWT é stateless. Para revogar antes de expirar, mantenha uma lista
- *      // em memória/DB com "jti" ou "tokenVersion" no payload e cheque aqui.
+ *  - Revogação de UM token específico:
+ *      // A token_version derruba TODOS os tokens do usuário. Para revogar só um,
+ *      // inclua um "jti" no payload e mantenha uma lista de "jti" revogados.
  * =============================================================================
  */
@@ -0,0 +1,74 @@
+/**
+ * =============================================================================
+ *  src/middlewares/roleMiddleware.js
+ * -----------------------------------------------------------------------------
+ *  OBJETIVO:
+ *    - AUTORIZAÇÃO por papel (RBAC). O authMiddleware responde "QUEM é você?"
+ *      (autenticação); este middleware responde "você PODE fazer isto?".
+ *
+ *  COMO FUNCIONA:
+ *    1) Roda DEPOIS do authMiddleware (que preenche req.user com o payload do JWT).
+ *    2) Lê req.user.papel — o papel ATUAL do banco, que o authMiddleware põe
+ *       por cima do que veio no token (mudança de papel vale na hora).
+ *    3) Se o papel estiver na lista permitida → next().
+ *    4) Caso contrário → 403 (autenticado, mas sem permissão).
+ *
+ *  USO (nas rotas, declarando quem pode cada verbo):
+ *      router.get("/", requireRole("admin", "gerente"), ctrl.list);
+ *      router.delete("/:id", requireRole("admin"), ctrl.remove);
+ *
+ *  DIFERENÇA ENTRE 401 E 403:
+ *    - 401 Unauthorized: não sabemos quem é (token ausente/inválido).
+ *    - 403 Forbidden   : sabemos quem é, mas o papel não permite a ação.
+ *
+ *  MULTIEMPRESA:
+ *    - requirePlataforma() vai além do papel: só admins da EMPRESA_PADRAO
+ *      passam (rotas que enxergam todas as empresas).
+ * =============================================================================
+ */
+
+import { EMPRESA_PADRAO } from "../config/env.js";
+
+/**
+ * requireRole(...papeis)
+ * -----------------------------------------------------------------------------
+ * Fábrica de middleware: recebe os papéis permitidos e devolve a função
+ * (req, res, next) que o Express executa.
+ *
+ * Observação:
+ *  - O papel vem do banco (authMiddleware), então tokens antigos, sem
+ *    "papel" no payload, também passam a valer com o papel atual.
+ */
+export function requireRole(...papeis) {
+  return (req, res, next) => {
+    const papel = req.user?.papel;
+    if (!papel || !papeis.includes(papel)) {
+      return res.status(403).json({
+        ok: false,
+        error: "Acesso negado para o seu papel",
+        papeis_permitidos: papeis,
+      });
+    }
+    return next();
+  };
+}
+
+/**
+ * requirePlataforma()
+ * -----------------------------------------------------------------------------
+ * Admin da EMPRESA_PADRAO (a "plataforma"). Usado nas rotas que enxergam
+ * TODAS as empresas (configuração, auditoria, cadastro de empresas): admin
+ * de outra empresa recebe 403.
+ * Roda depois do requireRole("admin").
+ */
+export function requirePlataforma() {
+  return (req, res, next) => {
+    if (Number(req.user?.tenant_id) !== EMPRESA_PADRAO) {
+      return res.status(403).json({
+        ok: false,
+        error: "Acesso restrito aos administradores da plataforma",
+      });
+    }
+    return next();
+  };
+}
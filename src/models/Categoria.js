@@ -0,0 +1,77 @@
+/**
+ * =============================================================================
+ *  src/models/Categoria.js
+ * -----------------------------------------------------------------------------
+ *  OBJETIVO:
+ *    Representar uma Categoria de produtos (camada de domínio) com:
+ *      - Validações simples (nome e categoria pai).
+ *      - Conversões fromPlain / toPlain (mesmo padrão do Model Produto).
+ *
+ *  HIERARQUIA:
+ *    - "parentId" aponta para a categoria PAI (null = categoria raiz).
+ *      Ex.: Material escolar → Escrita → (produtos: caneta, lápis...).
+ *    - Regras que dependem das OUTRAS categorias (pai existe, sem ciclos,
+ *      nome repetido entre irmãs) ficam no CategoriaService: o Model só
+ *      enxerga a si mesmo.
+ *
+ *  MULTIEMPRESA:
+ *    - "tenant_id" é a empresa dona (cada empresa tem a sua árvore).
+ * =============================================================================
+ */
+
+const NOME_MIN_LEN = 2;
+const NOME_MAX_LEN = 60;
+
+/** null/undefined → null; senão número (ids vindos como string) */
+function normalizarId(valor) {
+  if (valor === undefined || valor === null) return null;
+  return Number(valor);
+}
+
+export class Categoria {
+  /**
+   * CONSTRUTOR
+   * Recebe { id, nome, parentId, tenant_id } e valida antes de atribuir.
+   */
+  constructor({ id = null, nome, parentId = null, tenant_id = null }) {
+    // 1) Nome: entre NOME_MIN_LEN e NOME_MAX_LEN caracteres
+    const nomeStr = String(nome ?? "").trim();
+    if (nomeStr.length < NOME_MIN_LEN || nomeStr.length > NOME_MAX_LEN) {
+      throw new Error(
+        `Nome da categoria deve ter de ${NOME_MIN_LEN} a ${NOME_MAX_LEN} caracteres.`
+      );
+    }
+
+    // 2) Pai: null (raiz) ou id inteiro positivo
+    const pai = normalizarId(parentId);
+    if (pai !== null && (!Number.isInteger(pai) || pai < 1)) {
+      throw new Error("parentId inválido (use o id de uma categoria ou null).");
+    }
+
+    // 3) Atribuições finais
+    this.id = normalizarId(id);
+    this.nome = nomeStr;
+    this.parentId = pai;
+    this.tenant_id = normalizarId(tenant_id); // empresa dona da categoria
+  }
+
+  /** Constrói a partir de um objeto "plano" (JSON do arquivo / req.body) */
+  static fromPlain(plain = {}) {
+    return new Categoria({
+      id: plain.id ?? null,
+      nome: plain.nome,
+      parentId: plain.parentId,
+      tenant_id: plain.tenant_id,
+    });
+  }
+
+  /** Objeto "plano" para gravar no JSON e responder a API */
+  toPlain() {
+    return {
+      id: this.id,
+      nome: this.nome,
+      parentId: this.parentId,
+      tenant_id: this.tenant_id,
+    };
+  }
+}
@@ -17,6 +17,11 @@
  *    - Os "itens" são um array de objetos: { productId: number, qtd: number }
  *      * productId: id do Produto (inteiro > 0)
  *      * qtd      : quantidade (número > 0)
+ *    - "criado_por" / "atualizado_por": ids dos usuários que emitiram e que
+ *      alteraram a nota por último (preenchidos pelo Service a partir de
+ *      req.user). "criado_por" define quem pode ver/editar a nota.
+ *    - "tenant_id": empresa dona da nota (também vem do req.user). O número
+ *      da nota só precisa ser único dentro da empresa.
  * =============================================================================
  */
 
@@ -66,7 +71,8 @@ export class NotaFiscal {
   /**
    * CONSTRUTOR
    * Recebe um objeto com as chaves:
-   *  { id = null, numero, cliente_nome, itens, total, created_at = new Date() }
+   *  { id = null, numero, cliente_nome, itens, total, created_at = new Date(),
+   *    criado_por = null, atualizado_por = null, tenant_id = null }
    */
   constructor({
     id = null,
@@ -75,6 +81,9 @@ export class NotaFiscal {
     itens,
     total,
     created_at = new Date(),
+    criado_por = null,
+    atualizado_por = null,
+    tenant_id = null,
   }) {
     // ---------------------------------
     // 1) Validar campos de texto
@@ -119,6 +128,9 @@ export class NotaFiscal {
     this.itens = itensNorm;            // array de { productId, qtd }
     this.total = totalDuasCasas;       // número com 2 casas
     this.created_at = createdAtIso;    // string ISO
+    this.criado_por = normalizarId(criado_por);         // id do usuário (dono)
+    this.atualizado_por = normalizarId(atualizado_por); // id do usuário ou null
+    this.tenant_id = normalizarId(tenant_id);           // empresa dona da nota
   }
 
   /**
@@ -135,6 +147,9 @@ export class NotaFiscal {
       itens,
       total: row?.total,
       created_at: row?.created_at,
+      criado_por: row?.criado_por,
+      atualizado_por: row?.atualizado_por,
+      tenant_id: row?.tenant_id,
     });
   }
 
@@ -151,6 +166,9 @@ export class NotaFiscal {
       itens: p?.itens,
       total: p?.total,
       created_at: p?.created_at,
+      criado_por: p?.criado_por,
+      atualizado_por: p?.atualizado_por,
+      tenant_id: p?.tenant_id,
     });
   }
 
@@ -167,13 +185,16 @@ export class NotaFiscal {
       itens: this.itens.map((i) => ({ productId: i.productId, qtd: i.qtd })),
       total: this.total,
       created_at: this.created_at,
+      criado_por: this.criado_por,
+      atualizado_por: this.atualizado_por,
+      tenant_id: this.tenant_id,
     };
   }
 
   /**
    * toDbInsertParams()
    * Retorna os valores na ORDEM esperada pelo INSERT do repository:
-   *   (numero, cliente_nome, itens_json, total, created_at)
+   *   (numero, cliente_nome, itens_json, total, created_at, criado_por, tenant_id)
    */
   toDbInsertParams() {
     return [
@@ -182,13 +203,15 @@ export class NotaFiscal {
       JSON.stringify(this.itens),
       this.total,
       this.created_at,
+      this.criado_por,
+      this.tenant_id,
     ];
   }
 
   /**
    * toDbUpdateParams()
    * Retorna os valores na ORDEM esperada pelo UPDATE do repository:
-   *   (numero, cliente_nome, itens_json, total, id)
+   *   (numero, cliente_nome, itens_json, total, atualizado_por, id)
    */
   toDbUpdateParams() {
     if (this.id == null) {
@@ -199,6 +222,7 @@ export class NotaFiscal {
       this.cliente_nome,
       JSON.stringify(this.itens),
       this.total,
+      this.atualizado_por,
       this.id,
     ];
   }
@@ -12,11 +12,32 @@
  *    - Centraliza regras e validações do conceito "Produto".
  *    - Evita duplicar validações em vários lugares (service, controller, etc.).
  *    - Facilita testes e manutenção.
+ *
+ *  MULTIEMPRESA:
+ *    - "tenant_id" é a empresa dona do produto (preenchida pelo Service a
+ *      partir do usuário logado). Cada empresa tem o seu catálogo.
+ *
+ *  CATEGORIA:
+ *    - "categoriaId" aponta para uma Categoria da mesma empresa (null = sem
+ *      categoria; ausente nos arquivos antigos = null). Se a categoria
+ *      existe, quem confere é o Service (ver CategoriaService).
+ *
+ *  ESTOQUE:
+ *    - "estoque" é a quantidade em mãos (número >= 0, até 3 casas — as
+ *      quantidades das notas podem ser fracionadas, ex.: 1.5 kg).
+ *    - Produtos gravados antes do controle de estoque (sem o campo) valem 0.
+ *    - Depois de criado, o estoque só muda por MOVIMENTAÇÃO (emissão de nota
+ *      ou ajuste manual), sempre registrada no extrato (ver EstoqueService).
  * =============================================================================
  */
 
 const NOME_MIN_LEN = 2; // Não faz sentido um nome com 0/1 caractere (regra didática)
 
+/** Arredonda quantidades de estoque para 3 casas (evita 0.30000000000000004) */
+export function arredondarQuantidade(valor) {
+  return Number(Number(valor).toFixed(3));
+}
+
 /**
  * Normaliza o "id" de entrada para:
  *  - null (quando indefinido ou nulo) OU
@@ -30,13 +51,54 @@ function normalizarId(valor) {
   return Number(valor);
 }
 
+/**
+ * aplicarAjustesEstoque(lista, ajustes, daEmpresa)
+ * -----------------------------------------------------------------------------
+ * Regra do estoque, usada pelos repositórios de produto (JSON e memória):
+ * soma cada { produtoId, quantidade } (negativa = saída) ao "estoque" dos
+ * itens PLANOS de "lista" que passam em daEmpresa(item).
+ *  - Tudo ou nada: se algum saldo ficaria negativo, ou a saída é de um
+ *    produto inexistente, a lista NÃO é alterada e "faltas" explica:
+ *    [{ produtoId, nome, disponivel, solicitado }].
+ *  - Entrada em produto inexistente é ignorada (não há onde guardar).
+ * Retorna { faltas, movimentos: [{ produtoId, quantidade, saldo }] }.
+ */
+export function aplicarAjustesEstoque(lista, ajustes, daEmpresa = () => true) {
+  const faltas = [];
+  const planos = [];
+  for (const { produtoId, quantidade } of ajustes) {
+    const id = Number(produtoId);
+    const qtd = arredondarQuantidade(quantidade);
+    const idx = lista.findIndex((p) => Number(p.id) === id && daEmpresa(p));
+    if (idx < 0) {
+      if (qtd < 0) faltas.push({ produtoId: id, nome: null, disponivel: 0, solicitado: -qtd });
+      continue;
+    }
+    const disponivel = Number(lista[idx].estoque ?? 0);
+    const saldo = arredondarQuantidade(disponivel + qtd);
+    if (saldo < 0) {
+      faltas.push({ produtoId: id, nome: lista[idx].nome, disponivel, solicitado: -qtd });
+      continue;
+    }
+    planos.push({ idx, produtoId: id, quantidade: qtd, saldo });
+  }
+  if (faltas.length) return { faltas, movimentos: [] };
+
+  for (const { idx, saldo } of planos) lista[idx] = { ...lista[idx], estoque: saldo };
+  return {
+    faltas,
+    movimentos: planos.map(({ produtoId, quantidade, saldo }) => ({ produtoId, quantidade, saldo })),
+  };
+}
+
 export class Produto {
   /**
    * CONSTRUTOR
-   * Recebe um objeto com possíveis chaves: { id, nome, preco }
+   * Recebe um objeto com possíveis chaves:
+   *   { id, nome, preco, estoque, categoriaId, tenant_id }
    * e valida/ajusta os valores antes de salvar no "this".
    */
-  constructor({ id = null, nome, preco }) {
+  constructor({ id = null, nome, preco, estoque = 0, categoriaId = null, tenant_id = null }) {
     // -----------------------------
     // 1) Nome: string não-vazia
     // -----------------------------
@@ -60,11 +122,30 @@ export class Produto {
     const precoDuasCasas = Number(precoNum.toFixed(2));
 
     // -----------------------------
-    // 3) Atribuições finais
+    // 3) Estoque: número >= 0 (ausente = 0)
+    // -----------------------------
+    const estoqueNum = Number(estoque ?? 0);
+    if (!Number.isFinite(estoqueNum) || estoqueNum < 0) {
+      throw new Error("Estoque inválido (use número >= 0).");
+    }
+
+    // -----------------------------
+    // 4) Categoria: null (sem categoria) ou id inteiro positivo
+    // -----------------------------
+    const categoria = normalizarId(categoriaId);
+    if (categoria !== null && (!Number.isInteger(categoria) || categoria < 1)) {
+      throw new Error("categoriaId inválido (use o id de uma categoria ou null).");
+    }
+
+    // -----------------------------
+    // 5) Atribuições finais
     // -----------------------------
     this.id = normalizarId(id);
     this.nome = nomeStr;
     this.preco = precoDuasCasas;
+    this.estoque = arredondarQuantidade(estoqueNum); // quantidade em mãos
+    this.categoriaId = categoria;
+    this.tenant_id = normalizarId(tenant_id); // empresa dona do produto
   }
 
   /**
@@ -80,6 +161,9 @@ export class Produto {
       id: plain.id ?? null,
       nome: plain.nome,
       preco: plain.preco,
+      estoque: plain.estoque,
+      categoriaId: plain.categoriaId,
+      tenant_id: plain.tenant_id,
     });
   }
 
@@ -95,6 +179,9 @@ export class Produto {
       id: this.id,
       nome: this.nome,
       preco: this.preco,
+      estoque: this.estoque,
+      categoriaId: this.categoriaId,
+      tenant_id: this.tenant_id,
     };
   }
 }
@@ -104,7 +191,8 @@ export class Produto {
  * -----------------------------------------------------------------------------
  * // Criando produto válido:
  * const p1 = new Produto({ nome: "Caderno", preco: 18.9 });
- * console.log(p1.toPlain()); // { id: null, nome: "Caderno", preco: 18.9 }
+ * console.log(p1.toPlain());
+ * // { id: null, nome: "Caderno", preco: 18.9, estoque: 0, categoriaId: null, tenant_id: null }
  *
  * // Validando nome curto:
  * new Produto({ nome: "A", preco: 10 }); // lança Error("Nome do produto muito curto...")
@@ -21,6 +21,69 @@
  *        * toPlain     (model -> objeto com senha_hash, uso interno)
  *        * toPublic    (model -> objeto sem senha_hash, uso na API)
  *        * toDbInsertParams / toDbUpdateParams (arrays na ordem das queries)
+ *        * toDbRow     (model -> linha completa, para migrar entre backends)
+ *
+ *  Papéis (RBAC — controle de acesso por papel):
+ *    - admin    : tudo, inclusive gerenciar usuários.
+ *    - gerente  : gerencia produtos e notas (inclusive remover).
+ *    - operador : emite/edita notas; lê produtos. (papel padrão no cadastro)
+ *    - leitura  : apenas consulta.
+ *    Quem pode o quê é declarado nas rotas (ver middlewares/roleMiddleware.js).
+ *
+ *  token_version:
+ *    - Número que sobe a cada troca de senha. Vai dentro do JWT ("tv"); o
+ *      authMiddleware recusa tokens com versão antiga (logout dos outros
+ *      dispositivos). Não aparece na visão pública.
+ *
+ *  Dois fatores (TOTP):
+ *    - "totp_secret": segredo Base32 compartilhado com o app autenticador
+ *      (null = nunca configurou). "totp_ativo" só vira true depois que o
+ *      usuário confirma um código (enquanto isso o segredo está "pendente").
+ *    - "totp_recovery": array com os HASHES (SHA-256) dos códigos de
+ *      recuperação ainda não usados. No banco: coluna "totp_recovery_json".
+ *    - "totp_ultimo_passo": último passo de 30s aceito (o mesmo código não
+ *      vale duas vezes). Nenhum desses campos aparece na visão pública, só
+ *      "totp_ativo".
+ *
+ *  Histórico de senhas:
+ *    - "senha_historico": HASHES das últimas senhas (mais recente primeiro),
+ *      para a política de senha recusar a reutilização. No banco: coluna
+ *      "senha_historico_json". Nunca aparece na visão pública.
+ *
+ *  Exclusão de conta (LGPD):
+ *    - "anonimizado_em" guarda QUANDO o titular excluiu a conta (DELETE
+ *      /api/auth/me). A linha continua existindo (as notas apontam para o id),
+ *      mas nome/e-mail viram marcadores genéricos e a senha deixa de existir.
+ *
+ *  Remoção (soft delete):
+ *    - "deleted_at" guarda QUANDO um admin removeu a conta (DELETE
+ *      /api/usuarios/:id). A linha fica no banco e pode ser restaurada; até
+ *      lá, os repositórios a escondem das buscas normais (login, listagem...).
+ *
+ *  Empresa (multiempresa):
+ *    - "tenant_id" é a empresa do usuário. Ele só enxerga produtos, notas e
+ *      usuários dessa empresa; o valor vai no JWT (claim "tenant_id").
+ *      Sem valor, a conta fica na EMPRESA_PADRAO.
+ *
+ *  Verificação de e-mail:
+ *    - "email_verificado_em" guarda QUANDO o usuário clicou no link enviado no
+ *      cadastro (ISO) ou null enquanto não verificou.
+ *
+ *  Dados pessoais opcionais (perfil):
+ *    - "cpf": só os 11 dígitos (dígitos verificadores conferidos). Na API
+ *      aparece SEMPRE mascarado: "***.456.789-**".
+ *    - "telefone": formato internacional E.164 ("+5511987654321").
+ *    - "preferencias": { idioma, fuso_horario, itens_por_pagina } — o que não
+ *      foi escolhido vale PREFERENCIAS_PADRAO. No banco: "preferencias_json".
+ *
+ *  Visões públicas (toPublic({ visao })) — regras de privacidade:
+ *    - "titular"  : o próprio usuário (login, /api/auth/me): telefone inteiro
+ *                   e preferências.
+ *    - "admin"    : admin da empresa gerenciando contas: telefone inteiro,
+ *                   sem preferências.
+ *    - "restrita" : demais casos (padrão): telefone mascarado, sem
+ *                   preferências.
+ *    O CPF sai mascarado nas três.
  *
  *  Observações importantes:
  *    - Nunca expor "senha_hash" nas respostas de API (use toPublic()).
@@ -29,15 +92,144 @@
  */
 
 import validator from "validator"; // <-- Biblioteca de validações (https://www.npmjs.com/package/validator)
+import { EMPRESA_PADRAO } from "../config/env.js";
 
 const NOME_MIN_LEN = 2; // regra didática: exigir ao menos 2 caracteres no nome
 
+// Papéis válidos, do mais poderoso para o mais restrito.
+export const PAPEIS = ["admin", "gerente", "operador", "leitura"];
+export const PAPEL_PADRAO = "operador";
+
+// Campos aceitos para ordenar a listagem (GET /api/usuarios?sort=...).
+// Os repositórios só interpolam no SQL nomes desta lista.
+export const CAMPOS_ORDENACAO = ["id", "nome", "email", "papel", "created_at"];
+
+// Preferências do usuário (PATCH /api/auth/me/preferencias)
+export const IDIOMAS = ["pt-BR", "en-US", "es-ES"];
+export const ITENS_POR_PAGINA_MAX = 100; // mesmo teto do "limit" da listagem
+export const PREFERENCIAS_PADRAO = Object.freeze({
+  idioma: "pt-BR",
+  fuso_horario: "America/Sao_Paulo",
+  itens_por_pagina: 20,
+});
+
 /** Normaliza id: undefined/null => null; caso contrário, Number(id) */
 function normalizarId(valor) {
   if (valor === undefined || valor === null) return null;
   return Number(valor);
 }
 
+/**
+ * Valida e normaliza um e-mail como o construtor faz (minúsculas +
+ * validator.normalizeEmail). Exportada para quem precisa comparar e-mails
+ * antes de existir um Usuario (ex.: convites). Inválido → Error.
+ */
+export function normalizarEmail(email) {
+  //  - Primeiro limpamos espaços e colocamos em minúsculas (boa prática).
+  //  - Depois usamos validator.isEmail() para verificar formato válido.
+  let emailStr = String(email ?? "")
+    .trim()
+    .toLowerCase();
+
+  // Se quiser, podemos tentar normalizar o e-mail (opcional).
+  // Ex.: remove pontos do Gmail, garante minúsculas, etc.
+  // Se normalizeEmail devolver null (e-mail inválido), mantemos o string atual
+  // para a verificação com isEmail() logo abaixo.
+  const emailNormalizado = validator.normalizeEmail(emailStr) ?? emailStr;
+  emailStr = emailNormalizado;
+
+  if (!validator.isEmail(emailStr)) {
+    throw new Error("E-mail inválido.");
+  }
+  return emailStr;
+}
+
+/**
+ * Valida um CPF e devolve só os 11 dígitos ("123.456.789-09" → "12345678909").
+ * Vazio/null → null (o CPF é opcional). Dígito verificador errado ou todos os
+ * dígitos iguais ("111.111.111-11") → Error.
+ */
+export function normalizarCpf(cpf) {
+  if (cpf === undefined || cpf === null || String(cpf).trim() === "") return null;
+  const digitos = String(cpf).replace(/[\s.-]/g, "");
+  if (!/^\d{11}$/.test(digitos) || /^(\d)\1{10}$/.test(digitos)) {
+    throw new Error("CPF inválido.");
+  }
+  // Cada dígito verificador: soma ponderada dos anteriores (pesos decrescentes)
+  const verificador = (n) => {
+    let soma = 0;
+    for (let i = 0; i < n; i++) soma += Number(digitos[i]) * (n + 1 - i);
+    const resto = (soma * 10) % 11;
+    return resto === 10 ? 0 : resto;
+  };
+  if (verificador(9) !== Number(digitos[9]) || verificador(10) !== Number(digitos[10])) {
+    throw new Error("CPF inválido.");
+  }
+  return digitos;
+}
+
+/** "12345678909" → "***.456.789-**" (o CPF nunca sai inteiro pela API) */
+export function mascararCpf(cpf) {
+  return cpf ? `***.${cpf.slice(3, 6)}.${cpf.slice(6, 9)}-**` : null;
+}
+
+/**
+ * Valida um telefone no formato E.164: "+", código do país e número, até 15
+ * dígitos. Espaços, hífens, pontos e parênteses são aceitos na entrada e
+ * removidos ("+55 (11) 98765-4321" → "+5511987654321"). Vazio → null.
+ */
+export function normalizarTelefone(telefone) {
+  if (telefone === undefined || telefone === null || String(telefone).trim() === "") {
+    return null;
+  }
+  const limpo = String(telefone).replace(/[\s().-]/g, "");
+  if (!/^\+[1-9]\d{7,14}$/.test(limpo)) {
+    throw new Error("Telefone inválido (use o formato internacional, ex.: +5511987654321).");
+  }
+  return limpo;
+}
+
+/** "+5511987654321" → "+55*******4321" (código do país e 4 últimos dígitos) */
+export function mascararTelefone(telefone) {
+  if (!telefone) return null;
+  return `${telefone.slice(0, 3)}${"*".repeat(telefone.length - 7)}${telefone.slice(-4)}`;
+}
+
+/**
+ * Aplica as preferências recebidas (parciais) sobre "base" e confere cada uma:
+ *  - idioma          : um dos IDIOMAS;
+ *  - fuso_horario    : nome IANA que o Node reconhece (ex.: "America/Manaus");
+ *  - itens_por_pagina: inteiro de 1 a ITENS_POR_PAGINA_MAX.
+ * Chave desconhecida ou valor inválido → Error. Devolve o objeto completo.
+ */
+export function normalizarPreferencias(preferencias, base = PREFERENCIAS_PADRAO) {
+  if (preferencias == null) return { ...base };
+  if (typeof preferencias !== "object" || Array.isArray(preferencias)) {
+    throw new Error("preferencias deve ser um objeto.");
+  }
+  const desconhecida = Object.keys(preferencias).find((k) => !(k in PREFERENCIAS_PADRAO));
+  if (desconhecida) {
+    throw new Error(
+      `Preferência desconhecida: ${desconhecida} (use: ${Object.keys(PREFERENCIAS_PADRAO).join(", ")}).`
+    );
+  }
+
+  const out = { ...PREFERENCIAS_PADRAO, ...base, ...preferencias };
+  if (!IDIOMAS.includes(out.idioma)) {
+    throw new Error(`idioma inválido (use: ${IDIOMAS.join(", ")}).`);
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: String(out.fuso_horario) });
+  } catch {
+    throw new Error("fuso_horario inválido (use um nome IANA, ex.: America/Sao_Paulo).");
+  }
+  const itens = Number(out.itens_por_pagina);
+  if (!Number.isInteger(itens) || itens < 1 || itens > ITENS_POR_PAGINA_MAX) {
+    throw new Error(`itens_por_pagina deve ser um inteiro de 1 a ${ITENS_POR_PAGINA_MAX}.`);
+  }
+  return { idioma: out.idioma, fuso_horario: String(out.fuso_horario), itens_por_pagina: itens };
+}
+
 /** Converte Date/string/number para string ISO (ex.: "2025-10-29T12:34:56.789Z") */
 function paraIsoDate(input) {
   const dt = input instanceof Date ? input : new Date(input ?? Date.now());
@@ -47,10 +239,35 @@ function paraIsoDate(input) {
 export class Usuario {
   /**
    * CONSTRUTOR
-   * Recebe { id = null, nome, email, senha_hash, created_at = new Date() }
+   * Recebe { id = null, nome, email, senha_hash, senha_historico = [],
+   *          papel = "operador", email_verificado_em = null, token_version = 0, totp_secret = null,
+   *          totp_ativo = false, totp_recovery = [], totp_ultimo_passo = null,
+   *          anonimizado_em = null, deleted_at = null, tenant_id = EMPRESA_PADRAO,
+   *          cpf = null, telefone = null, preferencias = null,
+   *          created_at = new Date() }
    * e faz validações/normalizações antes de popular a instância.
    */
-  constructor({ id = null, nome, email, senha_hash, created_at = new Date() }) {
+  constructor({
+    id = null,
+    nome,
+    email,
+    senha_hash,
+    senha_historico = [],
+    papel = PAPEL_PADRAO,
+    email_verificado_em = null,
+    token_version = 0,
+    totp_secret = null,
+    totp_ativo = false,
+    totp_recovery = [],
+    totp_ultimo_passo = null,
+    anonimizado_em = null,
+    deleted_at = null,
+    tenant_id = EMPRESA_PADRAO,
+    cpf = null,
+    telefone = null,
+    preferencias = null,
+    created_at = new Date(),
+  }) {
     // ---------------------------------
     // 1) Validar e normalizar nome
     // ---------------------------------
@@ -62,22 +279,9 @@ export class Usuario {
     // ---------------------------------
     // 2) Validar e normalizar e-mail (SEM regex manual)
     // ---------------------------------
-    //  - Primeiro limpamos espaços e colocamos em minúsculas (boa prática).
-    //  - Depois usamos validator.isEmail() para verificar formato válido.
-    let emailStr = String(email ?? "")
-      .trim()
-      .toLowerCase();
-
-    // Se quiser, podemos tentar normalizar o e-mail (opcional).
-    // Ex.: remove pontos do Gmail, garante minúsculas, etc.
-    // Se normalizeEmail devolver null (e-mail inválido), mantemos o string atual
-    // para a verificação com isEmail() logo abaixo.
-    const emailNormalizado = validator.normalizeEmail(emailStr) ?? emailStr;
-    emailStr = emailNormalizado;
-
-    if (!validator.isEmail(emailStr)) {
-      throw new Error("E-mail inválido.");
-    }
+    //  - Ver normalizarEmail() acima: minúsculas + validator.normalizeEmail,
+    //    depois validator.isEmail() para verificar formato válido.
+    const emailStr = normalizarEmail(email);
 
     // ---------------------------------
     // 3) Verificar presença do hash de senha
@@ -88,18 +292,54 @@ export class Usuario {
     }
 
     // ---------------------------------
-    // 4) Datas / ID
+    // 4) Papel (RBAC): precisa ser um dos PAPEIS conhecidos
+    // ---------------------------------
+    const papelStr = String(papel ?? PAPEL_PADRAO)
+      .trim()
+      .toLowerCase();
+    if (!PAPEIS.includes(papelStr)) {
+      throw new Error(`Papel inválido (use: ${PAPEIS.join(", ")}).`);
+    }
+
+    // ---------------------------------
+    // 5) Dados pessoais opcionais (CPF, telefone, preferências)
+    // ---------------------------------
+    const cpfStr = normalizarCpf(cpf);
+    const telefoneStr = normalizarTelefone(telefone);
+    const preferenciasObj = normalizarPreferencias(preferencias);
+
+    // ---------------------------------
+    // 6) Datas / ID
     // ---------------------------------
     const createdAtIso = paraIsoDate(created_at);
+    const verificadoEmIso =
+      email_verificado_em == null ? null : paraIsoDate(email_verificado_em);
+    const anonimizadoEmIso = anonimizado_em == null ? null : paraIsoDate(anonimizado_em);
+    const deletedAtIso = deleted_at == null ? null : paraIsoDate(deleted_at);
     const idNorm = normalizarId(id);
 
     // ---------------------------------
-    // 5) Atribuições finais
+    // 7) Atribuições finais
     // ---------------------------------
     this.id = idNorm;
     this.nome = nomeStr;
     this.email = emailStr; // já validado/normalizado pelo validator
     this.senha_hash = senhaHashStr; // ATENÇÃO: não expor isto em respostas da API!
+    this.senha_historico = Array.isArray(senha_historico) ? [...senha_historico] : [];
+    this.papel = papelStr;
+    this.email_verificado_em = verificadoEmIso; // string ISO ou null
+    this.token_version = Number(token_version ?? 0); // sobe a cada troca de senha
+    this.totp_secret = totp_secret || null; // NÃO expor (é a "senha" do app autenticador)
+    this.totp_ativo = Boolean(Number(totp_ativo)); // MySQL/SQLite devolvem 0/1
+    this.totp_recovery = Array.isArray(totp_recovery) ? [...totp_recovery] : [];
+    this.totp_ultimo_passo =
+      totp_ultimo_passo == null ? null : Number(totp_ultimo_passo);
+    this.anonimizado_em = anonimizadoEmIso; // string ISO ou null (conta ativa)
+    this.deleted_at = deletedAtIso; // string ISO ou null (não removido)
+    this.tenant_id = Number(tenant_id ?? EMPRESA_PADRAO); // empresa do usuário
+    this.cpf = cpfStr; // 11 dígitos ou null — na API, só mascarado
+    this.telefone = telefoneStr; // E.164 ou null
+    this.preferencias = preferenciasObj; // sempre completo (padrões preenchidos)
     this.created_at = createdAtIso; // string ISO
   }
 
@@ -114,6 +354,20 @@ export class Usuario {
       nome: row.nome,
       email: row.email,
       senha_hash: row.senha_hash,
+      senha_historico: row.senha_historico_json ? JSON.parse(row.senha_historico_json) : [],
+      papel: row.papel,
+      email_verificado_em: row.email_verificado_em,
+      token_version: row.token_version,
+      totp_secret: row.totp_secret,
+      totp_ativo: row.totp_ativo,
+      totp_recovery: row.totp_recovery_json ? JSON.parse(row.totp_recovery_json) : [],
+      totp_ultimo_passo: row.totp_ultimo_passo,
+      anonimizado_em: row.anonimizado_em,
+      deleted_at: row.deleted_at,
+      tenant_id: row.tenant_id,
+      cpf: row.cpf,
+      telefone: row.telefone,
+      preferencias: row.preferencias_json ? JSON.parse(row.preferencias_json) : null,
       created_at: row.created_at,
     });
   }
@@ -129,6 +383,20 @@ export class Usuario {
       nome: p.nome,
       email: p.email,
       senha_hash: p.senha_hash,
+      senha_historico: p.senha_historico,
+      papel: p.papel,
+      email_verificado_em: p.email_verificado_em,
+      token_version: p.token_version,
+      totp_secret: p.totp_secret,
+      totp_ativo: p.totp_ativo,
+      totp_recovery: p.totp_recovery,
+      totp_ultimo_passo: p.totp_ultimo_passo,
+      anonimizado_em: p.anonimizado_em,
+      deleted_at: p.deleted_at,
+      tenant_id: p.tenant_id,
+      cpf: p.cpf,
+      telefone: p.telefone,
+      preferencias: p.preferencias,
       created_at: p.created_at,
     });
   }
@@ -144,20 +412,46 @@ export class Usuario {
       nome: this.nome,
       email: this.email,
       senha_hash: this.senha_hash, // cuidado para não logar / expor em produção
+      senha_historico: [...this.senha_historico],
+      papel: this.papel,
+      email_verificado_em: this.email_verificado_em,
+      token_version: this.token_version,
+      totp_secret: this.totp_secret,
+      totp_ativo: this.totp_ativo,
+      totp_recovery: [...this.totp_recovery],
+      totp_ultimo_passo: this.totp_ultimo_passo,
+      anonimizado_em: this.anonimizado_em,
+      deleted_at: this.deleted_at,
+      tenant_id: this.tenant_id,
+      cpf: this.cpf,
+      telefone: this.telefone,
+      preferencias: { ...this.preferencias },
       created_at: this.created_at,
     };
   }
 
   /**
-   * toPublic()
+   * toPublic({ visao })
    * Retorna a visão "segura" do usuário, sem senha_hash.
    * Use isto ao responder endpoints (GET /api/usuarios, /api/auth/login, etc.).
+   * "visao" aplica as regras de privacidade do perfil (ver cabeçalho):
+   * "titular", "admin" ou "restrita" (padrão).
    */
-  toPublic() {
+  toPublic({ visao = "restrita" } = {}) {
+    const telefoneInteiro = visao === "titular" || visao === "admin";
     return {
       id: this.id,
       nome: this.nome,
       email: this.email,
+      papel: this.papel,
+      email_verificado_em: this.email_verificado_em,
+      totp_ativo: this.totp_ativo,
+      anonimizado_em: this.anonimizado_em,
+      deleted_at: this.deleted_at,
+      tenant_id: this.tenant_id,
+      cpf: mascararCpf(this.cpf),
+      telefone: telefoneInteiro ? this.telefone : mascararTelefone(this.telefone),
+      ...(visao === "titular" ? { preferencias: { ...this.preferencias } } : {}),
       created_at: this.created_at,
     };
   }
@@ -165,22 +459,54 @@ export class Usuario {
   /**
    * toDbInsertParams()
    * Parâmetros na ORDEM esperada pelo INSERT no repository:
-   *   INSERT INTO usuarios (nome, email, senha_hash) VALUES (?, ?, ?)
+   *   INSERT INTO usuarios (nome, email, senha_hash, papel, tenant_id) VALUES (?, ?, ?, ?, ?)
    */
   toDbInsertParams() {
-    return [this.nome, this.email, this.senha_hash];
+    return [this.nome, this.email, this.senha_hash, this.papel, this.tenant_id];
   }
 
   /**
    * toDbUpdateParams()
    * Parâmetros na ORDEM esperada pelo UPDATE no repository:
-   *   UPDATE usuarios SET nome = ?, email = ? WHERE id = ?
+   *   UPDATE usuarios SET nome = ?, email = ?, papel = ? WHERE id = ?
    */
   toDbUpdateParams() {
     if (this.id == null) {
       throw new Error("id ausente");
     }
-    return [this.nome, this.email, this.id];
+    return [this.nome, this.email, this.papel, this.id];
+  }
+
+  /**
+   * toDbRow()
+   * Inverso de fromDbRow: a linha COMPLETA, com o id e as colunas *_json já
+   * serializadas. Usado na migração entre backends (MySQL ↔ SQLite ↔
+   * memória), que precisa copiar o usuário exatamente como está.
+   */
+  toDbRow() {
+    return {
+      id: this.id,
+      nome: this.nome,
+      email: this.email,
+      senha_hash: this.senha_hash,
+      senha_historico_json: this.senha_historico.length
+        ? JSON.stringify(this.senha_historico)
+        : null,
+      papel: this.papel,
+      email_verificado_em: this.email_verificado_em,
+      token_version: this.token_version,
+      totp_secret: this.totp_secret,
+      totp_ativo: this.totp_ativo ? 1 : 0,
+      totp_recovery_json: this.totp_recovery.length ? JSON.stringify(this.totp_recovery) : null,
+      totp_ultimo_passo: this.totp_ultimo_passo,
+      anonimizado_em: this.anonimizado_em,
+      deleted_at: this.deleted_at,
+      tenant_id: this.tenant_id,
+      cpf: this.cpf,
+      telefone: this.telefone,
+      preferencias_json: JSON.stringify(this.preferencias),
+      created_at: this.created_at,
+    };
   }
 }
 
@@ -193,6 +519,6 @@ export class Usuario {
  * //   email: "Ana@Empresa.COM",
  * //   senha_hash: "<hash-bcrypt>",
  * // });
- * // console.log(u.toPublic()); // { id: null, nome: "Ana", email: "ana@empresa.com", created_at: "..." }
+ * // console.log(u.toPublic()); // { id: null, nome: "Ana", email: "ana@empresa.com", papel: "operador", created_at: "..." }
  * =============================================================================
  */
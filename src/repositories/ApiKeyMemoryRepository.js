@@ -0,0 +1,75 @@
+/**
+ * =============================================================================
+ *  src/repositories/ApiKeyMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para as API keys, com a mesma interface (async) do
+ *  ApiKeySqliteRepository.
+ *  - Dados são perdidos ao reiniciar o processo (as chaves deixam de valer).
+ * =============================================================================
+ */
+
+export class ApiKeyMemoryRepository {
+  constructor() {
+    this.items = [];
+    this._idSeq = 0;
+  }
+
+  async create({ usuario_id, nome, prefixo, key_hash, escopos_json, expires_at }) {
+    const novo = {
+      id: ++this._idSeq,
+      usuario_id: Number(usuario_id),
+      nome,
+      prefixo,
+      key_hash,
+      escopos_json: escopos_json ?? null,
+      expires_at: expires_at ?? null,
+      ultimo_uso_em: null,
+      revogada_em: null,
+      created_at: new Date().toISOString(),
+    };
+    this.items.push(novo);
+    return { ...novo };
+  }
+
+  async findById(id) {
+    const found = this.items.find((k) => k.id === Number(id));
+    return found ? { ...found } : null;
+  }
+
+  async findByHash(key_hash) {
+    const found = this.items.find((k) => k.key_hash === key_hash);
+    return found ? { ...found } : null;
+  }
+
+  async listByUsuario(usuario_id) {
+    return this.items
+      .filter((k) => k.usuario_id === Number(usuario_id))
+      .sort((a, b) => b.id - a.id)
+      .map((k) => ({ ...k }));
+  }
+
+  async revogar(id, usuario_id) {
+    const found = this.items.find(
+      (k) => k.id === Number(id) && k.usuario_id === Number(usuario_id)
+    );
+    if (!found || found.revogada_em) return false;
+    found.revogada_em = new Date().toISOString();
+    return true;
+  }
+
+  async revogarPorUsuario(usuario_id) {
+    const agora = new Date().toISOString();
+    const ativas = this.items.filter(
+      (k) => k.usuario_id === Number(usuario_id) && !k.revogada_em
+    );
+    for (const k of ativas) k.revogada_em = agora;
+    return ativas.length;
+  }
+
+  async registrarUso(id, { agora, desde }) {
+    const found = this.items.find((k) => k.id === Number(id));
+    if (found && (!found.ultimo_uso_em || found.ultimo_uso_em < desde)) {
+      found.ultimo_uso_em = agora;
+    }
+  }
+}
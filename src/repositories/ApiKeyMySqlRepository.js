@@ -0,0 +1,115 @@
+/**
+ * =============================================================================
+ *  src/repositories/ApiKeyMySqlRepository.js
+ * -----------------------------------------------------------------------------
+ *  API keys (integrações máquina-a-máquina) no MySQL, na tabela "api_keys"
+ *  (criada em src/config/mysql.js), ao lado de "usuarios".
+ *
+ *  Por que guardar só o hash?
+ *    - Igual aos refresh tokens: a chave tem 256 bits aleatórios, então um
+ *      SHA-256 basta e permite buscar por "WHERE key_hash = ?". Se o banco
+ *      vazar, ninguém consegue usar as chaves.
+ *
+ *  Sobre datas:
+ *    - O service trabalha com ISO strings; aqui convertemos para Date, que o
+ *      mysql2 grava em DATETIME.
+ * =============================================================================
+ */
+
+const COLUNAS =
+  "id, usuario_id, nome, prefixo, key_hash, escopos_json, expires_at, " +
+  "ultimo_uso_em, revogada_em, created_at";
+
+/** ISO/Date/null → Date ou null (formato que o mysql2 grava em DATETIME) */
+function paraDate(valor) {
+  return valor == null ? null : new Date(valor);
+}
+
+export class ApiKeyMySqlRepository {
+  /** Recebe o pool do mysql2/promise (vide src/config/mysql.js). */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * create({ usuario_id, nome, prefixo, key_hash, escopos_json, expires_at })
+   * Insere a chave e devolve a linha completa.
+   */
+  async create({ usuario_id, nome, prefixo, key_hash, escopos_json, expires_at }) {
+    const [result] = await this.pool.query(
+      `INSERT INTO api_keys
+         (usuario_id, nome, prefixo, key_hash, escopos_json, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?);`,
+      [usuario_id, nome, prefixo, key_hash, escopos_json ?? null, paraDate(expires_at)]
+    );
+    return this.findById(result.insertId);
+  }
+
+  /** findById(id) → linha ou null */
+  async findById(id) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM api_keys WHERE id = ?;`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /** findByHash(key_hash) → linha ou null (usado a cada requisição autenticada) */
+  async findByHash(key_hash) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM api_keys WHERE key_hash = ?;`,
+      [key_hash]
+    );
+    return rows[0] || null;
+  }
+
+  /** listByUsuario(usuario_id) → chaves do usuário, mais recentes primeiro */
+  async listByUsuario(usuario_id) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM api_keys WHERE usuario_id = ? ORDER BY id DESC;`,
+      [usuario_id]
+    );
+    return rows;
+  }
+
+  /**
+   * revogar(id, usuario_id)
+   * Revoga a chave SE ela for do usuário e ainda estiver ativa.
+   * Retorna true se revogou.
+   */
+  async revogar(id, usuario_id) {
+    const [result] = await this.pool.query(
+      `UPDATE api_keys SET revogada_em = ?
+        WHERE id = ? AND usuario_id = ? AND revogada_em IS NULL;`,
+      [new Date(), id, usuario_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * revogarPorUsuario(usuario_id)
+   * Revoga TODAS as chaves ativas do usuário (exclusão de conta).
+   * Retorna quantas foram revogadas.
+   */
+  async revogarPorUsuario(usuario_id) {
+    const [result] = await this.pool.query(
+      `UPDATE api_keys SET revogada_em = ?
+        WHERE usuario_id = ? AND revogada_em IS NULL;`,
+      [new Date(), usuario_id]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * registrarUso(id, { agora, desde })
+   * Atualiza "ultimo_uso_em" — só se o registro anterior for mais velho que
+   * "desde", para não gravar no banco a cada requisição de um script.
+   */
+  async registrarUso(id, { agora, desde }) {
+    await this.pool.query(
+      `UPDATE api_keys SET ultimo_uso_em = ?
+        WHERE id = ? AND (ultimo_uso_em IS NULL OR ultimo_uso_em < ?);`,
+      [new Date(agora), id, new Date(desde)]
+    );
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * =============================================================================
+ *  src/repositories/ApiKeySqliteRepository.js
+ * -----------------------------------------------------------------------------
+ *  API keys (integrações máquina-a-máquina) no SQLite. Usado quando os
+ *  usuários estão no SQLite (fallback do MySQL), para que as chaves fiquem
+ *  sempre ao lado da tabela "usuarios".
+ *
+ *  Esquema (criado em migrateUsuariosSqlite, src/config/sqlite.js):
+ *    api_keys (
+ *      id, usuario_id, nome,
+ *      prefixo        -- parte visível da chave ("ak_<prefixo>_...")
+ *      key_hash       -- SHA-256 da chave inteira (a chave pura não é guardada)
+ *      escopos_json   -- ex.: ["produtos:read"]; NULL = tudo que o papel permite
+ *      expires_at     -- ISO; NULL = não expira
+ *      ultimo_uso_em, revogada_em, created_at
+ *    )
+ *
+ *  Mesma interface (async) do ApiKeyMySqlRepository.
+ * =============================================================================
+ */
+
+const COLUNAS =
+  "id, usuario_id, nome, prefixo, key_hash, escopos_json, expires_at, " +
+  "ultimo_uso_em, revogada_em, created_at";
+
+export class ApiKeySqliteRepository {
+  constructor(sqliteDb) {
+    this.db = sqliteDb;
+  }
+
+  /**
+   * create({ usuario_id, nome, prefixo, key_hash, escopos_json, expires_at })
+   * Insere a chave e devolve a linha completa.
+   */
+  async create({ usuario_id, nome, prefixo, key_hash, escopos_json, expires_at }) {
+    const info = this.db
+      .prepare(
+        `INSERT INTO api_keys
+           (usuario_id, nome, prefixo, key_hash, escopos_json, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?);`
+      )
+      .run(
+        usuario_id,
+        nome,
+        prefixo,
+        key_hash,
+        escopos_json ?? null,
+        expires_at ?? null,
+        new Date().toISOString()
+      );
+    return this.findById(info.lastInsertRowid);
+  }
+
+  /** findById(id) → linha ou null */
+  async findById(id) {
+    const row = this.db
+      .prepare(`SELECT ${COLUNAS} FROM api_keys WHERE id = ?;`)
+      .get(id);
+    return row || null;
+  }
+
+  /** findByHash(key_hash) → linha ou null (usado a cada requisição autenticada) */
+  async findByHash(key_hash) {
+    const row = this.db
+      .prepare(`SELECT ${COLUNAS} FROM api_keys WHERE key_hash = ?;`)
+      .get(key_hash);
+    return row || null;
+  }
+
+  /** listByUsuario(usuario_id) → chaves do usuário, mais recentes primeiro */
+  async listByUsuario(usuario_id) {
+    return this.db
+      .prepare(
+        `SELECT ${COLUNAS} FROM api_keys WHERE usuario_id = ? ORDER BY id DESC;`
+      )
+      .all(usuario_id);
+  }
+
+  /**
+   * revogar(id, usuario_id)
+   * Revoga a chave SE ela for do usuário e ainda estiver ativa.
+   * Retorna true se revogou.
+   */
+  async revogar(id, usuario_id) {
+    const info = this.db
+      .prepare(
+        `UPDATE api_keys SET revogada_em = ?
+          WHERE id = ? AND usuario_id = ? AND revogada_em IS NULL;`
+      )
+      .run(new Date().toISOString(), id, usuario_id);
+    return info.changes > 0;
+  }
+
+  /**
+   * revogarPorUsuario(usuario_id)
+   * Revoga TODAS as chaves ativas do usuário (exclusão de conta).
+   * Retorna quantas foram revogadas.
+   */
+  async revogarPorUsuario(usuario_id) {
+    const info = this.db
+      .prepare(
+        `UPDATE api_keys SET revogada_em = ?
+          WHERE usuario_id = ? AND revogada_em IS NULL;`
+      )
+      .run(new Date().toISOString(), usuario_id);
+    return info.changes;
+  }
+
+  /**
+   * registrarUso(id, { agora, desde })
+   * Atualiza "ultimo_uso_em" — só se o registro anterior for mais velho que
+   * "desde", para não gravar no banco a cada requisição de um script.
+   */
+  async registrarUso(id, { agora, desde }) {
+    this.db
+      .prepare(
+        `UPDATE api_keys SET ultimo_uso_em = ?
+          WHERE id = ? AND (ultimo_uso_em IS NULL OR ultimo_uso_em < ?);`
+      )
+      .run(agora, id, desde);
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * =============================================================================
+ *  src/repositories/AuditoriaMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para a auditoria, com a mesma interface (async) do
+ *  AuditoriaSqliteRepository.
+ *  - Dados são perdidos ao reiniciar o processo.
+ * =============================================================================
+ */
+
+export class AuditoriaMemoryRepository {
+  constructor() {
+    this.items = [];
+    this._idSeq = 0;
+  }
+
+  async create({ acao, usuario_id, ator_id, ip, detalhes_json }) {
+    const novo = {
+      id: ++this._idSeq,
+      acao,
+      usuario_id: usuario_id == null ? null : Number(usuario_id),
+      ator_id: ator_id == null ? null : Number(ator_id),
+      ip: ip ?? null,
+      detalhes_json: detalhes_json ?? null,
+      created_at: new Date().toISOString(),
+    };
+    this.items.push(novo);
+    return { ...novo };
+  }
+
+  async list({ usuario_id, acao, limite }) {
+    return this.items
+      .filter((r) => usuario_id == null || r.usuario_id === Number(usuario_id))
+      .filter((r) => !acao || r.acao === acao)
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limite)
+      .map((r) => ({ ...r }));
+  }
+}
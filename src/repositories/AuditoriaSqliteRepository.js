@@ -0,0 +1,69 @@
+/**
+ * =============================================================================
+ *  src/repositories/AuditoriaSqliteRepository.js
+ * -----------------------------------------------------------------------------
+ *  Registro de AUDITORIA (ações sensíveis) no SQLite, ao lado dos refresh
+ *  tokens e das sessões.
+ *
+ *  Esquema (criado em src/config/sqlite.js):
+ *    auditoria (
+ *      id, acao            -- ex.: "usuario.anonimizado"
+ *      usuario_id          -- usuário afetado
+ *      ator_id             -- quem executou (o próprio usuário, um admin...)
+ *      ip                  -- de onde veio a requisição
+ *      detalhes_json       -- dados extras; NUNCA nome/e-mail
+ *      created_at          -- ISO
+ *    )
+ *
+ *  Só insere e lê: registro de auditoria não se edita nem se apaga pela API.
+ * =============================================================================
+ */
+
+const COLUNAS = "id, acao, usuario_id, ator_id, ip, detalhes_json, created_at";
+
+export class AuditoriaSqliteRepository {
+  constructor(sqliteDb) {
+    this.db = sqliteDb;
+  }
+
+  /** create({ acao, usuario_id, ator_id, ip, detalhes_json }) → linha completa */
+  async create({ acao, usuario_id, ator_id, ip, detalhes_json }) {
+    const info = this.db
+      .prepare(
+        `INSERT INTO auditoria (acao, usuario_id, ator_id, ip, detalhes_json, created_at)
+         VALUES (?, ?, ?, ?, ?, ?);`
+      )
+      .run(
+        acao,
+        usuario_id ?? null,
+        ator_id ?? null,
+        ip ?? null,
+        detalhes_json ?? null,
+        new Date().toISOString()
+      );
+    return this.db
+      .prepare(`SELECT ${COLUNAS} FROM auditoria WHERE id = ?;`)
+      .get(info.lastInsertRowid);
+  }
+
+  /**
+   * list({ usuario_id, acao, limite })
+   * Registros mais recentes primeiro; filtros opcionais.
+   */
+  async list({ usuario_id, acao, limite }) {
+    const filtros = [];
+    const params = [];
+    if (usuario_id != null) {
+      filtros.push("usuario_id = ?");
+      params.push(usuario_id);
+    }
+    if (acao) {
+      filtros.push("acao = ?");
+      params.push(acao);
+    }
+    const where = filtros.length ? `WHERE ${filtros.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT ${COLUNAS} FROM auditoria ${where} ORDER BY id DESC LIMIT ?;`)
+      .all(...params, limite);
+  }
+}
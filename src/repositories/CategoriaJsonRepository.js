@@ -0,0 +1,154 @@
+/**
+ * =============================================================================
+ *  src/repositories/CategoriaJsonRepository.js
+ * -----------------------------------------------------------------------------
+ *  OBJETIVO (CAMADA REPOSITORY):
+ *    - Acesso a dados de "Categoria" num ARQUIVO JSON (CATEGORIAS_JSON), ao
+ *      lado do JSON de produtos — o produto guarda só o "categoriaId".
+ *    - Converte objetos "planos" do arquivo <→ Models (Categoria).
+ *
+ *  COMO FUNCIONA (igual ao ProdutoJsonRepository):
+ *    - Lê e escreve o arquivo inteiro a cada operação.
+ *    - Escritas em série (_emFila) e atômicas (writeJson: .tmp + rename).
+ *    - Com { tenantId }, só enxerga as categorias daquela empresa; itens sem
+ *      "tenant_id" contam como da EMPRESA_PADRAO. Ids únicos no arquivo todo.
+ *
+ *  O QUE NÃO É DAQUI:
+ *    - Pai existente, ciclos, nomes repetidos e produtos da categoria
+ *      removida: regras do CategoriaService.
+ * =============================================================================
+ */
+
+import { readJson, writeJson } from "../utils/fsJson.js";
+import { Categoria } from "../models/Categoria.js";
+import { EMPRESA_PADRAO } from "../config/env.js";
+
+// A categoria pertence à empresa? (sem tenantId = qualquer empresa)
+function daEmpresa(c, tenantId) {
+  return tenantId == null || Number(c.tenant_id) === Number(tenantId);
+}
+
+export class CategoriaJsonRepository {
+  /**
+   * filePath → caminho do arquivo JSON (ex.: "./categorias.json")
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._fila = Promise.resolve(); // escritas em série (ver _emFila)
+  }
+
+  /**
+   * Executa "fn" (ler → alterar → gravar) depois da escrita anterior, para
+   * duas requisições não gravarem por cima uma da outra.
+   */
+  _emFila(fn) {
+    const resultado = this._fila.then(fn);
+    this._fila = resultado.catch(() => {});
+    return resultado;
+  }
+
+  /** Lista "crua" do arquivo (itens antigos ganham a EMPRESA_PADRAO) */
+  async _readAllPlain() {
+    const lista = await readJson(this.filePath);
+    return lista.map((c) => ({
+      ...c,
+      parentId: c.parentId ?? null,
+      tenant_id: c.tenant_id ?? EMPRESA_PADRAO,
+    }));
+  }
+
+  async _writeAllPlain(lista) {
+    return writeJson(this.filePath, lista);
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * findAll({ tenantId })
+   * -----------------------------------------------------------------------------
+   * Todas as categorias (da empresa, se "tenantId" vier) como Models,
+   * na ordem do arquivo. Quem monta a árvore é o Service.
+   */
+  async findAll({ tenantId = null } = {}) {
+    const plain = await this._readAllPlain();
+    return plain.filter((c) => daEmpresa(c, tenantId)).map((c) => Categoria.fromPlain(c));
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * findById(id, { tenantId })
+   * -----------------------------------------------------------------------------
+   * UMA categoria (Model) ou null (inexistente / de outra empresa).
+   */
+  async findById(id, { tenantId = null } = {}) {
+    const plain = await this._readAllPlain();
+    const found = plain.find((c) => Number(c.id) === Number(id) && daEmpresa(c, tenantId));
+    return found ? Categoria.fromPlain(found) : null;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * create(categoriaModel)
+   * -----------------------------------------------------------------------------
+   * Gera o id (max + 1), grava e devolve o Model criado.
+   */
+  async create(categoriaModel) {
+    return this._emFila(async () => {
+      const lista = await this._readAllPlain();
+      const novoId = lista.length ? Math.max(...lista.map((c) => Number(c.id))) + 1 : 1;
+
+      const nova = new Categoria({
+        id: novoId,
+        nome: categoriaModel.nome,
+        parentId: categoriaModel.parentId,
+        tenant_id: categoriaModel.tenant_id ?? EMPRESA_PADRAO,
+      });
+      lista.push(nova.toPlain());
+      await this._writeAllPlain(lista);
+      return nova;
+    });
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * update(id, { nome, parentId }, { tenantId })
+   * -----------------------------------------------------------------------------
+   * "undefined" mantém o valor atual; parentId null vira categoria raiz.
+   * Retorna o Model atualizado ou null (não encontrada).
+   */
+  async update(id, { nome, parentId }, { tenantId = null } = {}) {
+    return this._emFila(async () => {
+      const lista = await this._readAllPlain();
+      const idx = lista.findIndex((c) => Number(c.id) === Number(id) && daEmpresa(c, tenantId));
+      if (idx < 0) return null;
+
+      const atual = lista[idx];
+      const atualizada = new Categoria({
+        id: Number(id),
+        nome: nome ?? atual.nome,
+        parentId: parentId === undefined ? atual.parentId : parentId,
+        tenant_id: atual.tenant_id, // a empresa dona não muda
+      });
+      lista[idx] = atualizada.toPlain();
+      await this._writeAllPlain(lista);
+      return atualizada;
+    });
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * delete(id, { tenantId })
+   * -----------------------------------------------------------------------------
+   * true se removeu; false se não existia.
+   */
+  async delete(id, { tenantId = null } = {}) {
+    return this._emFila(async () => {
+      const lista = await this._readAllPlain();
+      const filtrado = lista.filter(
+        (c) => !(Number(c.id) === Number(id) && daEmpresa(c, tenantId))
+      );
+      const mudou = filtrado.length !== lista.length;
+      if (mudou) await this._writeAllPlain(filtrado);
+      return mudou;
+    });
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * =============================================================================
+ *  src/repositories/CategoriaMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para Categorias. Interface compatível com
+ *  CategoriaJsonRepository (inclusive o filtro { tenantId } por empresa).
+ * =============================================================================
+ */
+
+import { Categoria } from "../models/Categoria.js";
+import { EMPRESA_PADRAO } from "../config/env.js";
+
+function daEmpresa(c, tenantId) {
+  return tenantId == null || Number(c.tenant_id) === Number(tenantId);
+}
+
+export class CategoriaMemoryRepository {
+  constructor(initial = []) {
+    this.items = initial.map((c) =>
+      new Categoria({ ...c, tenant_id: c.tenant_id ?? EMPRESA_PADRAO }).toPlain()
+    );
+  }
+
+  async findAll({ tenantId = null } = {}) {
+    return this.items.filter((c) => daEmpresa(c, tenantId)).map((c) => Categoria.fromPlain(c));
+  }
+
+  async findById(id, { tenantId = null } = {}) {
+    const found = this.items.find((c) => Number(c.id) === Number(id) && daEmpresa(c, tenantId));
+    return found ? Categoria.fromPlain(found) : null;
+  }
+
+  async create(categoriaModel) {
+    const novoId = this.items.length ? Math.max(...this.items.map((c) => Number(c.id))) + 1 : 1;
+    const nova = new Categoria({
+      id: novoId,
+      nome: categoriaModel.nome,
+      parentId: categoriaModel.parentId,
+      tenant_id: categoriaModel.tenant_id ?? EMPRESA_PADRAO,
+    });
+    this.items = [...this.items, nova.toPlain()];
+    return nova;
+  }
+
+  async update(id, { nome, parentId }, { tenantId = null } = {}) {
+    const idx = this.items.findIndex((c) => Number(c.id) === Number(id) && daEmpresa(c, tenantId));
+    if (idx < 0) return null;
+    const atual = this.items[idx];
+    const atualizada = new Categoria({
+      id: Number(id),
+      nome: nome ?? atual.nome,
+      parentId: parentId === undefined ? atual.parentId : parentId,
+      tenant_id: atual.tenant_id,
+    });
+    this.items = this.items.map((c, i) => (i === idx ? atualizada.toPlain() : c));
+    return atualizada;
+  }
+
+  async delete(id, { tenantId = null } = {}) {
+    const antes = this.items.length;
+    this.items = this.items.filter(
+      (c) => !(Number(c.id) === Number(id) && daEmpresa(c, tenantId))
+    );
+    return this.items.length !== antes;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * =============================================================================
+ *  src/repositories/ConviteMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para os convites de cadastro, com a mesma interface
+ *  (async) do ConviteSqliteRepository.
+ *  - Dados são perdidos ao reiniciar o processo (links enviados deixam de valer).
+ * =============================================================================
+ */
+
+function emAberto(c) {
+  return !c.aceito_em && !c.revogado_em;
+}
+
+export class ConviteMemoryRepository {
+  constructor() {
+    this.items = [];
+    this._idSeq = 0;
+  }
+
+  async create({ email, papel, token_hash, convidado_por, expires_at, tenant_id }) {
+    const agora = new Date().toISOString();
+    const novo = {
+      id: ++this._idSeq,
+      email,
+      papel,
+      token_hash,
+      convidado_por: convidado_por ?? null,
+      expires_at,
+      enviado_em: agora,
+      aceito_em: null,
+      usuario_id: null,
+      revogado_em: null,
+      tenant_id: Number(tenant_id),
+      created_at: agora,
+    };
+    this.items.push(novo);
+    return { ...novo };
+  }
+
+  async findById(id, { tenantId = null } = {}) {
+    const found = this.items.find(
+      (c) => c.id === Number(id) && (tenantId == null || c.tenant_id === Number(tenantId))
+    );
+    return found ? { ...found } : null;
+  }
+
+  async findByHash(token_hash) {
+    const found = this.items.find((c) => c.token_hash === token_hash);
+    return found ? { ...found } : null;
+  }
+
+  async findAbertoByEmail(email) {
+    const found = this.items.filter((c) => c.email === email && emAberto(c)).pop();
+    return found ? { ...found } : null;
+  }
+
+  async listAbertos({ tenantId = null } = {}) {
+    return this.items
+      .filter((c) => emAberto(c) && (tenantId == null || c.tenant_id === Number(tenantId)))
+      .sort((a, b) => b.id - a.id)
+      .map((c) => ({ ...c }));
+  }
+
+  async trocarToken(id, { token_hash, expires_at }) {
+    const found = this.items.find((c) => c.id === Number(id));
+    if (!found || !emAberto(found)) return false;
+    Object.assign(found, { token_hash, expires_at, enviado_em: new Date().toISOString() });
+    return true;
+  }
+
+  async marcarAceito(id, usuario_id) {
+    const found = this.items.find((c) => c.id === Number(id));
+    if (!found || !emAberto(found)) return false;
+    found.aceito_em = new Date().toISOString();
+    found.usuario_id = Number(usuario_id);
+    return true;
+  }
+
+  async revogar(id) {
+    const found = this.items.find((c) => c.id === Number(id));
+    if (!found || !emAberto(found)) return false;
+    found.revogado_em = new Date().toISOString();
+    return true;
+  }
+}
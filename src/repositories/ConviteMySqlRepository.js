@@ -0,0 +1,129 @@
+/**
+ * =============================================================================
+ *  src/repositories/ConviteMySqlRepository.js
+ * -----------------------------------------------------------------------------
+ *  Convites de cadastro no MySQL, na tabela "convites" (criada em
+ *  src/config/mysql.js), ao lado de "usuarios".
+ *
+ *  "Em aberto" = ainda não aceito nem revogado. Se o link já venceu é o
+ *  service que decide (compara expires_at com a hora atual), para o admin
+ *  conseguir ver e reenviar convites vencidos.
+ *
+ *  Sobre datas:
+ *    - O service trabalha com ISO strings; aqui convertemos para Date, que o
+ *      mysql2 grava em DATETIME.
+ * =============================================================================
+ */
+
+const COLUNAS =
+  "id, email, papel, token_hash, convidado_por, expires_at, enviado_em, " +
+  "aceito_em, usuario_id, revogado_em, tenant_id, created_at";
+
+export class ConviteMySqlRepository {
+  /** Recebe o pool do mysql2/promise (vide src/config/mysql.js). */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * create({ email, papel, token_hash, convidado_por, expires_at, tenant_id })
+   * Insere o convite e devolve a linha completa.
+   */
+  async create({ email, papel, token_hash, convidado_por, expires_at, tenant_id }) {
+    const [result] = await this.pool.query(
+      `INSERT INTO convites
+         (email, papel, token_hash, convidado_por, expires_at, enviado_em, tenant_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?);`,
+      [
+        email,
+        papel,
+        token_hash,
+        convidado_por ?? null,
+        new Date(expires_at),
+        new Date(),
+        tenant_id,
+      ]
+    );
+    return this.findById(result.insertId);
+  }
+
+  /** findById(id, { tenantId }) → linha ou null (com tenantId, só daquela empresa) */
+  async findById(id, { tenantId = null } = {}) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM convites
+        WHERE id = ? ${tenantId == null ? "" : "AND tenant_id = ?"};`,
+      tenantId == null ? [id] : [id, tenantId]
+    );
+    return rows[0] || null;
+  }
+
+  /** findByHash(token_hash) → linha ou null */
+  async findByHash(token_hash) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM convites WHERE token_hash = ?;`,
+      [token_hash]
+    );
+    return rows[0] || null;
+  }
+
+  /** findAbertoByEmail(email) → convite em aberto para o e-mail, ou null */
+  async findAbertoByEmail(email) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM convites
+        WHERE email = ? AND aceito_em IS NULL AND revogado_em IS NULL
+        ORDER BY id DESC LIMIT 1;`,
+      [email]
+    );
+    return rows[0] || null;
+  }
+
+  /** listAbertos({ tenantId }) → convites em aberto, mais recentes primeiro */
+  async listAbertos({ tenantId = null } = {}) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM convites
+        WHERE aceito_em IS NULL AND revogado_em IS NULL
+              ${tenantId == null ? "" : "AND tenant_id = ?"}
+        ORDER BY id DESC;`,
+      tenantId == null ? [] : [tenantId]
+    );
+    return rows;
+  }
+
+  /**
+   * trocarToken(id, { token_hash, expires_at })
+   * Reenvio: o link anterior deixa de valer. Só mexe em convite em aberto.
+   * Retorna true se trocou.
+   */
+  async trocarToken(id, { token_hash, expires_at }) {
+    const [result] = await this.pool.query(
+      `UPDATE convites SET token_hash = ?, expires_at = ?, enviado_em = ?
+        WHERE id = ? AND aceito_em IS NULL AND revogado_em IS NULL;`,
+      [token_hash, new Date(expires_at), new Date(), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * marcarAceito(id, usuario_id)
+   * Consome o convite. O "aceito_em IS NULL" no WHERE torna a operação
+   * atômica: se duas requisições chegarem juntas, só uma recebe true.
+   */
+  async marcarAceito(id, usuario_id) {
+    const [result] = await this.pool.query(
+      `UPDATE convites SET aceito_em = ?, usuario_id = ?
+        WHERE id = ? AND aceito_em IS NULL AND revogado_em IS NULL;`,
+      [new Date(), usuario_id, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /** revogar(id) → true se o convite estava em aberto e foi revogado */
+  async revogar(id) {
+    const [result] = await this.pool.query(
+      `UPDATE convites SET revogado_em = ?
+        WHERE id = ? AND aceito_em IS NULL AND revogado_em IS NULL;`,
+      [new Date(), id]
+    );
+    return result.affectedRows > 0;
+  }
+}
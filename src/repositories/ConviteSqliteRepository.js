@@ -0,0 +1,129 @@
+/**
+ * =============================================================================
+ *  src/repositories/ConviteSqliteRepository.js
+ * -----------------------------------------------------------------------------
+ *  Convites de cadastro no SQLite. Usado quando os usuários estão no SQLite
+ *  (fallback do MySQL), para que os convites fiquem ao lado de "usuarios".
+ *
+ *  Esquema (criado em migrateUsuariosSqlite, src/config/sqlite.js):
+ *    convites (
+ *      id, email,
+ *      papel          -- papel que a conta nova vai receber
+ *      token_hash     -- SHA-256 do token do link (o token puro vai no e-mail)
+ *      convidado_por  -- id do admin
+ *      expires_at, enviado_em,
+ *      aceito_em, usuario_id   -- preenchidos quando o convite é aceito
+ *      revogado_em, created_at,
+ *      tenant_id      -- empresa em que a conta nova vai entrar
+ *    )
+ *
+ *  Mesma interface (async) do ConviteMySqlRepository.
+ * =============================================================================
+ */
+
+const COLUNAS =
+  "id, email, papel, token_hash, convidado_por, expires_at, enviado_em, " +
+  "aceito_em, usuario_id, revogado_em, tenant_id, created_at";
+
+// Convite "em aberto": nem aceito nem revogado (a validade o service confere)
+const EM_ABERTO = "aceito_em IS NULL AND revogado_em IS NULL";
+
+export class ConviteSqliteRepository {
+  constructor(sqliteDb) {
+    this.db = sqliteDb;
+  }
+
+  /**
+   * create({ email, papel, token_hash, convidado_por, expires_at, tenant_id })
+   * Insere o convite e devolve a linha completa.
+   */
+  async create({ email, papel, token_hash, convidado_por, expires_at, tenant_id }) {
+    const agora = new Date().toISOString();
+    const info = this.db
+      .prepare(
+        `INSERT INTO convites
+           (email, papel, token_hash, convidado_por, expires_at, enviado_em, tenant_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?);`
+      )
+      .run(email, papel, token_hash, convidado_por ?? null, expires_at, agora, tenant_id, agora);
+    return this.findById(info.lastInsertRowid);
+  }
+
+  /** findById(id, { tenantId }) → linha ou null (com tenantId, só daquela empresa) */
+  async findById(id, { tenantId = null } = {}) {
+    const row = this.db
+      .prepare(
+        `SELECT ${COLUNAS} FROM convites
+          WHERE id = ? ${tenantId == null ? "" : "AND tenant_id = ?"};`
+      )
+      .get(...(tenantId == null ? [id] : [id, tenantId]));
+    return row || null;
+  }
+
+  /** findByHash(token_hash) → linha ou null */
+  async findByHash(token_hash) {
+    const row = this.db
+      .prepare(`SELECT ${COLUNAS} FROM convites WHERE token_hash = ?;`)
+      .get(token_hash);
+    return row || null;
+  }
+
+  /** findAbertoByEmail(email) → convite em aberto para o e-mail, ou null */
+  async findAbertoByEmail(email) {
+    const row = this.db
+      .prepare(
+        `SELECT ${COLUNAS} FROM convites
+          WHERE email = ? AND ${EM_ABERTO} ORDER BY id DESC LIMIT 1;`
+      )
+      .get(email);
+    return row || null;
+  }
+
+  /** listAbertos({ tenantId }) → convites em aberto, mais recentes primeiro */
+  async listAbertos({ tenantId = null } = {}) {
+    return this.db
+      .prepare(
+        `SELECT ${COLUNAS} FROM convites
+          WHERE ${EM_ABERTO} ${tenantId == null ? "" : "AND tenant_id = ?"}
+          ORDER BY id DESC;`
+      )
+      .all(...(tenantId == null ? [] : [tenantId]));
+  }
+
+  /**
+   * trocarToken(id, { token_hash, expires_at })
+   * Reenvio: o link anterior deixa de valer. Só mexe em convite em aberto.
+   * Retorna true se trocou.
+   */
+  async trocarToken(id, { token_hash, expires_at }) {
+    const info = this.db
+      .prepare(
+        `UPDATE convites SET token_hash = ?, expires_at = ?, enviado_em = ?
+          WHERE id = ? AND ${EM_ABERTO};`
+      )
+      .run(token_hash, expires_at, new Date().toISOString(), id);
+    return info.changes > 0;
+  }
+
+  /**
+   * marcarAceito(id, usuario_id)
+   * Consome o convite. O "aceito_em IS NULL" no WHERE torna a operação
+   * atômica: se duas requisições chegarem juntas, só uma recebe true.
+   */
+  async marcarAceito(id, usuario_id) {
+    const info = this.db
+      .prepare(
+        `UPDATE convites SET aceito_em = ?, usuario_id = ? WHERE id = ? AND ${EM_ABERTO};`
+      )
+      .run(new Date().toISOString(), usuario_id, id);
+    return info.changes > 0;
+  }
+
+  /** revogar(id) → true se o convite estava em aberto e foi revogado */
+  async revogar(id) {
+    const info = this.db
+      .prepare(`UPDATE convites SET revogado_em = ? WHERE id = ? AND ${EM_ABERTO};`)
+      .run(new Date().toISOString(), id);
+    return info.changes > 0;
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * =============================================================================
+ *  src/repositories/EmpresaMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para as empresas (tenants), com a mesma interface
+ *  (async) do EmpresaSqliteRepository.
+ *  - Começa só com a EMPRESA_PADRAO, como os bancos recém-criados.
+ *  - Dados são perdidos ao reiniciar o processo.
+ * =============================================================================
+ */
+
+import { EMPRESA_PADRAO } from "../config/env.js";
+
+export class EmpresaMemoryRepository {
+  constructor() {
+    this.items = [
+      { id: EMPRESA_PADRAO, nome: "Empresa padrão", created_at: new Date().toISOString() },
+    ];
+    this._idSeq = EMPRESA_PADRAO;
+  }
+
+  async findAll() {
+    return this.items.map((e) => ({ ...e }));
+  }
+
+  async findById(id) {
+    const found = this.items.find((e) => e.id === Number(id));
+    return found ? { ...found } : null;
+  }
+
+  async create({ nome }) {
+    const nova = { id: ++this._idSeq, nome, created_at: new Date().toISOString() };
+    this.items.push(nova);
+    return { ...nova };
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * =============================================================================
+ *  src/repositories/EmpresaMySqlRepository.js
+ * -----------------------------------------------------------------------------
+ *  Empresas (tenants) no MySQL, na tabela "empresas" (criada em
+ *  src/config/mysql.js), ao lado de "usuarios".
+ *
+ *  A empresa em si só tem nome; quem pertence a ela é registrado nas outras
+ *  tabelas (coluna "tenant_id" de usuarios, convites, notas e produtos).
+ * =============================================================================
+ */
+
+const COLUNAS = "id, nome, created_at";
+
+export class EmpresaMySqlRepository {
+  /** Recebe o pool do mysql2/promise (vide src/config/mysql.js). */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /** findAll() → todas as empresas, em ordem de id */
+  async findAll() {
+    const [rows] = await this.pool.query(`SELECT ${COLUNAS} FROM empresas ORDER BY id;`);
+    return rows;
+  }
+
+  /** findById(id) → linha ou null */
+  async findById(id) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM empresas WHERE id = ?;`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  /** create({ nome }) → insere e devolve a linha completa */
+  async create({ nome }) {
+    const [result] = await this.pool.query("INSERT INTO empresas (nome) VALUES (?);", [nome]);
+    return this.findById(result.insertId);
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * =============================================================================
+ *  src/repositories/EmpresaSqliteRepository.js
+ * -----------------------------------------------------------------------------
+ *  Empresas (tenants) no SQLite. Usado quando os usuários estão no SQLite
+ *  (fallback do MySQL), para que "empresas" fique ao lado de "usuarios".
+ *
+ *  Esquema (criado em migrateUsuariosSqlite, src/config/sqlite.js):
+ *    empresas (id, nome, created_at)
+ *
+ *  Mesma interface (async) do EmpresaMySqlRepository.
+ * =============================================================================
+ */
+
+const COLUNAS = "id, nome, created_at";
+
+export class EmpresaSqliteRepository {
+  constructor(sqliteDb) {
+    this.db = sqliteDb;
+  }
+
+  /** findAll() → todas as empresas, em ordem de id */
+  async findAll() {
+    return this.db.prepare(`SELECT ${COLUNAS} FROM empresas ORDER BY id;`).all();
+  }
+
+  /** findById(id) → linha ou null */
+  async findById(id) {
+    const row = this.db.prepare(`SELECT ${COLUNAS} FROM empresas WHERE id = ?;`).get(id);
+    return row || null;
+  }
+
+  /** create({ nome }) → insere e devolve a linha completa */
+  async create({ nome }) {
+    const info = this.db
+      .prepare("INSERT INTO empresas (nome, created_at) VALUES (?, ?);")
+      .run(nome, new Date().toISOString());
+    return this.findById(info.lastInsertRowid);
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * =============================================================================
+ *  src/repositories/EstoqueMovimentoMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para o extrato do estoque, com a mesma interface
+ *  (síncrona) do EstoqueMovimentoSqliteRepository.
+ *  - Dados são perdidos ao reiniciar o processo.
+ * =============================================================================
+ */
+
+export class EstoqueMovimentoMemoryRepository {
+  constructor() {
+    this.items = [];
+    this._idSeq = 0;
+  }
+
+  create({ tenant_id, produto_id, quantidade, saldo, tipo, nota_id, usuario_id, motivo }) {
+    const novo = {
+      id: ++this._idSeq,
+      tenant_id: Number(tenant_id),
+      produto_id: Number(produto_id),
+      quantidade,
+      saldo,
+      tipo,
+      nota_id: nota_id ?? null,
+      usuario_id: usuario_id ?? null,
+      motivo: motivo ?? null,
+      created_at: new Date().toISOString(),
+    };
+    this.items.push(novo);
+    return { ...novo };
+  }
+
+  findByProduto(produtoId, { tenantId = null, limite = 100 } = {}) {
+    return this.items
+      .filter((m) => m.produto_id === Number(produtoId))
+      .filter((m) => tenantId == null || m.tenant_id === Number(tenantId))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limite)
+      .map((m) => ({ ...m }));
+  }
+}
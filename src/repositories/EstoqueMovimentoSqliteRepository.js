@@ -0,0 +1,71 @@
+/**
+ * =============================================================================
+ *  src/repositories/EstoqueMovimentoSqliteRepository.js
+ * -----------------------------------------------------------------------------
+ *  EXTRATO DO ESTOQUE no SQLite: cada entrada/saída de um produto vira uma
+ *  linha. O saldo atual mora no JSON de produtos ("estoque"); esta tabela é o
+ *  histórico que explica como ele chegou lá.
+ *
+ *  Esquema (criado em src/config/sqlite.js):
+ *    estoque_movimentos (
+ *      id, tenant_id, produto_id
+ *      quantidade          -- + entrada / - saída
+ *      saldo               -- estoque do produto depois do movimento
+ *      tipo                -- inicial | ajuste | nota_emitida | nota_alterada | nota_removida
+ *      nota_id, usuario_id, motivo
+ *      created_at          -- ISO
+ *    )
+ *
+ *  SÍNCRONO (better-sqlite3), como o NotaFiscalSqliteRepository: o
+ *  NotaFiscalService grava a nota e os movimentos dentro da mesma transação
+ *  (notaRepo.transacao), e funções de transação não podem usar await.
+ *  Só insere e lê: movimento errado se corrige com outro movimento (ajuste).
+ * =============================================================================
+ */
+
+const COLUNAS =
+  "id, tenant_id, produto_id, quantidade, saldo, tipo, nota_id, usuario_id, motivo, created_at";
+
+export class EstoqueMovimentoSqliteRepository {
+  constructor(sqliteDb) {
+    this.db = sqliteDb;
+  }
+
+  /** create({ tenant_id, produto_id, quantidade, saldo, tipo, ... }) → linha completa */
+  create({ tenant_id, produto_id, quantidade, saldo, tipo, nota_id, usuario_id, motivo }) {
+    const info = this.db
+      .prepare(
+        `INSERT INTO estoque_movimentos
+           (tenant_id, produto_id, quantidade, saldo, tipo, nota_id, usuario_id, motivo, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);`
+      )
+      .run(
+        tenant_id,
+        produto_id,
+        quantidade,
+        saldo,
+        tipo,
+        nota_id ?? null,
+        usuario_id ?? null,
+        motivo ?? null,
+        new Date().toISOString()
+      );
+    return this.db
+      .prepare(`SELECT ${COLUNAS} FROM estoque_movimentos WHERE id = ?;`)
+      .get(info.lastInsertRowid);
+  }
+
+  /**
+   * findByProduto(produtoId, { tenantId, limite })
+   * Movimentos do produto, mais recentes primeiro.
+   */
+  findByProduto(produtoId, { tenantId = null, limite = 100 } = {}) {
+    return this.db
+      .prepare(
+        `SELECT ${COLUNAS} FROM estoque_movimentos
+          WHERE produto_id = ? ${tenantId == null ? "" : "AND tenant_id = ?"}
+          ORDER BY id DESC LIMIT ?;`
+      )
+      .all(produtoId, ...(tenantId == null ? [] : [tenantId]), limite);
+  }
+}
@@ -9,6 +9,9 @@
 
 import { NotaFiscal } from "../models/NotaFiscal.js";
 
+// tenantId null = sem filtro de empresa
+const daEmpresa = (n, tenantId) => tenantId == null || n.tenant_id === Number(tenantId);
+
 export class NotaFiscalMemoryRepository {
   constructor(initial = []) {
     this.items = initial.map((n) => new NotaFiscal(n)); // guardamos Models
@@ -17,19 +20,37 @@ export class NotaFiscalMemoryRepository {
       : 0;
   }
 
-  findAll() {
-    // Retorna Models
+  // Sem banco para desfazer: guardamos a lista e a restauramos se fn falhar
+  transacao(fn) {
+    const items = [...this.items];
+    const idSeq = this._idSeq;
+    try {
+      return fn();
+    } catch (e) {
+      this.items = items;
+      this._idSeq = idSeq;
+      throw e;
+    }
+  }
+
+  findAll({ criadoPor = null, tenantId = null } = {}) {
+    // Retorna Models (só os do dono/empresa, se "criadoPor"/"tenantId" vierem)
     // Ordena do id mais recente para o antigo, como no SQLite repo
-    return [...this.items].sort((a, b) => Number(b.id) - Number(a.id));
+    return this.items
+      .filter((n) => criadoPor == null || n.criado_por === Number(criadoPor))
+      .filter((n) => daEmpresa(n, tenantId))
+      .sort((a, b) => Number(b.id) - Number(a.id));
   }
 
-  findById(id) {
-    return this.items.find((n) => Number(n.id) === Number(id)) || null;
+  findById(id, { tenantId = null } = {}) {
+    return (
+      this.items.find((n) => Number(n.id) === Number(id) && daEmpresa(n, tenantId)) || null
+    );
   }
 
-  findByNumero(numero) {
+  findByNumero(numero, { tenantId = null } = {}) {
     const num = String(numero);
-    return this.items.find((n) => n.numero === num) || null;
+    return this.items.find((n) => n.numero === num && daEmpresa(n, tenantId)) || null;
   }
 
   create(notaModel) {
@@ -40,13 +61,17 @@ export class NotaFiscalMemoryRepository {
       itens: notaModel.itens,
       total: notaModel.total,
       created_at: notaModel.created_at,
+      criado_por: notaModel.criado_por,
+      tenant_id: notaModel.tenant_id,
     });
     this.items.unshift(novo);
     return this.findById(novo.id);
   }
 
-  update(id, notaModel) {
-    const idx = this.items.findIndex((n) => Number(n.id) === Number(id));
+  update(id, notaModel, { tenantId = null } = {}) {
+    const idx = this.items.findIndex(
+      (n) => Number(n.id) === Number(id) && daEmpresa(n, tenantId)
+    );
     if (idx < 0) return null;
     const atualizado = new NotaFiscal({
       id: Number(id),
@@ -55,14 +80,19 @@ export class NotaFiscalMemoryRepository {
       itens: notaModel.itens,
       total: notaModel.total,
       created_at: notaModel.created_at,
+      criado_por: this.items[idx].criado_por,
+      atualizado_por: notaModel.atualizado_por,
+      tenant_id: this.items[idx].tenant_id,
     });
     this.items[idx] = atualizado;
     return this.findById(id);
   }
 
-  delete(id) {
+  delete(id, { tenantId = null } = {}) {
     const prev = this.items.length;
-    this.items = this.items.filter((n) => Number(n.id) !== Number(id));
+    this.items = this.items.filter(
+      (n) => !(Number(n.id) === Number(id) && daEmpresa(n, tenantId))
+    );
     return this.items.length !== prev;
   }
 }
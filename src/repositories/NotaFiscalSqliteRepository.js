@@ -20,13 +20,21 @@
  *  ESQUEMA DA TABELA (criado no src/config/sqlite.js):
  *    CREATE TABLE IF NOT EXISTS notas_fiscais (
  *      id INTEGER PRIMARY KEY AUTOINCREMENT,
- *      numero TEXT NOT NULL UNIQUE,
+ *      numero TEXT NOT NULL,
  *      cliente_nome TEXT NOT NULL,
  *      itens_json TEXT NOT NULL,   -- guardamos os itens em JSON (simples para fins didáticos)
  *      total REAL NOT NULL,
- *      created_at TEXT NOT NULL    -- ISO string
+ *      created_at TEXT NOT NULL,   -- ISO string
+ *      criado_por INTEGER,         -- id do usuário que emitiu (dono)
+ *      atualizado_por INTEGER,     -- id do usuário da última alteração
+ *      tenant_id INTEGER NOT NULL, -- empresa dona da nota
+ *      UNIQUE (tenant_id, numero)  -- o número não repete DENTRO da empresa
  *    );
  *
+ *  MULTIEMPRESA:
+ *    - Todos os métodos aceitam { tenantId }: com ele, leituras e escritas só
+ *      alcançam notas daquela empresa (nota de outra empresa = "não existe").
+ *
  *  OBSERVAÇÃO IMPORTANTE:
  *    - O "Service" faz o CÁLCULO do total (somando preço * qtd dos produtos).
  *    - Este repository APENAS persiste/recupera os dados, sem recalcular nada.
@@ -35,6 +43,23 @@
 
 import { NotaFiscal } from "../models/NotaFiscal.js";
 
+// Colunas lidas em todos os SELECTs (mantidas em um lugar só).
+const COLUNAS =
+  "id, numero, cliente_nome, itens_json, total, created_at, criado_por, atualizado_por, tenant_id";
+
+/**
+ * Monta o WHERE a partir dos filtros informados (null = sem filtro).
+ * Ex.: filtros({ "id = ?": 3, "tenant_id = ?": 1 }) →
+ *      { sql: "WHERE id = ? AND tenant_id = ?", params: [3, 1] }
+ */
+function filtros(condicoes) {
+  const usadas = Object.entries(condicoes).filter(([, valor]) => valor != null);
+  return {
+    sql: usadas.length ? `WHERE ${usadas.map(([cond]) => cond).join(" AND ")}` : "",
+    params: usadas.map(([, valor]) => valor),
+  };
+}
+
 export class NotaFiscalSqliteRepository {
   /**
    * Construtor recebe a conexão aberta (sqliteDb) do better-sqlite3.
@@ -46,24 +71,41 @@ export class NotaFiscalSqliteRepository {
 
   /**
    * -----------------------------------------------------------------------------
-   * findAll()
+   * transacao(fn)
+   * -----------------------------------------------------------------------------
+   * Executa fn() numa transação: se ela lançar erro, TUDO o que gravou nesta
+   * conexão é desfeito — a nota e também as linhas do extrato do estoque
+   * (EstoqueMovimentoSqliteRepository usa o mesmo sqliteDb).
+   * fn precisa ser síncrona (regra do better-sqlite3).
+   */
+  transacao(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * findAll({ criadoPor, tenantId })
    * -----------------------------------------------------------------------------
-   * Retorna TODAS as notas (ordenadas do id mais recente para o mais antigo).
+   * Retorna as notas (ordenadas do id mais recente para o mais antigo).
+   * Com "criadoPor", só as emitidas por aquele usuário (visibilidade por dono);
+   * com "tenantId", só as daquela empresa.
    * Passos:
-   *  1) Executar SELECT
+   *  1) Executar SELECT (com ou sem os filtros de dono/empresa)
    *  2) Mapear cada row -> Model NotaFiscal (fromDbRow)
    *  3) Retornar array de Models
    */
-  findAll() {
+  findAll({ criadoPor = null, tenantId = null } = {}) {
+    const where = filtros({ "criado_por = ?": criadoPor, "tenant_id = ?": tenantId });
     const rows = this.db
       .prepare(
         `
-        SELECT id, numero, cliente_nome, itens_json, total, created_at
+        SELECT ${COLUNAS}
         FROM notas_fiscais
+        ${where.sql}
         ORDER BY id DESC;
       `
       )
-      .all();
+      .all(...where.params);
 
     // Convertemos cada linha do DB para um Model (validações se aplicam no Model)
     return rows.map((r) => NotaFiscal.fromDbRow(r));
@@ -71,44 +113,46 @@ export class NotaFiscalSqliteRepository {
 
   /**
    * -----------------------------------------------------------------------------
-   * findById(id)
+   * findById(id, { tenantId })
    * -----------------------------------------------------------------------------
-   * Busca UMA nota pelo ID.
+   * Busca UMA nota pelo ID (dentro da empresa, se "tenantId" vier).
    * Retorno:
    *  - Model NotaFiscal, se encontrou
    *  - null, se não achou
    */
-  findById(id) {
+  findById(id, { tenantId = null } = {}) {
+    const where = filtros({ "id = ?": id, "tenant_id = ?": tenantId });
     const row = this.db
       .prepare(
         `
-        SELECT id, numero, cliente_nome, itens_json, total, created_at
+        SELECT ${COLUNAS}
         FROM notas_fiscais
-        WHERE id = ?;
+        ${where.sql};
       `
       )
-      .get(id);
+      .get(...where.params);
 
     return row ? NotaFiscal.fromDbRow(row) : null;
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * findByNumero(numero)
+   * findByNumero(numero, { tenantId })
    * -----------------------------------------------------------------------------
-   * Busca UMA nota pelo "numero" (chave única).
+   * Busca UMA nota pelo "numero" (único dentro da empresa).
    * Útil para impedir duplicidade no Service (além do UNIQUE no DB).
    */
-  findByNumero(numero) {
+  findByNumero(numero, { tenantId = null } = {}) {
+    const where = filtros({ "numero = ?": String(numero), "tenant_id = ?": tenantId });
     const row = this.db
       .prepare(
         `
-        SELECT id, numero, cliente_nome, itens_json, total, created_at
+        SELECT ${COLUNAS}
         FROM notas_fiscais
-        WHERE numero = ?;
+        ${where.sql};
       `
       )
-      .get(numero);
+      .get(...where.params);
 
     return row ? NotaFiscal.fromDbRow(row) : null;
   }
@@ -119,7 +163,7 @@ export class NotaFiscalSqliteRepository {
    * -----------------------------------------------------------------------------
    * Insere uma nova nota no banco.
    * Contrato do Model → notaModel.toDbInsertParams() retorna:
-   *   [ numero, cliente_nome, JSON.stringify(itens), total, created_at ]
+   *   [ numero, cliente_nome, JSON.stringify(itens), total, created_at, criado_por, tenant_id ]
    *
    * Retorno:
    *   - Model recém-criado (com id preenchido)
@@ -127,8 +171,9 @@ export class NotaFiscalSqliteRepository {
   create(notaModel) {
     const stmt = this.db.prepare(
       `
-      INSERT INTO notas_fiscais (numero, cliente_nome, itens_json, total, created_at)
-      VALUES (?, ?, ?, ?, ?);
+      INSERT INTO notas_fiscais
+        (numero, cliente_nome, itens_json, total, created_at, criado_por, tenant_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?);
     `
     );
 
@@ -141,52 +186,54 @@ export class NotaFiscalSqliteRepository {
 
   /**
    * -----------------------------------------------------------------------------
-   * update(id, notaModel)
+   * update(id, notaModel, { tenantId })
    * -----------------------------------------------------------------------------
    * Atualiza uma nota EXISTENTE.
    * Contrato do Model → notaModel.toDbUpdateParams() retorna:
-   *   [ numero, cliente_nome, JSON.stringify(itens), total, id ]
+   *   [ numero, cliente_nome, JSON.stringify(itens), total, atualizado_por, id ]
    *
    * Observação:
-   *   - Aqui não mudamos "created_at" (preservamos o original).
+   *   - Aqui não mudamos "created_at", "criado_por" nem "tenant_id".
    *   - O Service já garantiu que "numero" não conflita com outra nota.
+   *   - Com "tenantId", nota de outra empresa não é alterada (retorna null).
    *
    * Retorno:
    *   - Model atualizado (lido do DB logo após o UPDATE)
    */
-  update(id, notaModel) {
+  update(id, notaModel, { tenantId = null } = {}) {
     const stmt = this.db.prepare(
       `
       UPDATE notas_fiscais
-         SET numero = ?, cliente_nome = ?, itens_json = ?, total = ?
-       WHERE id = ?;
+         SET numero = ?, cliente_nome = ?, itens_json = ?, total = ?, atualizado_por = ?
+       WHERE id = ? ${tenantId == null ? "" : "AND tenant_id = ?"};
     `
     );
 
     const params = notaModel.toDbUpdateParams(); // ordem exata esperada pela query
-    stmt.run(...params);
+    stmt.run(...params, ...(tenantId == null ? [] : [tenantId]));
 
-    return this.findById(id);
+    return this.findById(id, { tenantId });
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * delete(id)
+   * delete(id, { tenantId })
    * -----------------------------------------------------------------------------
-   * Remove a nota pelo ID.
+   * Remove a nota pelo ID (dentro da empresa, se "tenantId" vier).
    * Retorno:
    *  - true  → se removeu alguma linha
    *  - false → se não existia (0 linhas afetadas)
    */
-  delete(id) {
+  delete(id, { tenantId = null } = {}) {
+    const where = filtros({ "id = ?": id, "tenant_id = ?": tenantId });
     const info = this.db
       .prepare(
         `
         DELETE FROM notas_fiscais
-        WHERE id = ?;
+        ${where.sql};
       `
       )
-      .run(id);
+      .run(...where.params);
 
     return info.changes > 0; // changes = nº de linhas impactadas pelo DELETE
   }
@@ -196,13 +243,11 @@ export class NotaFiscalSqliteRepository {
  * DICAS/EXTENSÕES (comentários):
  * -----------------------------------------------------------------------------
  * - TRANSAÇÕES:
- *     Se você fizer múltiplas operações que PRECISAM ser atômicas (tudo-ou-nada),
- *     use transações:
- *       const tx = this.db.transaction((dados) => { ... });
- *       tx(payload);
+ *     transacao(fn) já embrulha this.db.transaction: o NotaFiscalService grava
+ *     a nota e o extrato do estoque juntos (tudo-ou-nada).
  *
  * - ÍNDICES:
- *     Já temos UNIQUE(numero). Se for consultar muito por "created_at" ou "numero",
+ *     Já temos UNIQUE(tenant_id, numero). Se for consultar muito por "created_at",
  *     pode valer criar índice:
  *       CREATE INDEX IF NOT EXISTS idx_notas_created_at ON notas_fiscais(created_at);
  *
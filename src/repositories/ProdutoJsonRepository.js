@@ -16,20 +16,47 @@
  *    - Ao LER: transforma cada item do JSON em um Model Produto (Produto.fromPlain).
  *    - Ao ESCREVER: recebe um Model/objeto e grava apenas dados "planos" (toPlain()).
  *
+ *  MULTIEMPRESA:
+ *    - Cada item guarda o "tenant_id" da empresa dona. Itens gravados antes
+ *      do multiempresa (sem o campo) contam como da EMPRESA_PADRAO e ganham o
+ *      campo na próxima escrita do arquivo.
+ *    - Com { tenantId }, leituras e escritas só alcançam produtos daquela
+ *      empresa (produto de outra empresa = "não existe"). Os ids continuam
+ *      únicos no arquivo todo.
+ *
+ *  ESTOQUE:
+ *    - Cada item tem "estoque" (ausente nos arquivos antigos = 0).
+ *    - update() NÃO mexe no estoque: ele só muda por movimentarEstoque(),
+ *      que confere o saldo e grava todos os produtos da movimentação numa
+ *      única escrita do arquivo (tudo ou nada).
+ *
+ *  CATEGORIA:
+ *    - Cada item tem "categoriaId" (ausente nos arquivos antigos = null).
+ *      moverCategoria() troca a categoria de todos os produtos de uma vez
+ *      (usado ao remover uma categoria — ver CategoriaService).
+ *
  *  LIMITAÇÕES/OBSERVAÇÕES (didáticas):
  *    - JSON em disco NÃO é um banco transacional. Em produção, cuidado com:
  *       * Concorrência (duas escritas simultâneas podem corromper o arquivo).
  *       * Tamanho do arquivo (grande demais fica lento para ler/escrever).
  *       * Falhas no meio da escrita (arquivo pode ficar "meio salvo").
- *    - Para mitigar:
- *       * Escrita "atômica": escrever em arquivo temporário e renomear no final.
- *       * Travamento (lock) simples em memória (fila) para serializar escritas.
- *       * Migrar para SQLite/MySQL quando o projeto exigir robustez.
+ *    - O que já fazemos:
+ *       * Escrita "atômica" (arquivo temporário + rename, em utils/fsJson.js).
+ *       * Fila em memória (_emFila) que serializa as escritas deste processo:
+ *         duas notas ao mesmo tempo não leem o mesmo saldo.
+ *    - Vários processos no mesmo arquivo continuam sem proteção: aí é hora de
+ *      migrar para SQLite/MySQL.
  * =============================================================================
  */
 
 import { readJson, writeJson } from "../utils/fsJson.js";
-import { Produto } from "../models/Produto.js";
+import { Produto, aplicarAjustesEstoque } from "../models/Produto.js";
+import { EMPRESA_PADRAO } from "../config/env.js";
+
+// O produto pertence à empresa? (sem tenantId = qualquer empresa)
+function daEmpresa(p, tenantId) {
+  return tenantId == null || Number(p.tenant_id) === Number(tenantId);
+}
 
 export class ProdutoJsonRepository {
   /**
@@ -38,6 +65,22 @@ export class ProdutoJsonRepository {
    */
   constructor(filePath) {
     this.filePath = filePath;
+    this._fila = Promise.resolve(); // escritas em série (ver _emFila)
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * _emFila(fn)
+   * -----------------------------------------------------------------------------
+   * Executa "fn" (ler → alterar → gravar) só depois que a escrita anterior
+   * terminar. Sem isso, duas requisições leriam o mesmo arquivo e a última a
+   * gravar apagaria a mudança da outra (ex.: duas baixas de estoque).
+   * Um erro em "fn" volta para quem chamou, mas não trava a fila.
+   */
+  _emFila(fn) {
+    const resultado = this._fila.then(fn);
+    this._fila = resultado.catch(() => {});
+    return resultado;
   }
 
   /**
@@ -45,12 +88,14 @@ export class ProdutoJsonRepository {
    * _readAllPlain()
    * -----------------------------------------------------------------------------
    * Lê o arquivo JSON e retorna a LISTA "crua" (objetos simples).
-   * Ex.: [ { id: 1, nome: "Caneta", preco: 3.5 }, ... ]
+   * Ex.: [ { id: 1, nome: "Caneta", preco: 3.5, tenant_id: 1 }, ... ]
+   * Itens antigos, sem "tenant_id", saem daqui com a EMPRESA_PADRAO.
    *
    * *Método "privado" por convenção (underscore), pois só a camada interna usa.
    */
   async _readAllPlain() {
-    return readJson(this.filePath);
+    const lista = await readJson(this.filePath);
+    return lista.map((p) => ({ ...p, tenant_id: p.tenant_id ?? EMPRESA_PADRAO }));
   }
 
   /**
@@ -65,28 +110,28 @@ export class ProdutoJsonRepository {
 
   /**
    * -----------------------------------------------------------------------------
-   * findAll()
+   * findAll({ tenantId })
    * -----------------------------------------------------------------------------
-   * Retorna TODOS os produtos como **Models** (Produto).
+   * Retorna os produtos (da empresa, se "tenantId" vier) como **Models** (Produto).
    * Passos:
    *   1) Lê o JSON (lista plana).
-   *   2) Converte cada item para Model com Produto.fromPlain().
+   *   2) Filtra pela empresa e converte cada item para Model com Produto.fromPlain().
    */
-  async findAll() {
+  async findAll({ tenantId = null } = {}) {
     const plain = await this._readAllPlain();
-    return plain.map((p) => Produto.fromPlain(p));
+    return plain.filter((p) => daEmpresa(p, tenantId)).map((p) => Produto.fromPlain(p));
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * findById(id)
+   * findById(id, { tenantId })
    * -----------------------------------------------------------------------------
    * Busca UM produto pelo id e retorna como **Model**.
-   * Se não existir, retorna null.
+   * Se não existir (ou for de outra empresa), retorna null.
    */
-  async findById(id) {
+  async findById(id, { tenantId = null } = {}) {
     const plain = await this._readAllPlain();
-    const found = plain.find((p) => Number(p.id) === Number(id));
+    const found = plain.find((p) => Number(p.id) === Number(id) && daEmpresa(p, tenantId));
     return found ? Produto.fromPlain(found) : null;
   }
 
@@ -98,7 +143,9 @@ export class ProdutoJsonRepository {
    * Regras/Passos:
    *   1) Lê a lista atual.
    *   2) Gera um NOVO ID (simples): max(id) + 1 (ou 1 se estiver vazio).
-   *   3) Monta um NOVO Model Produto com { id, nome, preco }.
+   *   3) Monta um NOVO Model Produto com
+   *      { id, nome, preco, estoque, categoriaId, tenant_id }
+   *      ("estoque" = saldo inicial; quem registra no extrato é o Service).
    *   4) Empurra o objeto PLANO (toPlain) para a lista e grava.
    *   5) Retorna o **Model** recém-criado.
    *
@@ -107,89 +154,153 @@ export class ProdutoJsonRepository {
    *     o id deve ser gerado pelo SGBD (AUTO_INCREMENT/SEQUENCE).
    */
   async create(produtoModel) {
-    const lista = await this._readAllPlain();
-
-    // Calcula novo id incremental simples
-    const novoId = lista.length
-      ? Math.max(...lista.map((p) => Number(p.id))) + 1
-      : 1;
-
-    // Cria um Model novo para garantir validação/normalização do domínio
-    const novo = new Produto({
-      id: novoId,
-      nome: produtoModel.nome,
-      preco: produtoModel.preco,
-    });
+    return this._emFila(async () => {
+      const lista = await this._readAllPlain();
 
-    // Grava em formato "plano" (serializável)
-    lista.push(novo.toPlain());
-    await this._writeAllPlain(lista);
+      // Calcula novo id incremental simples
+      const novoId = lista.length
+        ? Math.max(...lista.map((p) => Number(p.id))) + 1
+        : 1;
 
-    // Retorna o Model (útil para o service/controller)
-    return novo;
+      // Cria um Model novo para garantir validação/normalização do domínio
+      const novo = new Produto({
+        id: novoId,
+        nome: produtoModel.nome,
+        preco: produtoModel.preco,
+        estoque: produtoModel.estoque,
+        categoriaId: produtoModel.categoriaId,
+        tenant_id: produtoModel.tenant_id ?? EMPRESA_PADRAO,
+      });
+
+      // Grava em formato "plano" (serializável)
+      lista.push(novo.toPlain());
+      await this._writeAllPlain(lista);
+
+      // Retorna o Model (útil para o service/controller)
+      return novo;
+    });
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * update(id, { nome, preco })
+   * update(id, { nome, preco, categoriaId }, { tenantId })
    * -----------------------------------------------------------------------------
    * Atualiza UM produto existente.
    * Passos:
    *   1) Lê a lista.
-   *   2) Procura o índice pelo id.
+   *   2) Procura o índice pelo id (dentro da empresa, se "tenantId" vier).
    *   3) Se não achou, retorna null (service lida com "404").
-   *   4) Monta um NOVO Model (preserva valores antigos quando não enviados).
+   *   4) Monta um NOVO Model (preserva valores antigos quando não enviados;
+   *      categoriaId null = sem categoria; o estoque é sempre o atual — ver
+   *      movimentarEstoque()).
    *   5) Substitui na lista e grava.
    *   6) Retorna o **Model** atualizado.
    */
-  async update(id, { nome, preco }) {
-    const lista = await this._readAllPlain();
+  async update(id, { nome, preco, categoriaId }, { tenantId = null } = {}) {
+    return this._emFila(async () => {
+      const lista = await this._readAllPlain();
+
+      // Encontrar o índice do item a atualizar
+      const idx = lista.findIndex(
+        (p) => Number(p.id) === Number(id) && daEmpresa(p, tenantId)
+      );
+      if (idx < 0) return null;
 
-    // Encontrar o índice do item a atualizar
-    const idx = lista.findIndex((p) => Number(p.id) === Number(id));
-    if (idx < 0) return null;
+      // Estado atual (plano) antes da atualização
+      const atual = lista[idx];
 
-    // Estado atual (plano) antes da atualização
-    const atual = lista[idx];
+      // Cria um NOVO Model validando/normalizando o domínio
+      const atualizado = new Produto({
+        id: Number(id),
+        nome: nome ?? atual.nome,
+        preco: preco ?? atual.preco,
+        estoque: atual.estoque, // estoque só muda por movimentarEstoque()
+        categoriaId: categoriaId === undefined ? atual.categoriaId : categoriaId,
+        tenant_id: atual.tenant_id, // a empresa dona não muda
+      });
 
-    // Cria um NOVO Model validando/normalizando o domínio
-    const atualizado = new Produto({
-      id: Number(id),
-      nome: nome ?? atual.nome,
-      preco: preco ?? atual.preco,
+      // Substitui pelo "plano" e salva
+      lista[idx] = atualizado.toPlain();
+      await this._writeAllPlain(lista);
+
+      // Retorna o Model resultante
+      return atualizado;
     });
+  }
 
-    // Substitui pelo "plano" e salva
-    lista[idx] = atualizado.toPlain();
-    await this._writeAllPlain(lista);
+  /**
+   * -----------------------------------------------------------------------------
+   * movimentarEstoque(ajustes, { tenantId })
+   * -----------------------------------------------------------------------------
+   * Soma "quantidade" (negativa = saída) ao estoque de cada produto:
+   *   ajustes = [ { produtoId, quantidade }, ... ]
+   * As regras (tudo ou nada, "faltas" quando o saldo não cobre) estão em
+   * aplicarAjustesEstoque(), no Model Produto. Aqui garantimos que ler,
+   * aplicar e gravar acontecem de uma vez (fila + uma única escrita).
+   * Retorno:
+   *   { faltas: [...], movimentos: [ { produtoId, quantidade, saldo } ] }
+   *   (com faltas, nada foi gravado; saldo = estoque depois do movimento).
+   */
+  async movimentarEstoque(ajustes, { tenantId = null } = {}) {
+    return this._emFila(async () => {
+      const lista = await this._readAllPlain();
+      const resultado = aplicarAjustesEstoque(lista, ajustes, (p) => daEmpresa(p, tenantId));
+      if (!resultado.faltas.length && resultado.movimentos.length) {
+        await this._writeAllPlain(lista);
+      }
+      return resultado;
+    });
+  }
 
-    // Retorna o Model resultante
-    return atualizado;
+  /**
+   * -----------------------------------------------------------------------------
+   * moverCategoria(deId, paraId, { tenantId })
+   * -----------------------------------------------------------------------------
+   * Passa para a categoria "paraId" todos os produtos (da empresa) que estão
+   * na categoria "deId", numa única escrita do arquivo.
+   * Retorna quantos produtos foram movidos.
+   */
+  async moverCategoria(deId, paraId, { tenantId = null } = {}) {
+    return this._emFila(async () => {
+      const lista = await this._readAllPlain();
+      let movidos = 0;
+      const nova = lista.map((p) => {
+        if (Number(p.categoriaId) !== Number(deId) || !daEmpresa(p, tenantId)) return p;
+        movidos += 1;
+        return { ...p, categoriaId: Number(paraId) };
+      });
+      if (movidos) await this._writeAllPlain(nova);
+      return movidos;
+    });
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * delete(id)
+   * delete(id, { tenantId })
    * -----------------------------------------------------------------------------
-   * Remove UM produto pelo id.
+   * Remove UM produto pelo id (dentro da empresa, se "tenantId" vier).
    * Retorno:
    *   - true  → se removeu
    *   - false → se não existia
    */
-  async delete(id) {
-    const lista = await this._readAllPlain();
+  async delete(id, { tenantId = null } = {}) {
+    return this._emFila(async () => {
+      const lista = await this._readAllPlain();
 
-    // Filtra tudo que NÃO é o id a ser removido
-    const filtrado = lista.filter((p) => Number(p.id) !== Number(id));
+      // Filtra tudo que NÃO é o id a ser removido
+      const filtrado = lista.filter(
+        (p) => !(Number(p.id) === Number(id) && daEmpresa(p, tenantId))
+      );
 
-    // Se o tamanho mudou, é porque alguém foi removido
-    const mudou = filtrado.length !== lista.length;
+      // Se o tamanho mudou, é porque alguém foi removido
+      const mudou = filtrado.length !== lista.length;
 
-    if (mudou) {
-      await this._writeAllPlain(filtrado);
-    }
+      if (mudou) {
+        await this._writeAllPlain(filtrado);
+      }
 
-    return mudou;
+      return mudou;
+    });
   }
 }
 
@@ -197,21 +308,15 @@ export class ProdutoJsonRepository {
  * =============================================================================
  *  DICAS / EXTENSÕES (quando quiser evoluir):
  * -----------------------------------------------------------------------------
- *  1) Escrita atômica:
- *     - Em vez de escrever direto no arquivo final:
- *         await writeJson(file.tmp, lista);
- *         await fs.rename(file.tmp, filePath);
- *       Assim reduz risco de “arquivo quebrado” em queda de energia/travamento.
- *
- *  2) Lock simples (fila de operações):
- *     - Criar uma fila interna (Promise chain) para serializar writes e evitar
- *       que duas escritas concorram (especialmente em servidores com várias reqs).
+ *  1) Escrita atômica e fila de escritas: já feitas (writeJson + _emFila).
+ *     - A fila vale para UM processo; com vários (cluster), use um lock de
+ *       arquivo ou migre para um banco.
  *
- *  3) Índices e buscas:
+ *  2) Índices e buscas:
  *     - Se buscas por nome forem frequentes, pode manter um índice em memória
  *       (Map por nome → id) durante o ciclo do servidor (com cuidado com writes).
  *
- *  4) Migração para DB relacional:
+ *  3) Migração para DB relacional:
  *     - Quando exigir concorrência, múltiplos processos e integridade forte,
  *       migrar para SQLite/MySQL junto com um Repository equivalente.
  * =============================================================================
@@ -2,16 +2,25 @@
  * =============================================================================
  *  src/repositories/ProdutoMemoryRepository.js
  * -----------------------------------------------------------------------------
- *  Fallback em memória para Produtos. Interface compatível com ProdutoJsonRepository.
+ *  Fallback em memória para Produtos. Interface compatível com ProdutoJsonRepository
+ *  (inclusive o filtro { tenantId } por empresa, o movimentarEstoque e o
+ *  moverCategoria).
  * =============================================================================
  */
 
-import { Produto } from "../models/Produto.js";
+import { Produto, aplicarAjustesEstoque } from "../models/Produto.js";
+import { EMPRESA_PADRAO } from "../config/env.js";
+
+function daEmpresa(p, tenantId) {
+  return tenantId == null || Number(p.tenant_id) === Number(tenantId);
+}
 
 export class ProdutoMemoryRepository {
   constructor(initial = []) {
     // Armazenamos objetos "planos" internamente e convertemos para Model ao ler
-    this.items = initial.map((p) => new Produto(p).toPlain());
+    this.items = initial.map((p) =>
+      new Produto({ ...p, tenant_id: p.tenant_id ?? EMPRESA_PADRAO }).toPlain()
+    );
     this._idSeq = this.items.length
       ? Math.max(...this.items.map((p) => Number(p.id || 0)))
       : 0;
@@ -25,14 +34,14 @@ export class ProdutoMemoryRepository {
     this.items = [...lista];
   }
 
-  async findAll() {
+  async findAll({ tenantId = null } = {}) {
     const plain = await this._readAllPlain();
-    return plain.map((p) => Produto.fromPlain(p));
+    return plain.filter((p) => daEmpresa(p, tenantId)).map((p) => Produto.fromPlain(p));
   }
 
-  async findById(id) {
+  async findById(id, { tenantId = null } = {}) {
     const plain = await this._readAllPlain();
-    const found = plain.find((p) => Number(p.id) === Number(id));
+    const found = plain.find((p) => Number(p.id) === Number(id) && daEmpresa(p, tenantId));
     return found ? Produto.fromPlain(found) : null;
   }
 
@@ -40,26 +49,60 @@ export class ProdutoMemoryRepository {
     const lista = await this._readAllPlain();
     const novoId = lista.length ? Math.max(...lista.map((p) => Number(p.id))) + 1 : 1;
 
-    const novo = new Produto({ id: novoId, nome: produtoModel.nome, preco: produtoModel.preco });
+    const novo = new Produto({
+      id: novoId,
+      nome: produtoModel.nome,
+      preco: produtoModel.preco,
+      estoque: produtoModel.estoque,
+      categoriaId: produtoModel.categoriaId,
+      tenant_id: produtoModel.tenant_id ?? EMPRESA_PADRAO,
+    });
     lista.push(novo.toPlain());
     await this._writeAllPlain(lista);
     return novo;
   }
 
-  async update(id, { nome, preco }) {
+  async update(id, { nome, preco, categoriaId }, { tenantId = null } = {}) {
     const lista = await this._readAllPlain();
-    const idx = lista.findIndex((p) => Number(p.id) === Number(id));
+    const idx = lista.findIndex((p) => Number(p.id) === Number(id) && daEmpresa(p, tenantId));
     if (idx < 0) return null;
     const atual = lista[idx];
-    const atualizado = new Produto({ id: Number(id), nome: nome ?? atual.nome, preco: preco ?? atual.preco });
+    const atualizado = new Produto({
+      id: Number(id),
+      nome: nome ?? atual.nome,
+      preco: preco ?? atual.preco,
+      estoque: atual.estoque,
+      categoriaId: categoriaId === undefined ? atual.categoriaId : categoriaId,
+      tenant_id: atual.tenant_id,
+    });
     lista[idx] = atualizado.toPlain();
     await this._writeAllPlain(lista);
     return atualizado;
   }
 
-  async delete(id) {
+  // Sem await entre ler e gravar: a movimentação é atômica por natureza
+  async movimentarEstoque(ajustes, { tenantId = null } = {}) {
+    const lista = [...this.items];
+    const resultado = aplicarAjustesEstoque(lista, ajustes, (p) => daEmpresa(p, tenantId));
+    if (!resultado.faltas.length) this.items = lista;
+    return resultado;
+  }
+
+  async moverCategoria(deId, paraId, { tenantId = null } = {}) {
+    let movidos = 0;
+    this.items = this.items.map((p) => {
+      if (Number(p.categoriaId) !== Number(deId) || !daEmpresa(p, tenantId)) return p;
+      movidos += 1;
+      return { ...p, categoriaId: Number(paraId) };
+    });
+    return movidos;
+  }
+
+  async delete(id, { tenantId = null } = {}) {
     const lista = await this._readAllPlain();
-    const filtrado = lista.filter((p) => Number(p.id) !== Number(id));
+    const filtrado = lista.filter(
+      (p) => !(Number(p.id) === Number(id) && daEmpresa(p, tenantId))
+    );
     const mudou = filtrado.length !== lista.length;
     if (mudou) await this._writeAllPlain(filtrado);
     return mudou;
@@ -0,0 +1,67 @@
+/**
+ * =============================================================================
+ *  src/repositories/RefreshTokenMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para refresh tokens, com a mesma interface (async) do
+ *  RefreshTokenSqliteRepository.
+ *  - Dados são perdidos ao reiniciar o processo (todos precisam logar de novo).
+ * =============================================================================
+ */
+
+export class RefreshTokenMemoryRepository {
+  constructor() {
+    this.items = [];
+    this._idSeq = 0;
+  }
+
+  async create({ usuario_id, token_hash, familia, expires_at }) {
+    const novo = {
+      id: ++this._idSeq,
+      usuario_id: Number(usuario_id),
+      token_hash,
+      familia,
+      expires_at,
+      created_at: new Date().toISOString(),
+      usado_em: null,
+      revogado_em: null,
+      substituido_por: null,
+    };
+    this.items.push(novo);
+    return { ...novo };
+  }
+
+  async findByHash(token_hash) {
+    const found = this.items.find((t) => t.token_hash === token_hash);
+    return found ? { ...found } : null;
+  }
+
+  async marcarUsado(id, substituido_por) {
+    const found = this.items.find((t) => t.id === Number(id));
+    if (found) {
+      found.usado_em = new Date().toISOString();
+      found.substituido_por = substituido_por;
+    }
+  }
+
+  async revokeFamilia(familia) {
+    return this._revogar((t) => t.familia === familia);
+  }
+
+  async revokeAllByUsuario(usuario_id, { excetoFamilia = null } = {}) {
+    return this._revogar(
+      (t) => t.usuario_id === Number(usuario_id) && t.familia !== excetoFamilia
+    );
+  }
+
+  _revogar(filtro) {
+    const agora = new Date().toISOString();
+    let n = 0;
+    for (const t of this.items) {
+      if (!t.revogado_em && filtro(t)) {
+        t.revogado_em = agora;
+        n++;
+      }
+    }
+    return n;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * =============================================================================
+ *  src/repositories/RefreshTokenSqliteRepository.js
+ * -----------------------------------------------------------------------------
+ *  Persistência dos REFRESH TOKENS no SQLite (mesmo arquivo das notas).
+ *
+ *  Por que guardar refresh tokens no servidor?
+ *    - O access token (JWT) é "stateless": não dá para revogar antes de expirar.
+ *    - O refresh token dura muito mais (dias); por isso ele PRECISA poder ser
+ *      revogado (logout, roubo, troca de senha...). Guardando no banco, basta
+ *      marcar "revogado_em" e ele deixa de funcionar.
+ *
+ *  Esquema (criado em src/config/sqlite.js):
+ *    refresh_tokens (
+ *      id, usuario_id,
+ *      token_hash      -- SHA-256 do token (o token puro nunca é salvo)
+ *      familia         -- id da "família": todos os tokens gerados a partir do
+ *                         mesmo login compartilham a família (rotação)
+ *      expires_at, created_at,
+ *      usado_em        -- quando foi trocado por um novo (rotação)
+ *      revogado_em     -- quando foi revogado (logout/reuso detectado)
+ *      substituido_por -- id do token que o substituiu
+ *    )
+ *
+ *  Interface async (igual aos repositórios de usuário), apesar de o
+ *  better-sqlite3 ser síncrono por baixo.
+ * =============================================================================
+ */
+
+const COLUNAS =
+  "id, usuario_id, token_hash, familia, expires_at, created_at, usado_em, revogado_em, substituido_por";
+
+export class RefreshTokenSqliteRepository {
+  constructor(sqliteDb) {
+    this.db = sqliteDb;
+  }
+
+  /**
+   * create({ usuario_id, token_hash, familia, expires_at })
+   * Insere um novo refresh token e devolve a linha completa.
+   */
+  async create({ usuario_id, token_hash, familia, expires_at }) {
+    const info = this.db
+      .prepare(
+        `INSERT INTO refresh_tokens (usuario_id, token_hash, familia, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?);`
+      )
+      .run(usuario_id, token_hash, familia, expires_at, new Date().toISOString());
+    return this.db
+      .prepare(`SELECT ${COLUNAS} FROM refresh_tokens WHERE id = ?;`)
+      .get(info.lastInsertRowid);
+  }
+
+  /** findByHash(token_hash) → linha ou null */
+  async findByHash(token_hash) {
+    const row = this.db
+      .prepare(`SELECT ${COLUNAS} FROM refresh_tokens WHERE token_hash = ?;`)
+      .get(token_hash);
+    return row || null;
+  }
+
+  /**
+   * marcarUsado(id, substituido_por)
+   * Marca o token como "já trocado" na rotação. Reapresentá-lo depois disso
+   * é sinal de roubo (reuso).
+   */
+  async marcarUsado(id, substituido_por) {
+    this.db
+      .prepare(
+        `UPDATE refresh_tokens SET usado_em = ?, substituido_por = ? WHERE id = ?;`
+      )
+      .run(new Date().toISOString(), substituido_por, id);
+  }
+
+  /** revokeFamilia(familia) → revoga TODOS os tokens ainda ativos da família */
+  async revokeFamilia(familia) {
+    const info = this.db
+      .prepare(
+        `UPDATE refresh_tokens SET revogado_em = ?
+         WHERE familia = ? AND revogado_em IS NULL;`
+      )
+      .run(new Date().toISOString(), familia);
+    return info.changes;
+  }
+
+  /**
+   * revokeAllByUsuario(usuario_id, { excetoFamilia })
+   * Revoga todos os tokens do usuário — menos os da família "excetoFamilia",
+   * se informada ("sair de todos os OUTROS dispositivos").
+   */
+  async revokeAllByUsuario(usuario_id, { excetoFamilia = null } = {}) {
+    const info = this.db
+      .prepare(
+        `UPDATE refresh_tokens SET revogado_em = ?
+         WHERE usuario_id = ? AND revogado_em IS NULL AND (? IS NULL OR familia <> ?);`
+      )
+      .run(new Date().toISOString(), usuario_id, excetoFamilia, excetoFamilia);
+    return info.changes;
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * =============================================================================
+ *  src/repositories/SessaoMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para sessões, com a mesma interface (async) do
+ *  SessaoSqliteRepository.
+ *  - Dados são perdidos ao reiniciar o processo (junto com os refresh tokens).
+ * =============================================================================
+ */
+
+export class SessaoMemoryRepository {
+  constructor() {
+    this.items = [];
+  }
+
+  async create({ id, usuario_id, user_agent, ip, expires_at }) {
+    const agora = new Date().toISOString();
+    const nova = {
+      id,
+      usuario_id: Number(usuario_id),
+      user_agent: user_agent ?? null,
+      ip: ip ?? null,
+      created_at: agora,
+      ultima_atividade_em: agora,
+      expires_at,
+      revogada_em: null,
+    };
+    this.items.push(nova);
+    return { ...nova };
+  }
+
+  async findById(id) {
+    const found = this.items.find((s) => s.id === id);
+    return found ? { ...found } : null;
+  }
+
+  async listAtivasByUsuario(usuario_id, agora) {
+    return this.items
+      .filter(
+        (s) =>
+          s.usuario_id === Number(usuario_id) && !s.revogada_em && s.expires_at > agora
+      )
+      .sort((a, b) => b.ultima_atividade_em.localeCompare(a.ultima_atividade_em))
+      .map((s) => ({ ...s }));
+  }
+
+  async registrarAtividade(id, { agora, desde = null, ip = null, expires_at = null }) {
+    const found = this.items.find((s) => s.id === id);
+    if (!found || found.revogada_em) return;
+    if (desde && found.ultima_atividade_em >= desde) return;
+    found.ultima_atividade_em = agora;
+    if (ip) found.ip = ip;
+    if (expires_at) found.expires_at = expires_at;
+  }
+
+  async revogar(id) {
+    const found = this.items.find((s) => s.id === id);
+    if (!found || found.revogada_em) return false;
+    found.revogada_em = new Date().toISOString();
+    return true;
+  }
+
+  async revogarPorUsuario(usuario_id, { exceto = null } = {}) {
+    const agora = new Date().toISOString();
+    let n = 0;
+    for (const s of this.items) {
+      if (s.usuario_id === Number(usuario_id) && !s.revogada_em && s.id !== exceto) {
+        s.revogada_em = agora;
+        n++;
+      }
+    }
+    return n;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * =============================================================================
+ *  src/repositories/SessaoSqliteRepository.js
+ * -----------------------------------------------------------------------------
+ *  Persistência das SESSÕES (um registro por login/dispositivo) no SQLite,
+ *  ao lado dos refresh tokens.
+ *
+ *  Esquema (criado em src/config/sqlite.js):
+ *    sessoes (
+ *      id                  -- = "familia" dos refresh tokens = claim "sid" do JWT
+ *      usuario_id,
+ *      user_agent, ip      -- de onde veio (ip = último visto)
+ *      created_at          -- quando fez login
+ *      ultima_atividade_em -- último uso (gravado no máx. 1x por minuto)
+ *      expires_at          -- validade do refresh token mais recente
+ *      revogada_em         -- quando foi encerrada (logout, revogação...)
+ *    )
+ *
+ *  Interface async (igual aos demais repositórios).
+ * =============================================================================
+ */
+
+const COLUNAS =
+  "id, usuario_id, user_agent, ip, created_at, ultima_atividade_em, expires_at, revogada_em";
+
+export class SessaoSqliteRepository {
+  constructor(sqliteDb) {
+    this.db = sqliteDb;
+  }
+
+  /** create({ id, usuario_id, user_agent, ip, expires_at }) → linha completa */
+  async create({ id, usuario_id, user_agent, ip, expires_at }) {
+    const agora = new Date().toISOString();
+    this.db
+      .prepare(
+        `INSERT INTO sessoes (id, usuario_id, user_agent, ip, created_at, ultima_atividade_em, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?);`
+      )
+      .run(id, usuario_id, user_agent ?? null, ip ?? null, agora, agora, expires_at);
+    return this.findById(id);
+  }
+
+  /** findById(id) → linha ou null */
+  async findById(id) {
+    const row = this.db
+      .prepare(`SELECT ${COLUNAS} FROM sessoes WHERE id = ?;`)
+      .get(id);
+    return row || null;
+  }
+
+  /** listAtivasByUsuario(usuario_id, agora) → não revogadas e não expiradas, recentes primeiro */
+  async listAtivasByUsuario(usuario_id, agora) {
+    return this.db
+      .prepare(
+        `SELECT ${COLUNAS} FROM sessoes
+         WHERE usuario_id = ? AND revogada_em IS NULL AND expires_at > ?
+         ORDER BY ultima_atividade_em DESC;`
+      )
+      .all(usuario_id, agora);
+  }
+
+  /**
+   * registrarAtividade(id, { agora, desde, ip, expires_at })
+   * Atualiza o último uso (e o IP). Com "desde", só grava se a última
+   * atividade for anterior a ele (evita uma escrita por requisição).
+   * "expires_at" (opcional) estende a validade — usado no /refresh.
+   */
+  async registrarAtividade(id, { agora, desde = null, ip = null, expires_at = null }) {
+    this.db
+      .prepare(
+        `UPDATE sessoes
+            SET ultima_atividade_em = ?,
+                ip = COALESCE(?, ip),
+                expires_at = COALESCE(?, expires_at)
+          WHERE id = ? AND revogada_em IS NULL
+            AND (? IS NULL OR ultima_atividade_em < ?);`
+      )
+      .run(agora, ip, expires_at, id, desde, desde);
+  }
+
+  /** revogar(id) → true se a sessão estava ativa */
+  async revogar(id) {
+    const info = this.db
+      .prepare(`UPDATE sessoes SET revogada_em = ? WHERE id = ? AND revogada_em IS NULL;`)
+      .run(new Date().toISOString(), id);
+    return info.changes > 0;
+  }
+
+  /** revogarPorUsuario(usuario_id, { exceto }) → quantas foram revogadas */
+  async revogarPorUsuario(usuario_id, { exceto = null } = {}) {
+    const info = this.db
+      .prepare(
+        `UPDATE sessoes SET revogada_em = ?
+         WHERE usuario_id = ? AND revogada_em IS NULL AND (? IS NULL OR id <> ?);`
+      )
+      .run(new Date().toISOString(), usuario_id, exceto, exceto);
+    return info.changes;
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * =============================================================================
+ *  src/repositories/TentativaLoginMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para os contadores de falhas de login, com a mesma
+ *  interface (async) do TentativaLoginSqliteRepository.
+ *  - Dados são perdidos ao reiniciar o processo (bloqueios deixam de valer).
+ * =============================================================================
+ */
+
+export class TentativaLoginMemoryRepository {
+  constructor() {
+    this.items = new Map(); // chave -> { chave, falhas, ultima_falha_em, bloqueado_ate }
+  }
+
+  async find(chave) {
+    const found = this.items.get(chave);
+    return found ? { ...found } : null;
+  }
+
+  async registrarFalha(chave, { agora, desde }) {
+    const atual = this.items.get(chave);
+    if (!atual) {
+      this.items.set(chave, {
+        chave,
+        falhas: 1,
+        ultima_falha_em: agora,
+        bloqueado_ate: null,
+      });
+    } else {
+      atual.falhas = atual.ultima_falha_em < desde ? 1 : atual.falhas + 1;
+      atual.ultima_falha_em = agora;
+    }
+    return this.find(chave);
+  }
+
+  async bloquear(chave, bloqueado_ate) {
+    const atual = this.items.get(chave);
+    if (atual) atual.bloqueado_ate = bloqueado_ate;
+  }
+
+  async remove(chave) {
+    return this.items.delete(chave);
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * =============================================================================
+ *  src/repositories/TentativaLoginMySqlRepository.js
+ * -----------------------------------------------------------------------------
+ *  Contadores de falhas de login (proteção contra força bruta) no MySQL, na
+ *  tabela "tentativas_login" (criada em src/config/mysql.js).
+ *
+ *  Por que no banco (e não num Map em memória)?
+ *    - Com várias instâncias da API (ou reinícios), um contador em memória
+ *      seria zerado/dividido e o atacante ganharia tentativas extras.
+ *
+ *  Sobre datas:
+ *    - O service trabalha com ISO strings; aqui convertemos para Date, que o
+ *      mysql2 grava em DATETIME (o service usa new Date(...) na leitura).
+ * =============================================================================
+ */
+
+const COLUNAS = "chave, falhas, ultima_falha_em, bloqueado_ate";
+
+export class TentativaLoginMySqlRepository {
+  /** Recebe o pool do mysql2/promise (vide src/config/mysql.js). */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /** find(chave) → linha ou null */
+  async find(chave) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM tentativas_login WHERE chave = ?;`,
+      [chave]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * registrarFalha(chave, { agora, desde })
+   * Soma uma falha à chave (cria a linha na primeira). Se a última falha é
+   * anterior a "desde" (fora da janela), a contagem recomeça em 1.
+   * O UPSERT é um comando só, então requisições simultâneas não se perdem.
+   * Devolve a linha atualizada.
+   */
+  async registrarFalha(chave, { agora, desde }) {
+    await this.pool.query(
+      `INSERT INTO tentativas_login (chave, falhas, ultima_falha_em)
+       VALUES (?, 1, ?)
+       ON DUPLICATE KEY UPDATE
+         falhas = IF(ultima_falha_em < ?, 1, falhas + 1),
+         ultima_falha_em = VALUES(ultima_falha_em);`,
+      [chave, new Date(agora), new Date(desde)]
+    );
+    return this.find(chave);
+  }
+
+  /** bloquear(chave, bloqueado_ate) — recusa logins da chave até a data */
+  async bloquear(chave, bloqueado_ate) {
+    await this.pool.query(
+      `UPDATE tentativas_login SET bloqueado_ate = ? WHERE chave = ?;`,
+      [new Date(bloqueado_ate), chave]
+    );
+  }
+
+  /** remove(chave) — zera contagem e bloqueio. Retorna true se havia registro. */
+  async remove(chave) {
+    const [result] = await this.pool.query(
+      `DELETE FROM tentativas_login WHERE chave = ?;`,
+      [chave]
+    );
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * =============================================================================
+ *  src/repositories/TentativaLoginSqliteRepository.js
+ * -----------------------------------------------------------------------------
+ *  Contadores de falhas de login (proteção contra força bruta) no SQLite.
+ *  Usado quando os usuários estão no SQLite (fallback do MySQL).
+ *
+ *  Esquema (criado em migrateUsuariosSqlite, src/config/sqlite.js):
+ *    tentativas_login (
+ *      chave            -- "email:<e-mail>" ou "ip:<endereço>"
+ *      falhas           -- falhas seguidas dentro da janela
+ *      ultima_falha_em  -- ISO
+ *      bloqueado_ate    -- ISO; NULL = sem bloqueio
+ *    )
+ *
+ *  Mesma interface (async) do TentativaLoginMySqlRepository.
+ * =============================================================================
+ */
+
+const COLUNAS = "chave, falhas, ultima_falha_em, bloqueado_ate";
+
+export class TentativaLoginSqliteRepository {
+  constructor(sqliteDb) {
+    this.db = sqliteDb;
+  }
+
+  /** find(chave) → linha ou null */
+  async find(chave) {
+    const row = this.db
+      .prepare(`SELECT ${COLUNAS} FROM tentativas_login WHERE chave = ?;`)
+      .get(chave);
+    return row || null;
+  }
+
+  /**
+   * registrarFalha(chave, { agora, desde })
+   * Soma uma falha à chave (cria a linha na primeira). Se a última falha é
+   * anterior a "desde" (fora da janela), a contagem recomeça em 1.
+   * O UPSERT é um comando só, então requisições simultâneas não se perdem.
+   * Devolve a linha atualizada.
+   */
+  async registrarFalha(chave, { agora, desde }) {
+    this.db
+      .prepare(
+        `INSERT INTO tentativas_login (chave, falhas, ultima_falha_em)
+         VALUES (?, 1, ?)
+         ON CONFLICT(chave) DO UPDATE SET
+           falhas = CASE WHEN ultima_falha_em < ? THEN 1 ELSE falhas + 1 END,
+           ultima_falha_em = excluded.ultima_falha_em;`
+      )
+      .run(chave, agora, desde);
+    return this.find(chave);
+  }
+
+  /** bloquear(chave, bloqueado_ate) — recusa logins da chave até a data (ISO) */
+  async bloquear(chave, bloqueado_ate) {
+    this.db
+      .prepare(`UPDATE tentativas_login SET bloqueado_ate = ? WHERE chave = ?;`)
+      .run(bloqueado_ate, chave);
+  }
+
+  /** remove(chave) — zera contagem e bloqueio. Retorna true se havia registro. */
+  async remove(chave) {
+    const info = this.db
+      .prepare(`DELETE FROM tentativas_login WHERE chave = ?;`)
+      .run(chave);
+    return info.changes > 0;
+  }
+}
@@ -5,10 +5,18 @@
  *  Fallback em memória para Usuários, mantendo a mesma interface (async) usada
  *  pelos services (Auth/Usuario).
  *  - Dados são perdidos ao reiniciar o processo.
+ *  - Soft delete: removidos ("deleted_at") ficam fora das buscas, salvo
+ *    { incluirExcluidos: true } e findExcluidos().
+ *  - Multiempresa: com { tenantId }, só usuários daquela empresa.
  * =============================================================================
  */
 
-import { Usuario } from "../models/Usuario.js";
+import { Usuario, CAMPOS_ORDENACAO } from "../models/Usuario.js";
+
+// O usuário pertence à empresa? (sem tenantId = qualquer empresa)
+function daEmpresa(u, tenantId) {
+  return tenantId == null || u.tenant_id === Number(tenantId);
+}
 
 export class UsuarioMemoryRepository {
   constructor(initial = []) {
@@ -18,18 +26,72 @@ export class UsuarioMemoryRepository {
       : 0;
   }
 
-  async findAll() {
-    return [...this.items];
+  async findAll({ tenantId = null, incluirExcluidos = false } = {}) {
+    return this.items.filter(
+      (u) => (incluirExcluidos || !u.deleted_at) && daEmpresa(u, tenantId)
+    );
+  }
+
+  // Mesma semântica do findPagina dos repositórios SQL, feita em JS
+  async findPagina({
+    tenantId = null,
+    busca = null,
+    criadoDe = null,
+    criadoAntesDe = null,
+    ordenarPor = "id",
+    direcao = "desc",
+    limit = 20,
+    offset = 0,
+  } = {}) {
+    if (!CAMPOS_ORDENACAO.includes(ordenarPor)) {
+      throw new Error(`Campo de ordenação inválido: ${ordenarPor}`);
+    }
+    const termo = busca ? busca.toLowerCase() : null;
+    const de = criadoDe ? new Date(criadoDe).getTime() : null;
+    const antes = criadoAntesDe ? new Date(criadoAntesDe).getTime() : null;
+    const sinal = direcao === "asc" ? 1 : -1;
+    const comparar = (a, b) => {
+      const va = a[ordenarPor];
+      const vb = b[ordenarPor];
+      const c = typeof va === "number" ? va - vb : String(va).localeCompare(String(vb));
+      return sinal * (c || a.id - b.id);
+    };
+
+    const filtrados = this.items
+      .filter((u) => !u.deleted_at && daEmpresa(u, tenantId))
+      .filter(
+        (u) =>
+          !termo ||
+          u.nome.toLowerCase().includes(termo) ||
+          u.email.toLowerCase().includes(termo)
+      )
+      .filter((u) => de == null || new Date(u.created_at).getTime() >= de)
+      .filter((u) => antes == null || new Date(u.created_at).getTime() < antes)
+      .sort(comparar);
+    return { itens: filtrados.slice(offset, offset + limit), total: filtrados.length };
+  }
+
+  async findExcluidos({ tenantId = null } = {}) {
+    return this.items
+      .filter((u) => u.deleted_at && daEmpresa(u, tenantId))
+      .sort((a, b) => b.deleted_at.localeCompare(a.deleted_at) || b.id - a.id);
   }
 
-  async findById(id) {
-    const found = this.items.find((u) => Number(u.id) === Number(id));
+  async findById(id, { incluirExcluidos = false, tenantId = null } = {}) {
+    const found = this.items.find(
+      (u) =>
+        Number(u.id) === Number(id) &&
+        (incluirExcluidos || !u.deleted_at) &&
+        daEmpresa(u, tenantId)
+    );
     return found || null;
   }
 
-  async findByEmail(email) {
+  async findByEmail(email, { incluirExcluidos = false } = {}) {
     const e = String(email).trim().toLowerCase();
-    const found = this.items.find((u) => u.email === e);
+    const found = this.items.find(
+      (u) => u.email === e && (incluirExcluidos || !u.deleted_at)
+    );
     return found || null;
   }
 
@@ -39,31 +101,188 @@ export class UsuarioMemoryRepository {
       nome: usuarioModel.nome,
       email: usuarioModel.email,
       senha_hash: usuarioModel.senha_hash,
+      senha_historico: usuarioModel.senha_historico,
+      papel: usuarioModel.papel,
+      email_verificado_em: usuarioModel.email_verificado_em,
+      token_version: usuarioModel.token_version,
+      totp_secret: usuarioModel.totp_secret,
+      totp_ativo: usuarioModel.totp_ativo,
+      totp_recovery: usuarioModel.totp_recovery,
+      totp_ultimo_passo: usuarioModel.totp_ultimo_passo,
+      anonimizado_em: usuarioModel.anonimizado_em,
+      tenant_id: usuarioModel.tenant_id,
+      cpf: usuarioModel.cpf,
+      telefone: usuarioModel.telefone,
+      preferencias: usuarioModel.preferencias,
       created_at: new Date().toISOString(),
     });
     this.items.unshift(novo);
     return novo;
   }
 
-  async update(id, { nome, email }) {
+  async createMany(usuarioModels) {
+    // Confere tudo ANTES de inserir (entram todos ou nenhum, como nos SQL)
+    const emails = usuarioModels.map((m) => m.email);
+    const repetido = emails.find(
+      (e, i) => emails.indexOf(e) !== i || this.items.some((u) => u.email === e)
+    );
+    if (repetido) throw new Error(`E-mail já cadastrado: ${repetido}`);
+
+    const criados = [];
+    for (const m of usuarioModels) criados.push(await this.create(m));
+    return criados;
+  }
+
+  // Migração entre backends: mantém id e senha_hash de origem. Confere os
+  // e-mails antes de gravar (entra tudo ou nada, como nos SQL).
+  async gravarCopias({ novos = [], atualizar = [] } = {}) {
+    if (novos.some((m) => this.items.some((u) => Number(u.id) === Number(m.id)))) {
+      throw new Error("Id já existe no destino.");
+    }
+    const ids = new Set([...novos, ...atualizar].map((m) => Number(m.id)));
+    const donoDoEmail = new Map(
+      this.items.filter((u) => !ids.has(Number(u.id))).map((u) => [u.email, u.id])
+    );
+    for (const m of [...atualizar, ...novos]) {
+      const dono = donoDoEmail.get(m.email);
+      if (dono != null && Number(dono) !== Number(m.id)) {
+        throw new Error(`E-mail já cadastrado: ${m.email}`);
+      }
+      donoDoEmail.set(m.email, m.id);
+    }
+
+    const porId = new Map(atualizar.map((m) => [Number(m.id), m]));
+    this.items = this.items.map((u) =>
+      porId.has(Number(u.id)) ? Usuario.fromPlain(porId.get(Number(u.id)).toPlain()) : u
+    );
+    this.items.push(...novos.map((m) => Usuario.fromPlain(m.toPlain())));
+    this.items.sort((a, b) => b.id - a.id); // mesma ordem do create (mais novo primeiro)
+    this._idSeq = Math.max(this._idSeq, ...this.items.map((u) => Number(u.id)));
+    return { inseridos: novos.length, atualizados: atualizar.length };
+  }
+
+  async update(id, { nome, email, papel }, { tenantId = null } = {}) {
     const idx = this.items.findIndex((u) => Number(u.id) === Number(id));
-    if (idx < 0) return null;
+    if (idx < 0 || this.items[idx].deleted_at || !daEmpresa(this.items[idx], tenantId)) {
+      return null;
+    }
     const atual = this.items[idx];
     const atualizado = new Usuario({
+      ...atual.toPlain(),
       id: Number(id),
       nome: nome ?? atual.nome,
       email: email ?? atual.email,
-      senha_hash: atual.senha_hash,
-      created_at: atual.created_at,
+      papel: papel ?? atual.papel,
     });
+    // E-mail novo precisa ser confirmado de novo
+    if (atualizado.email !== atual.email) atualizado.email_verificado_em = null;
     this.items[idx] = atualizado;
     return atualizado;
   }
 
-  async delete(id) {
-    const prevLen = this.items.length;
-    this.items = this.items.filter((u) => Number(u.id) !== Number(id));
-    return this.items.length !== prevLen;
+  async updatePerfil(id, { cpf, telefone, preferencias } = {}, { tenantId = null } = {}) {
+    const atual = await this.findById(id, { tenantId });
+    if (!atual) return null;
+    if (cpf !== undefined) atual.cpf = cpf;
+    if (telefone !== undefined) atual.telefone = telefone;
+    if (preferencias !== undefined) atual.preferencias = { ...preferencias };
+    return atual;
+  }
+
+  async definirEmpresa(id, tenantId) {
+    const atual = await this.findById(id);
+    if (!atual) return false;
+    atual.tenant_id = Number(tenantId); // JWT antigos (outro tenant_id) param de valer
+    return true;
+  }
+
+  async updateSenha(id, senha_hash, { historico } = {}) {
+    const atual = await this.findById(id);
+    if (!atual) return false;
+    atual.senha_hash = senha_hash;
+    if (historico) atual.senha_historico = [...historico];
+    atual.token_version += 1; // invalida os JWT emitidos antes da troca
+    return true;
+  }
+
+  async atualizarHashSenha(id, hashAntigo, hashNovo) {
+    const atual = await this.findById(id);
+    if (!atual || atual.senha_hash !== hashAntigo) return false;
+    atual.senha_hash = hashNovo; // mesma senha: histórico e token_version ficam
+    return true;
+  }
+
+  async marcarEmailVerificado(id) {
+    const atual = await this.findById(id);
+    if (!atual) return null;
+    atual.email_verificado_em ??= new Date().toISOString();
+    return atual;
+  }
+
+  async updateTotp(id, { totp_secret, totp_ativo, totp_recovery }) {
+    const atual = await this.findById(id);
+    if (!atual) return false;
+    atual.totp_secret = totp_secret ?? null;
+    atual.totp_ativo = Boolean(totp_ativo);
+    atual.totp_recovery = [...(totp_recovery || [])];
+    atual.totp_ultimo_passo = null;
+    return true;
+  }
+
+  async registrarPassoTotp(id, passo) {
+    const atual = await this.findById(id);
+    if (!atual) return false;
+    if (atual.totp_ultimo_passo != null && atual.totp_ultimo_passo >= passo) {
+      return false; // código já usado (anti-replay)
+    }
+    atual.totp_ultimo_passo = passo;
+    return true;
+  }
+
+  async consumirCodigoRecuperacao(id, { antes, depois }) {
+    const atual = await this.findById(id);
+    if (!atual) return false;
+    if (JSON.stringify(atual.totp_recovery) !== JSON.stringify(antes)) return false;
+    atual.totp_recovery = [...depois];
+    return true;
+  }
+
+  async anonimizar(id, { nome, email, senha_hash }) {
+    const idx = this.items.findIndex((u) => Number(u.id) === Number(id));
+    if (idx < 0 || this.items[idx].anonimizado_em) return false;
+    const atual = this.items[idx];
+    this.items[idx] = new Usuario({
+      id: atual.id,
+      nome,
+      email,
+      senha_hash,
+      papel: "leitura",
+      token_version: atual.token_version + 1, // invalida os JWT emitidos antes
+      anonimizado_em: new Date().toISOString(),
+      tenant_id: atual.tenant_id,
+      created_at: atual.created_at,
+    });
+    return true;
+  }
+
+  async count({ papel, tenantId = null } = {}) {
+    const ativos = this.items.filter((u) => !u.deleted_at && daEmpresa(u, tenantId));
+    return papel ? ativos.filter((u) => u.papel === papel).length : ativos.length;
+  }
+
+  async delete(id, { tenantId = null } = {}) {
+    // Soft delete: false se não existe ou já estava removido
+    const atual = await this.findById(id, { tenantId });
+    if (!atual) return false;
+    atual.deleted_at = new Date().toISOString();
+    return true;
+  }
+
+  async restore(id, { tenantId = null } = {}) {
+    const atual = await this.findById(id, { incluirExcluidos: true, tenantId });
+    if (!atual?.deleted_at) return false;
+    atual.deleted_at = null;
+    return true;
   }
 }
 
@@ -25,10 +25,38 @@
  *      checagem de negócio no Service).
  *    - Para operações MÚLTIPLAS que precisam ser atômicas, use transações
  *      (pool.getConnection() + beginTransaction/commit/rollback).
+ *
+ *  SOFT DELETE:
+ *    - delete(id) só preenche "deleted_at"; restore(id) limpa de volta.
+ *    - Usuários removidos ficam FORA de findAll/findById/findByEmail/count —
+ *      para o resto da API (login, refresh, authMiddleware, API keys) eles
+ *      simplesmente não existem. Quem precisa enxergá-los (admin, checagem de
+ *      e-mail único) passa { incluirExcluidos: true } ou usa findExcluidos().
+ *
+ *  MULTIEMPRESA:
+ *    - A coluna "tenant_id" guarda a empresa do usuário. Com { tenantId },
+ *      findAll/findExcluidos/findById/count/update/delete/restore só
+ *      alcançam usuários daquela empresa (o admin de uma empresa não vê nem
+ *      altera os de outra). Sem ele, valem para todos — login, authMiddleware
+ *      e tarefas internas. findByEmail é sempre global: o e-mail é único no
+ *      sistema inteiro.
  * =============================================================================
  */
 
-import { Usuario } from "../models/Usuario.js";
+import { Usuario, CAMPOS_ORDENACAO } from "../models/Usuario.js";
+
+// Colunas lidas em todos os SELECTs (mantidas em um lugar só).
+const COLUNAS =
+  "id, nome, email, senha_hash, senha_historico_json, papel, email_verificado_em, " +
+  "token_version, totp_secret, totp_ativo, totp_recovery_json, totp_ultimo_passo, " +
+  "anonimizado_em, deleted_at, tenant_id, cpf, telefone, preferencias_json, created_at";
+
+// Trecho de WHERE que restringe à empresa (vazio quando tenantId não vem)
+function porEmpresa(tenantId) {
+  return tenantId == null
+    ? { sql: "", params: [] }
+    : { sql: "AND tenant_id = ?", params: [Number(tenantId)] };
+}
 
 export class UsuarioMySqlRepository {
   /**
@@ -41,7 +69,7 @@ export class UsuarioMySqlRepository {
 
   /**
    * -----------------------------------------------------------------------------
-   * findAll()
+   * findAll({ tenantId, incluirExcluidos })
    * -----------------------------------------------------------------------------
    * Retorna TODOS os usuários, ordenados do id mais recente para o mais antigo.
    *
@@ -49,22 +77,113 @@ export class UsuarioMySqlRepository {
    *  - SQL com ORDER BY id DESC para lista "mais recente primeiro".
    *  - rows → array de objetos "brutos" do MySQL; convertemos cada um para Model.
    *
+   *  - Usuários removidos (deleted_at preenchido) não entram, salvo
+   *    incluirExcluidos: true (migração entre backends copia a tabela toda).
+   *
    * DICA:
    *  - Para tabelas grandes, considere paginação (LIMIT/OFFSET) e filtros.
    */
-  async findAll() {
+  async findAll({ tenantId = null, incluirExcluidos = false } = {}) {
+    const empresa = porEmpresa(tenantId);
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM usuarios
+        WHERE ${incluirExcluidos ? "1 = 1" : "deleted_at IS NULL"} ${empresa.sql}
+        ORDER BY id DESC;`,
+      empresa.params
+    );
+    // rows: Array<{ id, nome, email, senha_hash, papel, ..., created_at }>
+    return rows.map((r) => Usuario.fromDbRow(r));
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * findPagina({ tenantId, busca, criadoDe, criadoAntesDe, ordenarPor, direcao,
+   *              limit, offset })
+   * -----------------------------------------------------------------------------
+   * Uma PÁGINA da listagem (GET /api/usuarios), com tudo feito no SQL:
+   *  - busca         : trecho do nome OU do e-mail (LIKE %busca%; "%" e "_"
+   *                    digitados pelo usuário valem como texto, não coringa).
+   *  - criadoDe      : created_at >= (ISO)
+   *  - criadoAntesDe : created_at <  (ISO) — intervalo semiaberto, o Service
+   *                    converte "até 2025-03-31" em "antes de 2025-04-01".
+   *  - ordenarPor    : um dos CAMPOS_ORDENACAO (o nome da coluna entra no SQL,
+   *                    por isso a lista fechada); empate desempata por id.
+   *  - limit/offset  : a página em si.
+   *
+   * RETORNO:
+   *  - { itens: Usuario[], total } — "total" conta TODOS os que passam nos
+   *    filtros (sem LIMIT), para o cliente saber quantas páginas existem.
+   *  - Removidos (soft delete) não entram.
+   */
+  async findPagina({
+    tenantId = null,
+    busca = null,
+    criadoDe = null,
+    criadoAntesDe = null,
+    ordenarPor = "id",
+    direcao = "desc",
+    limit = 20,
+    offset = 0,
+  } = {}) {
+    if (!CAMPOS_ORDENACAO.includes(ordenarPor)) {
+      throw new Error(`Campo de ordenação inválido: ${ordenarPor}`);
+    }
+    const dir = direcao === "asc" ? "ASC" : "DESC";
+    const empresa = porEmpresa(tenantId);
+    const condicoes = ["deleted_at IS NULL"];
+    const params = [];
+    if (busca) {
+      // No MySQL a barra invertida já é o escape padrão do LIKE
+      const termo = `%${busca.replace(/[\\%_]/g, "\\$&")}%`;
+      condicoes.push("(nome LIKE ? OR email LIKE ?)");
+      params.push(termo, termo);
+    }
+    if (criadoDe) {
+      condicoes.push("created_at >= ?");
+      params.push(new Date(criadoDe));
+    }
+    if (criadoAntesDe) {
+      condicoes.push("created_at < ?");
+      params.push(new Date(criadoAntesDe));
+    }
+    const where = `WHERE ${condicoes.join(" AND ")} ${empresa.sql}`;
+    params.push(...empresa.params);
+
+    const [[{ n }]] = await this.pool.query(
+      `SELECT COUNT(*) AS n FROM usuarios ${where};`,
+      params
+    );
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM usuarios ${where}
+        ORDER BY ${ordenarPor} ${dir}, id ${dir}
+        LIMIT ? OFFSET ?;`,
+      [...params, limit, offset]
+    );
+    return { itens: rows.map((r) => Usuario.fromDbRow(r)), total: Number(n) };
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * findExcluidos({ tenantId })
+   * -----------------------------------------------------------------------------
+   * Usuários removidos (soft delete), os mais recentemente removidos primeiro.
+   * Listagem do admin, para decidir o que restaurar.
+   */
+  async findExcluidos({ tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
     const [rows] = await this.pool.query(
-      "SELECT id, nome, email, senha_hash, created_at FROM usuarios ORDER BY id DESC;"
+      `SELECT ${COLUNAS} FROM usuarios WHERE deleted_at IS NOT NULL ${empresa.sql}
+        ORDER BY deleted_at DESC, id DESC;`,
+      empresa.params
     );
-    // rows: Array<{ id, nome, email, senha_hash, created_at }>
     return rows.map((r) => Usuario.fromDbRow(r));
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * findById(id)
+   * findById(id, { incluirExcluidos, tenantId })
    * -----------------------------------------------------------------------------
-   * Busca UM usuário pelo ID.
+   * Busca UM usuário pelo ID. Removidos só voltam com incluirExcluidos: true.
    *
    * SEGURANÇA:
    *  - O uso de "?" (placeholders) previne SQL Injection, pois o driver faz
@@ -74,26 +193,31 @@ export class UsuarioMySqlRepository {
    *  - Model Usuario se encontrou
    *  - null se não encontrou
    */
-  async findById(id) {
+  async findById(id, { incluirExcluidos = false, tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
     const [rows] = await this.pool.query(
-      "SELECT id, nome, email, senha_hash, created_at FROM usuarios WHERE id = ?;",
-      [id] // ← parâmetro seguro
+      `SELECT ${COLUNAS} FROM usuarios
+        WHERE id = ? ${incluirExcluidos ? "" : "AND deleted_at IS NULL"} ${empresa.sql};`,
+      [id, ...empresa.params] // ← parâmetros seguros
     );
     return rows[0] ? Usuario.fromDbRow(rows[0]) : null;
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * findByEmail(email)
+   * findByEmail(email, { incluirExcluidos })
    * -----------------------------------------------------------------------------
    * Busca UM usuário pelo e-mail (campo que deve ser UNIQUE no BD).
    *
    * USO:
    *  - O Service utiliza este método para validar unicidade antes de criar/atualizar.
+   *    Nesse caso passa incluirExcluidos: true — o e-mail de um usuário
+   *    removido continua ocupado (o UNIQUE vale para a tabela toda).
    */
-  async findByEmail(email) {
+  async findByEmail(email, { incluirExcluidos = false } = {}) {
     const [rows] = await this.pool.query(
-      "SELECT id, nome, email, senha_hash, created_at FROM usuarios WHERE email = ?;",
+      `SELECT ${COLUNAS} FROM usuarios
+        WHERE email = ? ${incluirExcluidos ? "" : "AND deleted_at IS NULL"};`,
       [email]
     );
     return rows[0] ? Usuario.fromDbRow(rows[0]) : null;
@@ -117,10 +241,10 @@ export class UsuarioMySqlRepository {
    */
   async create(usuarioModel) {
     const sql =
-      "INSERT INTO usuarios (nome, email, senha_hash) VALUES (?, ?, ?);";
+      "INSERT INTO usuarios (nome, email, senha_hash, papel, tenant_id) VALUES (?, ?, ?, ?, ?);";
     const [result] = await this.pool.query(
       sql,
-      usuarioModel.toDbInsertParams() // → [nome, email, senha_hash]
+      usuarioModel.toDbInsertParams() // → [nome, email, senha_hash, papel, tenant_id]
     );
     // result.insertId → id gerado pelo AUTO_INCREMENT
     return this.findById(result.insertId);
@@ -128,43 +252,380 @@ export class UsuarioMySqlRepository {
 
   /**
    * -----------------------------------------------------------------------------
-   * update(id, { nome, email })
+   * createMany(usuarioModels)
+   * -----------------------------------------------------------------------------
+   * Insere VÁRIOS usuários numa TRANSAÇÃO (importação por CSV): ou entram
+   * todos, ou nenhum. Um e-mail duplicado (ER_DUP_ENTRY) no meio do lote
+   * desfaz os anteriores e o erro sobe para o Service.
+   *
+   * RETORNO:
+   *  - Array de Models, na mesma ordem da entrada.
+   */
+  async createMany(usuarioModels) {
+    const sql =
+      "INSERT INTO usuarios (nome, email, senha_hash, papel, tenant_id) VALUES (?, ?, ?, ?, ?);";
+    const conn = await this.pool.getConnection();
+    const ids = [];
+    try {
+      await conn.beginTransaction();
+      for (const m of usuarioModels) {
+        const [result] = await conn.query(sql, m.toDbInsertParams());
+        ids.push(result.insertId);
+      }
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+    return Promise.all(ids.map((id) => this.findById(id)));
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * gravarCopias({ novos, atualizar })
    * -----------------------------------------------------------------------------
-   * Atualiza UM usuário (nome e e-mail).
+   * Grava usuários vindos de OUTRO backend (migração após uma queda do MySQL,
+   * ver MigracaoUsuarioService), numa TRANSAÇÃO:
+   *  - "novos"    : INSERT com TODAS as colunas, inclusive o id e a
+   *                 senha_hash de origem (o AUTO_INCREMENT passa a contar a
+   *                 partir do maior id, sozinho);
+   *  - "atualizar": UPDATE de todas as colunas da linha com o mesmo id.
+   * Qualquer erro (ex.: ER_DUP_ENTRY no e-mail) desfaz o lote inteiro.
+   *
+   * DATAS:
+   *  - O Model guarda ISO ("...T12:34:56.789Z"); DATETIME do MySQL recebe Date.
+   *
+   * RETORNO:
+   *  - { inseridos, atualizados }
+   */
+  async gravarCopias({ novos = [], atualizar = [] } = {}) {
+    const nomes = COLUNAS.split(", ");
+    const semId = nomes.filter((c) => c !== "id");
+    const valor = (row, c) =>
+      row[c] != null && (c.endsWith("_em") || c.endsWith("_at")) ? new Date(row[c]) : row[c];
+
+    const conn = await this.pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      for (const m of novos) {
+        const row = m.toDbRow();
+        await conn.query(
+          `INSERT INTO usuarios (${COLUNAS}) VALUES (${nomes.map(() => "?").join(", ")});`,
+          nomes.map((c) => valor(row, c))
+        );
+      }
+      for (const m of atualizar) {
+        const row = m.toDbRow();
+        await conn.query(
+          `UPDATE usuarios SET ${semId.map((c) => `${c} = ?`).join(", ")} WHERE id = ?;`,
+          [...semId.map((c) => valor(row, c)), row.id]
+        );
+      }
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+    return { inseridos: novos.length, atualizados: atualizar.length };
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * update(id, { nome, email, papel }, { tenantId })
+   * -----------------------------------------------------------------------------
+   * Atualiza UM usuário (nome, e-mail e/ou papel).
    *
    * DETALHES:
    *  - Este método NÃO mexe na senha_hash (fluxo separado para troca de senha).
-   *  - Se o id não existir, o UPDATE não altera linhas; depois, findById(id)
-   *    retornará null. O Service traduz isso para "Usuário não encontrado".
+   *  - Campos não enviados (undefined/null) mantêm o valor atual: COALESCE(?, coluna).
+   *  - E-mail DIFERENTE do atual zera email_verificado_em: o endereço novo
+   *    precisa ser confirmado de novo. No MySQL o SET é avaliado da esquerda
+   *    para a direita, por isso essa coluna vem ANTES de "email" (compara com
+   *    o e-mail antigo).
+   *  - Se o id não existir (ou o usuário estiver removido), o UPDATE não altera
+   *    linhas; depois, findById(id) retornará null. O Service traduz isso para
+   *    "Usuário não encontrado".
    *
    * OBSERVAÇÃO:
    *  - Em caso de alteração de e-mail, UNIQUE(email) pode disprar erro se colidir.
    *    O Service valida antes, mas é bom manter o UNIQUE por segurança.
    */
-  async update(id, { nome, email }) {
+  async update(id, { nome, email, papel }, { tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
     await this.pool.query(
-      "UPDATE usuarios SET nome = ?, email = ? WHERE id = ?;",
-      [nome, email, id]
+      `UPDATE usuarios
+          SET email_verificado_em = CASE WHEN ? IS NULL OR ? = email
+                                         THEN email_verificado_em ELSE NULL END,
+              nome = COALESCE(?, nome), email = COALESCE(?, email), papel = COALESCE(?, papel)
+        WHERE id = ? AND deleted_at IS NULL ${empresa.sql};`,
+      [email ?? null, email ?? null, nome ?? null, email ?? null, papel ?? null, id, ...empresa.params]
+    );
+    return this.findById(id, { tenantId });
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * updatePerfil(id, { cpf, telefone, preferencias }, { tenantId })
+   * -----------------------------------------------------------------------------
+   * Dados pessoais opcionais do perfil (PATCH /api/auth/me e
+   * /api/auth/me/preferencias; PUT /api/usuarios/:id para cpf/telefone).
+   *
+   * DETALHES:
+   *  - Só as chaves ENVIADAS entram no SET; null limpa o campo (por isso não
+   *    dá para usar COALESCE, como no update()).
+   *  - Os valores chegam já validados e normalizados pelo Model (CPF só com
+   *    dígitos, telefone E.164, preferências completas → JSON).
+   *
+   * RETORNO:
+   *  - Model atualizado, ou null se o id não existir / estiver removido.
+   */
+  async updatePerfil(id, { cpf, telefone, preferencias } = {}, { tenantId = null } = {}) {
+    const definidas = Object.entries({
+      cpf,
+      telefone,
+      preferencias_json: preferencias === undefined ? undefined : JSON.stringify(preferencias),
+    }).filter(([, valor]) => valor !== undefined);
+    if (definidas.length) {
+      const empresa = porEmpresa(tenantId);
+      await this.pool.query(
+        `UPDATE usuarios SET ${definidas.map(([coluna]) => `${coluna} = ?`).join(", ")}
+          WHERE id = ? AND deleted_at IS NULL ${empresa.sql};`,
+        [...definidas.map(([, valor]) => valor), id, ...empresa.params]
+      );
+    }
+    return this.findById(id, { tenantId });
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * definirEmpresa(id, tenantId)
+   * -----------------------------------------------------------------------------
+   * Move o usuário para outra empresa (ação dos admins da EMPRESA_PADRAO).
+   * Os JWT emitidos antes trazem o "tenant_id" antigo e passam a ser
+   * recusados pelo authMiddleware. Retorna false se o id não existir.
+   */
+  async definirEmpresa(id, tenantId) {
+    const [result] = await this.pool.query(
+      "UPDATE usuarios SET tenant_id = ? WHERE id = ? AND deleted_at IS NULL;",
+      [Number(tenantId), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * updateSenha(id, senha_hash, { historico })
+   * -----------------------------------------------------------------------------
+   * Troca SOMENTE o hash da senha (fluxo separado do update de dados básicos).
+   * Quem chama (AuthService) já gerou o hash com bcrypt.
+   *
+   * "historico" (opcional) é a nova lista de hashes anteriores, já cortada no
+   * tamanho da política de senha (SENHA_HISTORICO); sem ela, fica a atual.
+   *
+   * Também incrementa "token_version": todo JWT emitido antes da troca passa
+   * a ser recusado pelo authMiddleware (logout dos outros dispositivos).
+   *
+   * RETORNO:
+   *  - true se alguma linha foi alterada (usuário existe), false caso contrário.
+   */
+  async updateSenha(id, senha_hash, { historico } = {}) {
+    const [result] = await this.pool.query(
+      `UPDATE usuarios
+          SET senha_hash = ?,
+              senha_historico_json = COALESCE(?, senha_historico_json),
+              token_version = token_version + 1
+        WHERE id = ?;`,
+      [senha_hash, historico ? JSON.stringify(historico) : null, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * atualizarHashSenha(id, hashAntigo, hashNovo)
+   * -----------------------------------------------------------------------------
+   * Re-hash no login: MESMA senha, hash mais forte (custo maior ou outro
+   * algoritmo). Diferente do updateSenha, não mexe no histórico nem na
+   * token_version — ninguém é deslogado.
+   *
+   * O "senha_hash = hashAntigo" no WHERE evita sobrescrever uma troca de senha
+   * que aconteça no meio do caminho.
+   *
+   * RETORNO:
+   *  - true se o hash foi trocado, false caso contrário.
+   */
+  async atualizarHashSenha(id, hashAntigo, hashNovo) {
+    const [result] = await this.pool.query(
+      `UPDATE usuarios SET senha_hash = ? WHERE id = ? AND senha_hash = ?;`,
+      [hashNovo, id, hashAntigo]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * marcarEmailVerificado(id)
+   * -----------------------------------------------------------------------------
+   * Registra AGORA como o momento em que o e-mail foi confirmado (link de
+   * verificação). Só preenche se ainda estiver vazio (mantém a 1ª data).
+   */
+  async marcarEmailVerificado(id) {
+    await this.pool.query(
+      `UPDATE usuarios SET email_verificado_em = COALESCE(email_verificado_em, ?)
+        WHERE id = ?;`,
+      [new Date(), id]
     );
     return this.findById(id);
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * delete(id)
+   * updateTotp(id, { totp_secret, totp_ativo, totp_recovery })
+   * -----------------------------------------------------------------------------
+   * Grava o estado do 2FA de uma vez (configurar, confirmar ou desligar).
+   * "totp_recovery" é o array de hashes → coluna totp_recovery_json.
+   * Também zera "totp_ultimo_passo" (segredo novo, contagem nova).
+   */
+  async updateTotp(id, { totp_secret, totp_ativo, totp_recovery }) {
+    const [result] = await this.pool.query(
+      `UPDATE usuarios
+          SET totp_secret = ?, totp_ativo = ?, totp_recovery_json = ?,
+              totp_ultimo_passo = NULL
+        WHERE id = ?;`,
+      [
+        totp_secret ?? null,
+        totp_ativo ? 1 : 0,
+        totp_recovery?.length ? JSON.stringify(totp_recovery) : null,
+        id,
+      ]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * registrarPassoTotp(id, passo)
    * -----------------------------------------------------------------------------
-   * Remove UM usuário pelo id.
+   * Anti-replay: guarda o passo (janela de 30s) do código aceito, mas SÓ se ele
+   * for mais novo que o último usado. Retorna false se o código (ou um mais
+   * recente) já foi usado — inclusive por uma requisição simultânea.
+   */
+  async registrarPassoTotp(id, passo) {
+    const [result] = await this.pool.query(
+      `UPDATE usuarios SET totp_ultimo_passo = ?
+        WHERE id = ? AND (totp_ultimo_passo IS NULL OR totp_ultimo_passo < ?);`,
+      [passo, id, passo]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * consumirCodigoRecuperacao(id, { antes, depois })
+   * -----------------------------------------------------------------------------
+   * Troca a lista de hashes "antes" pela lista "depois" (sem o código usado).
+   * O "WHERE totp_recovery_json = antes" faz um compare-and-swap: se outra
+   * requisição consumiu um código no meio do caminho, nada muda e volta false.
+   */
+  async consumirCodigoRecuperacao(id, { antes, depois }) {
+    const [result] = await this.pool.query(
+      `UPDATE usuarios SET totp_recovery_json = ?
+        WHERE id = ? AND totp_recovery_json = ?;`,
+      [JSON.stringify(depois), id, JSON.stringify(antes)]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * anonimizar(id, { nome, email, senha_hash })
+   * -----------------------------------------------------------------------------
+   * Exclusão de conta a pedido do titular (LGPD): a LINHA fica (notas apontam
+   * para o id), mas os dados pessoais são sobrescritos pelos valores recebidos
+   * (marcadores genéricos, montados no UsuarioService). De quebra:
+   *  - apaga histórico de senhas, 2FA e verificação de e-mail;
+   *  - rebaixa para "leitura" (não conta mais como admin);
+   *  - incrementa "token_version" (todo JWT emitido antes deixa de valer).
+   * Retorna false se o id não existir ou a conta já estiver anonimizada.
+   */
+  async anonimizar(id, { nome, email, senha_hash }) {
+    const [result] = await this.pool.query(
+      `UPDATE usuarios
+          SET nome = ?, email = ?, senha_hash = ?, senha_historico_json = NULL,
+              papel = 'leitura', email_verificado_em = NULL,
+              totp_secret = NULL, totp_ativo = 0, totp_recovery_json = NULL,
+              totp_ultimo_passo = NULL, token_version = token_version + 1,
+              cpf = NULL, telefone = NULL, preferencias_json = NULL,
+              anonimizado_em = ?
+        WHERE id = ? AND anonimizado_em IS NULL;`,
+      [nome, email, senha_hash, new Date(), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * count({ papel, tenantId })
+   * -----------------------------------------------------------------------------
+   * Conta usuários (opcionalmente só de um papel e/ou de uma empresa). Usado no
+   * bootstrap do admin (o primeiro usuário cadastrado vira "admin") e na
+   * proteção do último admin de cada empresa. Removidos não contam.
+   */
+  async count({ papel, tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
+    const [rows] = papel
+      ? await this.pool.query(
+          `SELECT COUNT(*) AS n FROM usuarios
+            WHERE papel = ? AND deleted_at IS NULL ${empresa.sql};`,
+          [papel, ...empresa.params]
+        )
+      : await this.pool.query(
+          `SELECT COUNT(*) AS n FROM usuarios WHERE deleted_at IS NULL ${empresa.sql};`,
+          empresa.params
+        );
+    return Number(rows[0].n);
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * delete(id, { tenantId })
+   * -----------------------------------------------------------------------------
+   * Remove UM usuário pelo id — SOFT DELETE: só preenche "deleted_at". As
+   * notas continuam apontando para o id e o admin pode restaurar depois.
    *
    * RETORNO:
-   *  - Aqui devolvemos "true" sempre (simples).
-   *  - Alternativa (mais informativa): checar "affectedRows" e retornar (affectedRows > 0).
-   *    Exemplo:
-   *      const [res] = await this.pool.query("DELETE FROM usuarios WHERE id = ?;", [id]);
-   *      return res.affectedRows > 0;
+   *  - true  → removeu agora;
+   *  - false → id inexistente OU já removido ("affectedRows" = 0).
    */
-  async delete(id) {
-    await this.pool.query("DELETE FROM usuarios WHERE id = ?;", [id]);
-    return true;
+  async delete(id, { tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
+    const [result] = await this.pool.query(
+      `UPDATE usuarios SET deleted_at = ?
+        WHERE id = ? AND deleted_at IS NULL ${empresa.sql};`,
+      [new Date(), id, ...empresa.params]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * restore(id, { tenantId })
+   * -----------------------------------------------------------------------------
+   * Desfaz o soft delete (limpa "deleted_at").
+   * Retorna false se o id não existir ou não estiver removido.
+   */
+  async restore(id, { tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
+    const [result] = await this.pool.query(
+      `UPDATE usuarios SET deleted_at = NULL
+        WHERE id = ? AND deleted_at IS NOT NULL ${empresa.sql};`,
+      [id, ...empresa.params]
+    );
+    return result.affectedRows > 0;
   }
 }
 
@@ -190,9 +651,9 @@ export class UsuarioMySqlRepository {
  *     }
  *
  * - Paginação:
- *     * Para listar com paginação:
- *         SELECT ... FROM usuarios ORDER BY id DESC LIMIT ? OFFSET ?;
- *       Receba page/limit no Service e converta para LIMIT/OFFSET aqui.
+ *     * findPagina() usa LIMIT/OFFSET: simples, mas o banco ainda percorre as
+ *       linhas puladas. Para tabelas enormes, troque por paginação por cursor
+ *       ("WHERE id < ? ORDER BY id DESC LIMIT ?").
  *
  * - Logs:
  *     * Evite logar "senha_hash". Em erros, registre apenas informações úteis
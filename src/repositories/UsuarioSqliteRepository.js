@@ -5,58 +5,131 @@
  *  Fallback para Usuários usando SQLite (mesmo arquivo do SQLite das notas).
  *  Mantém a mesma interface do UsuarioMySqlRepository (métodos async),
  *  mas implementa via better-sqlite3 (síncrono) sob o capô.
+ *  - Soft delete: removidos ("deleted_at") ficam fora das buscas, salvo
+ *    { incluirExcluidos: true } e findExcluidos().
+ *  - Multiempresa: com { tenantId }, leituras e escritas só alcançam usuários
+ *    daquela empresa. Sem ele, valem para todos (login, JWT, tarefas internas).
  * =============================================================================
  */
 
-import { Usuario } from "../models/Usuario.js";
+import { Usuario, CAMPOS_ORDENACAO } from "../models/Usuario.js";
+import { migrateUsuariosSqlite } from "../config/sqlite.js";
+
+// Colunas lidas em todos os SELECTs (mantidas em um lugar só).
+const COLUNAS =
+  "id, nome, email, senha_hash, senha_historico_json, papel, email_verificado_em, " +
+  "token_version, totp_secret, totp_ativo, totp_recovery_json, totp_ultimo_passo, " +
+  "anonimizado_em, deleted_at, tenant_id, cpf, telefone, preferencias_json, created_at";
+
+// Trecho de WHERE que restringe à empresa (vazio quando tenantId não vem)
+function porEmpresa(tenantId) {
+  return tenantId == null
+    ? { sql: "", params: [] }
+    : { sql: "AND tenant_id = ?", params: [Number(tenantId)] };
+}
 
 export class UsuarioSqliteRepository {
   constructor(sqliteDb) {
     this.db = sqliteDb;
-    // Garante tabela (também criada em initSqlite, mas mantemos idempotência aqui)
-    this.db
+    // Garante tabela/colunas (também feito em initSqlite, mas mantemos idempotência aqui)
+    migrateUsuariosSqlite(this.db);
+  }
+
+  async findAll({ tenantId = null, incluirExcluidos = false } = {}) {
+    const empresa = porEmpresa(tenantId);
+    const rows = this.db
       .prepare(
-        `
-      CREATE TABLE IF NOT EXISTS usuarios (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        nome TEXT NOT NULL,
-        email TEXT NOT NULL UNIQUE,
-        senha_hash TEXT NOT NULL,
-        created_at TEXT DEFAULT (datetime('now'))
-      );
-    `
+        `SELECT ${COLUNAS}
+         FROM usuarios
+         WHERE ${incluirExcluidos ? "1 = 1" : "deleted_at IS NULL"} ${empresa.sql}
+         ORDER BY id DESC;`
+      )
+      .all(...empresa.params);
+    return rows.map((r) => Usuario.fromDbRow(r));
+  }
+
+  // Listagem paginada (ver UsuarioMySqlRepository.findPagina): filtros,
+  // ordenação e LIMIT/OFFSET no SQL; "total" ignora a paginação.
+  async findPagina({
+    tenantId = null,
+    busca = null,
+    criadoDe = null,
+    criadoAntesDe = null,
+    ordenarPor = "id",
+    direcao = "desc",
+    limit = 20,
+    offset = 0,
+  } = {}) {
+    if (!CAMPOS_ORDENACAO.includes(ordenarPor)) {
+      throw new Error(`Campo de ordenação inválido: ${ordenarPor}`);
+    }
+    const dir = direcao === "asc" ? "ASC" : "DESC";
+    const empresa = porEmpresa(tenantId);
+    const condicoes = ["deleted_at IS NULL"];
+    const params = [];
+    if (busca) {
+      // "\" escapa % e _ digitados pelo usuário (LIKE ... ESCAPE '\')
+      const termo = `%${busca.replace(/[\\%_]/g, "\\$&")}%`;
+      condicoes.push("(nome LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\')");
+      params.push(termo, termo);
+    }
+    if (criadoDe) {
+      condicoes.push("datetime(created_at) >= datetime(?)");
+      params.push(criadoDe);
+    }
+    if (criadoAntesDe) {
+      condicoes.push("datetime(created_at) < datetime(?)");
+      params.push(criadoAntesDe);
+    }
+    const where = `WHERE ${condicoes.join(" AND ")} ${empresa.sql}`;
+    params.push(...empresa.params);
+
+    const { n } = this.db
+      .prepare(`SELECT COUNT(*) AS n FROM usuarios ${where};`)
+      .get(...params);
+    const rows = this.db
+      .prepare(
+        `SELECT ${COLUNAS}
+         FROM usuarios
+         ${where}
+         ORDER BY ${ordenarPor} ${dir}, id ${dir}
+         LIMIT ? OFFSET ?;`
       )
-      .run();
+      .all(...params, limit, offset);
+    return { itens: rows.map((r) => Usuario.fromDbRow(r)), total: Number(n) };
   }
 
-  async findAll() {
+  async findExcluidos({ tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
     const rows = this.db
       .prepare(
-        `SELECT id, nome, email, senha_hash, created_at
+        `SELECT ${COLUNAS}
          FROM usuarios
-         ORDER BY id DESC;`
+         WHERE deleted_at IS NOT NULL ${empresa.sql}
+         ORDER BY deleted_at DESC, id DESC;`
       )
-      .all();
+      .all(...empresa.params);
     return rows.map((r) => Usuario.fromDbRow(r));
   }
 
-  async findById(id) {
+  async findById(id, { incluirExcluidos = false, tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
     const row = this.db
       .prepare(
-        `SELECT id, nome, email, senha_hash, created_at
+        `SELECT ${COLUNAS}
          FROM usuarios
-         WHERE id = ?;`
+         WHERE id = ? ${incluirExcluidos ? "" : "AND deleted_at IS NULL"} ${empresa.sql};`
       )
-      .get(id);
+      .get(id, ...empresa.params);
     return row ? Usuario.fromDbRow(row) : null;
   }
 
-  async findByEmail(email) {
+  async findByEmail(email, { incluirExcluidos = false } = {}) {
     const row = this.db
       .prepare(
-        `SELECT id, nome, email, senha_hash, created_at
+        `SELECT ${COLUNAS}
          FROM usuarios
-         WHERE email = ?;`
+         WHERE email = ? ${incluirExcluidos ? "" : "AND deleted_at IS NULL"};`
       )
       .get(email);
     return row ? Usuario.fromDbRow(row) : null;
@@ -64,24 +137,235 @@ export class UsuarioSqliteRepository {
 
   async create(usuarioModel) {
     const stmt = this.db.prepare(
-      `INSERT INTO usuarios (nome, email, senha_hash)
-       VALUES (?, ?, ?);`
+      `INSERT INTO usuarios (nome, email, senha_hash, papel, tenant_id)
+       VALUES (?, ?, ?, ?, ?);`
     );
     const info = stmt.run(...usuarioModel.toDbInsertParams());
     return this.findById(info.lastInsertRowid);
   }
 
-  async update(id, { nome, email }) {
+  // Vários de uma vez, numa transação (importação): entram todos ou nenhum
+  async createMany(usuarioModels) {
+    const stmt = this.db.prepare(
+      `INSERT INTO usuarios (nome, email, senha_hash, papel, tenant_id)
+       VALUES (?, ?, ?, ?, ?);`
+    );
+    const inserir = this.db.transaction((models) =>
+      models.map((m) => stmt.run(...m.toDbInsertParams()).lastInsertRowid)
+    );
+    const ids = inserir(usuarioModels);
+    return Promise.all(ids.map((id) => this.findById(id)));
+  }
+
+  // Migração entre backends: linhas completas (com id e senha_hash), numa
+  // transação. "novos" entram com o id de origem; "atualizar" sobrescreve
+  // todas as colunas da linha de mesmo id. created_at volta ao formato do
+  // DEFAULT (datetime('now'), UTC) para a ordenação por data continuar certa.
+  async gravarCopias({ novos = [], atualizar = [] } = {}) {
+    const nomes = COLUNAS.split(", ");
+    const linha = (m) => {
+      const row = m.toDbRow();
+      return { ...row, created_at: row.created_at.slice(0, 19).replace("T", " ") };
+    };
+    const inserir = this.db.prepare(
+      `INSERT INTO usuarios (${COLUNAS}) VALUES (${nomes.map(() => "?").join(", ")});`
+    );
+    const sobrescrever = this.db.prepare(
+      `UPDATE usuarios SET ${nomes
+        .filter((c) => c !== "id")
+        .map((c) => `${c} = ?`)
+        .join(", ")} WHERE id = ?;`
+    );
+    const gravar = this.db.transaction(() => {
+      for (const m of novos) {
+        const row = linha(m);
+        inserir.run(...nomes.map((c) => row[c]));
+      }
+      for (const m of atualizar) {
+        const { id, ...row } = linha(m);
+        sobrescrever.run(...nomes.filter((c) => c !== "id").map((c) => row[c]), id);
+      }
+    });
+    gravar();
+    return { inseridos: novos.length, atualizados: atualizar.length };
+  }
+
+  async update(id, { nome, email, papel }, { tenantId = null } = {}) {
+    // Campos não enviados mantêm o valor atual (COALESCE). E-mail diferente
+    // do atual zera email_verificado_em: o endereço novo precisa ser confirmado.
+    const empresa = porEmpresa(tenantId);
     this.db
-      .prepare(`UPDATE usuarios SET nome = ?, email = ? WHERE id = ?;`)
-      .run(nome, email, id);
+      .prepare(
+        `UPDATE usuarios
+            SET email_verificado_em = CASE WHEN ? IS NULL OR ? = email
+                                           THEN email_verificado_em ELSE NULL END,
+                nome = COALESCE(?, nome), email = COALESCE(?, email), papel = COALESCE(?, papel)
+          WHERE id = ? AND deleted_at IS NULL ${empresa.sql};`
+      )
+      .run(
+        email ?? null,
+        email ?? null,
+        nome ?? null,
+        email ?? null,
+        papel ?? null,
+        id,
+        ...empresa.params
+      );
+    return this.findById(id, { tenantId });
+  }
+
+  // Perfil opcional (CPF, telefone, preferências): só as chaves enviadas
+  // mudam; null limpa o campo. Valores já validados pelo Model.
+  async updatePerfil(id, { cpf, telefone, preferencias } = {}, { tenantId = null } = {}) {
+    const definidas = Object.entries({
+      cpf,
+      telefone,
+      preferencias_json: preferencias === undefined ? undefined : JSON.stringify(preferencias),
+    }).filter(([, valor]) => valor !== undefined);
+    if (definidas.length) {
+      const empresa = porEmpresa(tenantId);
+      this.db
+        .prepare(
+          `UPDATE usuarios SET ${definidas.map(([coluna]) => `${coluna} = ?`).join(", ")}
+            WHERE id = ? AND deleted_at IS NULL ${empresa.sql};`
+        )
+        .run(...definidas.map(([, valor]) => valor), id, ...empresa.params);
+    }
+    return this.findById(id, { tenantId });
+  }
+
+  // Troca de empresa: os JWT antigos (com o tenant_id anterior) param de valer
+  async definirEmpresa(id, tenantId) {
+    const info = this.db
+      .prepare(`UPDATE usuarios SET tenant_id = ? WHERE id = ? AND deleted_at IS NULL;`)
+      .run(Number(tenantId), id);
+    return info.changes > 0;
+  }
+
+  async updateSenha(id, senha_hash, { historico } = {}) {
+    const info = this.db
+      .prepare(
+        `UPDATE usuarios
+            SET senha_hash = ?,
+                senha_historico_json = COALESCE(?, senha_historico_json),
+                token_version = token_version + 1
+          WHERE id = ?;`
+      )
+      .run(senha_hash, historico ? JSON.stringify(historico) : null, id);
+    return info.changes > 0;
+  }
+
+  // Re-hash no login (mesma senha, hash mais forte): sem histórico nem
+  // token_version. O WHERE no hash antigo protege contra troca simultânea.
+  async atualizarHashSenha(id, hashAntigo, hashNovo) {
+    const info = this.db
+      .prepare(`UPDATE usuarios SET senha_hash = ? WHERE id = ? AND senha_hash = ?;`)
+      .run(hashNovo, id, hashAntigo);
+    return info.changes > 0;
+  }
+
+  async marcarEmailVerificado(id) {
+    this.db
+      .prepare(
+        `UPDATE usuarios SET email_verificado_em = COALESCE(email_verificado_em, ?)
+          WHERE id = ?;`
+      )
+      .run(new Date().toISOString(), id);
     return this.findById(id);
   }
 
-  async delete(id) {
+  async updateTotp(id, { totp_secret, totp_ativo, totp_recovery }) {
+    // Estado completo do 2FA; segredo novo também zera o anti-replay
+    const info = this.db
+      .prepare(
+        `UPDATE usuarios
+            SET totp_secret = ?, totp_ativo = ?, totp_recovery_json = ?,
+                totp_ultimo_passo = NULL
+          WHERE id = ?;`
+      )
+      .run(
+        totp_secret ?? null,
+        totp_ativo ? 1 : 0,
+        totp_recovery?.length ? JSON.stringify(totp_recovery) : null,
+        id
+      );
+    return info.changes > 0;
+  }
+
+  async registrarPassoTotp(id, passo) {
+    // Só aceita passo mais novo que o último usado (anti-replay atômico)
     const info = this.db
-      .prepare(`DELETE FROM usuarios WHERE id = ?;`)
-      .run(id);
+      .prepare(
+        `UPDATE usuarios SET totp_ultimo_passo = ?
+          WHERE id = ? AND (totp_ultimo_passo IS NULL OR totp_ultimo_passo < ?);`
+      )
+      .run(passo, id, passo);
+    return info.changes > 0;
+  }
+
+  async consumirCodigoRecuperacao(id, { antes, depois }) {
+    // Compare-and-swap: só troca se a lista ainda for a que o service leu
+    const info = this.db
+      .prepare(
+        `UPDATE usuarios SET totp_recovery_json = ?
+          WHERE id = ? AND totp_recovery_json = ?;`
+      )
+      .run(JSON.stringify(depois), id, JSON.stringify(antes));
+    return info.changes > 0;
+  }
+
+  async anonimizar(id, { nome, email, senha_hash }) {
+    // Dados pessoais sobrescritos; a linha fica (notas apontam para o id)
+    const info = this.db
+      .prepare(
+        `UPDATE usuarios
+            SET nome = ?, email = ?, senha_hash = ?, senha_historico_json = NULL,
+                papel = 'leitura', email_verificado_em = NULL,
+                totp_secret = NULL, totp_ativo = 0, totp_recovery_json = NULL,
+                totp_ultimo_passo = NULL, token_version = token_version + 1,
+                cpf = NULL, telefone = NULL, preferencias_json = NULL,
+                anonimizado_em = ?
+          WHERE id = ? AND anonimizado_em IS NULL;`
+      )
+      .run(nome, email, senha_hash, new Date().toISOString(), id);
+    return info.changes > 0;
+  }
+
+  async count({ papel, tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
+    const row = papel
+      ? this.db
+          .prepare(
+            `SELECT COUNT(*) AS n FROM usuarios
+              WHERE papel = ? AND deleted_at IS NULL ${empresa.sql};`
+          )
+          .get(papel, ...empresa.params)
+      : this.db
+          .prepare(`SELECT COUNT(*) AS n FROM usuarios WHERE deleted_at IS NULL ${empresa.sql};`)
+          .get(...empresa.params);
+    return Number(row.n);
+  }
+
+  async delete(id, { tenantId = null } = {}) {
+    // Soft delete: false se não existe ou já estava removido
+    const empresa = porEmpresa(tenantId);
+    const info = this.db
+      .prepare(
+        `UPDATE usuarios SET deleted_at = ?
+          WHERE id = ? AND deleted_at IS NULL ${empresa.sql};`
+      )
+      .run(new Date().toISOString(), id, ...empresa.params);
+    return info.changes > 0;
+  }
+
+  async restore(id, { tenantId = null } = {}) {
+    const empresa = porEmpresa(tenantId);
+    const info = this.db
+      .prepare(
+        `UPDATE usuarios SET deleted_at = NULL
+          WHERE id = ? AND deleted_at IS NOT NULL ${empresa.sql};`
+      )
+      .run(id, ...empresa.params);
     return info.changes > 0;
   }
 }
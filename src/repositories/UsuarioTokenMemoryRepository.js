@@ -0,0 +1,56 @@
+/**
+ * =============================================================================
+ *  src/repositories/UsuarioTokenMemoryRepository.js
+ * -----------------------------------------------------------------------------
+ *  Fallback em memória para os tokens de uso único dos usuários, com a mesma
+ *  interface (async) do UsuarioTokenSqliteRepository.
+ *  - Dados são perdidos ao reiniciar o processo (links enviados deixam de valer).
+ * =============================================================================
+ */
+
+export class UsuarioTokenMemoryRepository {
+  constructor() {
+    this.items = [];
+    this._idSeq = 0;
+  }
+
+  async create({ usuario_id, tipo, token_hash, expires_at }) {
+    const novo = {
+      id: ++this._idSeq,
+      usuario_id: Number(usuario_id),
+      tipo,
+      token_hash,
+      expires_at,
+      usado_em: null,
+      created_at: new Date().toISOString(),
+    };
+    this.items.push(novo);
+    return { ...novo };
+  }
+
+  async findByHash(token_hash, tipo) {
+    const found = this.items.find(
+      (t) => t.token_hash === token_hash && t.tipo === tipo
+    );
+    return found ? { ...found } : null;
+  }
+
+  async marcarUsado(id) {
+    const found = this.items.find((t) => t.id === Number(id));
+    if (!found || found.usado_em) return false;
+    found.usado_em = new Date().toISOString();
+    return true;
+  }
+
+  async invalidarPendentes(usuario_id, tipo) {
+    const agora = new Date().toISOString();
+    let n = 0;
+    for (const t of this.items) {
+      if (t.usuario_id === Number(usuario_id) && t.tipo === tipo && !t.usado_em) {
+        t.usado_em = agora;
+        n++;
+      }
+    }
+    return n;
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * =============================================================================
+ *  src/repositories/UsuarioTokenMySqlRepository.js
+ * -----------------------------------------------------------------------------
+ *  Tokens de USO ÚNICO dos usuários (ex.: "esqueci minha senha") no MySQL,
+ *  na tabela "usuario_tokens" (criada em src/config/mysql.js), ao lado de
+ *  "usuarios".
+ *
+ *  Por que guardar só o hash?
+ *    - O token puro vai no e-mail do usuário. Se o banco vazar, os hashes
+ *      SHA-256 não servem para redefinir a senha de ninguém.
+ *
+ *  Sobre datas:
+ *    - O service trabalha com ISO strings; aqui convertemos para Date, que o
+ *      mysql2 grava em DATETIME. Na leitura, o mysql2 devolve Date de novo
+ *      (o service usa new Date(...) e funciona com os dois formatos).
+ * =============================================================================
+ */
+
+const COLUNAS = "id, usuario_id, tipo, token_hash, expires_at, usado_em, created_at";
+
+export class UsuarioTokenMySqlRepository {
+  /** Recebe o pool do mysql2/promise (vide src/config/mysql.js). */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * create({ usuario_id, tipo, token_hash, expires_at })
+   * Insere um token novo e devolve a linha completa.
+   */
+  async create({ usuario_id, tipo, token_hash, expires_at }) {
+    const [result] = await this.pool.query(
+      `INSERT INTO usuario_tokens (usuario_id, tipo, token_hash, expires_at)
+       VALUES (?, ?, ?, ?);`,
+      [usuario_id, tipo, token_hash, new Date(expires_at)]
+    );
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM usuario_tokens WHERE id = ?;`,
+      [result.insertId]
+    );
+    return rows[0];
+  }
+
+  /** findByHash(token_hash, tipo) → linha ou null */
+  async findByHash(token_hash, tipo) {
+    const [rows] = await this.pool.query(
+      `SELECT ${COLUNAS} FROM usuario_tokens WHERE token_hash = ? AND tipo = ?;`,
+      [token_hash, tipo]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * marcarUsado(id)
+   * Consome o token. O "usado_em IS NULL" no WHERE torna a operação atômica:
+   * se duas requisições chegarem juntas, só uma recebe true.
+   */
+  async marcarUsado(id) {
+    const [result] = await this.pool.query(
+      `UPDATE usuario_tokens SET usado_em = ? WHERE id = ? AND usado_em IS NULL;`,
+      [new Date(), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * invalidarPendentes(usuario_id, tipo)
+   * Consome os tokens ainda não usados do usuário (ex.: ao pedir um link novo,
+   * os links anteriores deixam de valer).
+   */
+  async invalidarPendentes(usuario_id, tipo) {
+    const [result] = await this.pool.query(
+      `UPDATE usuario_tokens SET usado_em = ?
+       WHERE usuario_id = ? AND tipo = ? AND usado_em IS NULL;`,
+      [new Date(), usuario_id, tipo]
+    );
+    return result.affectedRows;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * =============================================================================
+ *  src/repositories/UsuarioTokenSqliteRepository.js
+ * -----------------------------------------------------------------------------
+ *  Tokens de USO ÚNICO dos usuários (ex.: "esqueci minha senha") no SQLite.
+ *  Usado quando os usuários estão no SQLite (fallback do MySQL), para que os
+ *  tokens fiquem sempre ao lado da tabela "usuarios".
+ *
+ *  Esquema (criado em migrateUsuariosSqlite, src/config/sqlite.js):
+ *    usuario_tokens (
+ *      id, usuario_id,
+ *      tipo        -- finalidade do token ("reset", ...)
+ *      token_hash  -- SHA-256 do token (o token puro só existe no e-mail)
+ *      expires_at, created_at,
+ *      usado_em    -- preenchido quando o token é consumido
+ *    )
+ *
+ *  Mesma interface (async) do UsuarioTokenMySqlRepository.
+ * =============================================================================
+ */
+
+const COLUNAS = "id, usuario_id, tipo, token_hash, expires_at, usado_em, created_at";
+
+export class UsuarioTokenSqliteRepository {
+  constructor(sqliteDb) {
+    this.db = sqliteDb;
+  }
+
+  /**
+   * create({ usuario_id, tipo, token_hash, expires_at })
+   * Insere um token novo e devolve a linha completa.
+   */
+  async create({ usuario_id, tipo, token_hash, expires_at }) {
+    const info = this.db
+      .prepare(
+        `INSERT INTO usuario_tokens (usuario_id, tipo, token_hash, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?);`
+      )
+      .run(usuario_id, tipo, token_hash, expires_at, new Date().toISOString());
+    return this.db
+      .prepare(`SELECT ${COLUNAS} FROM usuario_tokens WHERE id = ?;`)
+      .get(info.lastInsertRowid);
+  }
+
+  /** findByHash(token_hash, tipo) → linha ou null */
+  async findByHash(token_hash, tipo) {
+    const row = this.db
+      .prepare(
+        `SELECT ${COLUNAS} FROM usuario_tokens WHERE token_hash = ? AND tipo = ?;`
+      )
+      .get(token_hash, tipo);
+    return row || null;
+  }
+
+  /**
+   * marcarUsado(id)
+   * Consome o token. O "usado_em IS NULL" no WHERE torna a operação atômica:
+   * se duas requisições chegarem juntas, só uma recebe true.
+   */
+  async marcarUsado(id) {
+    const info = this.db
+      .prepare(
+        `UPDATE usuario_tokens SET usado_em = ? WHERE id = ? AND usado_em IS NULL;`
+      )
+      .run(new Date().toISOString(), id);
+    return info.changes > 0;
+  }
+
+  /**
+   * invalidarPendentes(usuario_id, tipo)
+   * Consome os tokens ainda não usados do usuário (ex.: ao pedir um link novo,
+   * os links anteriores deixam de valer).
+   */
+  async invalidarPendentes(usuario_id, tipo) {
+    const info = this.db
+      .prepare(
+        `UPDATE usuario_tokens SET usado_em = ?
+         WHERE usuario_id = ? AND tipo = ? AND usado_em IS NULL;`
+      )
+      .run(new Date().toISOString(), usuario_id, tipo);
+    return info.changes;
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * =============================================================================
+ *  src/routes/apiKeyRoutes.js
+ * -----------------------------------------------------------------------------
+ *  OBJETIVO (camada de ROTAS):
+ *    - Declarar as rotas para o usuário gerenciar as PRÓPRIAS API keys.
+ *
+ *  IMPORTANTE:
+ *    - Montadas no server.js atrás do middleware JWT que NÃO aceita API key:
+ *      criar/revogar chaves exige um login de verdade. Assim, uma chave com
+ *      escopo limitado não consegue gerar outra chave sem limites.
+ *    - Qualquer papel pode ter chaves; o que cada chave acessa continua
+ *      limitado pelo papel do dono (RBAC) e pelos escopos da chave.
+ * =============================================================================
+ */
+
+import express from "express";
+import { makeApiKeyController } from "../controllers/apiKeyController.js";
+
+/**
+ * createApiKeyRoutes({ apiKeyService })
+ * -----------------------------------------------------------------------------
+ * Rotas expostas (todas PROTEGIDAS por JWT no server.js):
+ *  - GET    /api/api-keys      → list
+ *  - POST   /api/api-keys      → create (devolve a chave inteira uma única vez)
+ *  - DELETE /api/api-keys/:id  → revoke
+ */
+export function createApiKeyRoutes({ apiKeyService }) {
+  const router = express.Router();
+  const ctrl = makeApiKeyController({ apiKeyService });
+
+  // ---------------------------------------------------------------------------
+  // GET /api/api-keys
+  // - Resposta: 200 -> { ok: true, data: [ { id, nome, prefixo, escopos, ... } ] }
+  // ---------------------------------------------------------------------------
+  router.get("/", ctrl.list);
+
+  // ---------------------------------------------------------------------------
+  // POST /api/api-keys
+  // - Body: { "nome": "ERP", "escopos": ["produtos:read"], "expira_em": "2026-12-31" }
+  // - Resposta: 201 -> { ok: true, data: {...}, chave: "ak_1a2b3c4d_..." }
+  // ---------------------------------------------------------------------------
+  router.post("/", ctrl.create);
+
+  // ---------------------------------------------------------------------------
+  // DELETE /api/api-keys/:id
+  // - Resposta: 200 -> { ok: true } | 404 -> chave não encontrada / já revogada
+  // ---------------------------------------------------------------------------
+  router.delete("/:id", ctrl.revoke);
+
+  return router;
+}
+
+/* =============================================================================
+ * DICAS DE TESTE (cURL) — supondo API em http://localhost:4000
+ * -----------------------------------------------------------------------------
+ * // 1) Criar uma chave só de leitura de produtos (precisa do JWT do login):
+ * curl -X POST http://localhost:4000/api/api-keys \
+ *   -H "Authorization: Bearer SEU_TOKEN" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"nome":"ERP","escopos":["produtos:read"]}'
+ *
+ * // 2) Usar a chave (qualquer uma das duas formas):
+ * curl http://localhost:4000/api/produtos -H "Authorization: ApiKey ak_..."
+ * curl http://localhost:4000/api/produtos -H "X-API-Key: ak_..."
+ *
+ * // 3) Listar e revogar:
+ * curl http://localhost:4000/api/api-keys -H "Authorization: Bearer SEU_TOKEN"
+ * curl -X DELETE http://localhost:4000/api/api-keys/1 -H "Authorization: Bearer SEU_TOKEN"
+ * =============================================================================
+ */
@@ -13,7 +13,7 @@
  *      que por sua vez usam os "Repositories".
  *
  *  INJEÇÃO DE DEPENDÊNCIA (DI):
- *    - Repare que recebemos { authService } nos parâmetros da função
+ *    - Repare que recebemos { authService, authMiddleware } nos parâmetros da função
  *      createAuthRoutes(). Isso evita "importar direto" dentro do controller
  *      e facilita testes (podemos simular um authService falso).
  * =============================================================================
@@ -23,28 +23,57 @@ import express from "express";
 import { makeAuthController } from "../controllers/authController.js"; // fábrica que cria o controller já "amarrado" ao service
 
 /**
- * createAuthRoutes({ authService })
+ * createAuthRoutes({ authService, sessaoService, usuarioService, authMiddleware })
  * -----------------------------------------------------------------------------
  * Cria e devolve um "router" do Express com as rotas de autenticação.
  *
  * Parâmetro esperado:
  *  - authService: objeto com métodos de autenticação (register/login) que
  *                 o controller vai usar. (Ele é passado lá no server.js)
+ *  - sessaoService: lista/encerra as sessões do usuário logado.
+ *  - usuarioService: "minha conta" (/me): ver, editar e excluir a própria conta.
+ *  - authMiddleware: middleware JWT (a versão que NÃO aceita API key: trocar
+ *                    senha e mexer no 2FA exigem login de verdade). Aqui ele é
+ *                    aplicado rota a rota, porque quase tudo em /api/auth é público.
  *
  * Retorno:
  *  - Um router pronto para ser usado em app.use('/api/auth', router)
  *
  * Rotas expostas:
  *  - POST /register  → cria um usuário (hash de senha + salva no MySQL)
+ *                      (403 com REGISTRO_PUBLICO=false)
+ *  - POST /accept-invite → cria a conta a partir de um convite de admin
  *  - POST /login     → verifica credenciais e devolve um token JWT
+ *                      (ou um "desafio", se a conta tiver 2FA)
+ *  - POST /login/2fa → 2ª etapa: desafio + código TOTP → tokens
+ *  - POST /refresh   → troca o refresh token por um novo par (rotação)
+ *  - POST /logout    → revoga a sessão do refresh token
+ *  - PUT  /senha     → troca a senha do usuário logado (PROTEGIDA)
+ *  - GET  /verify    → confirma o e-mail (link enviado no cadastro)
+ *  - POST /verify/resend → reenvia o link de verificação (com limite)
+ *  - POST /forgot    → envia o e-mail de redefinição de senha
+ *  - POST /reset     → troca a senha usando o token do e-mail
+ *  - POST /2fa/setup | /2fa/confirm | /2fa/disable → cadastro do 2FA (PROTEGIDAS)
+ *  - GET    /sessions     → sessões ativas (PROTEGIDA)
+ *  - DELETE /sessions/:id → encerra uma sessão (PROTEGIDA)
+ *  - DELETE /sessions     → encerra todas as OUTRAS sessões (PROTEGIDA)
+ *  - GET    /me → usuário logado (PROTEGIDA)
+ *  - PATCH  /me → altera nome/e-mail/CPF/telefone do usuário logado (PROTEGIDA)
+ *  - PATCH  /me/preferencias → idioma, fuso horário, itens por página (PROTEGIDA)
+ *  - DELETE /me → exclui (anonimiza) a própria conta (PROTEGIDA)
  */
-export function createAuthRoutes({ authService }) {
+export function createAuthRoutes({
+  authService,
+  sessaoService,
+  usuarioService,
+  authMiddleware,
+}) {
   // Criamos um "sub-aplicativo" de rotas do Express.
   const router = express.Router();
 
   // Criamos o controller, passando o service (injeção de dependência).
   // Assim, o controller pode chamar authService.register(...) / authService.login(...)
-  const ctrl = makeAuthController({ authService });
+  const ctrl = makeAuthController({ authService, sessaoService, usuarioService });
 
   // ---------------------------------------------------------------------------
   // POST /register
@@ -60,6 +89,16 @@ export function createAuthRoutes({ authService }) {
   // ---------------------------------------------------------------------------
   router.post("/register", ctrl.register);
 
+  // ---------------------------------------------------------------------------
+  // POST /accept-invite
+  // - Espera body: { token, nome, senha } (token = o que chegou no e-mail do
+  //   convite, ver POST /api/convites).
+  // - Cria a conta com o papel do convite e o e-mail já verificado; responde
+  //   201 com usuário + tokens, como o register.
+  // - Erros comuns: 400 (convite inválido/expirado/já usado, senha recusada).
+  // ---------------------------------------------------------------------------
+  router.post("/accept-invite", ctrl.acceptInvite);
+
   // ---------------------------------------------------------------------------
   // POST /login
   // - Espera body: { email, senha }
@@ -74,6 +113,117 @@ export function createAuthRoutes({ authService }) {
   // ---------------------------------------------------------------------------
   router.post("/login", ctrl.login);
 
+  // ---------------------------------------------------------------------------
+  // POST /login/2fa
+  // - Espera body: { desafio, codigo }
+  // - Contas com 2FA recebem do /login { requer_2fa: true, desafio } em vez
+  //   dos tokens. O desafio (JWT curto, LOGIN_2FA_MINUTOS) + o código do app
+  //   autenticador (ou um código de recuperação) completam o login.
+  // - Erros comuns: 401 (desafio/código inválido), 429 (muitas falhas).
+  // ---------------------------------------------------------------------------
+  router.post("/login/2fa", ctrl.login2fa);
+
+  // ---------------------------------------------------------------------------
+  // POST /refresh
+  // - Espera body: { refreshToken }
+  // - Service: valida o hash no SQLite, "queima" o token antigo e emite um novo
+  //   par. Reapresentar um refresh já usado revoga a família inteira (roubo).
+  // - Resposta de sucesso:
+  //     { ok: true, usuario: {...}, token: "...", refreshToken: "..." }
+  // - Erros comuns:
+  //     400 (refreshToken ausente), 401 (inválido/expirado/revogado/reutilizado).
+  // ---------------------------------------------------------------------------
+  router.post("/refresh", ctrl.refresh);
+
+  // ---------------------------------------------------------------------------
+  // POST /logout
+  // - Espera body: { refreshToken }
+  // - Revoga a família do refresh token (o access token expira sozinho).
+  // - Resposta de sucesso: { ok: true }
+  // ---------------------------------------------------------------------------
+  router.post("/logout", ctrl.logout);
+
+  // ---------------------------------------------------------------------------
+  // PUT /senha   (PROTEGIDA: passa pelo authMiddleware antes do controller)
+  // - Espera body: { senha_atual, nova_senha }
+  // - Confere a senha atual, grava a nova e incrementa a token_version: todo
+  //   JWT emitido antes passa a receber 401 (logout dos outros dispositivos).
+  // - Resposta de sucesso: { ok: true, usuario, token, refreshToken } (par novo)
+  // - Erros comuns: 400 (campos ausentes / senha atual incorreta), 401 (token).
+  // ---------------------------------------------------------------------------
+  router.put("/senha", authMiddleware, ctrl.changePassword);
+
+  // ---------------------------------------------------------------------------
+  // GET /verify?token=...
+  // - É o link do e-mail de cadastro (por isso GET, com token na query).
+  // - Marca email_verificado_em; o token vale uma vez.
+  // - Erros comuns: 400 (token ausente/inválido/expirado/já usado).
+  // ---------------------------------------------------------------------------
+  router.get("/verify", ctrl.verify);
+
+  // ---------------------------------------------------------------------------
+  // POST /verify/resend
+  // - Espera body: { email }
+  // - Gera um link novo (o anterior deixa de valer). Um pedido por e-mail a
+  //   cada VERIFICACAO_REENVIO_SEGUNDOS; antes disso → 429 + Retry-After.
+  // - Resposta: sempre 200 com a mesma mensagem, exista ou não a conta.
+  // ---------------------------------------------------------------------------
+  router.post("/verify/resend", ctrl.resendVerification);
+
+  // ---------------------------------------------------------------------------
+  // POST /forgot
+  // - Espera body: { email }
+  // - Gera um token de uso único (só o hash fica no banco) e envia por e-mail
+  //   (SMTP ou arquivo .eml em ./outbox, conforme o .env).
+  // - Resposta: sempre 200 com a mesma mensagem, exista ou não o e-mail.
+  // ---------------------------------------------------------------------------
+  router.post("/forgot", ctrl.forgot);
+
+  // ---------------------------------------------------------------------------
+  // POST /reset
+  // - Espera body: { token, senha }
+  // - Troca a senha e revoga todos os refresh tokens do usuário.
+  // - Erros comuns:
+  //     400 (campos ausentes / token inválido, expirado ou já usado).
+  // ---------------------------------------------------------------------------
+  router.post("/reset", ctrl.reset);
+
+  // ---------------------------------------------------------------------------
+  // 2FA (TOTP) — rotas PROTEGIDAS, o usuário configura o próprio 2FA:
+  // - POST /2fa/setup   → { segredo, otpauth_uri } (fica pendente)
+  // - POST /2fa/confirm → body { codigo }: ativa e devolve os códigos de
+  //                       recuperação (mostrados uma única vez)
+  // - POST /2fa/disable → body { senha, codigo }: desliga
+  // ---------------------------------------------------------------------------
+  router.post("/2fa/setup", authMiddleware, ctrl.setup2fa);
+  router.post("/2fa/confirm", authMiddleware, ctrl.confirm2fa);
+  router.post("/2fa/disable", authMiddleware, ctrl.disable2fa);
+
+  // ---------------------------------------------------------------------------
+  // Sessões — rotas PROTEGIDAS (uma sessão por login/dispositivo):
+  // - GET    /sessions     → [ { id, user_agent, ip, created_at,
+  //                             ultima_atividade_em, expires_at, atual } ]
+  // - DELETE /sessions/:id → encerra aquela sessão (404 se não for sua)
+  // - DELETE /sessions     → "sair de todos os outros dispositivos"
+  // Encerrar revoga o refresh token e derruba o access token na hora.
+  // ---------------------------------------------------------------------------
+  router.get("/sessions", authMiddleware, ctrl.listSessions);
+  router.delete("/sessions/:id", authMiddleware, ctrl.revokeSession);
+  router.delete("/sessions", authMiddleware, ctrl.revokeOtherSessions);
+
+  // ---------------------------------------------------------------------------
+  // Minha conta — rotas PROTEGIDAS:
+  // - GET    /me → { usuario } lido do banco (dispensa decodificar o JWT)
+  // - PATCH  /me → body { nome?, email?, cpf?, telefone? }; "papel" → 403
+  // - PATCH  /me/preferencias → body { idioma?, fuso_horario?, itens_por_pagina? }
+  // - DELETE /me → body { senha }: anonimiza nome/e-mail, revoga sessões,
+  //                API keys e links pendentes e registra na auditoria (LGPD)
+  // ---------------------------------------------------------------------------
+  router.get("/me", authMiddleware, ctrl.me);
+  router.patch("/me", authMiddleware, ctrl.updateMe);
+  router.patch("/me/preferencias", authMiddleware, ctrl.updatePreferencias);
+  router.delete("/me", authMiddleware, ctrl.deleteMe);
+
   // Retornamos o router para ser montado em server.js
   return router;
 }
@@ -84,19 +234,94 @@ export function createAuthRoutes({ authService }) {
  * 1) Registrar usuário:
  * curl -X POST http://localhost:4000/api/auth/register \
  *   -H "Content-Type: application/json" \
- *   -d '{"nome":"Ana","email":"ana@empresa.com","senha":"123456"}'
+ *   -d '{"nome":"Ana","email":"ana@empresa.com","senha":"Ipe-Roxo-2025"}'
  *
  * 2) Fazer login:
  * curl -X POST http://localhost:4000/api/auth/login \
  *   -H "Content-Type: application/json" \
- *   -d '{"email":"ana@empresa.com","senha":"123456"}'
+ *   -d '{"email":"ana@empresa.com","senha":"Ipe-Roxo-2025"}'
  *
  * 3) Usar o token (exemplo: listar produtos):
  * curl http://localhost:4000/api/produtos \
  *   -H "Authorization: Bearer SEU_TOKEN_AQUI"
  *
+ * 4) Renovar os tokens (o refresh antigo deixa de valer):
+ * curl -X POST http://localhost:4000/api/auth/refresh \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"refreshToken":"SEU_REFRESH_TOKEN"}'
+ *
+ * 5) Logout (revoga a sessão no servidor):
+ * curl -X POST http://localhost:4000/api/auth/logout \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"refreshToken":"SEU_REFRESH_TOKEN"}'
+ *
+ * 6) Trocar a própria senha (com token; os outros tokens deixam de valer):
+ * curl -X PUT http://localhost:4000/api/auth/senha \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"senha_atual":"Ipe-Roxo-2025","nova_senha":"outraSenha789"}'
+ *
+ * 7) Confirmar o e-mail (link que chega no e-mail de cadastro) e reenviar:
+ * curl "http://localhost:4000/api/auth/verify?token=TOKEN_DO_EMAIL"
+ * curl -X POST http://localhost:4000/api/auth/verify/resend \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"email":"ana@empresa.com"}'
+ *
+ * 8) Esqueci minha senha (sem SMTP, o e-mail vira um .eml em ./outbox):
+ * curl -X POST http://localhost:4000/api/auth/forgot \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"email":"ana@empresa.com"}'
+ *
+ * 9) Redefinir a senha com o token do e-mail:
+ * curl -X POST http://localhost:4000/api/auth/reset \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"token":"TOKEN_DO_EMAIL","senha":"novaSenha123"}'
+ *
+ * 10) Ligar o 2FA (com token): setup → cadastrar no app → confirmar com um código:
+ * curl -X POST http://localhost:4000/api/auth/2fa/setup \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI"
+ * curl -X POST http://localhost:4000/api/auth/2fa/confirm \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"codigo":"123456"}'
+ *
+ * 11) Login com 2FA: o /login devolve { requer_2fa, desafio }; depois:
+ * curl -X POST http://localhost:4000/api/auth/login/2fa \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"desafio":"DESAFIO_DO_LOGIN","codigo":"123456"}'
+ *
+ * 12) Ver e encerrar sessões (com token):
+ * curl http://localhost:4000/api/auth/sessions \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI"
+ * curl -X DELETE http://localhost:4000/api/auth/sessions/ID_DA_SESSAO \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI"
+ * curl -X DELETE http://localhost:4000/api/auth/sessions \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI"
+ *
+ * 13) Minha conta (com token): ver, alterar dados e preferências, excluir (LGPD):
+ * curl http://localhost:4000/api/auth/me \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI"
+ * curl -X PATCH http://localhost:4000/api/auth/me \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"nome":"Ana Souza","cpf":"529.982.247-25","telefone":"+5511987654321"}'
+ * curl -X PATCH http://localhost:4000/api/auth/me/preferencias \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"idioma":"en-US","fuso_horario":"America/Manaus","itens_por_pagina":50}'
+ * curl -X DELETE http://localhost:4000/api/auth/me \
+ *   -H "Authorization: Bearer SEU_TOKEN_AQUI" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"senha":"Ipe-Roxo-2025"}'
+ *
+ * 14) Aceitar um convite (token do e-mail enviado por POST /api/convites):
+ * curl -X POST http://localhost:4000/api/auth/accept-invite \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"token":"TOKEN_DO_CONVITE","nome":"Bruno","senha":"Ipe-Roxo-2025"}'
+ *
  * OBSERVAÇÃO:
- *  - Rotas de autenticação (register/login) são PÚBLICAS.
+ *  - Rotas de autenticação (register/accept-invite/login/login/2fa/refresh/logout/verify/forgot/reset)
+ *    são PÚBLICAS; PUT /senha, /2fa/*, /sessions e /me exigem o token.
  *  - As demais (usuarios, produtos, notas) são PROTEGIDAS pelo middleware JWT.
  * =============================================================================
  */
@@ -0,0 +1,71 @@
+/**
+ * =============================================================================
+ *  src/routes/categoriaRoutes.js
+ * -----------------------------------------------------------------------------
+ *  Rotas de Categoria (árvore de categorias de produtos):
+ *    verbo + caminho → função do controller. Regra de negócio fica no
+ *    CategoriaService; persistência no CategoriaJsonRepository.
+ *
+ *  Montado no server.js:
+ *    app.use("/api/categorias", authMiddleware, createCategoriaRoutes({ categoriaService }));
+ * =============================================================================
+ */
+
+import express from "express";
+import { makeCategoriaController } from "../controllers/categoriaController.js";
+import { requireRole } from "../middlewares/roleMiddleware.js";
+
+// Mesmo RBAC dos produtos: todos leem; admin e gerente mexem no catálogo.
+const PODE_LER = ["admin", "gerente", "operador", "leitura"];
+const PODE_ESCREVER = ["admin", "gerente"];
+
+/**
+ * createCategoriaRoutes({ categoriaService })
+ * -----------------------------------------------------------------------------
+ * Cria o router de /api/categorias.
+ */
+export function createCategoriaRoutes({ categoriaService }) {
+  const router = express.Router();
+  const ctrl = makeCategoriaController({ categoriaService });
+
+  // ---------------------------------------------------------------------------
+  // GET /api/categorias
+  // - Lista plana (com "caminho"), em ordem de caminho.
+  // ---------------------------------------------------------------------------
+  router.get("/", requireRole(...PODE_LER), ctrl.list);
+
+  // ---------------------------------------------------------------------------
+  // GET /api/categorias/arvore
+  // - Raízes com "subcategorias" aninhadas.
+  // - Declarada ANTES de "/:id" (senão "arvore" seria lido como id).
+  // ---------------------------------------------------------------------------
+  router.get("/arvore", requireRole(...PODE_LER), ctrl.arvore);
+
+  // ---------------------------------------------------------------------------
+  // GET /api/categorias/:id
+  // - 200 -> { ok: true, data: { id, nome, parentId, tenant_id, caminho } }
+  // - 404 -> { ok: false, error: "Categoria não encontrada" }
+  // ---------------------------------------------------------------------------
+  router.get("/:id", requireRole(...PODE_LER), ctrl.get);
+
+  // ---------------------------------------------------------------------------
+  // POST /api/categorias
+  // - Body: { "nome": "Escrita", "parentId": 1 }   (parentId null = raiz)
+  // - 201 -> { ok: true, data: { id, nome, parentId, tenant_id } }
+  // ---------------------------------------------------------------------------
+  router.post("/", requireRole(...PODE_ESCREVER), ctrl.create);
+
+  // ---------------------------------------------------------------------------
+  // PUT /api/categorias/:id
+  // - Body: { "nome"?: "...", "parentId"?: 5 | null }  (renomear / mover)
+  // ---------------------------------------------------------------------------
+  router.put("/:id", requireRole(...PODE_ESCREVER), ctrl.update);
+
+  // ---------------------------------------------------------------------------
+  // DELETE /api/categorias/:id?moverPara=<id>
+  // - Com produtos, exige moverPara (senão 409); com subcategorias, 409.
+  // ---------------------------------------------------------------------------
+  router.delete("/:id", requireRole(...PODE_ESCREVER), ctrl.remove);
+
+  return router;
+}
@@ -0,0 +1,85 @@
+/**
+ * =============================================================================
+ *  src/routes/conviteRoutes.js
+ * -----------------------------------------------------------------------------
+ *  OBJETIVO (camada de ROTAS):
+ *    - Declarar as rotas de administração de convites (/api/convites).
+ *
+ *  IMPORTANTE:
+ *    - Montadas no server.js atrás do middleware JWT que NÃO aceita API key:
+ *      convidar gente nova exige um login de verdade.
+ *    - Todas as rotas: somente papel "admin".
+ *    - Aceitar o convite é público: POST /api/auth/accept-invite.
+ * =============================================================================
+ */
+
+import express from "express";
+import { makeConviteController } from "../controllers/conviteController.js";
+import { requireRole } from "../middlewares/roleMiddleware.js"; // autorização por papel (RBAC)
+
+/**
+ * createConviteRoutes({ conviteService })
+ * -----------------------------------------------------------------------------
+ * Rotas expostas (todas PROTEGIDAS por JWT no server.js):
+ *  - GET    /api/convites              → convites pendentes
+ *  - POST   /api/convites              → convida um e-mail com um papel
+ *  - POST   /api/convites/:id/reenviar → novo link (o anterior deixa de valer)
+ *  - DELETE /api/convites/:id          → revoga o convite
+ */
+export function createConviteRoutes({ conviteService }) {
+  const router = express.Router();
+  const ctrl = makeConviteController({ conviteService });
+
+  // Tudo aqui é só para admin
+  router.use(requireRole("admin"));
+
+  // ---------------------------------------------------------------------------
+  // GET /api/convites
+  // - Resposta: 200 -> { ok: true, data: [ { id, email, papel, convidado_por,
+  //             expires_at, enviado_em, created_at, expirado } ] }
+  // ---------------------------------------------------------------------------
+  router.get("/", ctrl.list);
+
+  // ---------------------------------------------------------------------------
+  // POST /api/convites
+  // - Espera body: { email, papel? } (papel padrão: "operador")
+  // - Resposta: 201 -> { ok: true, data: {...}, email_enviado: true }
+  // - 400 -> e-mail inválido/já cadastrado, papel inválido
+  // - 409 -> já existe convite pendente (e válido) para o e-mail
+  // ---------------------------------------------------------------------------
+  router.post("/", ctrl.create);
+
+  // ---------------------------------------------------------------------------
+  // POST /api/convites/:id/reenviar
+  // - Resposta: 200 -> { ok: true, data: {...}, email_enviado }
+  // - 404 -> convite inexistente, aceito ou revogado
+  // ---------------------------------------------------------------------------
+  router.post("/:id/reenviar", ctrl.resend);
+
+  // ---------------------------------------------------------------------------
+  // DELETE /api/convites/:id
+  // - Resposta: 200 -> { ok: true }
+  // - 404 -> convite inexistente, aceito ou revogado
+  // ---------------------------------------------------------------------------
+  router.delete("/:id", ctrl.revoke);
+
+  return router;
+}
+
+/* =============================================================================
+ * DICAS DE TESTE (cURL) — supondo API em http://localhost:4000
+ * -----------------------------------------------------------------------------
+ * // Convidar (token de um admin; sem SMTP o e-mail vira um .eml em ./outbox):
+ * curl -X POST http://localhost:4000/api/convites \
+ *   -H "Authorization: Bearer SEU_TOKEN" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"email":"bruno@empresa.com","papel":"gerente"}'
+ *
+ * // Pendentes, reenviar e revogar:
+ * curl http://localhost:4000/api/convites -H "Authorization: Bearer SEU_TOKEN"
+ * curl -X POST http://localhost:4000/api/convites/1/reenviar \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ * curl -X DELETE http://localhost:4000/api/convites/1 \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ * =============================================================================
+ */
@@ -20,6 +20,14 @@
  *    - PUT    /api/notas/:id     -> atualizar nota existente
  *    - DELETE /api/notas/:id     -> remover nota existente
  *
+ *  PERMISSÕES (RBAC, ver middlewares/roleMiddleware.js):
+ *    - GET          : todos os papéis
+ *    - POST / PUT   : admin, gerente, operador
+ *    - DELETE       : admin, gerente
+ *
+ *  VISIBILIDADE (no NotaFiscalService, a partir de req.user):
+ *    - admin/gerente veem todas as notas; os demais, só as que emitiram.
+ *
  *  CORPOS ESPERADOS:
  *    - POST/PUT: { numero, cliente_nome, itens: [{ productId, qtd }, ...] }
  *      * O "total" é calculado no Service com base nos preços do Produto (JSON).
@@ -28,6 +36,11 @@
 
 import express from "express";
 import { makeNotaFiscalController } from "../controllers/notaFiscalController.js"; // fábrica que "amarra" o service
+import { requireRole } from "../middlewares/roleMiddleware.js"; // autorização por papel (RBAC)
+
+const PODE_LER = ["admin", "gerente", "operador", "leitura"];
+const PODE_EMITIR = ["admin", "gerente", "operador"];
+const PODE_REMOVER = ["admin", "gerente"];
 
 /**
  * createNotaFiscalRoutes({ notaService })
@@ -54,7 +67,7 @@ export function createNotaFiscalRoutes({ notaService }) {
   // - Controller: extrai filtros se existirem (futuro), chama service.list().
   // - Retorno típico: { ok: true, data: [ ...notas ] }
   // ---------------------------------------------------------------------------
-  router.get("/", ctrl.list);
+  router.get("/", requireRole(...PODE_LER), ctrl.list);
 
   // ---------------------------------------------------------------------------
   // GET /api/notas/:id
@@ -64,7 +77,7 @@ export function createNotaFiscalRoutes({ notaService }) {
   //     200 -> { ok: true, data: { ...nota } }
   //     404 -> { ok: false, error: "Nota não encontrada" }
   // ---------------------------------------------------------------------------
-  router.get("/:id", ctrl.get);
+  router.get("/:id", requireRole(...PODE_LER), ctrl.get);
 
   // ---------------------------------------------------------------------------
   // POST /api/notas
@@ -83,7 +96,7 @@ export function createNotaFiscalRoutes({ notaService }) {
   //            cria Model NotaFiscal e persiste no SQLite via repository.
   // - Retorno típico: 201 -> { ok: true, data: { ...notaCriada } }
   // ---------------------------------------------------------------------------
-  router.post("/", ctrl.create);
+  router.post("/", requireRole(...PODE_EMITIR), ctrl.create);
 
   // ---------------------------------------------------------------------------
   // PUT /api/notas/:id
@@ -94,7 +107,7 @@ export function createNotaFiscalRoutes({ notaService }) {
   //     200 -> { ok: true, data: { ...notaAtualizada } }
   //     404 -> { ok: false, error: "Nota não encontrada" }
   // ---------------------------------------------------------------------------
-  router.put("/:id", ctrl.update);
+  router.put("/:id", requireRole(...PODE_EMITIR), ctrl.update);
 
   // ---------------------------------------------------------------------------
   // DELETE /api/notas/:id
@@ -104,7 +117,7 @@ export function createNotaFiscalRoutes({ notaService }) {
   //     200 -> { ok: true }
   //     404 -> { ok: false, error: "Nota não encontrada" }
   // ---------------------------------------------------------------------------
-  router.delete("/:id", ctrl.remove);
+  router.delete("/:id", requireRole(...PODE_REMOVER), ctrl.remove);
 
   // Retornamos o router pronto para ser montado na aplicação principal.
   return router;
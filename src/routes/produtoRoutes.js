@@ -20,35 +20,43 @@
 
 import express from "express";
 import { makeProdutoController } from "../controllers/produtoController.js"; // fábrica que cria o controller já ligado ao service
+import { requireRole } from "../middlewares/roleMiddleware.js"; // autorização por papel (RBAC)
+
+// Quem pode o quê (RBAC):
+//  - Leitura: qualquer papel autenticado.
+//  - Escrita (criar/editar/remover catálogo): admin e gerente.
+const PODE_LER = ["admin", "gerente", "operador", "leitura"];
+const PODE_ESCREVER = ["admin", "gerente"];
 
 /**
- * createProdutoRoutes({ produtoService })
+ * createProdutoRoutes({ produtoService, estoqueService })
  * -----------------------------------------------------------------------------
  * Cria e retorna um "router" do Express com as rotas de Produto.
  *
  * Parâmetros:
  *  - produtoService: objeto com os métodos de negócio (list/get/create/update/remove)
+ *  - estoqueService: extrato e ajuste manual de estoque (ajustar/extrato)
  *
  * Retorno:
  *  - Router pronto para ser montado no server.js:
  *      app.use("/api/produtos", authMiddleware, createProdutoRoutes({ produtoService }));
  */
-export function createProdutoRoutes({ produtoService }) {
+export function createProdutoRoutes({ produtoService, estoqueService }) {
   // Criamos um "sub-aplicativo" para agrupar somente as rotas de produtos.
   const router = express.Router();
 
   // Criamos o controller injetando o service.
   // O controller sabe conversar com req/res e chamar o service corretamente.
-  const ctrl = makeProdutoController({ produtoService });
+  const ctrl = makeProdutoController({ produtoService, estoqueService });
 
   // ---------------------------------------------------------------------------
-  // GET /api/produtos
+  // GET /api/produtos?categoria=3
   // - Lista todos os produtos.
-  // - Pode evoluir no futuro para aceitar paginação/filtros via query string.
+  // - ?categoria=<id> filtra pela categoria E pelas subcategorias dela.
   // - Retorno típico:
   //     { ok: true, data: [ { id, nome, preco }, ... ] }
   // ---------------------------------------------------------------------------
-  router.get("/", ctrl.list);
+  router.get("/", requireRole(...PODE_LER), ctrl.list);
 
   // ---------------------------------------------------------------------------
   // GET /api/produtos/:id
@@ -57,18 +65,19 @@ export function createProdutoRoutes({ produtoService }) {
   //     200 -> { ok: true, data: { id, nome, preco } }
   //     404 -> { ok: false, error: "Produto não encontrado" }
   // ---------------------------------------------------------------------------
-  router.get("/:id", ctrl.get);
+  router.get("/:id", requireRole(...PODE_LER), ctrl.get);
 
   // ---------------------------------------------------------------------------
   // POST /api/produtos
   // - Cria um novo produto.
   // - Body esperado:
-  //     { "nome": "Apontador", "preco": 4.50 }
-  // - Validações de domínio (nome e preço) são feitas no Model Produto.
+  //     { "nome": "Apontador", "preco": 4.50, "categoriaId": 2 }
+  // - Validações de domínio (nome e preço) são feitas no Model Produto;
+  //   a categoria precisa existir na empresa (CategoriaService).
   // - Retorno típico:
   //     201 -> { ok: true, data: { id, nome, preco } }
   // ---------------------------------------------------------------------------
-  router.post("/", ctrl.create);
+  router.post("/", requireRole(...PODE_ESCREVER), ctrl.create);
 
   // ---------------------------------------------------------------------------
   // PUT /api/produtos/:id
@@ -79,7 +88,7 @@ export function createProdutoRoutes({ produtoService }) {
   //     200 -> { ok: true, data: { id, nome, preco } }
   //     404 -> { ok: false, error: "Produto não encontrado" }
   // ---------------------------------------------------------------------------
-  router.put("/:id", ctrl.update);
+  router.put("/:id", requireRole(...PODE_ESCREVER), ctrl.update);
 
   // ---------------------------------------------------------------------------
   // DELETE /api/produtos/:id
@@ -88,7 +97,27 @@ export function createProdutoRoutes({ produtoService }) {
   //     200 -> { ok: true }
   //     404 -> { ok: false, error: "Produto não encontrado" }
   // ---------------------------------------------------------------------------
-  router.delete("/:id", ctrl.remove);
+  router.delete("/:id", requireRole(...PODE_ESCREVER), ctrl.remove);
+
+  // ---------------------------------------------------------------------------
+  // GET /api/produtos/:id/estoque?limite=100
+  // - Saldo atual + extrato de movimentações (mais recentes primeiro).
+  // - Só admin/gerente (quem responde pelo estoque).
+  // - Retorno típico:
+  //     200 -> { ok: true, data: { produto, movimentos: [ ... ] } }
+  // ---------------------------------------------------------------------------
+  router.get("/:id/estoque", requireRole(...PODE_ESCREVER), ctrl.extrato);
+
+  // ---------------------------------------------------------------------------
+  // POST /api/produtos/:id/estoque
+  // - Entrada (+) ou saída (-) manual, com motivo obrigatório.
+  // - Body esperado:
+  //     { "quantidade": 50, "motivo": "Compra do fornecedor" }
+  // - Retornos comuns:
+  //     201 -> { ok: true, data: { produto, movimento } }
+  //     409 -> { ok: false, error: "Estoque insuficiente: ...", detalhes: [...] }
+  // ---------------------------------------------------------------------------
+  router.post("/:id/estoque", requireRole(...PODE_ESCREVER), ctrl.ajustarEstoque);
 
   // Retornamos o router para ser usado pela aplicação principal.
   return router;
@@ -123,6 +152,12 @@ export function createProdutoRoutes({ produtoService }) {
  * curl -X DELETE http://localhost:4000/api/produtos/1 \
  *   -H "Authorization: Bearer SEU_TOKEN"
  *
+ * // 6) Ajustar estoque (entrada; saída = quantidade negativa):
+ * curl -X POST http://localhost:4000/api/produtos/1/estoque \
+ *   -H "Authorization: Bearer SEU_TOKEN" \
+ *   -H "Content-Type: application/json" \
+ *   -d '{"quantidade":50,"motivo":"Compra do fornecedor"}'
+ *
  * OBSERVAÇÕES PEDAGÓGICAS:
  *  - A validação de "nome" e "preço" NÃO é responsabilidade das rotas. Ela acontece
  *    no Model Produto (src/models/Produto.js) e é acionada pelo Service/Controller.
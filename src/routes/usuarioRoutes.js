@@ -10,6 +10,8 @@
  *    - Não existe rota POST /api/usuarios para criar usuário aqui.
  *      O cadastro (criação) é responsabilidade de /api/auth/register.
  *      Motivo: no cadastro já geramos o hash da senha (bcrypt) e validamos credenciais.
+ *      A exceção é a importação em lote (POST /api/usuarios/import, CSV),
+ *      feita pelo admin — ver ImportacaoUsuarioService.
  *
  *  ARQUITETURA (lembrete rápido):
  *    - ROUTES: mapeia "verbo + caminho" → controller (sem regra de negócio aqui).
@@ -17,6 +19,13 @@
  *    - SERVICE: contém as regras de negócio e conversa com o REPOSITORY.
  *    - REPOSITORY: acessa o MySQL (CRUD na tabela "usuarios").
  *
+ *  PERMISSÕES (RBAC, ver middlewares/roleMiddleware.js):
+ *    - GET          : admin, gerente (o gerente vê CPF e telefone mascarados;
+ *                     o admin, o telefone inteiro — CPF sempre mascarado)
+ *    - PUT / DELETE : somente admin (inclui trocar o papel de alguém)
+ *    - POST /:id/unlock : somente admin (libera login bloqueado)
+ *    - POST /import     : somente admin (importação por CSV)
+ *
  *  INJEÇÃO DE DEPENDÊNCIA:
  *    - Recebemos { usuarioService } como parâmetro de createUsuarioRoutes().
  *    - Assim, o controller não precisa "importar" diretamente o service.
@@ -26,40 +35,74 @@
 
 import express from "express";
 import { makeUsuarioController } from "../controllers/usuarioController.js"; // fábrica que cria o controller já ligado ao service
+import { requireRole } from "../middlewares/roleMiddleware.js"; // autorização por papel (RBAC)
+
+const PODE_LER = ["admin", "gerente"];
+const PODE_GERENCIAR = ["admin"];
 
 /**
- * createUsuarioRoutes({ usuarioService })
+ * createUsuarioRoutes({ usuarioService, importacaoService })
  * -----------------------------------------------------------------------------
  * Cria e retorna um Router do Express com as rotas de Usuário.
  *
  * Parâmetros:
- *  - usuarioService: objeto com os métodos de negócio (list/get/update/remove).
+ *  - usuarioService: objeto com os métodos de negócio (list/get/update/remove/
+ *                    restore/unlock).
+ *  - importacaoService: importação de contas por CSV.
  *
  * Retorno:
  *  - Router pronto para ser montado no server.js:
  *      app.use("/api/usuarios", authMiddleware, createUsuarioRoutes({ usuarioService }));
  *
  * Rotas expostas (todas PROTEGIDAS por JWT no server.js):
- *  - GET    /api/usuarios       → list
+ *  - GET    /api/usuarios       → list (sem os removidos)
+ *  - GET    /api/usuarios/excluidos → listExcluidos (somente admin)
  *  - GET    /api/usuarios/:id   → get
  *  - PUT    /api/usuarios/:id   → update (não mexe em senha aqui)
- *  - DELETE /api/usuarios/:id   → remove
+ *  - DELETE /api/usuarios/:id   → remove (soft delete)
+ *  - POST   /api/usuarios/:id/restore → restore (desfaz a remoção)
+ *  - POST   /api/usuarios/:id/unlock → unlock (libera login bloqueado)
+ *  - POST   /api/usuarios/import → importar (CSV; ?dry_run=true simula)
  */
-export function createUsuarioRoutes({ usuarioService }) {
+export function createUsuarioRoutes({ usuarioService, importacaoService }) {
   // "Sub-aplicativo" de rotas do Express para agrupar endpoints de usuário.
   const router = express.Router();
 
   // Cria o controller injetando o service.
-  const ctrl = makeUsuarioController({ usuarioService });
+  const ctrl = makeUsuarioController({ usuarioService, importacaoService });
+
+  // Corpo cru do CSV (o express.json global não lê text/csv)
+  const lerCsv = express.text({ type: ["text/csv", "text/plain"], limit: "2mb" });
 
   // ---------------------------------------------------------------------------
   // GET /api/usuarios
-  // - Lista todos os usuários (visão pública: sem senha_hash).
-  // - Pode receber paginação/filtros no futuro (ex.: ?page=1&limit=20).
+  // - Lista os usuários (visão pública: sem senha_hash), uma página por vez.
+  // - Query: ?page=1&limit=20&q=&criado_de=&criado_ate=&sort=-id
+  // - Resposta típica:
+  //     200 -> { ok: true, data: [ { id, nome, email, created_at }, ... ],
+  //              paginacao: { total, page, limit, paginas, next, prev } }
+  //     400 -> filtro inválido
+  // ---------------------------------------------------------------------------
+  router.get("/", requireRole(...PODE_LER), ctrl.list);
+
+  // ---------------------------------------------------------------------------
+  // GET /api/usuarios/excluidos
+  // - Lista os usuários removidos (soft delete), com "deleted_at".
+  // - Declarada ANTES de "/:id" (senão "excluidos" seria lido como um id).
   // - Resposta típica:
-  //     200 -> { ok: true, data: [ { id, nome, email, created_at }, ... ] }
+  //     200 -> { ok: true, data: [ { id, nome, email, deleted_at, ... } ] }
+  // ---------------------------------------------------------------------------
+  router.get("/excluidos", requireRole(...PODE_GERENCIAR), ctrl.listExcluidos);
+
   // ---------------------------------------------------------------------------
-  router.get("/", ctrl.list);
+  // POST /api/usuarios/import[?dry_run=true]
+  // - Corpo: CSV cru (Content-Type: text/csv) ou JSON { csv, dry_run }.
+  // - Respostas:
+  //     200 -> simulação { ok: true, data: { dry_run: true, resumo, linhas } }
+  //     201 -> contas criadas (mesmo formato, status "criado" + id por linha)
+  //     400 -> arquivo inválido | 409 -> lote recusado pelo banco (nada gravado)
+  // ---------------------------------------------------------------------------
+  router.post("/import", requireRole(...PODE_GERENCIAR), lerCsv, ctrl.importar);
 
   // ---------------------------------------------------------------------------
   // GET /api/usuarios/:id
@@ -68,28 +111,48 @@ export function createUsuarioRoutes({ usuarioService }) {
   //     200 -> { ok: true, data: { id, nome, email, created_at } }
   //     404 -> { ok: false, error: "Usuário não encontrado" }
   // ---------------------------------------------------------------------------
-  router.get("/:id", ctrl.get);
+  router.get("/:id", requireRole(...PODE_LER), ctrl.get);
 
   // ---------------------------------------------------------------------------
   // PUT /api/usuarios/:id
-  // - Atualiza dados básicos (nome, email). A senha NÃO é atualizada aqui.
+  // - Atualiza dados básicos (nome, email, papel). A senha NÃO é atualizada aqui.
   // - Body esperado:
-  //     { "nome": "Novo Nome", "email": "novo@empresa.com" }
+  //     { "nome": "Novo Nome", "email": "novo@empresa.com", "papel": "gerente" }
   // - Respostas comuns:
   //     200 -> { ok: true, data: { id, nome, email, created_at } }
   //     400 -> { ok: false, error: "Dados inválidos" }
   //     404 -> { ok: false, error: "Usuário não encontrado" }
   // ---------------------------------------------------------------------------
-  router.put("/:id", ctrl.update);
+  router.put("/:id", requireRole(...PODE_GERENCIAR), ctrl.update);
 
   // ---------------------------------------------------------------------------
   // DELETE /api/usuarios/:id
-  // - Remove um usuário pelo ID.
+  // - Remove um usuário pelo ID (soft delete: "deleted_at" preenchido). Ele
+  //   não faz mais login e as sessões abertas são encerradas.
   // - Respostas comuns:
   //     200 -> { ok: true }
+  //     400 -> { ok: false, error: "Não é possível remover/rebaixar o último admin" }
+  //     404 -> { ok: false, error: "Usuário não encontrado" } (ou já removido)
+  // ---------------------------------------------------------------------------
+  router.delete("/:id", requireRole(...PODE_GERENCIAR), ctrl.remove);
+
+  // ---------------------------------------------------------------------------
+  // POST /api/usuarios/:id/restore
+  // - Desfaz a remoção (a conta volta a logar com a mesma senha).
+  // - Respostas comuns:
+  //     200 -> { ok: true, data: { id, nome, email, ... } }
+  //     404 -> { ok: false, error: "Usuário removido não encontrado" }
+  // ---------------------------------------------------------------------------
+  router.post("/:id/restore", requireRole(...PODE_GERENCIAR), ctrl.restore);
+
+  // ---------------------------------------------------------------------------
+  // POST /api/usuarios/:id/unlock
+  // - Libera o login de uma conta bloqueada por excesso de senhas erradas.
+  // - Respostas comuns:
+  //     200 -> { ok: true, data: { usuario: {...}, desbloqueado: true } }
   //     404 -> { ok: false, error: "Usuário não encontrado" }
   // ---------------------------------------------------------------------------
-  router.delete("/:id", ctrl.remove);
+  router.post("/:id/unlock", requireRole(...PODE_GERENCIAR), ctrl.unlock);
 
   // Retorna o router montado.
   return router;
@@ -115,12 +178,26 @@ export function createUsuarioRoutes({ usuarioService }) {
  *   -H "Content-Type: application/json" \
  *   -d '{"nome":"Ana Maria","email":"ana.maria@empresa.com"}'
  *
- * // 4) Remover:
+ * // 4) Remover (soft delete) e restaurar:
  * curl -X DELETE http://localhost:4000/api/usuarios/1 \
  *   -H "Authorization: Bearer SEU_TOKEN"
+ * curl http://localhost:4000/api/usuarios/excluidos \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ * curl -X POST http://localhost:4000/api/usuarios/1/restore \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ *
+ * // 5) Desbloquear o login de uma conta (admin):
+ * curl -X POST http://localhost:4000/api/usuarios/2/unlock \
+ *   -H "Authorization: Bearer SEU_TOKEN"
+ *
+ * // 5) Importar contas por CSV (primeiro simulando):
+ * curl -X POST "http://localhost:4000/api/usuarios/import?dry_run=true" \
+ *   -H "Authorization: Bearer SEU_TOKEN" -H "Content-Type: text/csv" \
+ *   --data-binary @turma.csv
  *
  * OBSERVAÇÕES:
- *  - Criação de usuário é via /api/auth/register (porque lá fazemos hash da senha).
+ *  - Criação de usuário é via /api/auth/register (porque lá fazemos hash da senha)
+ *    ou pela importação do admin.
  *  - A visão pública do usuário NUNCA inclui "senha_hash".
  *  - Validações de domínio (ex.: e-mail) são feitas no Model/Service.
  * =============================================================================
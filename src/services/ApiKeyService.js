@@ -0,0 +1,177 @@
+/**
+ * =============================================================================
+ *  src/services/ApiKeyService.js
+ * -----------------------------------------------------------------------------
+ *  API KEYS — credenciais para integrações máquina-a-máquina (ERP, scripts
+ *  noturnos...), que não deveriam usar e-mail/senha de uma pessoa.
+ *
+ *  Formato da chave:
+ *    ak_<prefixo>_<segredo>
+ *      - prefixo: 8 caracteres hex, fica visível na listagem (para o usuário
+ *        reconhecer QUAL chave é, sem expor a chave em si);
+ *      - segredo: 32 bytes aleatórios (Base64URL).
+ *    A chave inteira aparece UMA vez, na criação. No banco fica só o SHA-256.
+ *
+ *  Escopos (opcionais):
+ *    - "<recurso>:read" ou "<recurso>:write" — ex.: "produtos:read".
+ *      "write" inclui "read". Recursos: ver RECURSOS_API_KEY.
+ *    - Sem escopos, a chave pode tudo o que o PAPEL do dono permite.
+ *    - Com escopos, vale a interseção: o papel (RBAC) continua sendo checado.
+ *
+ *  Uso nas requisições (ver middlewares/authMiddleware.js):
+ *    Authorization: ApiKey ak_xxxxxxxx_...
+ *    ou  X-API-Key: ak_xxxxxxxx_...
+ * =============================================================================
+ */
+
+import crypto from "crypto";
+import { gerarTokenAleatorio, hashToken } from "../utils/tokens.js";
+
+// Recursos que aceitam escopo (o "recurso" é o trecho da URL após /api/).
+export const RECURSOS_API_KEY = ["usuarios", "produtos", "categorias", "notas"];
+const ACOES = ["read", "write"];
+
+// "ultimo_uso_em" é gravado no máximo uma vez por minuto por chave.
+const INTERVALO_REGISTRO_USO_MS = 60 * 1000;
+
+export class ApiKeyService {
+  /**
+   * Recebe o repositório de API keys e o de usuários (injeção de dependência):
+   * autenticar() devolve o DONO da chave, consultado a cada requisição.
+   */
+  constructor(apiKeyRepo, usuarioRepo) {
+    this.apiKeyRepo = apiKeyRepo;
+    this.usuarioRepo = usuarioRepo;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * create(usuarioId, { nome, escopos, expira_em })
+   * ----------------------------------------------------------------------------
+   * Cria uma chave para o usuário logado.
+   *   - nome     : obrigatório (ex.: "ERP", "backup noturno")
+   *   - escopos  : opcional, array de "recurso:acao"
+   *   - expira_em: opcional, data futura (ISO, ex.: "2026-12-31")
+   * Retorna { api_key (visão pública), chave } — "chave" não aparece de novo.
+   */
+  async create(usuarioId, { nome, escopos, expira_em } = {}) {
+    const nomeStr = String(nome ?? "").trim();
+    if (!nomeStr) throw new Error("nome é obrigatório.");
+    if (nomeStr.length > 80) throw new Error("nome deve ter até 80 caracteres.");
+
+    const escoposNorm = this._validarEscopos(escopos);
+
+    let expires_at = null;
+    if (expira_em != null && expira_em !== "") {
+      const dt = new Date(expira_em);
+      if (Number.isNaN(dt.getTime())) throw new Error("expira_em inválida.");
+      if (dt.getTime() <= Date.now()) throw new Error("expira_em deve ser no futuro.");
+      expires_at = dt.toISOString();
+    }
+
+    const prefixo = crypto.randomBytes(4).toString("hex");
+    const chave = `ak_${prefixo}_${gerarTokenAleatorio(32)}`;
+    const row = await this.apiKeyRepo.create({
+      usuario_id: usuarioId,
+      nome: nomeStr,
+      prefixo,
+      key_hash: hashToken(chave),
+      escopos_json: escoposNorm ? JSON.stringify(escoposNorm) : null,
+      expires_at,
+    });
+    return { api_key: this._publica(row), chave };
+  }
+
+  /** list(usuarioId) → chaves do usuário (visão pública, sem hash) */
+  async list(usuarioId) {
+    const rows = await this.apiKeyRepo.listByUsuario(usuarioId);
+    return rows.map((r) => this._publica(r));
+  }
+
+  /**
+   * revoke(usuarioId, id)
+   * Revoga uma chave do próprio usuário. Chave de outro usuário, inexistente
+   * ou já revogada → erro (o controller responde 404).
+   */
+  async revoke(usuarioId, id) {
+    const ok = await this.apiKeyRepo.revogar(id, usuarioId);
+    if (!ok) throw new Error("API key não encontrada (ou já revogada).");
+    return true;
+  }
+
+  /** revogarTodas(usuarioId) → revoga todas as chaves do usuário; retorna quantas */
+  async revogarTodas(usuarioId) {
+    return this.apiKeyRepo.revogarPorUsuario(usuarioId);
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * autenticar(chave)
+   * ----------------------------------------------------------------------------
+   * Usado pelo authMiddleware. Retorna { user, apiKey } se a chave existir,
+   * não estiver revogada/expirada e o dono ainda existir; senão, null.
+   * Também registra o último uso.
+   */
+  async autenticar(chave) {
+    if (!/^ak_[0-9a-f]{8}_/.test(String(chave))) return null;
+
+    const row = await this.apiKeyRepo.findByHash(hashToken(chave));
+    if (!row || row.revogada_em) return null;
+    if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) {
+      return null;
+    }
+
+    const user = await this.usuarioRepo.findById(row.usuario_id);
+    if (!user) return null;
+
+    const agora = Date.now();
+    await this.apiKeyRepo.registrarUso(row.id, {
+      agora: new Date(agora).toISOString(),
+      desde: new Date(agora - INTERVALO_REGISTRO_USO_MS).toISOString(),
+    });
+
+    return { user, apiKey: this._publica(row) };
+  }
+
+  /**
+   * permite(escopos, recurso, acao)
+   * A chave (com estes escopos) pode fazer "acao" em "recurso"?
+   * Sem escopos → sim (vale só o papel do dono). "write" também permite "read".
+   */
+  permite(escopos, recurso, acao) {
+    if (!escopos?.length) return true;
+    if (escopos.includes(`${recurso}:${acao}`)) return true;
+    return acao === "read" && escopos.includes(`${recurso}:write`);
+  }
+
+  /** Valida/normaliza a lista de escopos. Retorna null quando não há escopos. */
+  _validarEscopos(escopos) {
+    if (escopos == null) return null;
+    if (!Array.isArray(escopos)) {
+      throw new Error('escopos deve ser um array (ex.: ["produtos:read"]).');
+    }
+    const validos = RECURSOS_API_KEY.flatMap((r) => ACOES.map((a) => `${r}:${a}`));
+    const norm = [...new Set(escopos.map((e) => String(e).trim().toLowerCase()))];
+    const invalidos = norm.filter((e) => !validos.includes(e));
+    if (invalidos.length) {
+      throw new Error(
+        `Escopo inválido: ${invalidos.join(", ")} (use: ${validos.join(", ")}).`
+      );
+    }
+    return norm.length ? norm : null;
+  }
+
+  /** Visão pública: sem key_hash; escopos como array */
+  _publica(row) {
+    return {
+      id: row.id,
+      nome: row.nome,
+      prefixo: row.prefixo,
+      escopos: row.escopos_json ? JSON.parse(row.escopos_json) : null,
+      expires_at: row.expires_at ?? null,
+      ultimo_uso_em: row.ultimo_uso_em ?? null,
+      revogada_em: row.revogada_em ?? null,
+      created_at: row.created_at,
+    };
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * =============================================================================
+ *  src/services/AuditoriaService.js
+ * -----------------------------------------------------------------------------
+ *  AUDITORIA — "quem fez o quê, quando e de onde" nas ações sensíveis.
+ *
+ *  Ações registradas hoje:
+ *    - usuario.anonimizado : o titular excluiu a própria conta
+ *                            (DELETE /api/auth/me, LGPD).
+ *    - usuario.removido    : um admin removeu a conta (soft delete).
+ *    - usuario.restaurado  : um admin desfez a remoção.
+ *    - convite.criado / convite.reenviado / convite.revogado : ações de um
+ *                            admin em /api/convites.
+ *    - convite.aceito      : o convidado criou a conta (accept-invite).
+ *    - impersonacao.iniciada   : um admin pegou um token para agir como o
+ *                                usuário (POST /api/admin/impersonate/:userId).
+ *    - impersonacao.requisicao : requisição que alterou dados durante a
+ *                                impersonação (método, caminho, status).
+ *    - usuarios.importados     : um admin importou contas por CSV (ids
+ *                                criados e totais do relatório).
+ *    - usuarios.migrados       : um admin copiou usuários entre backends
+ *                                (detalhes { de, para, copiados, atualizados,
+ *                                conflitos }).
+ *    - empresa.criada          : um admin da plataforma criou uma empresa.
+ *    - usuario.empresa_alterada: um admin da plataforma moveu o usuário de
+ *                                empresa (detalhes { de, para }).
+ *
+ *  Regras:
+ *    - Guardamos IDs (usuário afetado e ator), IP e detalhes técnicos —
+ *      NUNCA nome, e-mail ou senha. Um registro de exclusão que guardasse o
+ *      e-mail desfaria a própria exclusão.
+ *    - Só inclusão e consulta (GET /api/admin/auditoria); nada se edita.
+ *
+ *  Onde fica:
+ *    - No SQLite (junto dos refresh tokens e sessões), com fallback em
+ *      memória — ver auditoriaRepo no server.js.
+ * =============================================================================
+ */
+
+// Teto da consulta (GET /api/admin/auditoria?limite=...)
+const LIMITE_PADRAO = 50;
+const LIMITE_MAXIMO = 500;
+
+export class AuditoriaService {
+  /** Recebe o repositório de auditoria (injeção de dependência). */
+  constructor(auditoriaRepo) {
+    this.auditoriaRepo = auditoriaRepo;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * registrar({ acao, usuarioId, atorId, ip, detalhes })
+   * ----------------------------------------------------------------------------
+   * Grava um registro. "detalhes" é um objeto simples (vira JSON) — quem chama
+   * é responsável por não colocar dados pessoais ali.
+   */
+  async registrar({ acao, usuarioId = null, atorId = null, ip = null, detalhes = null }) {
+    const row = await this.auditoriaRepo.create({
+      acao,
+      usuario_id: usuarioId,
+      ator_id: atorId,
+      ip,
+      detalhes_json: detalhes ? JSON.stringify(detalhes) : null,
+    });
+    return this._publico(row);
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * listar({ usuario_id, acao, limite })
+   * ----------------------------------------------------------------------------
+   * Registros mais recentes primeiro (filtros opcionais). "limite" vale de 1
+   * a LIMITE_MAXIMO (padrão LIMITE_PADRAO).
+   */
+  async listar({ usuario_id, acao, limite } = {}) {
+    let n = LIMITE_PADRAO;
+    if (limite !== undefined && limite !== null && limite !== "") {
+      n = Number(limite);
+      if (!Number.isInteger(n) || n < 1 || n > LIMITE_MAXIMO) {
+        throw new Error(`limite deve ser um inteiro de 1 a ${LIMITE_MAXIMO}.`);
+      }
+    }
+    let usuarioId = null;
+    if (usuario_id !== undefined && usuario_id !== null && usuario_id !== "") {
+      usuarioId = Number(usuario_id);
+      if (!Number.isInteger(usuarioId)) throw new Error("usuario_id inválido.");
+    }
+    const rows = await this.auditoriaRepo.list({
+      usuario_id: usuarioId,
+      acao: acao ? String(acao) : null,
+      limite: n,
+    });
+    return rows.map((r) => this._publico(r));
+  }
+
+  /** Linha do banco → resposta da API ("detalhes" já como objeto) */
+  _publico(row) {
+    return {
+      id: row.id,
+      acao: row.acao,
+      usuario_id: row.usuario_id,
+      ator_id: row.ator_id,
+      ip: row.ip,
+      detalhes: row.detalhes_json ? JSON.parse(row.detalhes_json) : null,
+      created_at: row.created_at,
+    };
+  }
+}
@@ -12,98 +12,502 @@
  *    - register({ nome, email, senha })
  *        * Gera o hash (bcrypt) da senha
  *        * Cria o usuário (via Repository)
- *        * Gera o JWT
- *        * Retorna { usuario: toPublic(), token }
+ *        * Gera o JWT + refresh token
+ *        * Retorna { usuario: toPublic(), token, refreshToken }
  *
- *    - login({ email, senha })
+ *    - login({ email, senha, ip, userAgent })
+ *        * Recusa (429) se o e-mail ou o IP estiverem bloqueados por excesso
+ *          de falhas (tentativaLoginService)
  *        * Busca usuário pelo e-mail
  *        * Compara a senha informada com o hash (bcrypt.compare)
- *        * Gera JWT e retorna { usuario: toPublic(), token }
+ *        * Gera JWT + refresh token e retorna { usuario: toPublic(), token, refreshToken }
+ *        * Conta com 2FA: devolve { requer_2fa, desafio } no lugar dos tokens
+ *
+ *    - login2fa({ desafio, codigo, ip })
+ *        * 2ª etapa do login com 2FA: confere o código do app autenticador
+ *          (TOTP) ou um código de recuperação e só então emite os tokens.
+ *
+ *    - setup2fa / confirm2fa / disable2fa
+ *        * Cadastro do 2FA pelo próprio usuário: gera o segredo + URI
+ *          "otpauth://", confirma com um código (ativa e devolve os códigos
+ *          de recuperação) e desliga (pedindo senha + código).
+ *
+ *    - refresh({ refreshToken })
+ *        * Troca um refresh token válido por um NOVO par (access + refresh).
+ *        * O refresh antigo é "queimado" (rotação). Se alguém reapresentar um
+ *          refresh já usado, toda a família de tokens é revogada (reuso).
+ *
+ *    - logout({ refreshToken })
+ *        * Revoga a família do refresh token informado (encerra a sessão).
+ *
+ *  SESSÕES (sessaoService):
+ *    - Todo par de tokens emitido num login (ou cadastro / troca de senha)
+ *      abre uma SESSÃO com user agent e IP. O id da sessão é a família dos
+ *      refresh tokens e vai no JWT como "sid"; listar e encerrar sessões fica
+ *      no SessaoService (GET/DELETE /api/auth/sessions).
+ *
+ *    - acceptInvite({ token, nome, senha })
+ *        * Cria a conta a partir de um convite de admin (ConviteService):
+ *          papel do convite, e-mail já verificado. Com REGISTRO_PUBLICO=false,
+ *          é o único caminho para contas novas (além do 1º admin).
+ *
+ *    - notificarContaImportada(user, { definirSenha })
+ *        * E-mail de boas-vindas das contas criadas pela importação por CSV
+ *          (ImportacaoUsuarioService): verificação ou link para definir a
+ *          senha.
+ *
+ *    - verify({ token }) / resendVerification({ email })
+ *        * Confirmação do e-mail: o cadastro envia um link; ao abrir, a conta
+ *          fica "verificada". Com EXIGIR_EMAIL_VERIFICADO=true, login e rotas
+ *          protegidas recusam contas não verificadas.
+ *
+ *    - changePassword(usuarioId, { senha_atual, nova_senha })
+ *        * Troca de senha pelo próprio usuário logado. Incrementa a
+ *          token_version (JWT antigos deixam de valer), revoga os refresh
+ *          tokens e devolve um par novo para o dispositivo atual.
+ *
+ *    - forgot({ email }) / reset({ token, senha })
+ *        * "Esqueci minha senha": envia por e-mail (mailer) um token de uso
+ *          único e com validade curta; o reset troca a senha e derruba as
+ *          sessões abertas (refresh tokens).
+ *
+ *  POLÍTICA DE SENHA (politicaSenhaService):
+ *    - register, changePassword e reset conferem a senha nova contra as
+ *      regras do .env (tamanho, tipos de caractere, nome/e-mail, lista de
+ *      vazadas, histórico) ANTES de gerar o hash; o erro lista todas as regras
+ *      que falharam.
  *
  *  POR QUE "toPublic()"?
  *    - Para NUNCA vazar "senha_hash" para fora da camada de domínio.
+ *    - As respostas daqui são da PRÓPRIA conta: visão "titular" (telefone
+ *      inteiro e preferências; CPF mascarado).
  *
  *  OBSERVAÇÕES DE SEGURANÇA:
  *    - Mensagem de erro GENÉRICA ("Usuário/senha inválidos.") no login evita
  *      "enumeration" (não revelar se o e-mail existe ou não).
- *    - O token é assinado no utils/jwt.js com expiração (2h). Em produção,
- *      considere tokens curtos + refresh token.
+ *    - O access token é assinado no utils/jwt.js com expiração (JWT_EXPIRES_IN).
+ *      O refresh token é opaco (aleatório), dura REFRESH_TOKEN_DIAS e só o seu
+ *      hash SHA-256 fica guardado no SQLite (refreshTokenRepo).
  * =============================================================================
  */
 
-import { hashSenha, compareSenha } from "../utils/crypto.js"; // bcrypt (hash/compare)
-import { generateJwt } from "../utils/jwt.js"; // geração do JWT
-import { Usuario } from "../models/Usuario.js"; // model com validações de domínio
+import crypto from "crypto"; // bytes aleatórios dos códigos de recuperação
+import { hashSenha, compareSenha, precisaRehash } from "../utils/crypto.js"; // bcrypt (hash/compare/re-hash)
+import { generateJwt, verifyJwt } from "../utils/jwt.js"; // geração/validação do JWT
+import { gerarTokenAleatorio, hashToken } from "../utils/tokens.js"; // refresh tokens opacos
+import {
+  base32Encode,
+  gerarSegredoTotp,
+  verificarTotp,
+  montarOtpauthUri,
+} from "../utils/totp.js"; // 2FA (RFC 6238)
+import {
+  REFRESH_TOKEN_DIAS,
+  BOOTSTRAP_ADMIN_EMAIL,
+  APP_URL,
+  RESET_TOKEN_MINUTOS,
+  EXIGIR_EMAIL_VERIFICADO,
+  VERIFICACAO_TOKEN_HORAS,
+  VERIFICACAO_REENVIO_SEGUNDOS,
+  TOTP_EMISSOR,
+  LOGIN_2FA_MINUTOS,
+  REGISTRO_PUBLICO,
+  CONVITE_VALIDADE_HORAS,
+} from "../config/env.js";
+import { Usuario, PAPEL_PADRAO } from "../models/Usuario.js"; // model com validações de domínio
+import { AppError } from "../utils/errors.js"; // erro com status HTTP (403, 429...)
+
+// Quantidade de códigos de recuperação gerados ao ativar o 2FA
+const CODIGOS_RECUPERACAO = 10;
 
 export class AuthService {
   /**
    * Recebe o "usuarioRepo" (injeção de dependência)
    * - Isso facilita testes (podemos passar um repo fake/memória).
    * - Deixa o service desacoplado de um SGBD específico.
+   *
+   * Dependências opcionais (objeto de opções):
+   *  - refreshTokenRepo: onde ficam os hashes dos refresh tokens (SQLite/memória)
+   *  - usuarioTokenRepo: tokens de uso único (reset de senha, verificação de
+   *                      e-mail), junto dos usuários
+   *  - mailer          : quem envia e-mails (SmtpMailer ou OutboxMailer)
+   *  - tentativaLoginService: contadores de falhas/bloqueio do login
+   *                      (força bruta). Sem ele, o login não limita tentativas.
+   *  - sessaoService   : abre/encerra as sessões (uma por login) e revoga os
+   *                      refresh tokens de cada uma
+   *  - politicaSenhaService: regras de senha forte + histórico (cadastro,
+   *                      troca e redefinição de senha)
+   *  - conviteService  : valida e consome os convites (acceptInvite)
    */
-  constructor(usuarioRepo) {
+  constructor(
+    usuarioRepo,
+    {
+      refreshTokenRepo,
+      usuarioTokenRepo,
+      mailer,
+      tentativaLoginService,
+      sessaoService,
+      politicaSenhaService,
+      conviteService,
+    } = {}
+  ) {
     this.usuarioRepo = usuarioRepo;
+    this.refreshTokenRepo = refreshTokenRepo;
+    this.sessaoService = sessaoService;
+    this.politicaSenhaService = politicaSenhaService;
+    this.usuarioTokenRepo = usuarioTokenRepo;
+    this.mailer = mailer;
+    this.tentativaLoginService = tentativaLoginService;
+    this.conviteService = conviteService;
+
+    // Último reenvio de verificação por e-mail (throttle em memória):
+    // Map<email, timestamp ms>. Zera ao reiniciar o processo — suficiente para
+    // barrar cliques repetidos e scripts simples.
+    this._ultimoReenvio = new Map();
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * _emitirTokens(user, { familia, contexto })
+   * ----------------------------------------------------------------------------
+   * Gera o par de tokens de uma sessão:
+   *   - token        : JWT de curta duração (payload mínimo: id, email, papel,
+   *                    "ev" = e-mail verificado, "tv" = token_version,
+   *                    "sid" = id da sessão e tenant_id = empresa)
+   *   - refreshToken : string aleatória; só o hash vai para o banco
+   *
+   * "familia" identifica a cadeia de rotação e é o id da sessão. Sem ela
+   * (login novo), abrimos uma sessão nova com o "contexto" ({ ip, userAgent });
+   * no /refresh, o token sucessor herda a família do anterior e a sessão
+   * registra a atividade.
+   * Retorna também o registro salvo (útil para encadear a rotação).
+   */
+  async _emitirTokens(user, { familia = null, contexto = {} } = {}) {
+    if (familia) {
+      await this.sessaoService.renovar(familia, user.id, contexto);
+    } else {
+      familia = await this.sessaoService.criar(user.id, contexto);
+    }
+
+    // Payload mínimo (id, email, papel p/ RBAC, ev p/ verificação de e-mail,
+    // tv p/ invalidar tokens após troca de senha, sid p/ revogar a sessão,
+    // tenant_id p/ isolar os dados da empresa): o JWT não é criptografado.
+    const token = generateJwt({
+      id: user.id,
+      email: user.email,
+      papel: user.papel,
+      ev: Boolean(user.email_verificado_em),
+      tv: user.token_version,
+      sid: familia,
+      tenant_id: user.tenant_id,
+    });
+
+    const refreshToken = gerarTokenAleatorio();
+    const expires_at = new Date(
+      Date.now() + REFRESH_TOKEN_DIAS * 24 * 60 * 60 * 1000
+    ).toISOString();
+    const registro = await this.refreshTokenRepo.create({
+      usuario_id: user.id,
+      token_hash: hashToken(refreshToken),
+      familia,
+      expires_at,
+    });
+
+    return { token, refreshToken, registro };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * _rehashSeNecessario(user, senha)
+   * ----------------------------------------------------------------------------
+   * Chamado no login, logo depois de a senha conferir (único momento em que
+   * temos a senha em texto puro). Se o hash salvo tiver custo menor que o
+   * SENHA_BCRYPT_CUSTO — ou for de outro algoritmo —, gera um novo e grava via
+   * usuarioRepo.atualizarHashSenha (sem deslogar ninguém).
+   * Falhar aqui não impede o login: o re-hash fica para a próxima vez.
+   */
+  async _rehashSeNecessario(user, senha) {
+    if (!precisaRehash(user.senha_hash)) return;
+    try {
+      const novo = await hashSenha(senha);
+      if (await this.usuarioRepo.atualizarHashSenha(user.id, user.senha_hash, novo)) {
+        user.senha_hash = novo;
+      }
+    } catch (e) {
+      console.error(`Falha no re-hash da senha do usuário ${user.id}:`, e.message);
+    }
   }
 
   /**
    * ----------------------------------------------------------------------------
-   * register({ nome, email, senha })
+   * _criarTokenUnico(usuario_id, tipo, validadeMs)
+   * ----------------------------------------------------------------------------
+   * Gera um token de uso único para "tipo" ("reset", "verificacao"):
+   *   - invalida os tokens pendentes do mesmo tipo (só o mais recente vale);
+   *   - guarda apenas o hash, com validade "validadeMs";
+   *   - devolve o token PURO, que vai no e-mail.
+   */
+  async _criarTokenUnico(usuario_id, tipo, validadeMs) {
+    await this.usuarioTokenRepo.invalidarPendentes(usuario_id, tipo);
+
+    const token = gerarTokenAleatorio(32);
+    await this.usuarioTokenRepo.create({
+      usuario_id,
+      tipo,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + validadeMs).toISOString(),
+    });
+    return token;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * _enviarVerificacao(user)
+   * ----------------------------------------------------------------------------
+   * Cria o token "verificacao" e manda o link GET /api/auth/verify?token=...
+   * O envio não é aguardado: falha de SMTP não derruba o cadastro (o usuário
+   * pode pedir o reenvio).
+   */
+  async _enviarVerificacao(user) {
+    const token = await this._criarTokenUnico(
+      user.id,
+      "verificacao",
+      VERIFICACAO_TOKEN_HORAS * 60 * 60 * 1000
+    );
+    const link = `${APP_URL}/api/auth/verify?token=${encodeURIComponent(token)}`;
+
+    this.mailer
+      .enviar({
+        para: user.email,
+        assunto: "Confirme o seu e-mail",
+        texto: [
+          `Olá, ${user.nome}!`,
+          "",
+          "Para confirmar o seu e-mail, acesse o link abaixo",
+          `(válido por ${VERIFICACAO_TOKEN_HORAS} horas, uso único):`,
+          link,
+          "",
+          "Se você não criou esta conta, ignore este e-mail.",
+        ].join("\n"),
+      })
+      .catch((e) =>
+        console.error("Falha ao enviar e-mail de verificação:", e.message)
+      );
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * notificarContaImportada(user, { definirSenha })
+   * ----------------------------------------------------------------------------
+   * Chamado pela importação por CSV depois que a conta já existe:
+   *   - com senha temporária no CSV → o mesmo e-mail de verificação do
+   *     cadastro (o admin repassa a senha por outro canal);
+   *   - sem senha (definirSenha: true) → link para a pessoa DEFINIR a senha.
+   *     É um token "reset" comum (POST /api/auth/reset), mas com a validade
+   *     de um convite (CONVITE_VALIDADE_HORAS) em vez dos poucos minutos do
+   *     "esqueci a senha". Usá-lo também confirma o e-mail.
+   * Como nos demais e-mails, o envio não é aguardado.
+   */
+  async notificarContaImportada(user, { definirSenha = false } = {}) {
+    if (!definirSenha) return this._enviarVerificacao(user);
+
+    const token = await this._criarTokenUnico(
+      user.id,
+      "reset",
+      CONVITE_VALIDADE_HORAS * 60 * 60 * 1000
+    );
+    const link = `${APP_URL}/redefinir-senha?token=${encodeURIComponent(token)}`;
+    this.mailer
+      .enviar({
+        para: user.email,
+        assunto: "Sua conta foi criada — defina a sua senha",
+        texto: [
+          `Olá, ${user.nome}!`,
+          "",
+          "Um administrador criou uma conta para você.",
+          `Para definir a sua senha, acesse o link abaixo (válido por ${CONVITE_VALIDADE_HORAS} horas, uso único):`,
+          link,
+          "",
+          "Ou envie este token, com a senha escolhida, para POST /api/auth/reset:",
+          token,
+        ].join("\n"),
+      })
+      .catch((e) =>
+        console.error("Falha ao enviar e-mail de definição de senha:", e.message)
+      );
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * notificarEmailAlterado(user)
+   * ----------------------------------------------------------------------------
+   * Chamado pelo PATCH /api/auth/me quando o e-mail muda (o repositório já
+   * zerou email_verificado_em): manda o link de verificação para o endereço
+   * NOVO. Um link pendente do endereço antigo deixa de valer (_criarTokenUnico).
+   */
+  async notificarEmailAlterado(user) {
+    return this._enviarVerificacao(user);
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * register({ nome, email, senha, ip, userAgent })
    * ----------------------------------------------------------------------------
    * Fluxo:
+   *   0) Cadastro público desligado (REGISTRO_PUBLICO=false)? → 403, exceto
+   *      com o banco vazio (o 1º cadastro cria o admin que vai convidar)
    *   1) Verificar se e-mail já está em uso
-   *   2) Gerar hash seguro da senha (bcrypt)
-   *   3) Criar o model Usuario (validações de nome/e-mail/created_at)
-   *   4) Persistir via repository
-   *   5) Gerar JWT com { id, email }
-   *   6) Retornar visão pública + token
+   *   2) Conferir a política de senha (AppError 400 com TODAS as regras que
+   *      falharam) e gerar o hash seguro da senha (bcrypt)
+   *   3) Definir o papel: o 1º usuário (ou o BOOTSTRAP_ADMIN_EMAIL) vira admin;
+   *      os demais recebem o papel padrão. O papel NUNCA vem do body.
+   *   4) Criar o model Usuario (validações de nome/e-mail/papel/created_at)
+   *      e persistir via repository
+   *   5) Enviar o e-mail de verificação (link de uso único)
+   *   6) Com EXIGIR_EMAIL_VERIFICADO: retornar só o usuário (sem tokens; a
+   *      conta ainda não pode ser usada). Sem a exigência: gerar JWT +
+   *      refresh token e retornar visão pública + tokens
    *
    * Observações:
    *   - Mesmo checando "findByEmail", ainda é importante o BD ter UNIQUE(email).
    *     Em condição de corrida, o UNIQUE garante a consistência.
    */
-  async register({ nome, email, senha }) {
+  async register({ nome, email, senha, ip, userAgent }) {
+    // 0) Sem cadastro público, contas novas só entram por convite
+    if (!REGISTRO_PUBLICO && (await this.usuarioRepo.count()) > 0) {
+      throw new AppError(
+        "Cadastro público desativado. Peça um convite a um administrador.",
+        { status: 403 }
+      );
+    }
+
     // 1) E-mail precisa ser único no sistema
-    const jaExiste = await this.usuarioRepo.findByEmail(email);
+    // Inclui removidos (soft delete): o e-mail deles continua ocupado
+    const jaExiste = await this.usuarioRepo.findByEmail(email, { incluirExcluidos: true });
     if (jaExiste) {
       // Mantemos mensagem clara aqui, pois é cadastro. (No login, usamos genérica.)
       throw new Error("E-mail já cadastrado.");
     }
 
-    // 2) Gera hash da senha (NUNCA salve senha em texto)
+    // 2) Senha forte o bastante? Então gera o hash (NUNCA salve senha em texto)
+    await this.politicaSenhaService.exigir(senha, { nome, email });
     const senha_hash = await hashSenha(senha);
 
-    // 3) Cria o Model (faz validações de domínio: nome, email, etc.)
-    const novo = new Usuario({ nome, email, senha_hash });
+    // 3) Papel: primeiro usuário do sistema ou e-mail de bootstrap → admin
+    const primeiro = (await this.usuarioRepo.count()) === 0;
+    const ehBootstrap =
+      BOOTSTRAP_ADMIN_EMAIL &&
+      String(email).trim().toLowerCase() === BOOTSTRAP_ADMIN_EMAIL;
+    const papel = primeiro || ehBootstrap ? "admin" : PAPEL_PADRAO;
 
-    // 4) Persiste no BD (MySQL) via repository
+    // 4) Cria o Model (faz validações de domínio: nome, email, etc.)
+    //    e persiste no BD (MySQL) via repository. Cadastro público entra
+    //    sempre na empresa padrão (EMPRESA_PADRAO, default do Model).
+    const novo = new Usuario({ nome, email, senha_hash, papel });
     const criado = await this.usuarioRepo.create(novo);
 
-    // 5) Gera o token (payload mínimo: id e email)
-    //    - Evite colocar dados sensíveis no payload, pois o JWT não é criptografado.
-    const token = generateJwt({ id: criado.id, email: criado.email });
+    // 5) Link de verificação por e-mail
+    await this._enviarVerificacao(criado);
+
+    // 6) Sem tokens enquanto o e-mail não for confirmado (se exigido)
+    if (EXIGIR_EMAIL_VERIFICADO) {
+      return { usuario: criado.toPublic({ visao: "titular" }), verificacao_pendente: true };
+    }
+
+    // Gera os tokens (access JWT + refresh token de uma sessão nova)
+    const { token, refreshToken } = await this._emitirTokens(criado, {
+      contexto: { ip, userAgent },
+    });
 
-    // 6) Retorna visão pública + token (sem senha_hash!)
-    return { usuario: criado.toPublic(), token };
+    // Retorna visão pública + tokens (sem senha_hash!)
+    return { usuario: criado.toPublic({ visao: "titular" }), token, refreshToken };
   }
 
   /**
    * ----------------------------------------------------------------------------
-   * login({ email, senha })
+   * acceptInvite({ token, nome, senha, ip, userAgent })
    * ----------------------------------------------------------------------------
    * Fluxo:
+   *   1) Validar o convite (em aberto e dentro da validade) → senão 400
+   *   2) Conferir que o e-mail continua livre (pode ter sido cadastrado
+   *      depois do convite)
+   *   3) Política de senha + hash (igual ao register)
+   *   4) Criar a conta com o papel e a empresa DO CONVITE (nunca do body) e
+   *      marcar o e-mail como verificado: o token só chega a quem lê aquela
+   *      caixa
+   *   5) Consumir o convite (uso único) e devolver tokens de uma sessão nova
+   *
+   * Observação:
+   *   - Dois aceites simultâneos do mesmo link esbarram no UNIQUE(email) do
+   *     passo 4; só um cria a conta.
+   */
+  async acceptInvite({ token, nome, senha, ip, userAgent }) {
+    // 1) Convite válido?
+    const convite = await this.conviteService.validar(token);
+
+    // 2) E-mail ainda livre? (removidos também ocupam o e-mail)
+    const jaExiste = await this.usuarioRepo.findByEmail(convite.email, {
+      incluirExcluidos: true,
+    });
+    if (jaExiste) throw new Error("E-mail já cadastrado.");
+
+    // 3) Senha forte o bastante? Então gera o hash
+    await this.politicaSenhaService.exigir(senha, { nome, email: convite.email });
+    const senha_hash = await hashSenha(senha);
+
+    // 4) Conta com o papel/empresa do convite e e-mail já verificado
+    const novo = new Usuario({
+      nome,
+      email: convite.email,
+      senha_hash,
+      papel: convite.papel,
+      tenant_id: convite.tenant_id,
+    });
+    const criado = await this.usuarioRepo.create(novo);
+    const user = await this.usuarioRepo.marcarEmailVerificado(criado.id);
+
+    // 5) Convite consumido + sessão nova
+    await this.conviteService.consumir(convite, user.id, { ip });
+    const { token: jwt, refreshToken } = await this._emitirTokens(user, {
+      contexto: { ip, userAgent },
+    });
+    return { usuario: user.toPublic({ visao: "titular" }), token: jwt, refreshToken };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * login({ email, senha, ip, userAgent })
+   * ----------------------------------------------------------------------------
+   * Fluxo:
+   *   0) E-mail ou IP bloqueados por excesso de falhas? → 429 (Retry-After)
    *   1) Buscar usuário pelo e-mail
    *   2) Comparar a senha informada com o hash do banco (bcrypt.compare)
-   *   3) Se bater, gerar JWT com { id, email }
-   *   4) Retornar visão pública + token
+   *      - Falhou? Conta a falha (pode gerar bloqueio) e responde 401.
+   *      - Conferiu com um hash desatualizado (custo abaixo de
+   *        SENHA_BCRYPT_CUSTO)? Refaz o hash com a senha digitada.
+   *      - Conferiu? Zera os contadores de falha (com 2FA, só no login2fa).
+   *   3) Se (quando exigido) o e-mail estiver verificado, gerar JWT
+   *      com { id, email, papel, ev } + refresh token
+   *      - Conta com 2FA ativo: em vez dos tokens, devolve um "desafio"
+   *        (JWT curto, escopo "2fa") para POST /api/auth/login/2fa.
+   *   4) Abrir a sessão (ip + user agent) e retornar visão pública + tokens
    *
    * Observações:
    *   - Mensagem de erro genérica (evita revelar se e-mail existe).
-   *   - Em sistemas reais, considerar limiter (tentativas) e logs.
+   *     E-mail inexistente também conta falha: o bloqueio não denuncia contas.
+   *   - "E-mail não verificado" (403) só aparece DEPOIS da senha conferir,
+   *     então não ajuda a descobrir contas.
    */
-  async login({ email, senha }) {
+  async login({ email, senha, ip, userAgent }) {
+    const tentativa = { email, ip };
+
+    // 0) Bloqueio por força bruta (lança AppError 429)
+    await this.tentativaLoginService?.verificar(tentativa);
+
     // 1) Busca pelo e-mail
     const user = await this.usuarioRepo.findByEmail(email);
     if (!user) {
+      await this.tentativaLoginService?.registrarFalha(tentativa);
       // Mensagem genérica (boa prática): não entregar se "errou e-mail" ou "errou senha".
       throw new Error("Usuário/senha inválidos.");
     }
@@ -111,33 +515,590 @@ export class AuthService {
     // 2) Compara a senha informada com o hash armazenado
     const ok = await compareSenha(senha, user.senha_hash);
     if (!ok) {
+      await this.tentativaLoginService?.registrarFalha(tentativa);
       throw new Error("Usuário/senha inválidos.");
     }
+    // Senha certa: se o hash ficou fraco (custo antigo/outro algoritmo), refaz
+    await this._rehashSeNecessario(user, senha);
+    // Com 2FA, os contadores só zeram quando o código conferir: senão, acertar
+    // a senha renovaria o limite de tentativas do código de 6 dígitos.
+    if (!user.totp_ativo) {
+      await this.tentativaLoginService?.registrarSucesso(tentativa);
+    }
+
+    // 3) Conta ainda não verificada (só quando a exigência está ligada)
+    if (EXIGIR_EMAIL_VERIFICADO && !user.email_verificado_em) {
+      throw new AppError(
+        "E-mail não verificado. Confira sua caixa de entrada ou peça um novo link.",
+        { status: 403 }
+      );
+    }
+
+    // 2FA ativo: a senha conferiu, mas falta o segundo fator
+    if (user.totp_ativo) {
+      const desafio = generateJwt(
+        { id: user.id, escopo: "2fa", tv: user.token_version },
+        { expiresIn: `${LOGIN_2FA_MINUTOS}m` }
+      );
+      return { requer_2fa: true, desafio };
+    }
+
+    // Gera tokens (cada login abre uma sessão = família nova de refresh tokens)
+    const { token, refreshToken } = await this._emitirTokens(user, {
+      contexto: { ip, userAgent },
+    });
+
+    // 4) Retorna visão pública + tokens
+    return { usuario: user.toPublic({ visao: "titular" }), token, refreshToken };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * login2fa({ desafio, codigo, ip, userAgent })
+   * ----------------------------------------------------------------------------
+   * Segunda etapa do login de contas com 2FA.
+   * Fluxo:
+   *   1) Validar o desafio (assinatura, validade, escopo "2fa" e token_version:
+   *      trocar a senha no meio do caminho invalida o desafio)
+   *   2) Bloqueio por força bruta? → 429 (mesmos contadores do login)
+   *   3) Conferir o código (TOTP ou recuperação). Errou → conta falha, 401.
+   *   4) Zerar contadores e emitir os tokens, como no login comum
+   */
+  async login2fa({ desafio, codigo, ip, userAgent }) {
+    // 1) Desafio válido?
+    const invalido = "Desafio inválido ou expirado. Faça login novamente.";
+    let payload;
+    try {
+      payload = verifyJwt(desafio);
+    } catch {
+      throw new Error(invalido);
+    }
+    if (payload.escopo !== "2fa") throw new Error(invalido);
+
+    const user = await this.usuarioRepo.findById(payload.id);
+    if (!user || !user.totp_ativo || (payload.tv ?? 0) !== user.token_version) {
+      throw new Error(invalido);
+    }
+
+    // 2) Força bruta no código de 6 dígitos
+    const tentativa = { email: user.email, ip };
+    await this.tentativaLoginService?.verificar(tentativa);
+
+    // 3) Código do app ou de recuperação
+    const fator = await this._conferirSegundoFator(user, codigo);
+    if (!fator) {
+      await this.tentativaLoginService?.registrarFalha(tentativa);
+      throw new Error("Código inválido.");
+    }
+    await this.tentativaLoginService?.registrarSucesso(tentativa);
+
+    // 4) Tokens da sessão
+    const { token, refreshToken } = await this._emitirTokens(user, {
+      contexto: { ip, userAgent },
+    });
+    const out = { usuario: user.toPublic({ visao: "titular" }), token, refreshToken };
+    if (fator.tipo === "recuperacao") {
+      // Avisa quantos códigos sobraram (hora de desativar/ativar de novo?)
+      out.codigos_recuperacao_restantes = fator.restantes;
+    }
+    return out;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * setup2fa(usuarioId)
+   * ----------------------------------------------------------------------------
+   * 1º passo para ligar o 2FA (usuário logado):
+   *   - gera um segredo novo e guarda como PENDENTE (totp_ativo = false);
+   *   - devolve o segredo e a URI "otpauth://" (vire QR code no front) para o
+   *     usuário cadastrar no app autenticador.
+   * Chamar de novo antes de confirmar só troca o segredo pendente.
+   */
+  async setup2fa(usuarioId) {
+    const user = await this.usuarioRepo.findById(usuarioId);
+    if (!user) throw new AppError("Usuário não encontrado.", { status: 404 });
+    if (user.totp_ativo) {
+      throw new Error("2FA já está ativo. Desative antes de configurar de novo.");
+    }
+
+    const segredo = gerarSegredoTotp();
+    await this.usuarioRepo.updateTotp(user.id, {
+      totp_secret: segredo,
+      totp_ativo: false,
+      totp_recovery: [],
+    });
+    return {
+      segredo,
+      otpauth_uri: montarOtpauthUri({
+        segredo,
+        conta: user.email,
+        emissor: TOTP_EMISSOR,
+      }),
+    };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * confirm2fa(usuarioId, { codigo })
+   * ----------------------------------------------------------------------------
+   * 2º passo: o usuário digita um código gerado pelo app. Se conferir com o
+   * segredo pendente, o 2FA é ATIVADO e geramos os códigos de recuperação.
+   *
+   * Os códigos de recuperação voltam em texto puro SÓ nesta resposta; no
+   * banco fica apenas o hash SHA-256 de cada um (mesma ideia dos tokens).
+   */
+  async confirm2fa(usuarioId, { codigo }) {
+    const user = await this.usuarioRepo.findById(usuarioId);
+    if (!user) throw new AppError("Usuário não encontrado.", { status: 404 });
+    if (user.totp_ativo) throw new Error("2FA já está ativo.");
+    if (!user.totp_secret) {
+      throw new Error("Nenhum 2FA pendente. Chame POST /api/auth/2fa/setup antes.");
+    }
 
-    // 3) Gera token
-    const token = generateJwt({ id: user.id, email: user.email });
+    const passo = verificarTotp(user.totp_secret, codigo);
+    if (passo === null) throw new Error("Código inválido.");
 
-    // 4) Retorna visão pública + token
-    return { usuario: user.toPublic(), token };
+    const codigos = Array.from({ length: CODIGOS_RECUPERACAO }, () =>
+      this._gerarCodigoRecuperacao()
+    );
+    await this.usuarioRepo.updateTotp(user.id, {
+      totp_secret: user.totp_secret,
+      totp_ativo: true,
+      totp_recovery: codigos.map((c) => hashToken(this._normalizarCodigo(c))),
+    });
+    // O código usado na confirmação não vale para o próximo login
+    await this.usuarioRepo.registrarPassoTotp(user.id, passo);
+
+    return { codigos_recuperacao: codigos };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * disable2fa(usuarioId, { senha, codigo })
+   * ----------------------------------------------------------------------------
+   * Desliga o 2FA. Pede a senha E um código (do app ou de recuperação): um
+   * token de acesso roubado, sozinho, não basta para tirar a proteção.
+   * Também descarta um segredo pendente (setup sem confirmação).
+   */
+  async disable2fa(usuarioId, { senha, codigo }) {
+    const user = await this.usuarioRepo.findById(usuarioId);
+    if (!user) throw new AppError("Usuário não encontrado.", { status: 404 });
+    if (!user.totp_ativo && !user.totp_secret) throw new Error("2FA não está ativo.");
+
+    const ok = await compareSenha(senha, user.senha_hash);
+    if (!ok) throw new Error("Senha incorreta.");
+    if (user.totp_ativo && !(await this._conferirSegundoFator(user, codigo))) {
+      throw new Error("Código inválido.");
+    }
+
+    await this.usuarioRepo.updateTotp(user.id, {
+      totp_secret: null,
+      totp_ativo: false,
+      totp_recovery: [],
+    });
+    const atualizado = await this.usuarioRepo.findById(user.id);
+    return atualizado.toPublic({ visao: "titular" });
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * _conferirSegundoFator(user, codigo)
+   * ----------------------------------------------------------------------------
+   * Aceita:
+   *   - código TOTP de 6 dígitos (±30s), uma única vez (registrarPassoTotp);
+   *   - ou um código de recuperação, que é removido da lista ao ser usado.
+   * Retorna { tipo: "totp" } / { tipo: "recuperacao", restantes } ou null.
+   */
+  async _conferirSegundoFator(user, codigo) {
+    const passo = verificarTotp(user.totp_secret, codigo);
+    if (passo !== null) {
+      const novo = await this.usuarioRepo.registrarPassoTotp(user.id, passo);
+      return novo ? { tipo: "totp" } : null;
+    }
+
+    const hash = hashToken(this._normalizarCodigo(codigo));
+    if (!user.totp_recovery.includes(hash)) return null;
+    const depois = user.totp_recovery.filter((h) => h !== hash);
+    const consumido = await this.usuarioRepo.consumirCodigoRecuperacao(user.id, {
+      antes: user.totp_recovery,
+      depois,
+    });
+    return consumido ? { tipo: "recuperacao", restantes: depois.length } : null;
+  }
+
+  /** Código de recuperação legível: 10 caracteres Base32, ex.: "k3j7x-2mqpa" */
+  _gerarCodigoRecuperacao() {
+    const bruto = base32Encode(crypto.randomBytes(6)).slice(0, 10).toLowerCase();
+    return `${bruto.slice(0, 5)}-${bruto.slice(5)}`;
+  }
+
+  /** Ignora hífen, espaços e maiúsculas ao comparar códigos de recuperação */
+  _normalizarCodigo(codigo) {
+    return String(codigo ?? "")
+      .toLowerCase()
+      .replace(/[\s-]/g, "");
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * garantirAdminBootstrap()
+   * ----------------------------------------------------------------------------
+   * Chamado no boot (server.js). Cobre bancos que já tinham usuários antes do
+   * RBAC (todos ficaram com o papel padrão):
+   *   - BOOTSTRAP_ADMIN_EMAIL definido e usuário existente → promove a admin.
+   *   - Sem a variável e nenhum admin no banco → promove o primeiro cadastrado
+   *     (menor id).
+   * Retorna o usuário promovido (visão pública) ou null se nada mudou.
+   */
+  async garantirAdminBootstrap() {
+    let alvo = null;
+
+    if (BOOTSTRAP_ADMIN_EMAIL) {
+      alvo = await this.usuarioRepo.findByEmail(BOOTSTRAP_ADMIN_EMAIL);
+    } else if ((await this.usuarioRepo.count({ papel: "admin" })) === 0) {
+      const todos = await this.usuarioRepo.findAll(); // ordem: id DESC
+      alvo = todos[todos.length - 1] || null;
+    }
+
+    if (!alvo || alvo.papel === "admin") return null;
+    const promovido = await this.usuarioRepo.update(alvo.id, { papel: "admin" });
+    return promovido.toPublic();
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * refresh({ refreshToken, ip, userAgent })
+   * ----------------------------------------------------------------------------
+   * Fluxo (rotação com detecção de reuso):
+   *   1) Localizar o registro pelo hash do token recebido
+   *   2) Se já foi USADO antes → reuso! Alguém tem uma cópia do token.
+   *      Revogamos a família inteira (o ladrão e a vítima perdem a sessão;
+   *      a vítima só precisa logar de novo).
+   *   3) Se foi revogado ou expirou → recusar
+   *   4) Emitir novo par na MESMA família (a sessão registra a atividade) e
+   *      marcar o antigo como usado
+   *
+   * Observações:
+   *   - Mensagens de erro genéricas: o controller responde 401 em todas.
+   */
+  async refresh({ refreshToken, ip, userAgent }) {
+    // 1) Busca pelo hash (o token puro nunca é salvo)
+    const atual = await this.refreshTokenRepo.findByHash(hashToken(refreshToken));
+    if (!atual) {
+      throw new Error("Refresh token inválido.");
+    }
+
+    // 2) Reuso de token já rotacionado → encerra a sessão (família toda)
+    if (atual.usado_em) {
+      await this.sessaoService.encerrar(atual.familia);
+      throw new Error("Refresh token reutilizado. Sessão revogada; faça login novamente.");
+    }
+
+    // 3) Revogado (logout) ou expirado
+    if (atual.revogado_em) {
+      throw new Error("Refresh token revogado.");
+    }
+    if (new Date(atual.expires_at).getTime() <= Date.now()) {
+      throw new Error("Refresh token expirado.");
+    }
+
+    // O usuário ainda existe? (pode ter sido removido depois do login)
+    const user = await this.usuarioRepo.findById(atual.usuario_id);
+    if (!user) {
+      await this.sessaoService.encerrar(atual.familia);
+      throw new Error("Refresh token inválido.");
+    }
+
+    // 4) Novo par na mesma família; o antigo passa a ser "usado"
+    const { token, refreshToken: novoRefresh, registro } =
+      await this._emitirTokens(user, {
+        familia: atual.familia,
+        contexto: { ip, userAgent },
+      });
+    await this.refreshTokenRepo.marcarUsado(atual.id, registro.id);
+
+    return { usuario: user.toPublic({ visao: "titular" }), token, refreshToken: novoRefresh };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * logout({ refreshToken })
+   * ----------------------------------------------------------------------------
+   * Encerra a sessão do refresh token informado (revoga a família). É
+   * idempotente: token desconhecido ou já revogado não gera erro.
+   *
+   * Observação:
+   *   - O access token (JWT) daquela sessão também para de valer: o
+   *     authMiddleware confere a sessão ("sid") a cada requisição.
+   */
+  async logout({ refreshToken }) {
+    const atual = await this.refreshTokenRepo.findByHash(hashToken(refreshToken));
+    if (atual) {
+      await this.sessaoService.encerrar(atual.familia);
+    }
+    return true;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * verify({ token })
+   * ----------------------------------------------------------------------------
+   * Confirma o e-mail a partir do token do link enviado no cadastro:
+   *   1) Localizar o token "verificacao" pelo hash; recusar usado/expirado
+   *   2) Consumir o token (uso único)
+   *   3) Gravar email_verificado_em
+   *
+   * Observação:
+   *   - O authMiddleware lê a verificação no banco, então os tokens já emitidos
+   *     passam a valer na hora (só a claim "ev" fica desatualizada até o
+   *     próximo /refresh).
+   */
+  async verify({ token }) {
+    const registro = await this.usuarioTokenRepo.findByHash(
+      hashToken(token),
+      "verificacao"
+    );
+    if (
+      !registro ||
+      registro.usado_em ||
+      new Date(registro.expires_at).getTime() <= Date.now()
+    ) {
+      throw new Error("Token inválido ou expirado.");
+    }
+
+    const consumido = await this.usuarioTokenRepo.marcarUsado(registro.id);
+    if (!consumido) {
+      throw new Error("Token inválido ou expirado.");
+    }
+
+    const user = await this.usuarioRepo.marcarEmailVerificado(registro.usuario_id);
+    if (!user) {
+      throw new Error("Token inválido ou expirado.");
+    }
+    return user.toPublic({ visao: "titular" });
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * resendVerification({ email })
+   * ----------------------------------------------------------------------------
+   * Reenvia o link de verificação, com limite de 1 pedido a cada
+   * VERIFICACAO_REENVIO_SEGUNDOS por e-mail (429 + Retry-After se cedo demais).
+   *
+   * Observações:
+   *   - O limite vale para QUALQUER e-mail (existente ou não) e a resposta de
+   *     sucesso é sempre a mesma: não dá para descobrir quem tem conta.
+   *   - Conta já verificada: nada é enviado.
+   */
+  async resendVerification({ email }) {
+    const emailNorm = String(email).trim().toLowerCase();
+    const agora = Date.now();
+    const intervaloMs = VERIFICACAO_REENVIO_SEGUNDOS * 1000;
+
+    // Limpa entradas vencidas (o Map não cresce sem limite)
+    for (const [chave, quando] of this._ultimoReenvio) {
+      if (agora - quando >= intervaloMs) this._ultimoReenvio.delete(chave);
+    }
+
+    const ultimo = this._ultimoReenvio.get(emailNorm);
+    if (ultimo) {
+      const espera = Math.ceil((ultimo + intervaloMs - agora) / 1000);
+      throw new AppError(
+        `Aguarde ${espera}s para pedir um novo e-mail de verificação.`,
+        { status: 429, retryAfter: espera }
+      );
+    }
+    this._ultimoReenvio.set(emailNorm, agora);
+
+    const user = await this.usuarioRepo.findByEmail(emailNorm);
+    if (user && !user.email_verificado_em && !user.anonimizado_em) {
+      await this._enviarVerificacao(user);
+    }
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * changePassword(usuarioId, { senha_atual, nova_senha, ip, userAgent })
+   * ----------------------------------------------------------------------------
+   * Fluxo (usuário logado trocando a própria senha):
+   *   1) Buscar o usuário e conferir a senha atual (compareSenha)
+   *   2) Conferir a política de senha — inclusive não repetir a atual nem as
+   *      do histórico (SENHA_HISTORICO)
+   *   3) Gravar o hash da nova senha (a que sai entra no histórico) — o
+   *      repositório incrementa a token_version, então TODOS os access tokens
+   *      emitidos antes (inclusive o desta requisição) passam a ser recusados
+   *      pelo authMiddleware
+   *   4) Encerrar todas as sessões (outros dispositivos saem de vez)
+   *   5) Abrir uma sessão nova para quem trocou a senha continuar logado
+   *
+   * Observações:
+   *   - "Senha atual incorreta" é 400 (e não 401) para o cliente não achar que
+   *     o token expirou e tentar renovar a sessão.
+   */
+  async changePassword(usuarioId, { senha_atual, nova_senha, ip, userAgent }) {
+    // 1) Confere a senha atual
+    const user = await this.usuarioRepo.findById(usuarioId);
+    if (!user) {
+      throw new AppError("Usuário não encontrado.", { status: 404 });
+    }
+    const ok = await compareSenha(senha_atual, user.senha_hash);
+    if (!ok) {
+      throw new Error("Senha atual incorreta.");
+    }
+
+    // 2) Política de senha (trocar pela mesma senha também é recusado aqui)
+    const politica = this.politicaSenhaService;
+    await politica.exigir(nova_senha, {
+      nome: user.nome,
+      email: user.email,
+      hashesAnteriores: politica.hashesBloqueados(user),
+    });
+
+    // 3) Novo hash + histórico + token_version incrementada
+    await this.usuarioRepo.updateSenha(user.id, await hashSenha(nova_senha), {
+      historico: politica.proximoHistorico(user),
+    });
+
+    // 4) Sessões abertas (e seus refresh tokens) encerradas
+    await this.sessaoService.revogarTodas(user.id);
+
+    // 5) Par novo, já com a versão atual
+    const atualizado = await this.usuarioRepo.findById(user.id);
+    const { token, refreshToken } = await this._emitirTokens(atualizado, {
+      contexto: { ip, userAgent },
+    });
+    return { usuario: atualizado.toPublic({ visao: "titular" }), token, refreshToken };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * forgot({ email })
+   * ----------------------------------------------------------------------------
+   * Fluxo ("esqueci minha senha"):
+   *   1) Buscar o usuário pelo e-mail. Se não existir, NÃO fazemos nada — e
+   *      também não avisamos (o controller responde sempre a mesma mensagem).
+   *   2) Invalidar links de reset anteriores ainda não usados
+   *   3) Gerar token aleatório; guardar só o hash, com validade de
+   *      RESET_TOKEN_MINUTOS
+   *   4) Enviar o e-mail com o link (APP_URL) e o token
+   *
+   * Observações:
+   *   - O envio NÃO é aguardado e a falha é apenas logada: se o SMTP
+   *     atrasasse a resposta ou virasse erro HTTP, a diferença entregaria que
+   *     o e-mail existe (enumeration).
+   */
+  async forgot({ email }) {
+    // 1) Usuário existe? (o model guarda e-mails em minúsculas)
+    const user = await this.usuarioRepo.findByEmail(
+      String(email).trim().toLowerCase()
+    );
+    if (!user || user.anonimizado_em) return; // conta excluída: nada a enviar
+
+    // 2) e 3) Token novo (o puro vai no e-mail; o hash vai para o banco).
+    //         Links anteriores ainda não usados deixam de valer.
+    const token = await this._criarTokenUnico(
+      user.id,
+      "reset",
+      RESET_TOKEN_MINUTOS * 60 * 1000
+    );
+
+    // 4) E-mail com link + token (para quem testa só com a API)
+    const link = `${APP_URL}/redefinir-senha?token=${encodeURIComponent(token)}`;
+    this.mailer
+      .enviar({
+        para: user.email,
+        assunto: "Redefinição de senha",
+        texto: [
+          `Olá, ${user.nome}!`,
+          "",
+          "Recebemos um pedido para redefinir a sua senha.",
+          `Acesse o link abaixo (válido por ${RESET_TOKEN_MINUTOS} minutos, uso único):`,
+          link,
+          "",
+          "Ou envie este token para POST /api/auth/reset:",
+          token,
+          "",
+          "Se não foi você, ignore este e-mail; sua senha continua a mesma.",
+        ].join("\n"),
+      })
+      .catch((e) =>
+        console.error("Falha ao enviar e-mail de redefinição de senha:", e.message)
+      );
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * reset({ token, senha })
+   * ----------------------------------------------------------------------------
+   * Fluxo:
+   *   1) Localizar o token pelo hash (tipo "reset")
+   *   2) Recusar se já foi usado ou se expirou
+   *   3) Conferir a política de senha ANTES de consumir o token: com a senha
+   *      recusada, o mesmo link ainda serve para tentar outra
+   *   4) Consumir o token (uso único, atômico no repositório)
+   *   5) Gravar o hash da nova senha (a que sai entra no histórico; o
+   *      repositório incrementa a token_version: access tokens antigos param
+   *      de valer no authMiddleware)
+   *   6) Encerrar todas as sessões do usuário (quem tinha a senha antiga
+   *      — talvez um invasor — perde o acesso)
+   *   7) Se o e-mail ainda não estava verificado, passa a estar: quem abriu o
+   *      link de reset provou que recebe e-mails naquele endereço
+   *
+   * Observações:
+   *   - Mensagem única "Token inválido ou expirado." para todos os casos.
+   */
+  async reset({ token, senha }) {
+    // 1) Busca pelo hash
+    const registro = await this.usuarioTokenRepo.findByHash(hashToken(token), "reset");
+
+    // 2) Usado/expirado → mesma mensagem de "não encontrado"
+    if (
+      !registro ||
+      registro.usado_em ||
+      new Date(registro.expires_at).getTime() <= Date.now()
+    ) {
+      throw new Error("Token inválido ou expirado.");
+    }
+
+    const user = await this.usuarioRepo.findById(registro.usuario_id);
+    if (!user) {
+      throw new Error("Token inválido ou expirado.");
+    }
+
+    // 3) Política de senha (erro aqui não gasta o link)
+    const politica = this.politicaSenhaService;
+    await politica.exigir(senha, {
+      nome: user.nome,
+      email: user.email,
+      hashesAnteriores: politica.hashesBloqueados(user),
+    });
+
+    // 4) Consome ANTES de trocar a senha: em corrida, só uma requisição passa
+    const consumido = await this.usuarioTokenRepo.marcarUsado(registro.id);
+    if (!consumido) {
+      throw new Error("Token inválido ou expirado.");
+    }
+
+    // 5) Nova senha (hash bcrypt) + histórico
+    await this.usuarioRepo.updateSenha(user.id, await hashSenha(senha), {
+      historico: politica.proximoHistorico(user),
+    });
+
+    // 6) Encerra as sessões abertas
+    await this.sessaoService.revogarTodas(user.id);
+
+    // 7) O link chegou no e-mail → e-mail confirmado
+    if (!user.email_verificado_em) {
+      await this.usuarioRepo.marcarEmailVerificado(user.id);
+    }
+
+    return true;
   }
 }
 
 /* =============================================================================
  * DICAS / EXTENSÕES (apenas comentários):
  * -----------------------------------------------------------------------------
- * - "Esqueci minha senha":
- *     * Gerar "token de recuperação" temporário (assinado e com expiração curta),
- *       enviar por e-mail com link seguro; ao abrir o link, permitir redefinição.
- *
- * - "Refresh token":
- *     * Access token de curta duração (ex.: 15min–2h).
- *     * Refresh token mais longo, guardado com segurança (HttpOnly cookie / BD).
- *     * Endpoint /refresh para emitir novo access token quando expirar.
- *
- * - "Revogação de tokens":
- *     * Manter uma "versão de token" por usuário no BD. Ao trocar a senha,
- *       incremente a versão; tokens antigos (com versão anterior) passam a ser inválidos.
- *
  * - "Tratamento de erros":
  *     * Este service lança Error(). O controller deve capturar e traduzir para HTTP
  *       (400, 401, 409, 500...). Um middleware global de erros ajuda a padronizar.
@@ -0,0 +1,298 @@
+/**
+ * =============================================================================
+ *  src/services/CategoriaService.js
+ * -----------------------------------------------------------------------------
+ *  CATEGORIAS DE PRODUTOS, em árvore (categoria → subcategorias).
+ *
+ *  O QUE ESTE SERVICE ENTREGA:
+ *    - list(usuario)        → lista plana, cada uma com o "caminho"
+ *                             (ex.: "Material escolar / Escrita").
+ *    - arvore(usuario)      → as raízes, cada uma com "subcategorias" (recursivo).
+ *    - get / create / update / remove (CRUD de /api/categorias).
+ *    - subarvore(id, usuario) → ids da categoria + todas as descendentes
+ *                               (filtro GET /api/produtos?categoria=).
+ *    - exigir(id, usuario)  → confere o "categoriaId" de um produto.
+ *
+ *  REGRAS DA ÁRVORE:
+ *    - A categoria pai precisa existir na mesma empresa (senão 400).
+ *    - Sem ciclos: uma categoria não pode ficar debaixo dela mesma nem de
+ *      uma descendente (400).
+ *    - Nome único entre IRMÃS (mesmo pai), sem diferenciar maiúsculas → 409.
+ *
+ *  REMOVER UMA CATEGORIA:
+ *    - Com subcategorias → 409 (mova-as com PUT parentId ou remova-as antes).
+ *    - Com produtos → 409, a menos que venha "moverPara": os produtos passam
+ *      para essa categoria e só DEPOIS a categoria é removida. Se a remoção
+ *      falhar, os produtos já estão numa categoria válida — nunca ficam
+ *      apontando para uma que não existe.
+ *
+ *  MULTIEMPRESA:
+ *    - "usuario" é o req.user; o "tenant_id" dele escolhe a árvore. Categoria
+ *      de outra empresa responde como "não encontrada".
+ * =============================================================================
+ */
+
+import { Categoria } from "../models/Categoria.js";
+import { AppError } from "../utils/errors.js";
+
+const SEPARADOR_CAMINHO = " / ";
+
+/** Nome comparável entre irmãs ("Escrita" = "escrita") */
+function chaveNome(nome) {
+  return String(nome).trim().toLocaleLowerCase("pt-BR");
+}
+
+/** Nomes da raiz até a categoria: "Material escolar / Escrita" */
+function caminhoDe(categoria, porId) {
+  const nomes = [];
+  const vistos = new Set();
+  for (let c = categoria; c && !vistos.has(c.id); c = porId.get(c.parentId)) {
+    vistos.add(c.id);
+    nomes.unshift(c.nome);
+  }
+  return nomes.join(SEPARADOR_CAMINHO);
+}
+
+/** Ids da categoria "id" e de todas as descendentes (busca em largura) */
+function idsDaSubarvore(id, lista) {
+  const ids = new Set([Number(id)]);
+  const fila = [Number(id)];
+  while (fila.length) {
+    const atual = fila.shift();
+    for (const c of lista) {
+      if (c.parentId === atual && !ids.has(c.id)) {
+        ids.add(c.id);
+        fila.push(c.id);
+      }
+    }
+  }
+  return ids;
+}
+
+/** Id vindo da URL/query/body: inteiro positivo, senão AppError 400 */
+function idValido(valor, campo) {
+  const id = Number(valor);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new AppError(`"${campo}" deve ser o id de uma categoria.`, { status: 400 });
+  }
+  return id;
+}
+
+export class CategoriaService {
+  /**
+   * Recebe o repositório de categorias e o de produtos (para os produtos
+   * da categoria removida).
+   */
+  constructor(categoriaRepo, produtoRepo) {
+    this.categoriaRepo = categoriaRepo;
+    this.produtoRepo = produtoRepo;
+  }
+
+  /** Categoria da empresa do usuário ou AppError 404 */
+  async _buscar(id, usuario) {
+    const c = await this.categoriaRepo.findById(id, { tenantId: usuario?.tenant_id });
+    if (!c) throw new AppError("Categoria não encontrada", { status: 404 });
+    return c;
+  }
+
+  /** Model → plano com o "caminho" (porId: Map id → Model da empresa) */
+  _comCaminho(categoria, porId) {
+    return { ...categoria.toPlain(), caminho: caminhoDe(categoria, porId) };
+  }
+
+  /**
+   * Confere pai e nome antes de gravar:
+   *  - parentId (se vier) precisa existir na empresa e, no update, não pode
+   *    ser a própria categoria nem uma descendente dela;
+   *  - nome não pode repetir entre as irmãs.
+   */
+  async _validarPosicao({ id = null, nome, parentId }, usuario) {
+    const todas = await this.categoriaRepo.findAll({ tenantId: usuario?.tenant_id });
+
+    if (parentId !== null) {
+      if (!todas.some((c) => c.id === parentId)) {
+        throw new AppError("Categoria pai não encontrada.", { status: 400 });
+      }
+      if (id !== null && idsDaSubarvore(id, todas).has(parentId)) {
+        throw new AppError(
+          "Uma categoria não pode ficar dentro dela mesma nem de uma subcategoria dela.",
+          { status: 400 }
+        );
+      }
+    }
+
+    const repetida = todas.find(
+      (c) => c.id !== id && c.parentId === parentId && chaveNome(c.nome) === chaveNome(nome)
+    );
+    if (repetida) {
+      throw new AppError(`Já existe a categoria "${repetida.nome}" neste nível.`, {
+        status: 409,
+      });
+    }
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * list(usuario)
+   * -----------------------------------------------------------------------------
+   * Lista plana da empresa, em ordem de caminho (pais antes das filhas):
+   *   [{ id, nome, parentId, tenant_id, caminho }, ...]
+   */
+  async list(usuario) {
+    const todas = await this.categoriaRepo.findAll({ tenantId: usuario?.tenant_id });
+    const porId = new Map(todas.map((c) => [c.id, c]));
+    return todas
+      .map((c) => this._comCaminho(c, porId))
+      .sort((a, b) => a.caminho.localeCompare(b.caminho, "pt-BR"));
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * arvore(usuario)
+   * -----------------------------------------------------------------------------
+   * As categorias raiz, cada uma com "subcategorias" (recursivo), por nome:
+   *   [{ id, nome, parentId: null, tenant_id, subcategorias: [ ... ] }]
+   */
+  async arvore(usuario) {
+    const todas = await this.categoriaRepo.findAll({ tenantId: usuario?.tenant_id });
+    const porNome = (a, b) => a.nome.localeCompare(b.nome, "pt-BR");
+    const montar = (paiId) =>
+      todas
+        .filter((c) => c.parentId === paiId)
+        .sort(porNome)
+        .map((c) => ({ ...c.toPlain(), subcategorias: montar(c.id) }));
+    return montar(null);
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * get(id, usuario)
+   * -----------------------------------------------------------------------------
+   * Uma categoria com o "caminho" (404 se não existir na empresa).
+   */
+  async get(id, usuario) {
+    const categoria = await this._buscar(id, usuario);
+    const todas = await this.categoriaRepo.findAll({ tenantId: usuario?.tenant_id });
+    return this._comCaminho(categoria, new Map(todas.map((c) => [c.id, c])));
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * create({ nome, parentId }, usuario)
+   * -----------------------------------------------------------------------------
+   * Model valida nome/parentId (Error → 400); _validarPosicao confere o pai
+   * e o nome entre as irmãs. parentId ausente/null = categoria raiz.
+   */
+  async create({ nome, parentId = null }, usuario) {
+    const model = new Categoria({ nome, parentId, tenant_id: usuario?.tenant_id });
+    await this._validarPosicao(model, usuario);
+    const criada = await this.categoriaRepo.create(model);
+    return criada.toPlain();
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * update(id, { nome, parentId }, usuario)
+   * -----------------------------------------------------------------------------
+   * Renomeia e/ou muda de lugar na árvore ("parentId": outro pai; null =
+   * vira raiz; ausente = fica onde está). Os produtos e as subcategorias
+   * vão junto.
+   */
+  async update(id, { nome, parentId }, usuario) {
+    const atual = await this._buscar(id, usuario);
+    const model = new Categoria({
+      id: atual.id,
+      nome: nome ?? atual.nome,
+      parentId: parentId === undefined ? atual.parentId : parentId,
+      tenant_id: atual.tenant_id,
+    });
+    await this._validarPosicao(model, usuario);
+
+    const upd = await this.categoriaRepo.update(
+      atual.id,
+      { nome: model.nome, parentId: model.parentId },
+      { tenantId: usuario?.tenant_id }
+    );
+    if (!upd) throw new AppError("Categoria não encontrada", { status: 404 });
+    return upd.toPlain();
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * remove(id, usuario, { moverPara })
+   * -----------------------------------------------------------------------------
+   * Regras no cabeçalho ("REMOVER UMA CATEGORIA"). Retorna
+   * { produtos_movidos, movidos_para } (movidos_para = null sem produtos).
+   */
+  async remove(id, usuario, { moverPara } = {}) {
+    const tenantId = usuario?.tenant_id;
+    const categoria = await this._buscar(id, usuario);
+
+    const todas = await this.categoriaRepo.findAll({ tenantId });
+    const filhas = todas.filter((c) => c.parentId === categoria.id);
+    if (filhas.length) {
+      throw new AppError(
+        `A categoria tem ${filhas.length} subcategoria(s): mova-as ou remova-as antes.`,
+        { status: 409, detalhes: filhas.map((c) => ({ id: c.id, nome: c.nome })) }
+      );
+    }
+
+    const produtos = (await this.produtoRepo.findAll({ tenantId })).filter(
+      (p) => p.categoriaId === categoria.id
+    );
+    let destino = null;
+    if (produtos.length) {
+      if (moverPara === undefined || moverPara === null || moverPara === "") {
+        throw new AppError(
+          `A categoria tem ${produtos.length} produto(s): informe "moverPara" com a categoria que vai recebê-los.`,
+          { status: 409, detalhes: produtos.map((p) => ({ id: p.id, nome: p.nome })) }
+        );
+      }
+      destino = idValido(moverPara, "moverPara");
+      if (destino === categoria.id) {
+        throw new AppError("moverPara precisa ser outra categoria.", { status: 400 });
+      }
+      if (!todas.some((c) => c.id === destino)) {
+        throw new AppError("Categoria de destino (moverPara) não encontrada.", { status: 400 });
+      }
+    }
+
+    // Produtos primeiro: se a remoção falhar depois, eles já estão no destino
+    const movidos = destino
+      ? await this.produtoRepo.moverCategoria(categoria.id, destino, { tenantId })
+      : 0;
+    const ok = await this.categoriaRepo.delete(categoria.id, { tenantId });
+    if (!ok) throw new AppError("Categoria não encontrada", { status: 404 });
+    return { produtos_movidos: movidos, movidos_para: destino };
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * subarvore(id, usuario)
+   * -----------------------------------------------------------------------------
+   * Set com o id da categoria e os de todas as descendentes (filtro de
+   * produtos por categoria). Id inválido → 400; inexistente → 404.
+   */
+  async subarvore(id, usuario) {
+    const categoriaId = idValido(id, "categoria");
+    const todas = await this.categoriaRepo.findAll({ tenantId: usuario?.tenant_id });
+    if (!todas.some((c) => c.id === categoriaId)) {
+      throw new AppError("Categoria não encontrada", { status: 404 });
+    }
+    return idsDaSubarvore(categoriaId, todas);
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * exigir(id, usuario)
+   * -----------------------------------------------------------------------------
+   * Confere o "categoriaId" enviado num produto: precisa existir na empresa
+   * do usuário (senão AppError 400 — é dado inválido do produto, não uma
+   * rota inexistente).
+   */
+  async exigir(id, usuario) {
+    const categoria = await this.categoriaRepo.findById(id, { tenantId: usuario?.tenant_id });
+    if (!categoria) throw new AppError("categoriaId: categoria não encontrada.", { status: 400 });
+    return categoria;
+  }
+}
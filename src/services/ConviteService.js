@@ -0,0 +1,261 @@
+/**
+ * =============================================================================
+ *  src/services/ConviteService.js
+ * -----------------------------------------------------------------------------
+ *  CONVITES — contas novas criadas a convite de um admin, em vez de (ou além
+ *  de) o cadastro público em POST /api/auth/register.
+ *
+ *  Fluxo:
+ *    1) O admin convida um e-mail com um papel (POST /api/convites).
+ *    2) O convidado recebe por e-mail um link com um token de uso único,
+ *       válido por CONVITE_VALIDADE_HORAS.
+ *    3) Ele escolhe nome e senha em POST /api/auth/accept-invite
+ *       (AuthService.acceptInvite): a conta nasce com o papel do convite e
+ *       com o e-mail já verificado (quem recebeu o link é dono da caixa).
+ *
+ *  Enquanto não é aceito, o convite pode ser listado, reenviado (token e
+ *  validade novos; o link anterior deixa de valer) ou revogado.
+ *
+ *  Multiempresa: o convite guarda a empresa (tenant_id) do admin que
+ *  convidou, e a conta nasce nela. Cada admin só enxerga e mexe nos convites
+ *  da própria empresa.
+ *
+ *  Com REGISTRO_PUBLICO=false, o convite é o ÚNICO jeito de entrar no sistema
+ *  (exceto o primeiro cadastro, que cria o admin).
+ *
+ *  Segurança:
+ *    - Só o HASH SHA-256 do token fica no banco (igual aos tokens de reset).
+ *    - A auditoria registra ids e papel — nunca o e-mail convidado.
+ * =============================================================================
+ */
+
+import { gerarTokenAleatorio, hashToken } from "../utils/tokens.js";
+import { APP_URL, CONVITE_VALIDADE_HORAS } from "../config/env.js";
+import { PAPEIS, PAPEL_PADRAO, normalizarEmail } from "../models/Usuario.js";
+import { AppError } from "../utils/errors.js";
+
+function naoEncontrado() {
+  return new AppError("Convite não encontrado (ou já aceito/revogado).", { status: 404 });
+}
+
+export class ConviteService {
+  /**
+   * Recebe o repositório de convites e o de usuários (injeção de dependência).
+   * Opções:
+   *  - mailer          : envia o link (SmtpMailer ou OutboxMailer)
+   *  - auditoriaService: registra criação, reenvio, revogação e aceite
+   */
+  constructor(conviteRepo, usuarioRepo, { mailer, auditoriaService } = {}) {
+    this.conviteRepo = conviteRepo;
+    this.usuarioRepo = usuarioRepo;
+    this.mailer = mailer;
+    this.auditoriaService = auditoriaService;
+  }
+
+  /** Validade de um link enviado agora */
+  _expiraEm() {
+    return new Date(Date.now() + CONVITE_VALIDADE_HORAS * 60 * 60 * 1000).toISOString();
+  }
+
+  /** O link do convite já venceu? */
+  _expirado(convite) {
+    return new Date(convite.expires_at).getTime() <= Date.now();
+  }
+
+  /** Visão pública (sem token_hash) */
+  _publico(convite) {
+    return {
+      id: convite.id,
+      email: convite.email,
+      papel: convite.papel,
+      convidado_por: convite.convidado_por,
+      tenant_id: convite.tenant_id,
+      expires_at: new Date(convite.expires_at).toISOString(),
+      enviado_em: new Date(convite.enviado_em).toISOString(),
+      created_at: new Date(convite.created_at).toISOString(),
+      expirado: this._expirado(convite),
+    };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * _enviar(email, papel, token)
+   * ----------------------------------------------------------------------------
+   * Manda o link do convite. Diferente do "esqueci minha senha", aqui o envio
+   * é aguardado: quem chama é um admin, e ele precisa saber se o e-mail saiu
+   * (false → tentar POST /api/convites/:id/reenviar depois).
+   */
+  async _enviar(email, papel, token) {
+    const link = `${APP_URL}/aceitar-convite?token=${encodeURIComponent(token)}`;
+    try {
+      await this.mailer.enviar({
+        para: email,
+        assunto: "Você foi convidado",
+        texto: [
+          "Olá!",
+          "",
+          `Você foi convidado para acessar o sistema com o papel "${papel}".`,
+          `Para criar a sua conta, acesse o link abaixo (válido por ${CONVITE_VALIDADE_HORAS} horas, uso único):`,
+          link,
+          "",
+          "Ou envie este token para POST /api/auth/accept-invite:",
+          token,
+          "",
+          "Se você não esperava este convite, ignore este e-mail.",
+        ].join("\n"),
+      });
+      return true;
+    } catch (e) {
+      console.error("Falha ao enviar e-mail de convite:", e.message);
+      return false;
+    }
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * criar({ email, papel }, { atorId, tenantId, ip })
+   * ----------------------------------------------------------------------------
+   * Regras:
+   *   - e-mail válido (mesma normalização do model Usuario);
+   *   - papel entre PAPEIS (padrão: PAPEL_PADRAO);
+   *   - e-mail sem conta (inclui removidas: o e-mail delas continua ocupado);
+   *   - no máximo um convite em aberto por e-mail: se o anterior ainda vale,
+   *     use "reenviar"; se já venceu, é revogado e substituído;
+   *   - a conta nova entra na empresa "tenantId" (a do admin).
+   * Retorna { convite, email_enviado }.
+   */
+  async criar({ email, papel } = {}, { atorId = null, tenantId, ip = null } = {}) {
+    const emailNorm = normalizarEmail(email);
+    const papelStr = String(papel ?? PAPEL_PADRAO).trim().toLowerCase();
+    if (!PAPEIS.includes(papelStr)) {
+      throw new Error(`Papel inválido (use: ${PAPEIS.join(", ")}).`);
+    }
+
+    if (await this.usuarioRepo.findByEmail(emailNorm, { incluirExcluidos: true })) {
+      throw new Error("E-mail já cadastrado.");
+    }
+    const anterior = await this.conviteRepo.findAbertoByEmail(emailNorm);
+    if (anterior && !this._expirado(anterior)) {
+      throw new AppError(
+        "Já existe um convite pendente para este e-mail (use o reenvio).",
+        { status: 409 }
+      );
+    }
+    if (anterior) await this.conviteRepo.revogar(anterior.id);
+
+    const token = gerarTokenAleatorio(32);
+    const convite = await this.conviteRepo.create({
+      email: emailNorm,
+      papel: papelStr,
+      token_hash: hashToken(token),
+      convidado_por: atorId,
+      expires_at: this._expiraEm(),
+      tenant_id: tenantId,
+    });
+    const email_enviado = await this._enviar(convite.email, convite.papel, token);
+
+    await this.auditoriaService.registrar({
+      acao: "convite.criado",
+      atorId,
+      ip,
+      detalhes: { convite_id: convite.id, papel: convite.papel },
+    });
+    return { convite: this._publico(convite), email_enviado };
+  }
+
+  /** listar({ tenantId }) → convites pendentes da empresa (vencidos com "expirado: true") */
+  async listar({ tenantId } = {}) {
+    const rows = await this.conviteRepo.listAbertos({ tenantId });
+    return rows.map((c) => this._publico(c));
+  }
+
+  /** Convite em aberto pelo id (na empresa), ou AppError 404 */
+  async _abertoPorId(id, tenantId) {
+    const convite = await this.conviteRepo.findById(Number(id), { tenantId });
+    if (!convite || convite.aceito_em || convite.revogado_em) throw naoEncontrado();
+    return convite;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * reenviar(id, { atorId, tenantId, ip })
+   * ----------------------------------------------------------------------------
+   * Gera token e validade novos e manda o e-mail de novo (serve também para
+   * "ressuscitar" um convite vencido). O link anterior deixa de valer.
+   */
+  async reenviar(id, { atorId = null, tenantId, ip = null } = {}) {
+    const convite = await this._abertoPorId(id, tenantId);
+
+    const token = gerarTokenAleatorio(32);
+    const trocado = await this.conviteRepo.trocarToken(convite.id, {
+      token_hash: hashToken(token),
+      expires_at: this._expiraEm(),
+    });
+    if (!trocado) throw naoEncontrado(); // aceito/revogado no meio do caminho
+
+    const email_enviado = await this._enviar(convite.email, convite.papel, token);
+    await this.auditoriaService.registrar({
+      acao: "convite.reenviado",
+      atorId,
+      ip,
+      detalhes: { convite_id: convite.id },
+    });
+    const atualizado = await this.conviteRepo.findById(convite.id);
+    return { convite: this._publico(atualizado), email_enviado };
+  }
+
+  /** revogar(id, { atorId, tenantId, ip }) → o link deixa de valer (404 se não pendente) */
+  async revogar(id, { atorId = null, tenantId, ip = null } = {}) {
+    const convite = await this._abertoPorId(id, tenantId);
+    if (!(await this.conviteRepo.revogar(convite.id))) throw naoEncontrado();
+
+    await this.auditoriaService.registrar({
+      acao: "convite.revogado",
+      atorId,
+      ip,
+      detalhes: { convite_id: convite.id },
+    });
+    return true;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * validar(token) / consumir(convite, usuarioId, { ip })
+   * ----------------------------------------------------------------------------
+   * Usados pelo AuthService.acceptInvite:
+   *   - validar: convite em aberto e dentro da validade, ou Error 400;
+   *   - consumir: marca como aceito (uso único, atômico) e audita.
+   */
+  async validar(token) {
+    const convite = await this.conviteRepo.findByHash(hashToken(String(token ?? "")));
+    if (!convite || convite.aceito_em || convite.revogado_em || this._expirado(convite)) {
+      throw new Error("Convite inválido ou expirado.");
+    }
+    return convite;
+  }
+
+  async consumir(convite, usuarioId, { ip = null } = {}) {
+    const ok = await this.conviteRepo.marcarAceito(convite.id, usuarioId);
+    if (ok) {
+      await this.auditoriaService.registrar({
+        acao: "convite.aceito",
+        usuarioId,
+        atorId: usuarioId,
+        ip,
+        detalhes: { convite_id: convite.id, papel: convite.papel },
+      });
+    }
+    return ok;
+  }
+}
+
+/* =============================================================================
+ * DICAS RÁPIDAS (comentários):
+ * -----------------------------------------------------------------------------
+ * // Em desenvolvimento (MAIL_OUTBOX_DIR), o e-mail do convite vira um arquivo
+ * // .eml na pasta da outbox — o token está no corpo.
+ * //
+ * // Fechar o cadastro público e trabalhar só com convites:
+ * //   REGISTRO_PUBLICO=false
+ * =============================================================================
+ */
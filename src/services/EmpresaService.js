@@ -0,0 +1,138 @@
+/**
+ * =============================================================================
+ *  src/services/EmpresaService.js
+ * -----------------------------------------------------------------------------
+ *  EMPRESAS (multiempresa / tenants) — vários clientes na mesma instalação,
+ *  cada um enxergando só os próprios produtos, notas e usuários.
+ *
+ *  Como funciona:
+ *    - Todo usuário pertence a UMA empresa (usuarios.tenant_id). Produtos,
+ *      notas e convites também carregam o tenant_id de quem os criou.
+ *    - A empresa vai no JWT (claim "tenant_id") e o authMiddleware confere a
+ *      cada requisição que o usuário continua nela (mudou → 401).
+ *    - Dados que existiam antes da multiempresa e os cadastros públicos
+ *      (POST /api/auth/register) ficam na EMPRESA_PADRAO.
+ *
+ *  Quem administra:
+ *    - Só os admins da EMPRESA_PADRAO (a "plataforma") criam empresas e mudam
+ *      usuários de empresa. Admin de outra empresa → AppError 403.
+ *
+ *  Rastro (AuditoriaService):
+ *    - empresa.criada            : detalhes { empresa_id }
+ *    - usuario.empresa_alterada  : detalhes { de, para }
+ * =============================================================================
+ */
+
+import { EMPRESA_PADRAO } from "../config/env.js";
+import { AppError } from "../utils/errors.js";
+
+// Limites do nome da empresa
+const NOME_MIN = 2;
+const NOME_MAX = 120;
+
+export class EmpresaService {
+  /**
+   * Recebe o repositório de empresas e o de usuários (injeção de
+   * dependência); nas opções, o auditoriaService.
+   */
+  constructor(empresaRepo, usuarioRepo, { auditoriaService } = {}) {
+    this.empresaRepo = empresaRepo;
+    this.usuarioRepo = usuarioRepo;
+    this.auditoriaService = auditoriaService;
+  }
+
+  /** Só admin da empresa padrão (plataforma) gerencia empresas */
+  _exigirPlataforma(ator) {
+    if (ator?.papel !== "admin" || Number(ator?.tenant_id) !== EMPRESA_PADRAO) {
+      throw new AppError("Somente administradores da plataforma gerenciam empresas.", {
+        status: 403,
+      });
+    }
+  }
+
+  /** listar(ator) → todas as empresas, em ordem de id */
+  async listar(ator) {
+    this._exigirPlataforma(ator);
+    return this.empresaRepo.findAll();
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * criar({ nome }, { ator, ip })
+   * ----------------------------------------------------------------------------
+   * Cria uma empresa vazia. Os usuários entram nela por convite de um admin
+   * da empresa ou por definirEmpresaDoUsuario().
+   */
+  async criar({ nome } = {}, { ator, ip = null } = {}) {
+    this._exigirPlataforma(ator);
+
+    const limpo = String(nome ?? "").trim();
+    if (limpo.length < NOME_MIN || limpo.length > NOME_MAX) {
+      throw new AppError(
+        `Nome da empresa deve ter entre ${NOME_MIN} e ${NOME_MAX} caracteres.`,
+        { status: 400 }
+      );
+    }
+
+    const empresa = await this.empresaRepo.create({ nome: limpo });
+    if (this.auditoriaService) {
+      await this.auditoriaService.registrar({
+        acao: "empresa.criada",
+        usuarioId: null,
+        atorId: ator.id,
+        ip,
+        detalhes: { empresa_id: empresa.id },
+      });
+    }
+    return empresa;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * definirEmpresaDoUsuario(usuarioId, empresaId, { ator, ip })
+   * ----------------------------------------------------------------------------
+   * Move um usuário para outra empresa.
+   *   - Empresa ou usuário inexistente → 404.
+   *   - O último admin da empresa de origem não sai (ela ficaria sem gestão).
+   *   - Os tokens dele na empresa antiga param na hora (authMiddleware
+   *     compara a claim "tenant_id" com o banco → 401).
+   * Produtos e notas que ele criou continuam na empresa de origem.
+   */
+  async definirEmpresaDoUsuario(usuarioId, empresaId, { ator, ip = null } = {}) {
+    this._exigirPlataforma(ator);
+
+    const empresa = await this.empresaRepo.findById(Number(empresaId));
+    if (!empresa) throw new AppError("Empresa não encontrada.", { status: 404 });
+
+    const usuario = await this.usuarioRepo.findById(Number(usuarioId));
+    if (!usuario || usuario.anonimizado_em) {
+      throw new AppError("Usuário não encontrado.", { status: 404 });
+    }
+    if (usuario.tenant_id === empresa.id) return usuario.toPublic({ visao: "admin" });
+
+    if (
+      usuario.papel === "admin" &&
+      (await this.usuarioRepo.count({ papel: "admin", tenantId: usuario.tenant_id })) <= 1
+    ) {
+      throw new AppError("Não é possível tirar o último admin da empresa.", {
+        status: 400,
+      });
+    }
+
+    const ok = await this.usuarioRepo.definirEmpresa(usuario.id, empresa.id);
+    if (!ok) throw new AppError("Usuário não encontrado.", { status: 404 });
+
+    if (this.auditoriaService) {
+      await this.auditoriaService.registrar({
+        acao: "usuario.empresa_alterada",
+        usuarioId: usuario.id,
+        atorId: ator.id,
+        ip,
+        detalhes: { de: usuario.tenant_id, para: empresa.id },
+      });
+    }
+
+    const atualizado = await this.usuarioRepo.findById(usuario.id);
+    return atualizado.toPublic({ visao: "admin" });
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * =============================================================================
+ *  src/services/EstoqueService.js
+ * -----------------------------------------------------------------------------
+ *  CONTROLE DE ESTOQUE: quantidade em mãos de cada produto + EXTRATO de
+ *  movimentações.
+ *
+ *  Onde mora cada coisa:
+ *    - Saldo ("estoque" do produto): JSON de produtos (produtoRepo).
+ *    - Extrato (uma linha por movimento): SQLite (movimentoRepo), ao lado
+ *      das notas fiscais.
+ *
+ *  CONSISTÊNCIA ENTRE OS DOIS ARQUIVOS (não há transação em comum):
+ *    1) Primeiro o saldo no JSON — produtoRepo.movimentarEstoque confere e
+ *       grava todos os produtos de uma vez; saldo insuficiente → AppError
+ *       409 e nada muda.
+ *    2) Depois o SQLite, numa transação (a nota e o extrato juntos).
+ *    3) Se o passo 2 falhar, o passo 1 é DESFEITO (movimento inverso no
+ *       JSON) e o erro original sobe. Se até isso falhar, AppError 500 com
+ *       os produtos a conferir (e log no console).
+ *    executar() junta os três passos; quem usa: NotaFiscalService (emitir,
+ *    alterar e remover notas), ProdutoService (estoque inicial) e os ajustes
+ *    manuais daqui (POST /api/produtos/:id/estoque).
+ *
+ *  Tipos de movimento (coluna "tipo" do extrato):
+ *    - "inicial"       : estoque informado ao cadastrar o produto.
+ *    - "ajuste"        : entrada/saída manual (compra, perda, inventário...).
+ *    - "nota_emitida"  : saída pelos itens de uma nota nova.
+ *    - "nota_alterada" : diferença entre os itens antigos e os novos.
+ *    - "nota_removida" : devolução dos itens de uma nota apagada.
+ * =============================================================================
+ */
+
+import { arredondarQuantidade } from "../models/Produto.js";
+import { AppError } from "../utils/errors.js";
+import { EMPRESA_PADRAO } from "../config/env.js";
+
+const MOTIVO_MAX = 200;
+const EXTRATO_LIMITE_PADRAO = 100;
+const EXTRATO_LIMITE_MAXIMO = 500;
+
+/**
+ * Quantidade por produto de uma lista de itens de nota ({ productId, qtd }).
+ * O mesmo produto pode aparecer em mais de um item: as quantidades somam.
+ */
+export function consumoPorProduto(itens = []) {
+  const consumo = new Map();
+  for (const { productId, qtd } of itens) {
+    const id = Number(productId);
+    consumo.set(id, arredondarQuantidade((consumo.get(id) ?? 0) + Number(qtd)));
+  }
+  return consumo;
+}
+
+export class EstoqueService {
+  /**
+   * Recebe o repositório de produtos (saldo, no JSON) e o do extrato
+   * (SQLite ou memória, SÍNCRONO como o de notas).
+   */
+  constructor(produtoRepo, movimentoRepo) {
+    this.produtoRepo = produtoRepo;
+    this.movimentoRepo = movimentoRepo;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * aplicar(ajustes, { tenantId })
+   * -----------------------------------------------------------------------------
+   * Passo 1: soma cada { produtoId, quantidade } (negativa = saída) ao saldo
+   * no JSON. Ajustes zerados são descartados.
+   * Saldo insuficiente → AppError 409 com "detalhes" (o que faltou em cada
+   * produto); nada é gravado.
+   * Retorna os movimentos aplicados: [{ produtoId, quantidade, saldo }].
+   */
+  async aplicar(ajustes, { tenantId = null } = {}) {
+    const validos = ajustes
+      .map((a) => ({
+        produtoId: Number(a.produtoId),
+        quantidade: arredondarQuantidade(a.quantidade),
+      }))
+      .filter((a) => a.quantidade !== 0);
+    if (!validos.length) return [];
+
+    const { faltas, movimentos } = await this.produtoRepo.movimentarEstoque(validos, {
+      tenantId,
+    });
+    if (faltas.length) {
+      const lista = faltas
+        .map(
+          (f) =>
+            `${f.nome ?? `produto id=${f.produtoId}`} (disponível ${f.disponivel}, pedido ${f.solicitado})`
+        )
+        .join("; ");
+      throw new AppError(`Estoque insuficiente: ${lista}.`, { status: 409, detalhes: faltas });
+    }
+    return movimentos;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * registrar(movimentos, { tipo, tenantId, notaId, usuarioId, motivo })
+   * -----------------------------------------------------------------------------
+   * Passo 2: grava os movimentos no extrato. SÍNCRONO, para caber dentro de
+   * notaRepo.transacao() (a nota e o extrato entram ou saem juntos).
+   * Retorna as linhas gravadas.
+   */
+  registrar(movimentos, { tipo, tenantId = null, notaId = null, usuarioId = null, motivo = null }) {
+    return movimentos.map((m) =>
+      this.movimentoRepo.create({
+        tenant_id: tenantId ?? EMPRESA_PADRAO,
+        produto_id: m.produtoId,
+        quantidade: m.quantidade,
+        saldo: m.saldo,
+        tipo,
+        nota_id: notaId,
+        usuario_id: usuarioId,
+        motivo,
+      })
+    );
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * desfazer(movimentos, { tenantId })
+   * -----------------------------------------------------------------------------
+   * Passo 3: devolve o saldo do JSON ao que era (movimento inverso). Não vai
+   * para o extrato: para o histórico, a operação nunca aconteceu.
+   * Se não conseguir (arquivo inacessível, saldo já consumido por outra
+   * operação), os dois arquivos ficaram diferentes: AppError 500 dizendo
+   * quais produtos conferir.
+   */
+  async desfazer(movimentos, { tenantId = null } = {}) {
+    if (!movimentos.length) return;
+    const inversos = movimentos.map((m) => ({
+      produtoId: m.produtoId,
+      quantidade: -m.quantidade,
+    }));
+    try {
+      const { faltas } = await this.produtoRepo.movimentarEstoque(inversos, { tenantId });
+      if (faltas.length) throw new Error("o saldo já foi usado por outra operação");
+    } catch (e) {
+      const ids = movimentos.map((m) => m.produtoId).join(", ");
+      console.error(`Falha ao desfazer movimentos de estoque (produtos ${ids}):`, e.message);
+      throw new AppError(
+        `A operação falhou e o estoque não pôde ser restaurado (${e.message}). Confira o estoque dos produtos: ${ids}.`,
+        { status: 500 }
+      );
+    }
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * executar(ajustes, { tenantId }, gravar)
+   * -----------------------------------------------------------------------------
+   * A regra inteira: aplicar() no JSON → gravar(movimentos) no SQLite →
+   * desfazer() se gravar lançar erro (o erro original sobe).
+   * Retorna o que gravar() retornar.
+   */
+  async executar(ajustes, { tenantId = null } = {}, gravar) {
+    const movimentos = await this.aplicar(ajustes, { tenantId });
+    try {
+      return await gravar(movimentos);
+    } catch (e) {
+      await this.desfazer(movimentos, { tenantId });
+      throw e;
+    }
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * ajustar(produtoId, { quantidade, motivo }, usuario)
+   * -----------------------------------------------------------------------------
+   * POST /api/produtos/:id/estoque — entrada (+) ou saída (-) manual:
+   * compra de mercadoria, perda, contagem de inventário...
+   *  - quantidade: número diferente de zero; motivo: obrigatório (vai para
+   *    o extrato, até MOTIVO_MAX caracteres). Inválido → AppError 400.
+   *  - Produto de outra empresa / inexistente → 404.
+   *  - Saída maior que o saldo → 409.
+   * Retorna { produto, movimento }.
+   */
+  async ajustar(produtoId, { quantidade, motivo } = {}, usuario) {
+    const tenantId = usuario?.tenant_id;
+    const produto = await this.produtoRepo.findById(produtoId, { tenantId });
+    if (!produto) throw new AppError("Produto não encontrado", { status: 404 });
+
+    const qtd = Number(quantidade);
+    if (quantidade === null || quantidade === "" || !Number.isFinite(qtd) || qtd === 0) {
+      throw new AppError("quantidade deve ser um número diferente de zero (+ entrada, - saída).", {
+        status: 400,
+      });
+    }
+    const motivoStr = String(motivo ?? "").trim();
+    if (!motivoStr) throw new AppError("Informe o motivo do ajuste.", { status: 400 });
+    if (motivoStr.length > MOTIVO_MAX) {
+      throw new AppError(`motivo deve ter no máximo ${MOTIVO_MAX} caracteres.`, { status: 400 });
+    }
+
+    const [movimento] = await this.executar(
+      [{ produtoId: produto.id, quantidade: qtd }],
+      { tenantId },
+      (movimentos) =>
+        this.registrar(movimentos, {
+          tipo: "ajuste",
+          tenantId,
+          usuarioId: usuario?.id,
+          motivo: motivoStr,
+        })
+    );
+    // Entrada num produto removido no meio do caminho: nada foi movimentado
+    if (!movimento) throw new AppError("Produto não encontrado", { status: 404 });
+
+    const atualizado = await this.produtoRepo.findById(produto.id, { tenantId });
+    return { produto: atualizado.toPlain(), movimento };
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * extrato(produtoId, usuario, { limite })
+   * -----------------------------------------------------------------------------
+   * GET /api/produtos/:id/estoque — saldo atual e os movimentos mais
+   * recentes primeiro (limite 1 a EXTRATO_LIMITE_MAXIMO; padrão
+   * EXTRATO_LIMITE_PADRAO).
+   * Retorna { produto, movimentos }.
+   */
+  async extrato(produtoId, usuario, { limite } = {}) {
+    const tenantId = usuario?.tenant_id;
+    const produto = await this.produtoRepo.findById(produtoId, { tenantId });
+    if (!produto) throw new AppError("Produto não encontrado", { status: 404 });
+
+    let lim = EXTRATO_LIMITE_PADRAO;
+    if (limite !== undefined && limite !== "") {
+      lim = Number(limite);
+      if (!Number.isInteger(lim) || lim < 1 || lim > EXTRATO_LIMITE_MAXIMO) {
+        throw new AppError(`limite deve ser um inteiro de 1 a ${EXTRATO_LIMITE_MAXIMO}.`, {
+          status: 400,
+        });
+      }
+    }
+
+    const movimentos = this.movimentoRepo.findByProduto(produto.id, { tenantId, limite: lim });
+    return { produto: produto.toPlain(), movimentos };
+  }
+}
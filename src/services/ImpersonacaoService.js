@@ -0,0 +1,156 @@
+/**
+ * =============================================================================
+ *  src/services/ImpersonacaoService.js
+ * -----------------------------------------------------------------------------
+ *  IMPERSONAÇÃO — o suporte (um admin) enxerga a API EXATAMENTE como um
+ *  usuário a vê, para investigar "minha nota sumiu".
+ *
+ *  Como funciona:
+ *    - POST /api/admin/impersonate/:userId devolve um JWT curto
+ *      (IMPERSONACAO_MINUTOS, sem refresh token) com a identidade do ALVO
+ *      (id, email, papel, tv, tenant_id) e a claim "act" (actor, RFC 8693)
+ *      com o ADMIN:
+ *        { id, email, papel, ev, tv, tenant_id, act: { id, email, tv, sid } }
+ *    - Com esse token, RBAC e visibilidade (ex.: notas só do dono) valem como
+ *      se fosse o próprio usuário.
+ *    - O authMiddleware confere o admin a cada requisição: continua existindo,
+ *      continua admin, não trocou a senha e a sessão dele segue ativa. Sair
+ *      (logout) encerra também a impersonação.
+ *
+ *  Limites:
+ *    - Impersonar outro admin é proibido (403): seria uma escalada disfarçada.
+ *    - Só dá para impersonar usuários da MESMA empresa do admin (os demais
+ *      respondem 404, como se não existissem).
+ *    - Rotas que só aceitam "login de verdade" (senha, 2FA, sessões, API keys,
+ *      /api/auth/me...) recusam o token de impersonação.
+ *
+ *  Rastro:
+ *    - Auditoria "impersonacao.iniciada" (com o motivo informado) e
+ *      "impersonacao.requisicao" para cada requisição que ALTERA dados
+ *      (POST/PUT/PATCH/DELETE), com método, caminho e status.
+ *    - As respostas dessas requisições vêm marcadas (header
+ *      "X-Impersonado-Por" + campo "impersonacao" no JSON).
+ * =============================================================================
+ */
+
+import { generateJwt } from "../utils/jwt.js";
+import { IMPERSONACAO_MINUTOS } from "../config/env.js";
+import { AppError } from "../utils/errors.js";
+
+// Tamanho máximo do "motivo" (ex.: número do chamado) guardado na auditoria
+const MAX_MOTIVO = 200;
+
+// Verbos que não alteram dados (não geram registro de auditoria)
+const METODOS_LEITURA = ["GET", "HEAD", "OPTIONS"];
+
+export class ImpersonacaoService {
+  /**
+   * Recebe o repositório de usuários e, nas opções, o auditoriaService
+   * (injeção de dependência) e o sessaoService (sessão do admin).
+   */
+  constructor(usuarioRepo, { auditoriaService, sessaoService } = {}) {
+    this.usuarioRepo = usuarioRepo;
+    this.auditoriaService = auditoriaService;
+    this.sessaoService = sessaoService;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * iniciar(ator, alvoId, { motivo, ip })
+   * ----------------------------------------------------------------------------
+   * "ator" é o req.user do admin (JWT de um login de verdade).
+   * Regras:
+   *   - alvo precisa existir na empresa do ator (removidos → 404);
+   *   - alvo admin → 403 (inclui o próprio ator);
+   *   - quem já está impersonando não encadeia outra impersonação.
+   * Retorna { token, expira_em, usuario (visão pública do alvo), ator }.
+   */
+  async iniciar(ator, alvoId, { motivo, ip } = {}) {
+    if (ator.act) {
+      throw new AppError("Encerre a impersonação atual antes de iniciar outra.", {
+        status: 403,
+      });
+    }
+
+    const alvo = await this.usuarioRepo.findById(Number(alvoId), {
+      tenantId: ator.tenant_id,
+    });
+    if (!alvo || alvo.anonimizado_em) {
+      throw new AppError("Usuário não encontrado.", { status: 404 });
+    }
+    if (alvo.papel === "admin") {
+      throw new AppError("Não é permitido impersonar um administrador.", {
+        status: 403,
+      });
+    }
+
+    const motivoStr = motivo == null ? null : String(motivo).trim().slice(0, MAX_MOTIVO);
+
+    const token = generateJwt(
+      {
+        id: alvo.id,
+        email: alvo.email,
+        papel: alvo.papel,
+        ev: Boolean(alvo.email_verificado_em),
+        tv: alvo.token_version,
+        tenant_id: alvo.tenant_id,
+        act: { id: ator.id, email: ator.email, tv: ator.tv ?? 0, sid: ator.sid ?? null },
+      },
+      { expiresIn: `${IMPERSONACAO_MINUTOS}m` }
+    );
+
+    await this.auditoriaService.registrar({
+      acao: "impersonacao.iniciada",
+      usuarioId: alvo.id,
+      atorId: ator.id,
+      ip,
+      detalhes: motivoStr ? { motivo: motivoStr } : null,
+    });
+
+    return {
+      token,
+      expira_em: new Date(Date.now() + IMPERSONACAO_MINUTOS * 60 * 1000).toISOString(),
+      usuario: alvo.toPublic({ visao: "admin" }),
+      ator: { id: ator.id, email: ator.email },
+    };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * atorValido(act, { ip, tenantId })
+   * ----------------------------------------------------------------------------
+   * Usado pelo authMiddleware em toda requisição com claim "act".
+   * true  → o admin segue existindo, admin, na empresa "tenantId" (a do
+   *         usuário impersonado), com a mesma token_version e com a sessão
+   *         (se houver "sid") ativa;
+   * false → o token de impersonação deve ser recusado (401).
+   */
+  async atorValido(act, { ip, tenantId = null } = {}) {
+    const ator = await this.usuarioRepo.findById(Number(act?.id), { tenantId });
+    if (!ator || ator.papel !== "admin") return false;
+    if ((act.tv ?? 0) !== ator.token_version) return false;
+    if (act.sid && this.sessaoService) {
+      return this.sessaoService.ativa(act.sid, ator.id, { ip });
+    }
+    return true;
+  }
+
+  /** A requisição altera dados? (só essas vão para a auditoria) */
+  alteraDados(metodo) {
+    return !METODOS_LEITURA.includes(String(metodo).toUpperCase());
+  }
+
+  /**
+   * registrarRequisicao({ usuarioId, atorId, ip, metodo, caminho, status })
+   * Grava "impersonacao.requisicao". O caminho vai SEM a query string.
+   */
+  async registrarRequisicao({ usuarioId, atorId, ip, metodo, caminho, status }) {
+    await this.auditoriaService.registrar({
+      acao: "impersonacao.requisicao",
+      usuarioId,
+      atorId,
+      ip,
+      detalhes: { metodo, caminho, status },
+    });
+  }
+}
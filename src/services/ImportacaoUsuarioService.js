@@ -0,0 +1,280 @@
+/**
+ * =============================================================================
+ *  src/services/ImportacaoUsuarioService.js
+ * -----------------------------------------------------------------------------
+ *  IMPORTAÇÃO DE USUÁRIOS POR CSV — uma turma ou um departamento inteiro de
+ *  uma vez (POST /api/usuarios/import), em vez de um register por pessoa.
+ *
+ *  Formato do arquivo (cabeçalho obrigatório; "," ou ";"):
+ *      nome,email,papel,senha
+ *      Ana Souza,ana@empresa.com,operador,
+ *      Bruno Lima,bruno@empresa.com,gerente,Ipe-Roxo-2025
+ *    - nome e email são obrigatórios; papel vazio → papel padrão.
+ *    - senha (opcional) é uma senha TEMPORÁRIA e passa pela política de senha.
+ *    - Também são aceitos os cabeçalhos "e-mail", "name", "role", "password".
+ *
+ *  Cada linha recebe um status no relatório:
+ *    - "criar"     : válida (simulação — dry run: nada é gravado).
+ *    - "criado"    : conta criada (id no relatório).
+ *    - "ignorado"  : e-mail já cadastrado (inclusive removidos) ou repetido
+ *                    em uma linha anterior do arquivo.
+ *    - "rejeitado" : falhou na validação do Model Usuario (nome curto,
+ *                    e-mail ou papel inválido) ou da política de senha.
+ *
+ *  Gravação:
+ *    - As linhas válidas entram numa TRANSAÇÃO (usuarioRepo.createMany): se
+ *      uma falhar no banco (ex.: e-mail cadastrado no meio do caminho), nada
+ *      é gravado e a importação responde 409.
+ *    - Depois do commit, cada conta recebe um e-mail (AuthService):
+ *      com senha → verificação do e-mail; sem senha → link para definir a
+ *      senha.
+ *    - As contas entram na empresa de quem importa (multiempresa).
+ *    - Auditoria "usuarios.importados" com os ids criados e os totais.
+ * =============================================================================
+ */
+
+import crypto from "crypto";
+import { Usuario, PAPEL_PADRAO } from "../models/Usuario.js";
+import { parseCsv } from "../utils/csv.js";
+import { hashSenha } from "../utils/crypto.js";
+import { AppError } from "../utils/errors.js";
+
+// Teto de linhas por arquivo (cada conta custa um hash bcrypt)
+export const IMPORTACAO_MAX_LINHAS = 500;
+
+// Hash "de mentira" só para o Model validar a linha no dry run
+const HASH_SIMULACAO = "simulacao";
+
+// Cabeçalhos aceitos → campo interno
+const COLUNAS = {
+  nome: "nome",
+  name: "nome",
+  email: "email",
+  "e-mail": "email",
+  papel: "papel",
+  role: "papel",
+  senha: "senha",
+  password: "senha",
+  senha_temporaria: "senha",
+};
+
+/** Cabeçalho normalizado: minúsculas, sem acentos nem espaços nas pontas */
+function normalizarCabecalho(texto) {
+  return String(texto ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .trim()
+    .toLowerCase();
+}
+
+export class ImportacaoUsuarioService {
+  /**
+   * Recebe o repositório de usuários e, nas opções (injeção de dependência):
+   *  - politicaSenhaService: confere as senhas temporárias do CSV;
+   *  - authService         : e-mails de boas-vindas (notificarContaImportada);
+   *  - auditoriaService    : registra a importação.
+   */
+  constructor(usuarioRepo, { politicaSenhaService, authService, auditoriaService } = {}) {
+    this.usuarioRepo = usuarioRepo;
+    this.politicaSenhaService = politicaSenhaService;
+    this.authService = authService;
+    this.auditoriaService = auditoriaService;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * _lerArquivo(csv)
+   * ----------------------------------------------------------------------------
+   * CSV → [{ linha, nome, email, papel, senha }]. Problemas no ARQUIVO (vazio,
+   * sem cabeçalho nome/email, coluna desconhecida, linhas demais) → AppError
+   * 400 antes de olhar qualquer linha.
+   */
+  _lerArquivo(csv) {
+    if (typeof csv !== "string" || !csv.trim()) {
+      throw new AppError("Envie o CSV no corpo (Content-Type: text/csv) ou em { csv }.", {
+        status: 400,
+      });
+    }
+
+    let registros;
+    try {
+      registros = parseCsv(csv);
+    } catch (e) {
+      throw new AppError(e.message, { status: 400 });
+    }
+
+    const [cabecalho, ...linhas] = registros;
+    const campos = cabecalho.campos.map((c) => COLUNAS[normalizarCabecalho(c)]);
+    const desconhecida = cabecalho.campos.find((c, i) => !campos[i] && c.trim() !== "");
+    if (desconhecida) {
+      throw new AppError(
+        `Coluna desconhecida no cabeçalho: "${desconhecida}" (use: nome, email, papel, senha).`,
+        { status: 400 }
+      );
+    }
+    if (!campos.includes("nome") || !campos.includes("email")) {
+      throw new AppError("O cabeçalho precisa das colunas nome e email.", { status: 400 });
+    }
+    if (!linhas.length) {
+      throw new AppError("O CSV não tem nenhuma linha além do cabeçalho.", { status: 400 });
+    }
+    if (linhas.length > IMPORTACAO_MAX_LINHAS) {
+      throw new AppError(
+        `No máximo ${IMPORTACAO_MAX_LINHAS} linhas por importação (recebidas ${linhas.length}).`,
+        { status: 400 }
+      );
+    }
+
+    return linhas.map(({ linha, campos: valores }) => {
+      const dados = { linha };
+      campos.forEach((campo, i) => {
+        if (campo) dados[campo] = String(valores[i] ?? "").trim();
+      });
+      return dados;
+    });
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * _avaliarLinha(dados, { tenantId, vistos })
+   * ----------------------------------------------------------------------------
+   * Decide o destino de UMA linha, sem gravar nada:
+   *   1) Model Usuario valida nome, e-mail e papel (e normaliza o e-mail);
+   *   2) e-mail repetido no arquivo ou já cadastrado → "ignorado";
+   *   3) senha temporária, se veio, passa pela política de senha.
+   * "vistos" (Map e-mail → linha) acumula os e-mails das linhas anteriores.
+   */
+  async _avaliarLinha({ linha, nome, email, papel, senha }, { tenantId, vistos }) {
+    const relato = { linha, email: email || null };
+
+    let modelo;
+    try {
+      modelo = new Usuario({
+        nome,
+        email,
+        senha_hash: HASH_SIMULACAO,
+        papel: papel || PAPEL_PADRAO,
+        tenant_id: tenantId ?? undefined, // sem empresa → padrão do Model
+      });
+    } catch (e) {
+      return { ...relato, status: "rejeitado", motivo: e.message };
+    }
+    relato.email = modelo.email;
+    relato.papel = modelo.papel;
+
+    if (vistos.has(modelo.email)) {
+      return {
+        ...relato,
+        status: "ignorado",
+        motivo: `E-mail repetido no arquivo (linha ${vistos.get(modelo.email)}).`,
+      };
+    }
+    vistos.set(modelo.email, linha);
+
+    // Removidos também ocupam o e-mail (UNIQUE no banco)
+    if (await this.usuarioRepo.findByEmail(modelo.email, { incluirExcluidos: true })) {
+      return { ...relato, status: "ignorado", motivo: "E-mail já cadastrado." };
+    }
+
+    if (senha) {
+      const falhas = await this.politicaSenhaService.avaliar(senha, {
+        nome: modelo.nome,
+        email: modelo.email,
+      });
+      if (falhas.length) {
+        return {
+          ...relato,
+          status: "rejeitado",
+          motivo: "A senha não atende à política de senha.",
+          detalhes: falhas,
+        };
+      }
+    }
+
+    return {
+      ...relato,
+      status: "criar",
+      acesso: senha ? "senha_temporaria" : "link_definir_senha",
+      _modelo: modelo,
+      _senha: senha || null,
+    };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * importar(csv, { dryRun, atorId, tenantId, ip })
+   * ----------------------------------------------------------------------------
+   * Fluxo:
+   *   1) Ler o arquivo e avaliar TODAS as linhas (relatório por linha).
+   *   2) dryRun → devolve o relatório ("criar" = seria criado). Fim.
+   *   3) Gerar os hashes (senha temporária, ou uma aleatória que ninguém
+   *      conhece para quem vai receber o link) e gravar tudo numa transação.
+   *   4) Enviar os e-mails e registrar na auditoria.
+   * Retorna { dry_run, resumo: { linhas, criados, ignorados, rejeitados },
+   *           linhas: [...] } — em dry run, "criados" conta os que SERIAM
+   *           criados.
+   */
+  async importar(csv, { dryRun = false, atorId = null, tenantId = null, ip = null } = {}) {
+    // 1) Arquivo + avaliação linha a linha
+    const entradas = this._lerArquivo(csv);
+    const vistos = new Map();
+    const relatorio = [];
+    for (const dados of entradas) {
+      relatorio.push(await this._avaliarLinha(dados, { tenantId, vistos }));
+    }
+    const validas = relatorio.filter((r) => r.status === "criar");
+
+    // 2) Simulação (ou nenhuma linha válida): só o relatório
+    if (!dryRun && validas.length) {
+      // 3) Hashes + gravação em lote (tudo ou nada)
+      const modelos = [];
+      for (const r of validas) {
+        const senha = r._senha ?? crypto.randomBytes(32).toString("hex");
+        modelos.push(
+          new Usuario({ ...r._modelo.toPlain(), senha_hash: await hashSenha(senha) })
+        );
+      }
+
+      let criados;
+      try {
+        criados = await this.usuarioRepo.createMany(modelos);
+      } catch (e) {
+        throw new AppError(
+          `Importação cancelada, nada foi gravado: ${e.message}. Rode a simulação de novo.`,
+          { status: 409 }
+        );
+      }
+
+      // 4) E-mails (não aguardam o SMTP) e auditoria
+      criados.forEach((user, i) => {
+        validas[i].status = "criado";
+        validas[i].id = user.id;
+      });
+      for (const [i, user] of criados.entries()) {
+        await this.authService.notificarContaImportada(user, {
+          definirSenha: !validas[i]._senha,
+        });
+      }
+    }
+
+    const linhas = relatorio.map(({ _modelo, _senha, ...publico }) => publico);
+    const resumo = {
+      linhas: linhas.length,
+      criados: validas.length,
+      ignorados: linhas.filter((r) => r.status === "ignorado").length,
+      rejeitados: linhas.filter((r) => r.status === "rejeitado").length,
+    };
+
+    if (!dryRun && validas.length && this.auditoriaService) {
+      await this.auditoriaService.registrar({
+        acao: "usuarios.importados",
+        usuarioId: null,
+        atorId,
+        ip,
+        detalhes: { ...resumo, ids: validas.map((r) => r.id) },
+      });
+    }
+
+    return { dry_run: Boolean(dryRun), resumo, linhas };
+  }
+}
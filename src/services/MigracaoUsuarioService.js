@@ -0,0 +1,255 @@
+/**
+ * =============================================================================
+ *  src/services/MigracaoUsuarioService.js
+ * -----------------------------------------------------------------------------
+ *  MIGRAÇÃO DE USUÁRIOS ENTRE BACKENDS (MySQL ↔ SQLite ↔ memória).
+ *
+ *  Por que existe:
+ *    - O server.js cai do MySQL para o SQLite (e dele para a memória) quando
+ *      o banco não responde. Contas criadas durante a queda ficam SÓ no
+ *      fallback; quando o MySQL volta, elas precisam ser copiadas para lá.
+ *    - Usado pelo comando "npm run usuarios:migrar" e por
+ *      POST /api/admin/migracao/usuarios.
+ *
+ *  Como compara (linha a linha, pelo id de origem):
+ *    - "copiar"      : id e e-mail livres no destino.
+ *    - "igual"       : mesmo id, mesmo e-mail e mesmos dados → nada a fazer.
+ *    - "divergente"  : mesmo id e e-mail, dados diferentes ("campos" lista
+ *                      quais). Só é sobrescrito com { sobrescrever: true }
+ *                      ("atualizar").
+ *    - "conflito"    : o id já é de OUTRO e-mail no destino, ou o e-mail já
+ *                      é de OUTRO id. Nunca é gravado — resolva à mão.
+ *    - "apenas_no_destino": ids que existem só no destino (informativo).
+ *
+ *  Gravação:
+ *    - Copia a linha INTEIRA: id, senha_hash (a senha continua a mesma),
+ *      histórico de senhas, 2FA, token_version, removidos e anonimizados.
+ *    - Tudo numa transação (repo.gravarCopias): ou entra o lote todo, ou nada
+ *      (erro no meio → AppError 409).
+ *    - dryRun → só o relatório; nada é gravado.
+ *    - Só a tabela de usuários: tokens de e-mail, API keys, convites e
+ *      empresas ficam onde foram criados.
+ *    - Auditoria "usuarios.migrados" (só ids e totais, sem e-mails).
+ * =============================================================================
+ */
+
+import { AppError } from "../utils/errors.js";
+
+// Backends que sabem guardar usuários (ver server.js)
+export const BACKENDS_USUARIOS = ["mysql", "sqlite", "memory"];
+
+// Campos comparados entre origem e destino (created_at fica de fora: cada
+// banco o arredonda de um jeito, mas é copiado junto)
+const CAMPOS_COMPARADOS = [
+  "nome",
+  "email",
+  "senha_hash",
+  "senha_historico",
+  "papel",
+  "email_verificado_em",
+  "token_version",
+  "totp_secret",
+  "totp_ativo",
+  "totp_recovery",
+  "totp_ultimo_passo",
+  "anonimizado_em",
+  "deleted_at",
+  "tenant_id",
+  "cpf",
+  "telefone",
+  "preferencias",
+];
+
+/**
+ * Valor comparável: datas até o segundo (o MySQL descarta milissegundos);
+ * listas e objetos (preferências) pelo JSON
+ */
+function comparavel(campo, valor) {
+  if (valor == null) return null;
+  if (typeof valor === "object") return JSON.stringify(valor);
+  if (campo.endsWith("_em") || campo.endsWith("_at")) return String(valor).slice(0, 19);
+  return valor;
+}
+
+export class MigracaoUsuarioService {
+  /**
+   * Recebe "backends": { mysql, sqlite, memory }, cada um uma função async
+   * que devolve o repositório de usuários daquele backend — ou null quando
+   * ele não existe neste processo (ex.: "memory" fora do fallback). Nas
+   * opções, o auditoriaService.
+   */
+  constructor(backends, { auditoriaService } = {}) {
+    this.backends = backends;
+    this.auditoriaService = auditoriaService;
+  }
+
+  /** Nome de backend desconhecido → AppError 400 */
+  _validarNome(nome) {
+    if (!BACKENDS_USUARIOS.includes(nome)) {
+      throw new AppError(`Backend inválido: "${nome}" (use: ${BACKENDS_USUARIOS.join(", ")}).`, {
+        status: 400,
+      });
+    }
+  }
+
+  /** Abre o repositório de um backend (inexistente aqui → 400; fora do ar → 503) */
+  async _abrir(nome) {
+    let repo;
+    try {
+      repo = await this.backends[nome]?.();
+    } catch (e) {
+      throw new AppError(`Backend ${nome} indisponível: ${e.message}`, { status: 503 });
+    }
+    if (!repo) {
+      throw new AppError(`Backend ${nome} não está disponível neste processo.`, {
+        status: 400,
+      });
+    }
+    return repo;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * comparar(origem, destino)
+   * ----------------------------------------------------------------------------
+   * Recebe as listas de Models (com removidos) e classifica cada usuário da
+   * origem. Não grava nada; migrar() decide o que fazer com o resultado.
+   */
+  comparar(origem, destino) {
+    const destinoPorId = new Map(destino.map((u) => [u.id, u]));
+    const destinoPorEmail = new Map(destino.map((u) => [u.email, u]));
+    const idsOrigem = new Set(origem.map((u) => u.id));
+
+    const usuarios = [...origem]
+      .sort((a, b) => a.id - b.id)
+      .map((u) => {
+        const mesmoId = destinoPorId.get(u.id);
+        const mesmoEmail = destinoPorEmail.get(u.email);
+        const linha = { id: u.id, email: u.email, _modelo: u };
+
+        if (mesmoId && mesmoId.email !== u.email) {
+          return {
+            ...linha,
+            status: "conflito",
+            motivo: `O id ${u.id} já pertence a outro e-mail no destino.`,
+          };
+        }
+        if (mesmoEmail && mesmoEmail.id !== u.id) {
+          return {
+            ...linha,
+            status: "conflito",
+            motivo: `O e-mail já pertence ao id ${mesmoEmail.id} no destino.`,
+          };
+        }
+        if (!mesmoId) return { ...linha, status: "copiar" };
+
+        const campos = CAMPOS_COMPARADOS.filter(
+          (c) => comparavel(c, u[c]) !== comparavel(c, mesmoId[c])
+        );
+        return campos.length
+          ? { ...linha, status: "divergente", campos }
+          : { ...linha, status: "igual" };
+      });
+
+    const apenasNoDestino = destino
+      .filter((u) => !idsOrigem.has(u.id))
+      .map((u) => u.id)
+      .sort((a, b) => a - b);
+
+    return { usuarios, apenasNoDestino };
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * migrar({ de, para, dryRun, sobrescrever }, { atorId, ip })
+   * ----------------------------------------------------------------------------
+   * Fluxo:
+   *   1) Abrir os dois backends e ler TODOS os usuários (com removidos).
+   *   2) comparar() → relatório por usuário.
+   *   3) dryRun → devolve o relatório ("copiar"/"atualizar" = seria gravado).
+   *   4) Gravar "copiar" (+ "divergente", com sobrescrever) numa transação.
+   * Retorna { dry_run, de, para, resumo: { origem, destino, copiados,
+   *           atualizados, iguais, divergentes, conflitos, apenas_no_destino },
+   *           usuarios: [...], apenas_no_destino: [ids] }.
+   */
+  async migrar(
+    { de, para, dryRun = false, sobrescrever = false } = {},
+    { atorId = null, ip = null } = {}
+  ) {
+    this._validarNome(de);
+    this._validarNome(para);
+    if (de === para) {
+      throw new AppError("Origem e destino precisam ser backends diferentes.", { status: 400 });
+    }
+
+    // 1) Leitura completa dos dois lados
+    const origemRepo = await this._abrir(de);
+    const destinoRepo = await this._abrir(para);
+    const origem = await origemRepo.findAll({ incluirExcluidos: true });
+    const destino = await destinoRepo.findAll({ incluirExcluidos: true });
+
+    // 2) Diferenças
+    const { usuarios, apenasNoDestino } = this.comparar(origem, destino);
+    if (sobrescrever) {
+      for (const u of usuarios) if (u.status === "divergente") u.status = "atualizar";
+    }
+    const novos = usuarios.filter((u) => u.status === "copiar");
+    const atualizar = usuarios.filter((u) => u.status === "atualizar");
+
+    // 3) Simulação (ou nada a gravar): só o relatório
+    if (!dryRun && (novos.length || atualizar.length)) {
+      // 4) Gravação em lote (tudo ou nada)
+      try {
+        await destinoRepo.gravarCopias({
+          novos: novos.map((u) => u._modelo),
+          atualizar: atualizar.map((u) => u._modelo),
+        });
+      } catch (e) {
+        throw new AppError(
+          `Migração cancelada, nada foi gravado: ${e.message}. Rode a simulação de novo.`,
+          { status: 409 }
+        );
+      }
+      novos.forEach((u) => (u.status = "copiado"));
+      atualizar.forEach((u) => (u.status = "atualizado"));
+    }
+
+    const lista = usuarios.map(({ _modelo, ...publico }) => publico);
+    const contar = (...status) => lista.filter((u) => status.includes(u.status)).length;
+    const resumo = {
+      origem: origem.length,
+      destino: destino.length,
+      copiados: novos.length,
+      atualizados: atualizar.length,
+      iguais: contar("igual"),
+      divergentes: contar("divergente"),
+      conflitos: contar("conflito"),
+      apenas_no_destino: apenasNoDestino.length,
+    };
+
+    if (!dryRun && (novos.length || atualizar.length) && this.auditoriaService) {
+      await this.auditoriaService.registrar({
+        acao: "usuarios.migrados",
+        usuarioId: null,
+        atorId,
+        ip,
+        detalhes: {
+          de,
+          para,
+          copiados: novos.map((u) => u.id),
+          atualizados: atualizar.map((u) => u.id),
+          conflitos: resumo.conflitos,
+        },
+      });
+    }
+
+    return {
+      dry_run: Boolean(dryRun),
+      de,
+      para,
+      resumo,
+      usuarios: lista,
+      apenas_no_destino: apenasNoDestino,
+    };
+  }
+}
@@ -9,17 +9,43 @@
  *      * Quem fala HTTP é o CONTROLLER.
  *
  *  O QUE ESTE SERVICE FAZ:
- *    - list()      : devolve todas as notas em formato "plain" (prontas para JSON).
- *    - get(id)     : devolve uma nota específica (404 se não existir).
- *    - create(...) : valida dados de entrada, calcula TOTAL, cria Model e manda salvar.
- *    - update(...) : revalida/recacula TOTAL, e atualiza a nota existente.
- *    - remove(id)  : apaga uma nota (erro se não existir).
+ *    - list(usuario)      : devolve as notas VISÍVEIS ao usuário, em formato "plain".
+ *    - get(id, usuario)   : devolve uma nota específica (404 se não existir ou
+ *                           não for visível).
+ *    - create(..., usuario): valida dados de entrada, calcula TOTAL, cria Model
+ *                           (com criado_por = usuário) e manda salvar.
+ *    - update(..., usuario): revalida/recacula TOTAL e atualiza a nota existente
+ *                           (atualizado_por = usuário).
+ *    - remove(id, usuario): apaga uma nota (erro se não existir).
+ *
+ *  VISIBILIDADE (dono da nota):
+ *    - "usuario" é o req.user do authMiddleware ({ id, papel, ... }).
+ *    - admin e gerente veem e editam TODAS as notas (PAPEIS_VEEM_TODAS).
+ *    - Os demais papéis veem e editam só as notas que emitiram (criado_por).
+ *      Nota de outro usuário responde como "não encontrada" (404): não
+ *      revelamos que ela existe.
+ *
+ *  MULTIEMPRESA:
+ *    - Tudo acontece dentro da empresa do usuário (usuario.tenant_id): a nota
+ *      nasce nela, só é vista/alterada por quem é dela, e os produtos dos
+ *      itens também precisam ser da mesma empresa.
+ *    - O "numero" da nota é único DENTRO da empresa (duas empresas podem ter a
+ *      nota nº 1).
  *
  *  RESPONSABILIDADE IMPORTANTE:
  *    - Calcular o TOTAL com base nos preços dos produtos (que estão no repositório
  *      de produtos, persistidos em JSON) multiplicados pela quantidade.
  *    - Validar existência dos produtos ao criar/atualizar uma nota.
  *
+ *  ESTOQUE (ver EstoqueService):
+ *    - Emitir uma nota BAIXA o estoque dos itens; sem saldo suficiente a nota
+ *      é recusada (AppError 409, "detalhes" com o que faltou).
+ *    - Alterar aplica só a DIFERENÇA entre os itens antigos e os novos
+ *      (trocar só o cliente não mexe no estoque).
+ *    - Remover DEVOLVE os itens ao estoque.
+ *    - Cada movimento vai para o extrato na MESMA transação do SQLite que
+ *      grava a nota; se essa transação falhar, a baixa no JSON é desfeita.
+ *
  *  NOTA SOBRE ASSINCRONIA:
  *    - produtoRepo (JSON em disco) é ASSÍNCRONO (usa fs/promises), por isso usamos await.
  *    - notaRepo (SQLite com better-sqlite3) é SÍNCRONO, por isso seus métodos são chamados
@@ -28,63 +54,120 @@
  */
 
 import { NotaFiscal } from "../models/NotaFiscal.js";
+import { consumoPorProduto } from "./EstoqueService.js";
+import { AppError } from "../utils/errors.js";
+
+// Papéis que enxergam as notas de todos os usuários (os demais, só as próprias)
+export const PAPEIS_VEEM_TODAS = ["admin", "gerente"];
 
 export class NotaFiscalService {
   /**
    * Recebe duas dependências (injeção de dependências):
-   *  - notaRepo    : lida com SQLite (create/find/update/delete)
+   *  - notaRepo    : lida com SQLite (create/find/update/delete/transacao)
    *  - produtoRepo : lida com JSON de produtos (find/list)
+   * Nas opções:
+   *  - estoqueService: baixa/devolução de estoque e extrato (sem ele, as
+   *    notas não mexem no estoque).
    *
    * Vantagem: facilita testes (podemos simular repositórios em memória)
    * e reduz acoplamento (trocar persistência depois fica mais simples).
    */
-  constructor(notaRepo, produtoRepo) {
+  constructor(notaRepo, produtoRepo, { estoqueService } = {}) {
     this.notaRepo = notaRepo;
     this.produtoRepo = produtoRepo;
+    this.estoqueService = estoqueService;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * _gravarComEstoque(ajustes, contexto, gravarNota)
+   * -----------------------------------------------------------------------------
+   * Movimenta o estoque (JSON) e, numa transação do SQLite, grava a nota
+   * (gravarNota(), síncrona, devolve o Model) e o extrato. Se o SQLite
+   * falhar, o EstoqueService desfaz a movimentação no JSON.
+   * contexto = { tipo, usuario } (tipo do movimento no extrato).
+   */
+  async _gravarComEstoque(ajustes, { tipo, usuario }, gravarNota) {
+    if (!this.estoqueService) return gravarNota();
+    const tenantId = usuario?.tenant_id;
+    return this.estoqueService.executar(ajustes, { tenantId }, (movimentos) =>
+      this.notaRepo.transacao(() => {
+        const nota = gravarNota();
+        this.estoqueService.registrar(movimentos, {
+          tipo,
+          tenantId,
+          notaId: nota?.id,
+          usuarioId: usuario?.id,
+        });
+        return nota;
+      })
+    );
+  }
+
+  /** O usuário enxerga as notas de todos? (admin/gerente) */
+  _veTodas(usuario) {
+    return PAPEIS_VEEM_TODAS.includes(usuario?.papel);
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * _buscarVisivel(id, usuario)
+   * -----------------------------------------------------------------------------
+   * Model da nota, se existir E o usuário puder vê-la. Caso contrário, o mesmo
+   * erro 404 nos dois casos (nota de outro usuário "não existe" para quem não
+   * pode vê-la).
+   */
+  _buscarVisivel(id, usuario) {
+    const m = this.notaRepo.findById(id, { tenantId: usuario?.tenant_id }); // síncrono
+    if (!m || (!this._veTodas(usuario) && m.criado_por !== Number(usuario?.id))) {
+      throw new AppError("Nota não encontrada", { status: 404 });
+    }
+    return m;
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * list()
+   * list(usuario)
    * -----------------------------------------------------------------------------
-   * Busca TODAS as notas no repositório e converte os Models para "plain objects"
+   * Busca as notas visíveis ao usuário (todas, para admin/gerente; só as
+   * próprias, para os demais) e converte os Models para "plain objects"
    * (objetos simples) antes de devolver para o controller responder em JSON.
    */
-  async list() {
-    const models = this.notaRepo.findAll(); // síncrono (SQLite via better-sqlite3)
+  async list(usuario) {
+    const filtro = { tenantId: usuario?.tenant_id };
+    if (!this._veTodas(usuario)) filtro.criadoPor = Number(usuario?.id);
+    const models = this.notaRepo.findAll(filtro); // síncrono (SQLite via better-sqlite3)
     return models.map((m) => m.toPlain()); // converte cada Model para objeto simples
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * get(id)
+   * get(id, usuario)
    * -----------------------------------------------------------------------------
-   * Busca uma nota específica pelo ID. Se não existir, disparamos o erro padrão
-   * que o controller traduzirá para 404.
+   * Busca uma nota específica pelo ID. Se não existir (ou não for visível ao
+   * usuário), disparamos o erro padrão que o controller traduzirá para 404.
    */
-  async get(id) {
-    const m = this.notaRepo.findById(id); // síncrono
-    if (!m) throw new Error("Nota não encontrada");
-    return m.toPlain();
+  async get(id, usuario) {
+    return this._buscarVisivel(id, usuario).toPlain();
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * _calcularTotal(itens)
+   * _calcularTotal(itens, tenantId)
    * -----------------------------------------------------------------------------
    * Método interno (prefixo _) para somar (preço do produto * quantidade).
    * Regras:
-   *  - Cada item deve referenciar um productId válido (existente).
+   *  - Cada item deve referenciar um productId válido (existente na empresa).
    *  - A quantidade deve ser > 0.
    *  - Trabalhamos com duas casas decimais no final (toFixed(2)).
    */
-  async _calcularTotal(itens) {
+  async _calcularTotal(itens, tenantId) {
     let total = 0;
 
     // Percorremos os itens e somamos (preço * qtd)
     for (const item of itens) {
       // produtoRepo é ASSÍNCRONO (JSON em disco), por isso await:
-      const prod = await this.produtoRepo.findById(item.productId);
+      const prod = await this.produtoRepo.findById(item.productId, { tenantId });
       if (!prod) {
         // Se o produto não existir, não faz sentido prosseguir com a nota:
         throw new Error(`Produto id=${item.productId} não encontrado`);
@@ -105,21 +188,24 @@ export class NotaFiscalService {
 
   /**
    * -----------------------------------------------------------------------------
-   * create({ numero, cliente_nome, itens })
+   * create({ numero, cliente_nome, itens }, usuario)
    * -----------------------------------------------------------------------------
    * Fluxo:
    *   1) Validar dados mínimos: numero, cliente_nome e itens (array).
-   *   2) Checar se já existe nota com esse "numero" (único).
+   *   2) Checar se já existe nota com esse "numero" (único na empresa).
    *   3) Calcular TOTAL chamando _calcularTotal(itens).
-   *   4) Construir o Model NotaFiscal (ele valida estrutura e campos).
-   *   5) Pedir ao repositório para persistir.
+   *   4) Construir o Model NotaFiscal (ele valida estrutura e campos), com
+   *      criado_por = id do usuário autenticado (o dono da nota) e
+   *      tenant_id = empresa dele.
+   *   5) Baixar o estoque e persistir a nota + extrato (_gravarComEstoque);
+   *      saldo insuficiente → AppError 409, nada é gravado.
    *   6) Retornar o objeto "plain" para o controller responder.
    *
    * Observações:
    *   - created_at é gerado aqui em ISO (string).
    *   - O Model faz validações adicionais (ex.: itens com productId e qtd válidos).
    */
-  async create({ numero, cliente_nome, itens }) {
+  async create({ numero, cliente_nome, itens }, usuario) {
     // 1) Validação básica
     if (!numero || !cliente_nome || !Array.isArray(itens)) {
       throw new Error("Dados inválidos da nota");
@@ -129,12 +215,12 @@ export class NotaFiscalService {
     // if (itens.length === 0) throw new Error("Nota sem itens não é permitida");
 
     // 2) Checagem de duplicidade de número
-    if (this.notaRepo.findByNumero(numero)) {
+    if (this.notaRepo.findByNumero(numero, { tenantId: usuario.tenant_id })) {
       throw new Error("Número de nota já existente");
     }
 
     // 3) Calcular total com base nos preços atuais do JSON de produtos
-    const total = await this._calcularTotal(itens);
+    const total = await this._calcularTotal(itens, usuario.tenant_id);
 
     // 4) Monta o Model (o constructor do Model confere e normaliza dados)
     const created_at = new Date().toISOString();
@@ -144,45 +230,55 @@ export class NotaFiscalService {
       itens,
       total,
       created_at,
+      criado_por: usuario.id,
+      tenant_id: usuario.tenant_id,
     });
 
-    // 5) Persistir (síncrono) e 6) devolver "plain"
-    const criada = this.notaRepo.create(model);
+    // 5) Baixa de estoque + persistência (nota e extrato) e 6) devolver "plain"
+    const saidas = [...consumoPorProduto(model.itens)].map(([produtoId, qtd]) => ({
+      produtoId,
+      quantidade: -qtd,
+    }));
+    const criada = await this._gravarComEstoque(saidas, { tipo: "nota_emitida", usuario }, () =>
+      this.notaRepo.create(model)
+    );
     return criada.toPlain();
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * update(id, { numero, cliente_nome, itens })
+   * update(id, { numero, cliente_nome, itens }, usuario)
    * -----------------------------------------------------------------------------
    * Fluxo:
-   *   1) Verificar se a nota existe.
+   *   1) Verificar se a nota existe e se o usuário pode editá-la (dono, ou
+   *      admin/gerente) — senão 404.
    *   2) Se "numero" mudou, validar duplicidade.
    *   3) Recalcular TOTAL com base em "itens" (novos).
-   *   4) Construir novo Model preservando created_at original.
-   *   5) Pedir ao repositório para atualizar e devolver "plain".
+   *   4) Construir novo Model preservando created_at e criado_por originais e
+   *      registrando atualizado_por = usuário.
+   *   5) Aplicar no estoque a DIFERENÇA entre os itens antigos e os novos,
+   *      atualizar a nota + extrato (_gravarComEstoque) e devolver "plain".
    *
    * Observações:
    *   - Em caso de atualização parcial, usamos "??" para manter valores antigos.
    *   - Aqui estamos assumindo que "itens" SEMPRE vem no PUT (substitui).
    *     Se desejar permitir atualização parcial de itens, adaptar a lógica.
    */
-  async update(id, { numero, cliente_nome, itens }) {
-    // 1) Verifica existência
-    const atual = this.notaRepo.findById(id); // síncrono
-    if (!atual) throw new Error("Nota não encontrada");
+  async update(id, { numero, cliente_nome, itens }, usuario) {
+    // 1) Verifica existência (e visibilidade)
+    const atual = this._buscarVisivel(id, usuario);
 
     // 2) Se quisermos trocar o número, verificar duplicidade
     if (numero && numero !== atual.numero) {
-      const duplicata = this.notaRepo.findByNumero(numero);
+      const duplicata = this.notaRepo.findByNumero(numero, { tenantId: usuario.tenant_id });
       if (duplicata) throw new Error("Número de nota já existente");
     }
 
     // 3) Recalcular total com base nos itens informados (ou manter os atuais)
     const itensParaCalculo = itens ?? atual.itens;
-    const total = await this._calcularTotal(itensParaCalculo);
+    const total = await this._calcularTotal(itensParaCalculo, usuario.tenant_id);
 
-    // 4) Montar novo Model (preservando created_at original)
+    // 4) Montar novo Model (preservando created_at e o dono originais)
     const model = new NotaFiscal({
       id: Number(id),
       numero: numero ?? atual.numero,
@@ -190,22 +286,47 @@ export class NotaFiscalService {
       itens: itensParaCalculo,
       total,
       created_at: atual.created_at, // preservado
+      criado_por: atual.criado_por, // preservado
+      atualizado_por: usuario.id,
     });
 
-    // 5) Persistir e devolver "plain"
-    const atualizada = this.notaRepo.update(id, model);
+    // 5) Diferença de estoque (antigo - novo: positivo devolve, negativo baixa),
+    //    persistir e devolver "plain"
+    const antes = consumoPorProduto(atual.itens);
+    const depois = consumoPorProduto(model.itens);
+    const ajustes = [...new Set([...antes.keys(), ...depois.keys()])].map((produtoId) => ({
+      produtoId,
+      quantidade: (antes.get(produtoId) ?? 0) - (depois.get(produtoId) ?? 0),
+    }));
+    const atualizada = await this._gravarComEstoque(
+      ajustes,
+      { tipo: "nota_alterada", usuario },
+      () => this.notaRepo.update(id, model, { tenantId: usuario.tenant_id })
+    );
     return atualizada.toPlain();
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * remove(id)
+   * remove(id, usuario)
    * -----------------------------------------------------------------------------
-   * Tenta remover a nota. Se o repositório indicar que não existia, lançar erro.
+   * Tenta remover a nota (mesma regra de visibilidade do update). Se o
+   * repositório indicar que não existia, lançar erro.
+   * Os itens voltam para o estoque (produto já removido do catálogo fica de
+   * fora: não há onde devolver).
    */
-  async remove(id) {
-    const ok = this.notaRepo.delete(id); // síncrono
-    if (!ok) throw new Error("Nota não encontrada");
+  async remove(id, usuario) {
+    const atual = this._buscarVisivel(id, usuario);
+    const devolucoes = [...consumoPorProduto(atual.itens)].map(([produtoId, qtd]) => ({
+      produtoId,
+      quantidade: qtd,
+    }));
+    await this._gravarComEstoque(devolucoes, { tipo: "nota_removida", usuario }, () => {
+      const ok = this.notaRepo.delete(id, { tenantId: usuario?.tenant_id }); // síncrono
+      // Erro dentro da transação → a devolução ao estoque é desfeita
+      if (!ok) throw new AppError("Nota não encontrada", { status: 404 });
+      return { id: Number(id) };
+    });
     return true; // controller devolve { ok: true }
   }
 }
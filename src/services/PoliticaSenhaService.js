@@ -0,0 +1,224 @@
+/**
+ * =============================================================================
+ *  src/services/PoliticaSenhaService.js
+ * -----------------------------------------------------------------------------
+ *  POLÍTICA DE SENHA — aplicada no cadastro, na troca (PUT /api/auth/senha) e
+ *  na redefinição (POST /api/auth/reset).
+ *
+ *  Regras (cada uma tem um código estável em "regra", para o front-end):
+ *    - tamanho_minimo  : pelo menos SENHA_MIN_TAMANHO caracteres.
+ *    - tamanho_maximo  : no máximo 72 bytes — o bcrypt ignora o que passar
+ *                        disso (duas senhas com o mesmo começo virariam iguais).
+ *    - classes         : misturar SENHA_MIN_CLASSES tipos de caractere entre
+ *                        minúsculas, maiúsculas, números e símbolos.
+ *    - dados_pessoais  : não conter o nome nem o e-mail do usuário
+ *                        (SENHA_BLOQUEAR_DADOS_PESSOAIS).
+ *    - vazada          : não estar na lista de senhas vazadas/comuns
+ *                        (arquivo SENHA_LISTA_VAZADAS, uma por linha).
+ *    - reutilizada     : não ser a senha atual nem uma das SENHA_HISTORICO
+ *                        anteriores (comparando com os HASHES guardados).
+ *
+ *  Todas as regras são conferidas de uma vez: o erro lista TUDO o que falhou,
+ *  para o usuário corrigir numa tentativa só.
+ *
+ *  Formato do erro (AppError 400, ver utils/errors.js):
+ *    { ok: false, error: "A senha não atende à política de senha.",
+ *      detalhes: [ { regra: "tamanho_minimo", mensagem: "..." }, ... ] }
+ * =============================================================================
+ */
+
+import fs from "fs";
+import { compareSenha } from "../utils/crypto.js";
+import {
+  SENHA_MIN_TAMANHO,
+  SENHA_MIN_CLASSES,
+  SENHA_BLOQUEAR_DADOS_PESSOAIS,
+  SENHA_LISTA_VAZADAS,
+  SENHA_HISTORICO,
+} from "../config/env.js";
+import { AppError } from "../utils/errors.js";
+
+// Limite do bcrypt: bytes além do 72º não entram no hash
+const BCRYPT_MAX_BYTES = 72;
+
+// Tipos de caractere contados pela regra "classes"
+const CLASSES = [
+  { nome: "minúsculas", regex: /\p{Ll}/u },
+  { nome: "maiúsculas", regex: /\p{Lu}/u },
+  { nome: "números", regex: /\p{Nd}/u },
+  { nome: "símbolos", regex: /[^\p{L}\p{Nd}]/u },
+];
+
+// Pedaços do nome/e-mail menores que isso não contam ("da", "de", "jo"...)
+const MIN_PEDACO_PESSOAL = 3;
+
+/** Minúsculas e sem acentos: "Ação" → "acao" (comparações "humanas") */
+function normalizar(texto) {
+  return String(texto ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+}
+
+export class PoliticaSenhaService {
+  /**
+   * As regras vêm do .env, mas podem ser sobrescritas (útil em testes).
+   */
+  constructor({
+    minTamanho = SENHA_MIN_TAMANHO,
+    minClasses = SENHA_MIN_CLASSES,
+    bloquearDadosPessoais = SENHA_BLOQUEAR_DADOS_PESSOAIS,
+    arquivoVazadas = SENHA_LISTA_VAZADAS,
+    historico = SENHA_HISTORICO,
+  } = {}) {
+    this.minTamanho = minTamanho;
+    this.minClasses = minClasses;
+    this.bloquearDadosPessoais = bloquearDadosPessoais;
+    this.arquivoVazadas = arquivoVazadas;
+    this.historico = historico;
+    this._vazadas = null; // Set carregado na 1ª consulta
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * _listaVazadas()
+   * ----------------------------------------------------------------------------
+   * Lê o arquivo uma vez e guarda em memória (Set → consulta O(1)).
+   * Arquivo ausente não derruba a API: avisa no log e a regra fica desligada.
+   */
+  _listaVazadas() {
+    if (this._vazadas) return this._vazadas;
+    this._vazadas = new Set();
+    if (!this.arquivoVazadas) return this._vazadas;
+    try {
+      const linhas = fs.readFileSync(this.arquivoVazadas, "utf-8").split(/\r?\n/);
+      for (const linha of linhas) {
+        const senha = linha.trim();
+        if (senha && !senha.startsWith("#")) this._vazadas.add(normalizar(senha));
+      }
+    } catch (e) {
+      console.warn(
+        `Lista de senhas vazadas indisponível (${this.arquivoVazadas}): ${e.message}`
+      );
+    }
+    return this._vazadas;
+  }
+
+  /** Pedaços do nome e do e-mail que não podem aparecer dentro da senha */
+  _dadosPessoais({ nome, email }) {
+    const local = String(email ?? "").split("@")[0];
+    return [
+      ...normalizar(nome).split(/\s+/),
+      normalizar(local),
+      ...normalizar(local).split(/[^a-z]+/),
+    ].filter((p) => p.length >= MIN_PEDACO_PESSOAL);
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * avaliar(senha, { nome, email, hashesAnteriores })
+   * ----------------------------------------------------------------------------
+   * Confere TODAS as regras e devolve a lista do que falhou ([] = senha ok).
+   * "hashesAnteriores" = hash atual + histórico (ver hashesBloqueados).
+   */
+  async avaliar(senha, { nome, email, hashesAnteriores = [] } = {}) {
+    const falhas = [];
+    const texto = String(senha ?? "");
+
+    if ([...texto].length < this.minTamanho) {
+      falhas.push({
+        regra: "tamanho_minimo",
+        mensagem: `Use pelo menos ${this.minTamanho} caracteres.`,
+      });
+    }
+    if (Buffer.byteLength(texto, "utf-8") > BCRYPT_MAX_BYTES) {
+      falhas.push({
+        regra: "tamanho_maximo",
+        mensagem: `Use no máximo ${BCRYPT_MAX_BYTES} bytes (letras acentuadas contam 2).`,
+      });
+    }
+
+    const presentes = CLASSES.filter((c) => c.regex.test(texto)).length;
+    if (presentes < this.minClasses) {
+      falhas.push({
+        regra: "classes",
+        mensagem: `Misture pelo menos ${this.minClasses} destes tipos: ${CLASSES.map((c) => c.nome).join(", ")}.`,
+      });
+    }
+
+    const normalizada = normalizar(texto);
+    if (
+      this.bloquearDadosPessoais &&
+      this._dadosPessoais({ nome, email }).some((p) => normalizada.includes(p))
+    ) {
+      falhas.push({
+        regra: "dados_pessoais",
+        mensagem: "A senha não pode conter o seu nome nem o seu e-mail.",
+      });
+    }
+
+    if (this._listaVazadas().has(normalizada)) {
+      falhas.push({
+        regra: "vazada",
+        mensagem: "Esta senha aparece em listas de senhas vazadas. Escolha outra.",
+      });
+    }
+
+    for (const hash of hashesAnteriores) {
+      if (await compareSenha(texto, hash)) {
+        falhas.push({
+          regra: "reutilizada",
+          mensagem:
+            this.historico > 0
+              ? `A senha não pode repetir a atual nem as ${this.historico} anteriores.`
+              : "A nova senha deve ser diferente da atual.",
+        });
+        break;
+      }
+    }
+
+    return falhas;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * exigir(senha, contexto)
+   * ----------------------------------------------------------------------------
+   * Igual ao avaliar(), mas lança AppError 400 com "detalhes" se algo falhar.
+   * É o que o AuthService chama antes de gerar o hash.
+   */
+  async exigir(senha, contexto = {}) {
+    const falhas = await this.avaliar(senha, contexto);
+    if (falhas.length) {
+      throw new AppError("A senha não atende à política de senha.", {
+        status: 400,
+        detalhes: falhas,
+      });
+    }
+  }
+
+  /** Hashes que a nova senha não pode repetir: a atual + o histórico */
+  hashesBloqueados(usuario) {
+    return [usuario.senha_hash, ...usuario.senha_historico.slice(0, this.historico)];
+  }
+
+  /** Histórico a gravar depois da troca: a senha que sai entra no topo */
+  proximoHistorico(usuario) {
+    return [usuario.senha_hash, ...usuario.senha_historico].slice(0, this.historico);
+  }
+}
+
+/* =============================================================================
+ * DICAS RÁPIDAS (comentários):
+ * -----------------------------------------------------------------------------
+ * // Conferir uma senha sem lançar erro (ex.: medidor de força no front-end):
+ * // const falhas = await politicaSenhaService.avaliar("ana2025", {
+ * //   nome: "Ana Souza", email: "ana@empresa.com",
+ * // });
+ * // → [ { regra: "tamanho_minimo", ... }, { regra: "classes", ... },
+ * //     { regra: "dados_pessoais", ... } ]
+ * //
+ * // Lista maior de senhas vazadas: SENHA_LISTA_VAZADAS=/caminho/lista.txt
+ * // (uma senha por linha; "#" no começo = comentário).
+ * =============================================================================
+ */
@@ -9,20 +9,37 @@
  *      * Persistência (JSON em disco) = responsabilidade do REPOSITORY.
  *
  *  O QUE ESTE SERVICE ENTREGA PARA O CONTROLLER:
- *    - list()      → retorna TODOS os produtos em formato "plano" (toPlain()).
- *    - get(id)     → retorna UM produto por id (ou lança erro se não existir).
- *    - create(...) → valida com o Model Produto e pede para o repo salvar.
- *    - update(...) → revalida com o Model Produto e pede para o repo atualizar.
- *    - remove(id)  → pede para o repo apagar (ou lança erro se não existir).
+ *    - list(usuario, { categoria }) → retorna os produtos da empresa em formato
+ *                           "plano" (toPlain()); com "categoria", só os dela e
+ *                           das subcategorias.
+ *    - get(id, usuario)   → retorna UM produto por id (ou lança erro se não existir).
+ *    - create(..., usuario) → valida com o Model Produto e pede para o repo salvar.
+ *    - update(..., usuario) → revalida com o Model Produto e pede para o repo atualizar.
+ *    - remove(id, usuario)  → pede para o repo apagar (ou lança erro se não existir).
+ *
+ *  MULTIEMPRESA:
+ *    - "usuario" é o req.user do authMiddleware; o "tenant_id" dele define o
+ *      catálogo usado. Produto de outra empresa responde como "não encontrado".
+ *
+ *  CATEGORIA:
+ *    - "categoriaId" (opcional; null = sem categoria) precisa ser uma
+ *      categoria da mesma empresa — conferido pelo CategoriaService (400).
+ *
+ *  ESTOQUE:
+ *    - "estoque" pode ser informado só no cadastro (vira o movimento
+ *      "inicial" do extrato). Depois, só muda por nota fiscal ou pelo ajuste
+ *      manual (EstoqueService.ajustar): o PUT recusa o campo (400), para
+ *      que toda mudança de saldo fique no extrato.
  *
  *  OBSERVAÇÕES:
- *    - Validamos campos de domínio (nome e preço) no Model Produto.
+ *    - Validamos campos de domínio (nome, preço e estoque) no Model Produto.
  *    - O repository de produtos trabalha com ARQUIVO JSON e é ASSÍNCRONO
  *      (usa a API fs/promises), por isso este service usa "await".
  * =============================================================================
  */
 
 import { Produto } from "../models/Produto.js";
+import { AppError } from "../utils/errors.js";
 
 export class ProdutoService {
   /**
@@ -31,66 +48,104 @@ export class ProdutoService {
    *  - Facilita testes (podemos injetar um repo "fake" em memória).
    *  - Permite trocar a persistência (JSON → SQLite, por exemplo) sem mexer aqui.
    */
-  constructor(produtoRepo) {
+  constructor(produtoRepo, { estoqueService, categoriaService } = {}) {
     this.produtoRepo = produtoRepo;
+    this.estoqueService = estoqueService; // extrato do estoque inicial (opcional)
+    this.categoriaService = categoriaService; // categoriaId e filtro por categoria
+  }
+
+  /** categoriaId enviado (não nulo) precisa existir na empresa → senão 400 */
+  async _conferirCategoria(categoriaId, usuario) {
+    if (categoriaId === undefined || categoriaId === null || !this.categoriaService) return;
+    await this.categoriaService.exigir(categoriaId, usuario);
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * list()
+   * list(usuario, { categoria })
    * -----------------------------------------------------------------------------
    * Passo a passo didático:
-   *  1) Pede ao repository todos os registros (em geral, como Model Produto).
-   *  2) Converte cada Model para "objeto simples" com .toPlain() (id, nome, preco).
-   *  3) Devolve a lista pronta para o Controller responder em JSON.
+   *  1) Pede ao repository os registros da empresa do usuário (Models Produto).
+   *  2) Com "categoria" (GET /api/produtos?categoria=3), mantém só os produtos
+   *     daquela categoria OU de qualquer subcategoria dela (id inválido →
+   *     400; categoria inexistente → 404).
+   *  3) Converte cada Model para "objeto simples" com .toPlain() (id, nome, preco).
+   *  4) Devolve a lista pronta para o Controller responder em JSON.
    */
-  async list() {
-    const models = await this.produtoRepo.findAll(); // array de Models Produto
-    return models.map((m) => m.toPlain()); // [{id, nome, preco}, ...]
+  async list(usuario, { categoria } = {}) {
+    const models = await this.produtoRepo.findAll({ tenantId: usuario?.tenant_id }); // Models Produto
+    let filtrados = models;
+    if (categoria !== undefined && categoria !== "" && this.categoriaService) {
+      const ids = await this.categoriaService.subarvore(categoria, usuario);
+      filtrados = models.filter((m) => ids.has(m.categoriaId));
+    }
+    return filtrados.map((m) => m.toPlain()); // [{id, nome, preco, estoque, categoriaId}, ...]
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * get(id)
+   * get(id, usuario)
    * -----------------------------------------------------------------------------
-   * Busca um produto pelo id.
+   * Busca um produto pelo id (na empresa do usuário).
    *  - Se não existir, lança Error("Produto não encontrado") → o Controller
    *    captura e devolve 404.
    */
-  async get(id) {
-    const m = await this.produtoRepo.findById(id);
+  async get(id, usuario) {
+    const m = await this.produtoRepo.findById(id, { tenantId: usuario?.tenant_id });
     if (!m) throw new Error("Produto não encontrado");
     return m.toPlain();
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * create({ nome, preco })
+   * create({ nome, preco, estoque, categoriaId }, usuario)
    * -----------------------------------------------------------------------------
    * Passo a passo didático:
-   *  1) Cria um Model Produto (o construtor valida nome/preço).
+   *  1) Cria um Model Produto (o construtor valida nome/preço/estoque) na
+   *     empresa do usuário e confere a categoria (se veio).
    *  2) Pede ao repository para criar (salvar no JSON).
-   *  3) Retorna o objeto "plano" para o Controller.
+   *  3) Estoque inicial > 0 → movimento "inicial" no extrato; se o extrato
+   *     falhar, o produto recém-criado é apagado (JSON e SQLite não podem
+   *     discordar).
+   *  4) Retorna o objeto "plano" para o Controller.
    *
    * Observações:
    *  - Se nome ou preço vierem como string (ex.: "4.50"), o Model faz a conversão.
    *  - O repository costuma gerar o "id" novo (incremental) antes de salvar.
    */
-  async create({ nome, preco }) {
-    const model = new Produto({ nome, preco }); // validações no Model
+  async create({ nome, preco, estoque, categoriaId }, usuario) {
+    const tenantId = usuario?.tenant_id;
+    // validações no Model
+    const model = new Produto({ nome, preco, estoque, categoriaId, tenant_id: tenantId });
+    await this._conferirCategoria(model.categoriaId, usuario);
     const criado = await this.produtoRepo.create(model);
+
+    if (this.estoqueService && criado.estoque > 0) {
+      try {
+        this.estoqueService.registrar(
+          [{ produtoId: criado.id, quantidade: criado.estoque, saldo: criado.estoque }],
+          { tipo: "inicial", tenantId, usuarioId: usuario?.id }
+        );
+      } catch (e) {
+        await this.produtoRepo.delete(criado.id, { tenantId });
+        throw e;
+      }
+    }
     return criado.toPlain();
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * update(id, { nome, preco })
+   * update(id, { nome, preco, categoriaId }, usuario)
    * -----------------------------------------------------------------------------
    * Passo a passo didático:
-   *  1) Confere se existe (se não existir, lança Error).
+   *  1) Confere se existe na empresa do usuário (se não existir, lança Error).
+   *     "estoque" no body → AppError 400 (use o ajuste de estoque).
    *  2) Monta um NOVO Model Produto com os dados atualizados:
    *     - Se "nome" não foi enviado, mantém o nome atual (operador ??).
    *     - Se "preco" não foi enviado, mantém o preço atual.
+   *     - "categoriaId": ausente mantém; null tira da categoria; outro id
+   *       precisa existir na empresa.
    *  3) Pede ao repository para atualizar.
    *  4) Retorna o "plano".
    *
@@ -100,32 +155,43 @@ export class ProdutoService {
    *  - Em outros repositórios (ex.: MySQL), poderíamos enviar o próprio Model.
    *    O importante é manter o "contrato" do repository consistente.
    */
-  async update(id, { nome, preco }) {
-    const atual = await this.produtoRepo.findById(id);
+  async update(id, { nome, preco, estoque, categoriaId }, usuario) {
+    const empresa = { tenantId: usuario?.tenant_id };
+    const atual = await this.produtoRepo.findById(id, empresa);
     if (!atual) throw new Error("Produto não encontrado");
+    if (estoque !== undefined) {
+      throw new AppError(
+        "O estoque não é alterado pelo PUT: use POST /api/produtos/:id/estoque (com motivo).",
+        { status: 400 }
+      );
+    }
 
     // Monta um novo Model com os valores atualizados (ou mantém os antigos)
     const validado = new Produto({
       id: Number(id),
       nome: nome ?? atual.nome,
       preco: preco ?? atual.preco,
+      estoque: atual.estoque, // o repo mantém o saldo gravado
+      categoriaId: categoriaId === undefined ? atual.categoriaId : categoriaId,
     });
+    if (categoriaId !== undefined) await this._conferirCategoria(validado.categoriaId, usuario);
 
     // Nosso repository de JSON espera um objeto plano no update:
-    const upd = await this.produtoRepo.update(id, validado.toPlain());
+    const upd = await this.produtoRepo.update(id, validado.toPlain(), empresa);
+    if (!upd) throw new Error("Produto não encontrado");
     return upd.toPlain();
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * remove(id)
+   * remove(id, usuario)
    * -----------------------------------------------------------------------------
-   * Pede ao repository para deletar o produto.
+   * Pede ao repository para deletar o produto (só dentro da empresa do usuário).
    *  - Se não existir, lançamos Error → Controller devolve 404.
    *  - Devolvemos "true" para o Controller responder { ok: true }.
    */
-  async remove(id) {
-    const ok = await this.produtoRepo.delete(id);
+  async remove(id, usuario) {
+    const ok = await this.produtoRepo.delete(id, { tenantId: usuario?.tenant_id });
     if (!ok) throw new Error("Produto não encontrado");
     return true;
   }
@@ -0,0 +1,173 @@
+/**
+ * =============================================================================
+ *  src/services/SessaoService.js
+ * -----------------------------------------------------------------------------
+ *  SESSÕES ATIVAS — "onde estou logado?" e "encerrar o login do notebook
+ *  perdido".
+ *
+ *  O que é uma sessão aqui:
+ *    - Cada login bem-sucedido (e cada cadastro / troca de senha que já
+ *      devolve tokens) cria UMA sessão, com user agent, IP, criação e última
+ *      atividade.
+ *    - O id da sessão é a "familia" dos refresh tokens (a cadeia de rotação
+ *      daquele login) e vai no JWT como claim "sid".
+ *    - Encerrar a sessão revoga a família de refresh tokens E faz o
+ *      authMiddleware recusar, na hora, os access tokens com aquele "sid".
+ *
+ *  Onde ficam:
+ *    - No SQLite (mesmo lugar dos refresh tokens), com fallback em memória —
+ *      ver sessaoRepo no server.js.
+ * =============================================================================
+ */
+
+import crypto from "crypto";
+import { REFRESH_TOKEN_DIAS } from "../config/env.js";
+import { AppError } from "../utils/errors.js";
+
+// "ultima_atividade_em" é gravada no máximo uma vez por minuto por sessão.
+const INTERVALO_REGISTRO_ATIVIDADE_MS = 60 * 1000;
+
+// Limite do user agent guardado (há clientes que mandam textos enormes)
+const MAX_USER_AGENT = 300;
+
+export class SessaoService {
+  /**
+   * Recebe o repositório de sessões e o de refresh tokens (injeção de
+   * dependência): encerrar uma sessão também revoga os refresh tokens dela.
+   */
+  constructor(sessaoRepo, refreshTokenRepo) {
+    this.sessaoRepo = sessaoRepo;
+    this.refreshTokenRepo = refreshTokenRepo;
+  }
+
+  /** Validade de uma sessão a partir de agora (acompanha o refresh token) */
+  _expiraEm() {
+    return new Date(Date.now() + REFRESH_TOKEN_DIAS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * criar(usuarioId, { ip, userAgent })
+   * ----------------------------------------------------------------------------
+   * Abre uma sessão nova e devolve o id (= família dos refresh tokens = "sid").
+   */
+  async criar(usuarioId, { ip, userAgent } = {}) {
+    const sessao = await this.sessaoRepo.create({
+      id: crypto.randomUUID(),
+      usuario_id: usuarioId,
+      user_agent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT) : null,
+      ip: ip || null,
+      expires_at: this._expiraEm(),
+    });
+    return sessao.id;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * renovar(sid, usuarioId, { ip, userAgent })
+   * ----------------------------------------------------------------------------
+   * Chamado no /refresh: registra a atividade e estende a validade.
+   * Famílias criadas antes das sessões existirem ganham o registro agora.
+   */
+  async renovar(sid, usuarioId, { ip, userAgent } = {}) {
+    const sessao = await this.sessaoRepo.findById(sid);
+    if (!sessao) {
+      await this.sessaoRepo.create({
+        id: sid,
+        usuario_id: usuarioId,
+        user_agent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT) : null,
+        ip: ip || null,
+        expires_at: this._expiraEm(),
+      });
+      return;
+    }
+    await this.sessaoRepo.registrarAtividade(sid, {
+      agora: new Date().toISOString(),
+      ip: ip || null,
+      expires_at: this._expiraEm(),
+    });
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * ativa(sid, usuarioId, { ip })
+   * ----------------------------------------------------------------------------
+   * Usado pelo authMiddleware em TODA requisição com JWT que tenha "sid".
+   * true  → sessão existe, é do usuário, não foi revogada nem expirou
+   *         (e a última atividade é registrada, no máx. 1x por minuto);
+   * false → o token deve ser recusado (401).
+   */
+  async ativa(sid, usuarioId, { ip } = {}) {
+    const sessao = await this.sessaoRepo.findById(sid);
+    if (!sessao || sessao.revogada_em) return false;
+    if (Number(sessao.usuario_id) !== Number(usuarioId)) return false;
+    if (new Date(sessao.expires_at).getTime() <= Date.now()) return false;
+
+    const agora = Date.now();
+    await this.sessaoRepo.registrarAtividade(sid, {
+      agora: new Date(agora).toISOString(),
+      desde: new Date(agora - INTERVALO_REGISTRO_ATIVIDADE_MS).toISOString(),
+      ip: ip || null,
+    });
+    return true;
+  }
+
+  /**
+   * listar(usuarioId, sidAtual) → sessões ativas do usuário, mais recentes
+   * primeiro; "atual: true" marca a do token usado na requisição.
+   */
+  async listar(usuarioId, sidAtual = null) {
+    const rows = await this.sessaoRepo.listAtivasByUsuario(
+      usuarioId,
+      new Date().toISOString()
+    );
+    return rows.map((s) => ({
+      id: s.id,
+      user_agent: s.user_agent,
+      ip: s.ip,
+      created_at: s.created_at,
+      ultima_atividade_em: s.ultima_atividade_em,
+      expires_at: s.expires_at,
+      atual: s.id === sidAtual,
+    }));
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * revogar(usuarioId, sid)
+   * ----------------------------------------------------------------------------
+   * Ação do próprio usuário ("sair daquele dispositivo"). Sessão de outro
+   * usuário, inexistente ou já encerrada → AppError 404.
+   */
+  async revogar(usuarioId, sid) {
+    const sessao = await this.sessaoRepo.findById(String(sid));
+    if (!sessao || Number(sessao.usuario_id) !== Number(usuarioId) || sessao.revogada_em) {
+      throw new AppError("Sessão não encontrada (ou já encerrada).", { status: 404 });
+    }
+    await this.encerrar(sessao.id);
+    return true;
+  }
+
+  /**
+   * revogarOutras(usuarioId, sidAtual) → "sair de todos os outros
+   * dispositivos". Mantém só a sessão atual. Retorna quantas foram encerradas.
+   */
+  async revogarOutras(usuarioId, sidAtual) {
+    const n = await this.sessaoRepo.revogarPorUsuario(usuarioId, { exceto: sidAtual });
+    await this.refreshTokenRepo.revokeAllByUsuario(usuarioId, { excetoFamilia: sidAtual });
+    return n;
+  }
+
+  /** revogarTodas(usuarioId) → encerra todas (troca/redefinição de senha) */
+  async revogarTodas(usuarioId) {
+    const n = await this.sessaoRepo.revogarPorUsuario(usuarioId);
+    await this.refreshTokenRepo.revokeAllByUsuario(usuarioId);
+    return n;
+  }
+
+  /** encerrar(sid) → encerra uma sessão (logout, reuso de refresh token...) */
+  async encerrar(sid) {
+    await this.sessaoRepo.revogar(sid);
+    await this.refreshTokenRepo.revokeFamilia(sid);
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * =============================================================================
+ *  src/services/TentativaLoginService.js
+ * -----------------------------------------------------------------------------
+ *  PROTEÇÃO CONTRA FORÇA BRUTA NO LOGIN.
+ *
+ *  Como funciona:
+ *    - Cada login que falha (e-mail inexistente ou senha errada) soma 1 em
+ *      DOIS contadores: o do e-mail tentado ("email:<e-mail>") e o do IP do
+ *      cliente ("ip:<endereço>").
+ *    - Ao atingir o limite (LOGIN_MAX_TENTATIVAS por e-mail,
+ *      LOGIN_MAX_TENTATIVAS_IP por IP), a chave fica BLOQUEADA por
+ *      LOGIN_BLOQUEIO_SEGUNDOS. Cada nova falha depois disso DOBRA o tempo
+ *      (back-off exponencial), até LOGIN_BLOQUEIO_MAX_SEGUNDOS.
+ *    - Enquanto houver bloqueio, o login responde 429 com Retry-After, SEM
+ *      conferir a senha (nem a senha certa entra).
+ *    - Falhas mais antigas que LOGIN_JANELA_MINUTOS são esquecidas.
+ *    - Login bem-sucedido zera os dois contadores.
+ *    - Um admin pode desbloquear a conta (POST /api/usuarios/:id/unlock).
+ *
+ *  Por que dois contadores?
+ *    - Por e-mail: barra quem testa muitas senhas numa conta só.
+ *    - Por IP: barra quem testa UMA senha comum em muitas contas.
+ *      O limite do IP é maior porque vários usuários legítimos podem sair pelo
+ *      mesmo IP (rede da faculdade, NAT da operadora).
+ *
+ *  Onde ficam os contadores?
+ *    - No mesmo backend dos usuários (MySQL, SQLite ou memória), via
+ *      tentativaLoginRepo — ver server.js.
+ * =============================================================================
+ */
+
+import {
+  LOGIN_MAX_TENTATIVAS,
+  LOGIN_MAX_TENTATIVAS_IP,
+  LOGIN_BLOQUEIO_SEGUNDOS,
+  LOGIN_BLOQUEIO_MAX_SEGUNDOS,
+  LOGIN_JANELA_MINUTOS,
+} from "../config/env.js";
+import { AppError } from "../utils/errors.js";
+
+export class TentativaLoginService {
+  /**
+   * Recebe o repositório de contadores (injeção de dependência).
+   * Os limites vêm do .env, mas podem ser sobrescritos (útil em testes).
+   */
+  constructor(
+    tentativaLoginRepo,
+    {
+      maxTentativas = LOGIN_MAX_TENTATIVAS,
+      maxTentativasIp = LOGIN_MAX_TENTATIVAS_IP,
+      bloqueioSegundos = LOGIN_BLOQUEIO_SEGUNDOS,
+      bloqueioMaxSegundos = LOGIN_BLOQUEIO_MAX_SEGUNDOS,
+      janelaMinutos = LOGIN_JANELA_MINUTOS,
+    } = {}
+  ) {
+    this.tentativaLoginRepo = tentativaLoginRepo;
+    this.maxTentativas = maxTentativas;
+    this.maxTentativasIp = maxTentativasIp;
+    this.bloqueioSegundos = bloqueioSegundos;
+    this.bloqueioMaxSegundos = bloqueioMaxSegundos;
+    this.janelaMinutos = janelaMinutos;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * _chaves({ email, ip })
+   * ----------------------------------------------------------------------------
+   * Monta as chaves monitoradas e o limite de cada uma. O e-mail é normalizado
+   * (trim + minúsculas) para "Ana@X.com" e "ana@x.com" somarem juntos.
+   */
+  _chaves({ email, ip }) {
+    const chaves = [];
+    if (email) {
+      chaves.push({
+        chave: `email:${String(email).trim().toLowerCase()}`,
+        max: this.maxTentativas,
+      });
+    }
+    if (ip) chaves.push({ chave: `ip:${ip}`, max: this.maxTentativasIp });
+    return chaves;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * verificar({ email, ip })
+   * ----------------------------------------------------------------------------
+   * Chamado ANTES de conferir a senha. Se o e-mail ou o IP estiverem
+   * bloqueados, lança AppError 429 com "retryAfter" (segundos restantes).
+   */
+  async verificar({ email, ip }) {
+    const agora = Date.now();
+    let restante = 0;
+    for (const { chave } of this._chaves({ email, ip })) {
+      const row = await this.tentativaLoginRepo.find(chave);
+      if (!row?.bloqueado_ate) continue;
+      const ms = new Date(row.bloqueado_ate).getTime() - agora;
+      restante = Math.max(restante, Math.ceil(ms / 1000));
+    }
+    if (restante > 0) {
+      throw new AppError(
+        `Muitas tentativas de login. Tente novamente em ${restante}s.`,
+        { status: 429, retryAfter: restante }
+      );
+    }
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * registrarFalha({ email, ip })
+   * ----------------------------------------------------------------------------
+   * Soma a falha nas duas chaves e, se o limite foi atingido, aplica o
+   * bloqueio: base * 2^(falhas - limite), sem passar do máximo.
+   *   Ex.: limite 5, base 30s → 5ª falha: 30s, 6ª: 60s, 7ª: 120s...
+   */
+  async registrarFalha({ email, ip }) {
+    const agora = new Date();
+    const desde = new Date(agora.getTime() - this.janelaMinutos * 60 * 1000);
+
+    for (const { chave, max } of this._chaves({ email, ip })) {
+      const row = await this.tentativaLoginRepo.registrarFalha(chave, {
+        agora: agora.toISOString(),
+        desde: desde.toISOString(),
+      });
+      const falhas = Number(row?.falhas || 0);
+      if (falhas < max) continue;
+
+      const segundos = Math.min(
+        this.bloqueioSegundos * 2 ** (falhas - max),
+        this.bloqueioMaxSegundos
+      );
+      const ate = new Date(agora.getTime() + segundos * 1000);
+      await this.tentativaLoginRepo.bloquear(chave, ate.toISOString());
+    }
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * registrarSucesso({ email, ip })
+   * ----------------------------------------------------------------------------
+   * Login correto: zera contagem e bloqueio do e-mail e do IP.
+   */
+  async registrarSucesso({ email, ip }) {
+    for (const { chave } of this._chaves({ email, ip })) {
+      await this.tentativaLoginRepo.remove(chave);
+    }
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * desbloquear(email)
+   * ----------------------------------------------------------------------------
+   * Ação do admin: libera a conta na hora. Retorna true se havia falhas ou
+   * bloqueio registrados. Bloqueios por IP expiram sozinhos.
+   */
+  async desbloquear(email) {
+    const [{ chave }] = this._chaves({ email });
+    return this.tentativaLoginRepo.remove(chave);
+  }
+}
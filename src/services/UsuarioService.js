@@ -9,16 +9,44 @@
  *
  *  DECISÕES IMPORTANTES:
  *    - Este service NÃO altera senha. Atualização de senha deve ser fluxo próprio
- *      (ex.: /api/auth/change-password), pois exige validações e segurança extra.
+ *      (PUT /api/auth/senha, no AuthService), pois exige validações e segurança extra.
  *    - Sempre que retornamos um usuário, usamos a visão pública (toPublic()),
  *      para NUNCA expor "senha_hash".
+ *    - "Minha conta" (/api/auth/me) também passa por aqui: o próprio usuário
+ *      vê e edita nome, e-mail, CPF e telefone (atualizarPerfil), as
+ *      preferências (atualizarPreferencias) e exclui a conta
+ *      (excluirConta). A exclusão ANONIMIZA em vez de apagar a linha: as notas
+ *      continuam apontando para o id (criado_por), mas nome e e-mail somem
+ *      (LGPD — direito de eliminação).
+ *    - A remoção pelo admin (DELETE /api/usuarios/:id) é um SOFT DELETE: a
+ *      conta some das buscas (não faz login, não aparece na listagem) mas
+ *      pode ser restaurada (POST /api/usuarios/:id/restore).
+ *    - MULTIEMPRESA: as ações de admin (list, get, update, remove, restore,
+ *      unlock) recebem { tenantId } = empresa de quem pede; usuário de outra
+ *      empresa responde como "não encontrado". O "último admin" é contado
+ *      dentro da empresa do usuário alvo.
+ *    - PRIVACIDADE: quem vê o usuário decide a visão ({ visao }, ver
+ *      Usuario.toPublic): "titular" para a própria conta, "admin" para o
+ *      admin da empresa, "restrita" (padrão) para os demais. O CPF sai sempre
+ *      mascarado.
  *
  *  CONTRATOS ESPERADOS DO REPOSITÓRIO (usuarioRepo):
- *    - findAll()                    -> Promise<Usuario[]> (Model)
- *    - findById(id)                 -> Promise<Usuario|null> (Model)
- *    - findByEmail(email)           -> Promise<Usuario|null> (Model)
- *    - update(id, { nome, email })  -> Promise<Usuario|null> (Model)
- *    - delete(id)                   -> Promise<boolean> (true=apagou, false=não existia)
+ *    - findAll({ tenantId })        -> Promise<Usuario[]> (Model; sem removidos)
+ *    - findPagina({ tenantId, busca, criadoDe, criadoAntesDe, ordenarPor,
+ *                   direcao, limit, offset }) -> Promise<{ itens, total }>
+ *    - findExcluidos({ tenantId })  -> Promise<Usuario[]> (só os removidos)
+ *    - findById(id, { incluirExcluidos, tenantId }) -> Promise<Usuario|null> (Model)
+ *    - findByEmail(email, { incluirExcluidos }) -> Promise<Usuario|null> (Model)
+ *    - update(id, { nome, email, papel }, { tenantId }) -> Promise<Usuario|null> (Model;
+ *                                      e-mail diferente zera email_verificado_em)
+ *    - updatePerfil(id, { cpf, telefone, preferencias }, { tenantId })
+ *                                   -> Promise<Usuario|null> (undefined = mantém,
+ *                                      null = limpa)
+ *    - anonimizar(id, { nome, email, senha_hash }) -> Promise<boolean>
+ *    - delete(id, { tenantId })     -> Promise<boolean> (soft delete; false=não
+ *                                      existe ou já removido)
+ *    - restore(id, { tenantId })    -> Promise<boolean> (false=não estava removido)
+ *    - count({ papel, tenantId })   -> Promise<number> (sem removidos)
  *
  *  OBSERVAÇÕES:
  *    - Em alguns projetos, a validação de e-mail/nome pode ficar no Model (Usuario),
@@ -27,57 +55,230 @@
  * =============================================================================
  */
 
+import crypto from "crypto";
+import {
+  Usuario,
+  PAPEIS,
+  CAMPOS_ORDENACAO,
+  ITENS_POR_PAGINA_MAX,
+  normalizarCpf,
+  normalizarTelefone,
+  normalizarPreferencias,
+} from "../models/Usuario.js";
+import { hashSenha, compareSenha } from "../utils/crypto.js";
+import { AppError } from "../utils/errors.js";
+
+// O que fica no lugar dos dados pessoais de uma conta excluída
+const NOME_ANONIMIZADO = "Usuário removido";
+const emailAnonimizado = (id) => `removido-${id}@anonimizado.invalid`;
+
+// Paginação da listagem (GET /api/usuarios?page=&limit=)
+const LIMITE_PADRAO = 20;
+const LIMITE_MAXIMO = ITENS_POR_PAGINA_MAX;
+const BUSCA_MAX = 100;
+const ORDENACAO_PADRAO = "-id"; // mais recentes primeiro, como antes da paginação
+
+// "2025-03-31" (só a data) → o filtro "até" inclui o dia inteiro
+const SO_DATA = /^\d{4}-\d{2}-\d{2}$/;
+
 export class UsuarioService {
   /**
    * Construtor recebe o repositório (injeção de dependências).
    * Vantagens:
    *  - Testes: dá para injetar um repo "fake" em memória.
    *  - Flexibilidade: trocar MySQL por outro SGBD sem mexer na regra de negócio.
+   *
+   * Opções:
+   *  - tentativaLoginService: usado pelo unlock() (bloqueio de login por
+   *    força bruta; ver TentativaLoginService).
+   *  - sessaoService, apiKeyService, usuarioTokenRepo: credenciais revogadas
+   *    na exclusão de conta (sessões/refresh tokens, API keys, links de
+   *    e-mail pendentes).
+   *  - auditoriaService: registra exclusão, remoção e restauração de contas
+   *    (ver AuditoriaService).
+   *  - authService: manda o link de verificação quando o titular troca o
+   *    e-mail (atualizarPerfil).
    */
-  constructor(usuarioRepo) {
+  constructor(
+    usuarioRepo,
+    {
+      tentativaLoginService,
+      sessaoService,
+      apiKeyService,
+      usuarioTokenRepo,
+      auditoriaService,
+      authService,
+    } = {}
+  ) {
     this.usuarioRepo = usuarioRepo;
+    this.tentativaLoginService = tentativaLoginService;
+    this.sessaoService = sessaoService;
+    this.apiKeyService = apiKeyService;
+    this.usuarioTokenRepo = usuarioTokenRepo;
+    this.auditoriaService = auditoriaService;
+    this.authService = authService;
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * list()
+   * list({ page, limit, q, criado_de, criado_ate, sort },
+   *      { tenantId, visao, limitePadrao })
    * -----------------------------------------------------------------------------
-   * Retorna todos os usuários em visão pública.
-   * Passo a passo:
-   *  1) Pede ao repositório a lista (Model Usuario).
-   *  2) Converte cada item para toPublic() (remove senha_hash).
+   * Uma PÁGINA dos usuários (da empresa, se "tenantId" vier) em visão pública
+   * ("visao", ver toPublic).
+   * Filtros (todos opcionais, vindos da query string):
+   *  - page       : página a partir de 1 (padrão 1).
+   *  - limit      : itens por página, 1 a LIMITE_MAXIMO (padrão: "limitePadrao"
+   *                 = preferência itens_por_pagina de quem pede, ou
+   *                 LIMITE_PADRAO).
+   *  - q          : trecho do nome ou do e-mail.
+   *  - criado_de  : data/ISO mínima de cadastro (inclusive).
+   *  - criado_ate : data/ISO máxima de cadastro (inclusive; só a data = o dia
+   *                 inteiro).
+   *  - sort       : um dos CAMPOS_ORDENACAO; "-" na frente = decrescente
+   *                 (padrão "-id", mais recentes primeiro).
+   * Valor inválido → AppError 400 (o filtro nunca é ignorado em silêncio).
+   *
+   * Retorna { itens, total, page, limit, paginas } — o controller monta os
+   * links de próxima/anterior.
    */
-  async list() {
-    const models = await this.usuarioRepo.findAll();
-    return models.map((m) => m.toPublic());
+  async list(filtros = {}, { tenantId = null, visao, limitePadrao = LIMITE_PADRAO } = {}) {
+    const consulta = this._consultaPaginada(filtros, { limitePadrao });
+    const { itens, total } = await this.usuarioRepo.findPagina({
+      tenantId,
+      busca: consulta.busca,
+      criadoDe: consulta.criadoDe,
+      criadoAntesDe: consulta.criadoAntesDe,
+      ordenarPor: consulta.ordenarPor,
+      direcao: consulta.direcao,
+      limit: consulta.limit,
+      offset: (consulta.page - 1) * consulta.limit,
+    });
+    return {
+      itens: itens.map((m) => m.toPublic({ visao })),
+      total,
+      page: consulta.page,
+      limit: consulta.limit,
+      paginas: Math.ceil(total / consulta.limit),
+    };
+  }
+
+  /**
+   * _consultaPaginada(filtros, { limitePadrao })
+   * Converte e confere os parâmetros da query string de list(). Vazio ou
+   * ausente = valor padrão.
+   */
+  _consultaPaginada(
+    { page, limit, q, criado_de, criado_ate, sort } = {},
+    { limitePadrao = LIMITE_PADRAO } = {}
+  ) {
+    const vazio = (v) => v === undefined || v === null || v === "";
+    const inteiro = (valor, nome, min, max, padrao) => {
+      if (vazio(valor)) return padrao;
+      const n = Number(valor);
+      if (!Number.isInteger(n) || n < min || n > max) {
+        throw new AppError(
+          max === Infinity
+            ? `${nome} deve ser um inteiro a partir de ${min}.`
+            : `${nome} deve ser um inteiro de ${min} a ${max}.`,
+          { status: 400 }
+        );
+      }
+      return n;
+    };
+    const data = (valor, nome) => {
+      const d = new Date(String(valor));
+      if (typeof valor !== "string" || Number.isNaN(d.getTime())) {
+        throw new AppError(`${nome} deve ser uma data (AAAA-MM-DD) ou data/hora ISO.`, {
+          status: 400,
+        });
+      }
+      return d;
+    };
+
+    const consulta = {
+      page: inteiro(page, "page", 1, Infinity, 1),
+      limit: inteiro(limit, "limit", 1, LIMITE_MAXIMO, limitePadrao),
+      busca: null,
+      criadoDe: null,
+      criadoAntesDe: null,
+    };
+
+    if (!vazio(q)) {
+      const busca = String(q).trim();
+      if (busca.length > BUSCA_MAX) {
+        throw new AppError(`q deve ter no máximo ${BUSCA_MAX} caracteres.`, { status: 400 });
+      }
+      consulta.busca = busca || null;
+    }
+
+    if (!vazio(criado_de)) consulta.criadoDe = data(criado_de, "criado_de").toISOString();
+    if (!vazio(criado_ate)) {
+      const ate = data(criado_ate, "criado_ate");
+      // Intervalo semiaberto no repositório: "até" vira "antes de" (dia seguinte
+      // para uma data pura; 1 ms depois para data/hora)
+      const antes = SO_DATA.test(criado_ate)
+        ? new Date(ate.getTime() + 24 * 60 * 60 * 1000)
+        : new Date(ate.getTime() + 1);
+      consulta.criadoAntesDe = antes.toISOString();
+    }
+    if (
+      consulta.criadoDe &&
+      consulta.criadoAntesDe &&
+      consulta.criadoDe >= consulta.criadoAntesDe
+    ) {
+      throw new AppError("criado_de deve ser anterior a criado_ate.", { status: 400 });
+    }
+
+    const ordem = vazio(sort) ? ORDENACAO_PADRAO : String(sort).trim();
+    const campo = ordem.replace(/^-/, "");
+    if (!CAMPOS_ORDENACAO.includes(campo)) {
+      throw new AppError(
+        `sort inválido (use: ${CAMPOS_ORDENACAO.join(", ")}; "-" na frente para decrescente).`,
+        { status: 400 }
+      );
+    }
+    consulta.ordenarPor = campo;
+    consulta.direcao = ordem.startsWith("-") ? "desc" : "asc";
+
+    return consulta;
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * get(id)
+   * get(id, { tenantId, visao })
    * -----------------------------------------------------------------------------
-   * Busca UM usuário por id e devolve em visão pública.
+   * Busca UM usuário por id e devolve em visão pública ("visao": titular,
+   * admin ou restrita).
    * Se não existir, lança erro → o controller traduz para HTTP 404.
    */
-  async get(id) {
-    const m = await this.usuarioRepo.findById(id);
+  async get(id, { tenantId = null, visao } = {}) {
+    const m = await this.usuarioRepo.findById(id, { tenantId });
     if (!m) throw new Error("Usuário não encontrado");
-    return m.toPublic();
+    return m.toPublic({ visao });
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * update(id, { nome, email })
+   * update(id, { nome, email, papel, cpf, telefone }, { tenantId, visao })
    * -----------------------------------------------------------------------------
    * Atualiza dados básicos (NÃO altera senha).
    * Regras de negócio aplicadas aqui:
    *  - E-mail deve ser único entre usuários (não pode colidir com outro id).
+   *  - Papel precisa ser um dos PAPEIS; quem pode trocá-lo é decidido na rota
+   *    (apenas admin chega aqui).
+   *  - O sistema nunca pode ficar sem admin (não rebaixamos o último).
+   *  - CPF (dígitos verificadores) e telefone (E.164) são conferidos pelo
+   *    Model antes de gravar; inválido → AppError 400. null/"" limpa o campo.
    *
    * Fluxo:
    *  1) Se veio "email", conferir se já existe outro usuário com esse e-mail.
-   *  2) Pedir ao repository para atualizar (nome/email).
-   *  3) Se o repo retornar null, o id não existe → erro "Usuário não encontrado".
-   *  4) Retornar visão pública.
+   *  2) Se veio "papel", validar e proteger o último admin.
+   *  3) Se vieram "cpf"/"telefone", validar e normalizar.
+   *  4) Pedir ao repository para atualizar (nome/email/papel; cpf/telefone em
+   *     updatePerfil).
+   *  5) Se o repo retornar null, o id não existe → erro "Usuário não encontrado".
+   *  6) Retornar visão pública.
    *
    * Observações:
    *  - Dependendo do design do repo, ele pode:
@@ -87,52 +288,315 @@ export class UsuarioService {
    *    de enviar ao repo (ex.: new Usuario({ id, nome, email, senha_hash: atual.senha_hash }))
    *    mas isso exige primeiro carregar o "atual" do banco.
    */
-  async update(id, { nome, email }) {
+  async update(id, { nome, email, papel, cpf, telefone }, { tenantId = null, visao } = {}) {
     // 1) Validar unicidade de e-mail (se "email" foi enviado)
     if (email) {
-      const existente = await this.usuarioRepo.findByEmail(email);
+      // Removidos contam: o e-mail deles segue ocupado (UNIQUE no banco)
+      const existente = await this.usuarioRepo.findByEmail(email, { incluirExcluidos: true });
       // Se encontrou alguém com o e-mail E não é o próprio usuário que estamos editando
       if (existente && Number(existente.id) !== Number(id)) {
         throw new Error("E-mail já em uso por outro usuário");
       }
     }
 
-    // 2) Atualizar no repositório
+    // 2) Validar papel (se enviado) e não deixar o sistema sem admin
+    if (papel !== undefined && papel !== null) {
+      if (!PAPEIS.includes(papel)) {
+        throw new Error(`Papel inválido (use: ${PAPEIS.join(", ")}).`);
+      }
+      if (papel !== "admin") {
+        await this._protegerUltimoAdmin(id, { tenantId });
+      }
+    }
+
+    // 3) Dados pessoais opcionais (undefined = não mexe)
+    const perfil = this._perfilConferido({ cpf, telefone });
+
+    // 4) Atualizar no repositório
     //    - O repo pode internamente carregar o usuário atual, aplicar mudanças,
     //      validar com o Model e persistir; no fim, retorna o Model atualizado.
-    const atual = await this.usuarioRepo.update(id, { nome, email });
+    let atual = await this.usuarioRepo.update(id, { nome, email, papel }, { tenantId });
     if (!atual) throw new Error("Usuário não encontrado");
+    if (Object.keys(perfil).length) {
+      atual = await this.usuarioRepo.updatePerfil(id, perfil, { tenantId });
+      if (!atual) throw new Error("Usuário não encontrado");
+    }
 
-    // 3) Devolver visão pública
-    return atual.toPublic();
+    // 5) Devolver visão pública
+    return atual.toPublic({ visao });
+  }
+
+  /**
+   * _perfilConferido({ cpf, telefone })
+   * Só as chaves enviadas, já normalizadas pelo Model (CPF só dígitos,
+   * telefone E.164; vazio → null). Valor inválido → AppError 400.
+   */
+  _perfilConferido({ cpf, telefone } = {}) {
+    const perfil = {};
+    try {
+      if (cpf !== undefined) perfil.cpf = normalizarCpf(cpf);
+      if (telefone !== undefined) perfil.telefone = normalizarTelefone(telefone);
+    } catch (e) {
+      throw new AppError(e.message, { status: 400 });
+    }
+    return perfil;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * listExcluidos({ tenantId, visao })
+   * -----------------------------------------------------------------------------
+   * Usuários removidos (soft delete), em visão pública — com "deleted_at".
+   */
+  async listExcluidos({ tenantId = null, visao } = {}) {
+    const models = await this.usuarioRepo.findExcluidos({ tenantId });
+    return models.map((m) => m.toPublic({ visao }));
   }
 
   /**
    * -----------------------------------------------------------------------------
-   * remove(id)
+   * remove(id, { atorId, tenantId, ip })
    * -----------------------------------------------------------------------------
-   * Tenta remover o usuário.
-   * - Se o repo não apagar (id inexistente), ainda retornamos true por simplicidade.
-   *   Em alguns sistemas você pode preferir lançar erro para sinalizar "não encontrado".
-   * - O controller responde { ok: true } no sucesso.
+   * Remove o usuário (SOFT DELETE: a linha fica, com "deleted_at").
+   * - Id inexistente ou já removido → AppError 404 (o repo devolve false).
+   * - O último admin não pode ser removido.
+   * - As sessões do usuário são encerradas na hora; como ele some das buscas,
+   *   login, refresh, JWT e API keys dele passam a ser recusados.
+   * - Fica registrado na auditoria (atorId = admin que removeu).
    */
-  async remove(id) {
-    await this.usuarioRepo.delete(id);
+  async remove(id, { atorId = null, tenantId = null, ip = null } = {}) {
+    await this._protegerUltimoAdmin(id, { tenantId });
+    const ok = await this.usuarioRepo.delete(id, { tenantId });
+    if (!ok) throw new AppError("Usuário não encontrado", { status: 404 });
+
+    if (this.sessaoService) await this.sessaoService.revogarTodas(id);
+    if (this.auditoriaService) {
+      await this.auditoriaService.registrar({
+        acao: "usuario.removido",
+        usuarioId: id,
+        atorId,
+        ip,
+      });
+    }
     return true;
   }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * restore(id, { atorId, tenantId, ip, visao })
+   * -----------------------------------------------------------------------------
+   * Desfaz a remoção: a conta volta a fazer login (com a mesma senha) e a
+   * aparecer na listagem. Id inexistente ou não removido → AppError 404.
+   */
+  async restore(id, { atorId = null, tenantId = null, ip = null, visao } = {}) {
+    const ok = await this.usuarioRepo.restore(id, { tenantId });
+    if (!ok) {
+      throw new AppError("Usuário removido não encontrado", { status: 404 });
+    }
+    if (this.auditoriaService) {
+      await this.auditoriaService.registrar({
+        acao: "usuario.restaurado",
+        usuarioId: id,
+        atorId,
+        ip,
+      });
+    }
+    return this.get(id, { tenantId, visao });
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * unlock(id, { tenantId, visao })
+   * -----------------------------------------------------------------------------
+   * Libera o login de uma conta bloqueada por excesso de senhas erradas
+   * (zera contagem e bloqueio do e-mail). Ação de admin.
+   * - Retorna { desbloqueado }: false se a conta não tinha falhas registradas.
+   * - Bloqueios por IP não são mexidos aqui (expiram sozinhos).
+   */
+  async unlock(id, { tenantId = null, visao } = {}) {
+    const m = await this.usuarioRepo.findById(id, { tenantId });
+    if (!m) throw new Error("Usuário não encontrado");
+    const desbloqueado = this.tentativaLoginService
+      ? await this.tentativaLoginService.desbloquear(m.email)
+      : false;
+    return { usuario: m.toPublic({ visao }), desbloqueado };
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * atualizarPerfil(id, { nome, email, cpf, telefone, senha })
+   * -----------------------------------------------------------------------------
+   * PATCH /api/auth/me: o próprio usuário muda nome, e-mail, CPF e/ou
+   * telefone (null limpa CPF/telefone). Papel NÃO passa por aqui (só admin,
+   * em PUT /api/usuarios/:id).
+   * Os valores são conferidos pelo Model ANTES de gravar (nome curto,
+   * e-mail, CPF ou telefone inválido → erro, sem tocar no banco).
+   * Trocar o e-mail:
+   *  - exige a senha atual, como excluirConta (com um access token roubado,
+   *    sozinho, daria para pôr um e-mail próprio e tomar a conta pelo
+   *    "esqueci a senha");
+   *  - o e-mail novo volta a ser NÃO verificado e recebe o link de
+   *    verificação (com EXIGIR_EMAIL_VERIFICADO, o login espera o clique).
+   * Retorna a visão "titular".
+   */
+  async atualizarPerfil(id, { nome, email, cpf, telefone, senha }) {
+    const atual = await this.usuarioRepo.findById(id);
+    if (!atual) throw new AppError("Usuário não encontrado", { status: 404 });
+
+    const conferido = new Usuario({
+      ...atual.toPlain(),
+      nome: nome ?? atual.nome,
+      email: email ?? atual.email,
+    });
+    const trocouEmail = conferido.email !== atual.email;
+    if (trocouEmail) {
+      if (!senha) {
+        throw new AppError("Para trocar o e-mail, confirme com a sua senha (\"senha\").", {
+          status: 400,
+        });
+      }
+      if (!(await compareSenha(senha, atual.senha_hash))) {
+        throw new Error("Senha incorreta.");
+      }
+    }
+
+    const usuario = await this.update(
+      id,
+      {
+        nome: nome == null ? undefined : conferido.nome,
+        email: email == null ? undefined : conferido.email,
+        cpf,
+        telefone,
+      },
+      { visao: "titular" }
+    );
+    if (trocouEmail && this.authService) {
+      await this.authService.notificarEmailAlterado(usuario);
+    }
+    return usuario;
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * atualizarPreferencias(id, preferencias)
+   * -----------------------------------------------------------------------------
+   * PATCH /api/auth/me/preferencias: só as chaves enviadas mudam (idioma,
+   * fuso_horario, itens_por_pagina); null volta a preferência ao padrão.
+   * Chave desconhecida ou valor inválido → AppError 400.
+   * Retorna a visão "titular" (com as preferências completas).
+   */
+  async atualizarPreferencias(id, preferencias) {
+    const atual = await this.usuarioRepo.findById(id);
+    if (!atual) throw new AppError("Usuário não encontrado", { status: 404 });
+
+    let novas;
+    try {
+      if (!preferencias || typeof preferencias !== "object" || Array.isArray(preferencias)) {
+        throw new Error("Envie um objeto com idioma, fuso_horario e/ou itens_por_pagina.");
+      }
+      // null → apaga a escolha (normalizarPreferencias preenche o padrão)
+      const base = { ...atual.preferencias };
+      const enviadas = {};
+      for (const [chave, valor] of Object.entries(preferencias)) {
+        if (valor === null) delete base[chave];
+        else enviadas[chave] = valor;
+      }
+      novas = normalizarPreferencias(enviadas, base);
+    } catch (e) {
+      throw new AppError(e.message, { status: 400 });
+    }
+
+    const salvo = await this.usuarioRepo.updatePerfil(id, { preferencias: novas });
+    if (!salvo) throw new AppError("Usuário não encontrado", { status: 404 });
+    return salvo.toPublic({ visao: "titular" });
+  }
+
+  /**
+   * -----------------------------------------------------------------------------
+   * excluirConta(id, { senha, ip })
+   * -----------------------------------------------------------------------------
+   * DELETE /api/auth/me — exclusão da conta pelo titular (LGPD).
+   * Passo a passo:
+   *  1) Confere a senha (um access token roubado, sozinho, não apaga a conta)
+   *     e não deixa o sistema sem admin.
+   *  2) Anonimiza a linha: nome/e-mail viram marcadores genéricos, a senha
+   *     vira um hash aleatório (ninguém sabe a senha), 2FA e histórico somem.
+   *     A linha fica porque as notas apontam para o id (criado_por).
+   *  3) Revoga TODAS as credenciais: sessões e refresh tokens, API keys,
+   *     links de e-mail pendentes (reset/verificação). A token_version sobe
+   *     no passo 2, então os JWT em circulação param na hora.
+   *  4) Apaga o contador de falhas de login do e-mail antigo (ele é a chave).
+   *  5) Registra na auditoria — só ids, nunca o nome/e-mail apagados.
+   * Retorna { anonimizado_em, sessoes_encerradas, api_keys_revogadas }.
+   */
+  async excluirConta(id, { senha, ip } = {}) {
+    const user = await this.usuarioRepo.findById(id);
+    if (!user || user.anonimizado_em) {
+      throw new AppError("Usuário não encontrado", { status: 404 });
+    }
+    if (!(await compareSenha(senha, user.senha_hash))) {
+      throw new Error("Senha incorreta.");
+    }
+    await this._protegerUltimoAdmin(id);
+
+    const ok = await this.usuarioRepo.anonimizar(user.id, {
+      nome: NOME_ANONIMIZADO,
+      email: emailAnonimizado(user.id),
+      senha_hash: await hashSenha(crypto.randomBytes(32).toString("hex")),
+    });
+    if (!ok) throw new AppError("Usuário não encontrado", { status: 404 });
+
+    const sessoes_encerradas = this.sessaoService
+      ? await this.sessaoService.revogarTodas(user.id)
+      : 0;
+    const api_keys_revogadas = this.apiKeyService
+      ? await this.apiKeyService.revogarTodas(user.id)
+      : 0;
+    if (this.usuarioTokenRepo) {
+      await this.usuarioTokenRepo.invalidarPendentes(user.id, "reset");
+      await this.usuarioTokenRepo.invalidarPendentes(user.id, "verificacao");
+    }
+    if (this.tentativaLoginService) {
+      await this.tentativaLoginService.desbloquear(user.email);
+    }
+
+    if (this.auditoriaService) {
+      await this.auditoriaService.registrar({
+        acao: "usuario.anonimizado",
+        usuarioId: user.id,
+        atorId: user.id,
+        ip,
+        detalhes: { motivo: "solicitacao_titular", sessoes_encerradas, api_keys_revogadas },
+      });
+    }
+
+    const anonimizado = await this.usuarioRepo.findById(user.id);
+    return {
+      anonimizado_em: anonimizado.anonimizado_em,
+      sessoes_encerradas,
+      api_keys_revogadas,
+    };
+  }
+
+  /**
+   * _protegerUltimoAdmin(id, { tenantId })
+   * Lança erro se o usuário "id" for o ÚNICO admin da empresa dele
+   * (rebaixar/remover deixaria a empresa sem ninguém capaz de gerenciar
+   * usuários).
+   */
+  async _protegerUltimoAdmin(id, { tenantId = null } = {}) {
+    const alvo = await this.usuarioRepo.findById(id, { tenantId });
+    if (alvo?.papel !== "admin") return;
+    if ((await this.usuarioRepo.count({ papel: "admin", tenantId: alvo.tenant_id })) <= 1) {
+      throw new AppError("Não é possível remover/rebaixar o último admin", { status: 400 });
+    }
+  }
 }
 
 /**
  * =============================================================================
  *  IDEIAS DE EXTENSÃO (quando evoluir o projeto):
  * -----------------------------------------------------------------------------
- * - Alteração de senha:
- *     * Criar fluxo dedicado: verificar senha atual, aplicar políticas (força),
- *       gerar novo hash (bcrypt) e salvar. Registrar data da troca e invalidar tokens antigos.
- *
- * - Paginação e filtros em list():
- *     * Receber query params (page, limit, q) e repassar ao repository.
- *
  * - Confirmação de e-mail:
  *     * Ao registrar, enviar token de verificação por e-mail e só liberar acesso após confirmação.
  *
@@ -141,6 +605,7 @@ export class UsuarioService {
  *       em condições de corrida (duas requisições simultâneas).
  *
  * - Auditoria:
- *     * Registrar quem editou/deletou um usuário, quando, e o que mudou.
+ *     * Hoje só a exclusão de conta é registrada (AuditoriaService); dá para
+ *       registrar também quem editou/deletou um usuário e o que mudou.
  * =============================================================================
  */
@@ -28,6 +28,19 @@
  *   - Quanto maior o custo (ex.: 12, 14...), mais lento (mais seguro).
  *   - Ambiente de aula/dev: 10 costuma ser bom; produção pode avaliar 12+.
  *   - Teste o tempo de hash no seu servidor para escolher um custo adequado.
+ *   - O custo vem do .env (SENHA_BCRYPT_CUSTO, padrão 10).
+ *
+ *  Formato do hash (e troca de algoritmo no futuro):
+ *   - Guardamos o hash no formato "modular crypt": "$<algoritmo>$<parâmetros>$...".
+ *     O bcrypt já nasce assim ("$2b$10$..."), então os hashes existentes
+ *     continuam valendo sem migração.
+ *   - Cada algoritmo conhecido fica em ALGORITMOS (abaixo), com uma função que
+ *     RECONHECE os próprios hashes pelo prefixo. compareSenha escolhe o
+ *     algoritmo pelo hash salvo — não pela configuração atual.
+ *   - Para adotar outro algoritmo (ex.: Argon2, no formato PHC
+ *     "$argon2id$v=19$m=65536,t=3,p=4$<salt>$<hash>"): registrar a entrada em
+ *     ALGORITMOS e apontar ALGORITMO_ATUAL para ela. Hashes bcrypt antigos
+ *     continuam conferindo e são refeitos no próximo login (precisaRehash).
  *
  *  Assíncrono vs. síncrono:
  *   - Usamos as versões assíncronas (promises) para NÃO bloquear o event loop.
@@ -35,14 +48,41 @@
  *
  *  Boas práticas:
  *   - Não faça console.log da senha nem do hash em produção.
- *   - Se mudar o custo no futuro, re-hash paulatino: ao logar, se custo antigo
- *     for menor que o desejado, gere novo hash e atualize no BD.
+ *   - Re-hash paulatino: ao logar, se o hash for de outro algoritmo ou tiver
+ *     custo menor que o configurado, o AuthService gera um novo e atualiza no
+ *     BD (precisaRehash).
  *   - Opcional: adicionar um "pepper" (segredo do servidor) antes do hash.
  *     Ex.: bcrypt.hash(senha + process.env.PEPPER, cost).
  * =============================================================================
  */
 
 import bcrypt from "bcryptjs";
+import { SENHA_BCRYPT_CUSTO } from "../config/env.js";
+
+/**
+ * Algoritmos que sabemos conferir. Cada entrada:
+ *  - reconhece(hash)     : o hash é deste algoritmo? (pelo prefixo)
+ *  - gerar(senha)        : novo hash com os parâmetros atuais do .env
+ *  - verificar(senha, h) : a senha confere com o hash?
+ *  - desatualizado(hash) : parâmetros mais fracos que os atuais?
+ */
+const ALGORITMOS = {
+  bcrypt: {
+    // $2a$ (bcryptjs), $2b$ (OpenBSD/bcrypt nativo), $2y$ (PHP)
+    reconhece: (hash) => /^\$2[aby]\$\d{2}\$/.test(hash),
+    gerar: (senha) => bcrypt.hash(senha, SENHA_BCRYPT_CUSTO),
+    verificar: (senha, hash) => bcrypt.compare(senha, hash),
+    desatualizado: (hash) => bcrypt.getRounds(hash) < SENHA_BCRYPT_CUSTO,
+  },
+};
+
+// Algoritmo dos hashes NOVOS (cadastro, troca de senha, re-hash)
+const ALGORITMO_ATUAL = "bcrypt";
+
+/** Nome do algoritmo de um hash salvo (ou null, se nenhum reconhecer) */
+function algoritmoDoHash(hash) {
+  return Object.keys(ALGORITMOS).find((nome) => ALGORITMOS[nome].reconhece(hash)) ?? null;
+}
 
 /**
  * -----------------------------------------------------------------------------
@@ -57,11 +97,9 @@ import bcrypt from "bcryptjs";
  *  - string do hash, algo como: "$2a$10$Wm8V...Q3wN4tIh2iZ7qz2"
  *
  * Observações:
- *  - O segundo parâmetro "10" não é o SALT; é o custo.
+ *  - Usa o ALGORITMO_ATUAL; no bcrypt, o custo é o SENHA_BCRYPT_CUSTO (não é
+ *    o SALT).
  *  - O SALT é gerado internamente de forma aleatória e embutido no hash final.
- *  - Em produção, considere tornar o custo configurável via .env:
- *      const COST = parseInt(process.env.BCRYPT_COST || "10", 10);
- *      bcrypt.hash(plaintext, COST);
  */
 export async function hashSenha(plaintext) {
   // Valida entrada de forma simples para evitar bugs silenciosos.
@@ -69,9 +107,9 @@ export async function hashSenha(plaintext) {
     throw new Error("Senha inválida: informe uma string não vazia.");
   }
 
-  // 10 = custo (salt rounds). Ajuste conforme seu ambiente.
-  // Quanto maior, mais demorado (e mais caro para atacar por força bruta).
-  return bcrypt.hash(plaintext, 10);
+  // Custo vem do .env. Quanto maior, mais demorado (e mais caro para atacar
+  // por força bruta).
+  return ALGORITMOS[ALGORITMO_ATUAL].gerar(plaintext);
 }
 
 /**
@@ -88,6 +126,8 @@ export async function hashSenha(plaintext) {
  *  - boolean: true (senhas equivalem) ou false (não equivalem).
  *
  * Como funciona internamente:
+ *  - O algoritmo é descoberto pelo prefixo do hash (ALGORITMOS), então hashes
+ *    de um algoritmo antigo continuam conferindo. Prefixo desconhecido → false.
  *  - O bcrypt PEGA o SALT e o custo de dentro do "hash" fornecido,
  *    refaz o processo com a "plaintext" e compara os resultados.
  *  - Por isso, não precisamos guardar o SALT separado; ele já está no hash.
@@ -97,8 +137,27 @@ export async function compareSenha(plaintext, hash) {
     // Falhar rápido para evitar comparações inválidas.
     return false;
   }
+  const algoritmo = algoritmoDoHash(hash);
+  if (!algoritmo) return false;
   // compare() é resistente a timing attacks (comparação em tempo constante).
-  return bcrypt.compare(plaintext, hash);
+  return ALGORITMOS[algoritmo].verificar(plaintext, hash);
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * precisaRehash(hash)
+ * -----------------------------------------------------------------------------
+ * true quando o hash salvo deveria ser refeito com a configuração atual:
+ * é de outro algoritmo que não o ALGORITMO_ATUAL ou tem parâmetros mais fracos
+ * (ex.: bcrypt com custo 10 e SENHA_BCRYPT_CUSTO=12).
+ *
+ * Só faz sentido DEPOIS de um compareSenha bem-sucedido: é o único momento em
+ * que temos a senha em texto puro para gerar o hash novo (AuthService.login).
+ */
+export function precisaRehash(hash) {
+  const algoritmo = algoritmoDoHash(String(hash ?? ""));
+  if (algoritmo !== ALGORITMO_ATUAL) return true;
+  return ALGORITMOS[algoritmo].desatualizado(hash);
 }
 
 /**
@@ -114,16 +173,11 @@ export async function compareSenha(plaintext, hash) {
  *  const ok = await compareSenha("minhaSenhaSegura!", hashDoBanco);
  *  if (!ok) { throw new Error("Usuário/senha inválidos"); }
  *
- *  // Tornar o custo configurável via .env:
- *  // export async function hashSenha(plaintext) {
- *  //   const COST = parseInt(process.env.BCRYPT_COST || "10", 10);
- *  //   return bcrypt.hash(plaintext, COST);
- *  // }
- *
  *  // Migrando custo:
- *  //  - Suponha que você usava 10 e decidiu subir para 12.
- *  //  - Ao usuário logar, após "ok === true", verifique se o hash atual tem custo 10.
- *  //  - Se sim, gere um novo hash com 12 e atualize no banco (rehash oportunista).
+ *  //  - Suponha que você usava 10 e decidiu subir para 12 (SENHA_BCRYPT_CUSTO=12).
+ *  //  - Ao usuário logar, após "ok === true", precisaRehash(hash) responde true
+ *  //    para os hashes "$2a$10$..." e o AuthService grava um novo, com 12
+ *  //    (rehash oportunista). Quem não loga continua com o hash antigo.
  *
  *  // Alternativas modernas:
  *  //  - Argon2 (muito popular e recomendado atualmente).
@@ -0,0 +1,106 @@
+/**
+ * =============================================================================
+ *  utils/csv.js
+ * -----------------------------------------------------------------------------
+ *  Leitura de CSV simples (sem dependência externa), usada na importação de
+ *  usuários (POST /api/usuarios/import).
+ *
+ *  O que é aceito:
+ *   - Separador "," ou ";" (o Excel em português salva com ";"): decidido
+ *     pela PRIMEIRA linha (cabeçalho).
+ *   - Campos entre aspas duplas, com "" para uma aspa dentro do texto e
+ *     quebras de linha/separadores dentro das aspas.
+ *   - Fim de linha \n ou \r\n e BOM UTF-8 no começo do arquivo.
+ *   - Linhas totalmente vazias são ignoradas.
+ *
+ *  Aspas abertas e nunca fechadas → Error (o arquivo está quebrado).
+ * =============================================================================
+ */
+
+/**
+ * -----------------------------------------------------------------------------
+ * detectarSeparador(texto)
+ * -----------------------------------------------------------------------------
+ * ";" se o cabeçalho tiver mais ";" do que ","; senão ",".
+ */
+export function detectarSeparador(texto) {
+  const cabecalho = String(texto).split(/\r?\n/, 1)[0];
+  const virgulas = (cabecalho.match(/,/g) || []).length;
+  const pontoVirgulas = (cabecalho.match(/;/g) || []).length;
+  return pontoVirgulas > virgulas ? ";" : ",";
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * parseCsv(texto, { separador })
+ * -----------------------------------------------------------------------------
+ * Devolve os REGISTROS como arrays de strings (o cabeçalho é o primeiro).
+ * Cada registro traz também "linha": a linha do arquivo em que ele começa
+ * (útil para relatar erros ao usuário).
+ *
+ * Ex.: parseCsv('nome,email\n"Silva, Ana",ana@x.com')
+ *   → [ { linha: 1, campos: ["nome", "email"] },
+ *       { linha: 2, campos: ["Silva, Ana", "ana@x.com"] } ]
+ */
+export function parseCsv(texto, { separador = null } = {}) {
+  const src = String(texto ?? "").replace(/^\uFEFF/, "");
+  const sep = separador || detectarSeparador(src);
+
+  const registros = [];
+  let campos = [];
+  let campo = "";
+  let entreAspas = false;
+  let linha = 1;
+  let inicio = 1; // linha em que o registro atual começou
+
+  const fecharRegistro = () => {
+    campos.push(campo);
+    // Linha vazia (um único campo vazio) não vira registro
+    if (campos.length > 1 || campos[0].trim() !== "") {
+      registros.push({ linha: inicio, campos });
+    }
+    campos = [];
+    campo = "";
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+
+    if (entreAspas) {
+      if (c === '"') {
+        if (src[i + 1] === '"') {
+          campo += '"'; // "" dentro das aspas = uma aspa
+          i++;
+        } else {
+          entreAspas = false;
+        }
+      } else {
+        if (c === "\n") linha++;
+        campo += c;
+      }
+      continue;
+    }
+
+    if (c === '"' && campo.trim() === "") {
+      campo = "";
+      entreAspas = true;
+    } else if (c === sep) {
+      campos.push(campo);
+      campo = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      fecharRegistro();
+      linha++;
+      inicio = linha;
+    } else {
+      campo += c;
+    }
+  }
+
+  if (entreAspas) {
+    throw new Error(`CSV inválido: aspas abertas na linha ${inicio} não foram fechadas.`);
+  }
+  if (campo !== "" || campos.length) fecharRegistro();
+
+  return registros;
+}
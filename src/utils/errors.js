@@ -0,0 +1,43 @@
+/**
+ * =============================================================================
+ *  utils/errors.js
+ * -----------------------------------------------------------------------------
+ *  Erro de negócio que já carrega o STATUS HTTP sugerido.
+ *
+ *  Por que existe?
+ *    - Os services lançam "throw new Error(msg)" e cada controller escolhe UM
+ *      status para todos os erros da ação (ex.: login → 401).
+ *    - Alguns casos precisam de outro status na MESMA ação (ex.: login com
+ *      e-mail não verificado → 403; reenvio cedo demais → 429). Nesses casos o
+ *      service lança AppError e o controller usa "e.status || <padrão>".
+ *
+ *  Uso:
+ *    throw new AppError("E-mail não verificado.", { status: 403 });
+ *    throw new AppError("Aguarde para reenviar.", { status: 429, retryAfter: 60 });
+ *    throw new AppError("Senha fraca.", { status: 400, detalhes: [{ regra, mensagem }] });
+ *
+ *    // no controller:
+ *    if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+ *    return res.status(e.status || 400).json({ ok: false, error: e.message });
+ *
+ *  "detalhes" (opcional) leva uma lista estruturada para o cliente — ex.: TODAS
+ *  as regras da política de senha que falharam, não só a primeira.
+ * =============================================================================
+ */
+
+export class AppError extends Error {
+  /**
+   * @param {string} message  mensagem para o cliente
+   * @param {object} [opts]
+   * @param {number} [opts.status]      status HTTP sugerido (ex.: 403, 429)
+   * @param {number} [opts.retryAfter]  segundos para o header Retry-After
+   * @param {Array}  [opts.detalhes]    itens estruturados do erro (vão na resposta)
+   */
+  constructor(message, { status, retryAfter, detalhes } = {}) {
+    super(message);
+    this.name = "AppError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.detalhes = detalhes;
+  }
+}
@@ -14,7 +14,8 @@
  *        Caso o arquivo esteja vazio ou corrompido, o parse pode falhar.
  *
  *   3) writeJson(filePath, data)
- *      - Serializa "data" em JSON usando identação de 2 espaços e grava em UTF-8.
+ *      - Serializa "data" em JSON usando identação de 2 espaços e grava em UTF-8,
+ *        de forma ATÔMICA (arquivo temporário + rename).
  *
  *  Por que centralizar isso?
  *    - Evita código repetido nas camadas de repositório.
@@ -25,10 +26,10 @@
  *    - JSON *não* é banco de dados. É ótimo para protótipos/didática, mas cuidado:
  *      concorrência, tamanho do arquivo e corrupção por travamentos são problemas comuns.
  *    - Em cenários reais, prefira um SGBD (SQLite/MySQL/Postgres) para dados críticos.
- *    - Se você precisar de escrita "atômica" (mais segura), pode:
- *        1) escrever em um arquivo temporário (ex.: file.tmp)
- *        2) chamar fs.rename(file.tmp, filePath) — renomear no fim
- *      Assim reduz risco de ficar com JSON "meio escrito" caso o processo caia.
+ *    - A escrita é "atômica": primeiro um arquivo temporário (file.tmp), depois
+ *      fs.rename(file.tmp, filePath). Se a gravação falhar no meio (disco cheio,
+ *      processo caiu), o arquivo original continua inteiro — importante para o
+ *      estoque, que não pode ficar "meio salvo" (ver EstoqueService).
  * =============================================================================
  */
 
@@ -107,15 +108,23 @@ export async function readJson(filePath) {
  * Observações:
  *  - A gravação sobrescreve o arquivo existente. Se deseja preservar histórico,
  *    faça backup antes ou use versionamento (git).
- *  - Para "escrita atômica", considere escrever em arquivo temporário e renomear
- *    ao final (estratégia explicada no cabeçalho deste arquivo).
+ *  - Escrita atômica: grava "<arquivo>.tmp" e renomeia por cima do original
+ *    (o rename troca o arquivo de uma vez). Se algo falhar, o .tmp é apagado
+ *    e o erro sobe — o arquivo original fica como estava.
  */
 export async function writeJson(filePath, data) {
-  await fs.writeFile(
-    filePath,
-    JSON.stringify(data, null, 2), // identação facilita revisão em aula
-    "utf-8"
-  );
+  const tmp = `${filePath}.tmp`;
+  try {
+    await fs.writeFile(
+      tmp,
+      JSON.stringify(data, null, 2), // identação facilita revisão em aula
+      "utf-8"
+    );
+    await fs.rename(tmp, filePath);
+  } catch (e) {
+    await fs.rm(tmp, { force: true }).catch(() => {});
+    throw e;
+  }
 }
 
 /**
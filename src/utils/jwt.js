@@ -14,6 +14,17 @@
  *      ⇒ Nunca coloque dados sensíveis (senha, dados pessoais, etc.) no payload.
  *    - O servidor confia no token porque sabe verificar a assinatura (com o segredo).
  *
+ *  ALGORITMOS (JWT_ALG):
+ *    - HS256 (padrão): assina e verifica com o mesmo segredo (JWT_SECRET).
+ *    - RS256 / ES256 : assina com a chave PRIVADA ativa e põe o "kid" no header;
+ *      verifica com a chave PÚBLICA daquele kid (ver utils/jwtKeys.js).
+ *      As públicas ficam em GET /.well-known/jwks.json.
+ *    - verifyJwt decide pelo header: COM kid → a chave daquele kid, e só o
+ *      algoritmo dela; SEM kid → HS256 + JWT_SECRET, o que só vale com
+ *      JWT_ALG=HS256 ou, na migração para RS256/ES256, até a data em
+ *      JWT_HS256_ACEITO_ATE. Fora disso, quem tivesse o JWT_SECRET ainda
+ *      conseguiria forjar tokens que a troca de algoritmo deveria barrar.
+ *
  *  BOAS PRÁTICAS RESUMO:
  *    1) Expiração curta para o "access token" (ex.: 15min–2h).
  *    2) Não colocar informações sensíveis no payload.
@@ -25,20 +36,38 @@
  */
 
 import jwt from "jsonwebtoken";
-import { JWT_SECRET } from "../config/env.js"; // Segredo da assinatura (definido no .env)
+import {
+  JWT_SECRET,
+  JWT_EXPIRES_IN,
+  JWT_ALG,
+  JWT_KEYS_DIR,
+  JWT_CHAVE_CARENCIA_HORAS,
+  JWT_HS256_ACEITO_ATE,
+} from "../config/env.js"; // Segredo, validade e algoritmo (definidos no .env)
+import { JwtKeyStore } from "./jwtKeys.js";
+
+// Repositório de chaves assimétricas (só é lido/gerado quando há uso de RS/ES)
+export const jwtKeyStore = new JwtKeyStore({
+  dir: JWT_KEYS_DIR,
+  carenciaHoras: JWT_CHAVE_CARENCIA_HORAS,
+});
 
 /**
  * -----------------------------------------------------------------------------
- * generateJwt(payload)
+ * generateJwt(payload, { expiresIn })
  * -----------------------------------------------------------------------------
- * Gera um JWT assinado com HS256 (padrão simétrico) contendo o "payload" informado.
+ * Gera um JWT contendo o "payload" informado, assinado com JWT_ALG:
+ * HS256 (segredo JWT_SECRET) ou RS256/ES256 (chave privada ativa + "kid").
  *
  * Parâmetros:
  *  - payload: objeto com informações mínimas para identificar o usuário na aplicação.
  *             Ex.: { id: 123, email: "a@b.com" }
+ *  - expiresIn (opcional): validade própria para tokens especiais, ex.: o
+ *             "desafio" do login em dois fatores ("5m"). Padrão: JWT_EXPIRES_IN.
  *
  * Observações:
- *  - expiresIn: "2h" → token expira em 2 horas (ajuste conforme necessidade).
+ *  - expiresIn: JWT_EXPIRES_IN (padrão "2h"). Para renovar sem novo login,
+ *    o cliente usa o refresh token em POST /api/auth/refresh.
  *  - NÃO inclua dados sensíveis (senhas, tokens de serviços de terceiros, etc.).
  *  - Em sistemas maiores, você pode acrescentar "aud", "iss" e "sub" no payload
  *    e validar esses campos no verify (ex.: aud: "minha-api", iss: "minha-empresa").
@@ -50,17 +79,33 @@ import { JWT_SECRET } from "../config/env.js"; // Segredo da assinatura (definid
  *  const token = generateJwt({ id: user.id, email: user.email });
  *  res.json({ token });
  */
-export function generateJwt(payload) {
+export function generateJwt(payload, { expiresIn = JWT_EXPIRES_IN } = {}) {
+  if (JWT_ALG !== "HS256") {
+    // Chave privada ativa (gerada no 1º uso se a pasta estiver vazia).
+    // O "kid" no header diz ao verificador qual chave pública usar.
+    const chave = jwtKeyStore.chaveAtiva(JWT_ALG);
+    return jwt.sign(payload, chave.private_pem, {
+      expiresIn,
+      algorithm: chave.alg,
+      keyid: chave.kid,
+    });
+  }
+
   // Assinamos com:
   // - segredo (JWT_SECRET)
   // - algoritmo HS256 (explícito por segurança/clareza)
-  // - expiração de 2 horas (ajuste se quiser via ENV)
+  // - expiração configurável (JWT_EXPIRES_IN, padrão 2 horas)
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: "2h",
+    expiresIn,
     algorithm: "HS256",
   });
 }
 
+/** Ainda dentro da janela de migração (JWT_HS256_ACEITO_ATE)? */
+export function hs256LegadoAceito(agora = Date.now()) {
+  return JWT_HS256_ACEITO_ATE !== null && agora < JWT_HS256_ACEITO_ATE.getTime();
+}
+
 /**
  * -----------------------------------------------------------------------------
  * verifyJwt(token)
@@ -77,8 +122,13 @@ export function generateJwt(payload) {
  *      * No nosso projeto, o middleware "authMiddleware" faz esse try/catch.
  *
  * Segurança:
- *  - algorithms: ["HS256"] → garantimos aceitar apenas tokens com esse algoritmo.
- *    Isso evita aceitar, por engano, outro algoritmo não desejado.
+ *  - O algoritmo aceito é SEMPRE fixado por nós, nunca lido do token:
+ *      * sem "kid" → algorithms: ["HS256"] com JWT_SECRET — e, com JWT_ALG
+ *        RS256/ES256, só dentro da janela JWT_HS256_ACEITO_ATE;
+ *      * com "kid" → só o algoritmo registrado para aquela chave.
+ *    Isso evita o ataque clássico de trocar "alg" no header (ex.: RS256 →
+ *    HS256 usando a chave pública como segredo).
+ *  - kid desconhecido, ou de chave retirada há mais que a carência → inválido.
  *
  * Retorno:
  *  - objeto payload (ex.: { id, email, iat, exp })
@@ -90,6 +140,16 @@ export function generateJwt(payload) {
 export function verifyJwt(token) {
   // IMPORTANTE: esta função dispara throw em caso de erro.
   // Quem chama (ex.: middleware) precisa capturar e responder com 401.
+  const kid = jwt.decode(token, { complete: true })?.header?.kid;
+  if (kid) {
+    const chave = jwtKeyStore.chavePorKid(String(kid));
+    if (!chave) throw new jwt.JsonWebTokenError("kid desconhecido ou expirado");
+    return jwt.verify(token, chave.public_pem, { algorithms: [chave.alg] });
+  }
+
+  if (JWT_ALG !== "HS256" && !hs256LegadoAceito()) {
+    throw new jwt.JsonWebTokenError(`token sem kid não é aceito com JWT_ALG=${JWT_ALG}`);
+  }
   return jwt.verify(token, JWT_SECRET, {
     algorithms: ["HS256"], // aceita somente HS256
     // audience: "minha-api",   // (opcional) valide "aud" se você incluir no sign
@@ -98,6 +158,18 @@ export function verifyJwt(token) {
   });
 }
 
+/**
+ * -----------------------------------------------------------------------------
+ * getJwks()
+ * -----------------------------------------------------------------------------
+ * Chaves PÚBLICAS (ativa + retiradas em carência) no formato JWKS, servidas em
+ * GET /.well-known/jwks.json. Em modo HS256 puro a lista vem vazia — segredo
+ * compartilhado não se publica.
+ */
+export function getJwks() {
+  return jwtKeyStore.jwks();
+}
+
 /**
  * -----------------------------------------------------------------------------
  * DICAS EXTRAS (para quando evoluir o projeto):
@@ -107,10 +179,10 @@ export function verifyJwt(token) {
  *      * Quando expira, o cliente usa o refresh token para pedir um novo access token.
  *      * Armazene refresh tokens com segurança no servidor (lista/DB) para poder revogar.
  *
- *  - Rotação do segredo (JWT_SECRET rotation):
- *      * Em ambientes maiores, é comum trocar segredos periodicamente.
- *      * Use "kid" no header do token para dizer qual chave foi usada e conseguir verificar
- *        tokens emitidos com segredos antigos (até expirarem).
+ *  - Rotação de chaves (JWT_ALG=RS256/ES256):
+ *      * npm run jwt:rotate → gera chave nova, retira a anterior (que ainda
+ *        verifica por JWT_CHAVE_CARENCIA_HORAS) e apaga as vencidas.
+ *      * O servidor relê a pasta de chaves sozinho (cache de 1 minuto).
  *
  *  - Onde guardar o token no cliente?
  *      * SPA (browser): geralmente em memória (variável), reduz exposição; evitar localStorage.
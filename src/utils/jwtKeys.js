@@ -0,0 +1,187 @@
+/**
+ * =============================================================================
+ *  utils/jwtKeys.js
+ * -----------------------------------------------------------------------------
+ *  Repositório LOCAL de chaves para assinar JWT com criptografia ASSIMÉTRICA
+ *  (RS256 = RSA, ES256 = curva elíptica P-256).
+ *
+ *  Por que assimétrico?
+ *    - Com HS256, quem VERIFICA precisa do mesmo segredo de quem ASSINA.
+ *      Outro serviço que quisesse validar nossos tokens teria o poder de
+ *      emitir tokens em nosso nome.
+ *    - Com RS256/ES256, só a API tem a chave PRIVADA (assina). A chave
+ *      PÚBLICA (verifica) pode ser publicada em /.well-known/jwks.json.
+ *
+ *  Como as chaves ficam guardadas:
+ *    - Um arquivo JSON por chave em JWT_KEYS_DIR (padrão ./keys):
+ *        <kid>.json = { kid, alg, status, created_at, retired_at,
+ *                       private_pem, public_pem }
+ *    - "kid" (key id) vai no header do JWT: é assim que o verificador sabe
+ *      qual chave pública usar.
+ *    - status "ativa"   : assina os tokens novos (só uma por vez).
+ *      status "retirada": não assina mais, mas ainda VERIFICA durante a
+ *                         carência (JWT_CHAVE_CARENCIA_HORAS) — os tokens que
+ *                         ela assinou continuam válidos até expirarem.
+ *    - A pasta contém chaves PRIVADAS: fica fora do git (.gitignore) e os
+ *      arquivos são criados com permissão 600.
+ *
+ *  Rotação: npm run jwt:rotate (scripts/rotate-jwt-keys.js). O servidor em
+ *  execução relê a pasta periodicamente, então não precisa reiniciar.
+ * =============================================================================
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const ALGS_ASSIMETRICOS = ["RS256", "ES256"];
+
+/** Gera o par de chaves no formato PEM para o algoritmo pedido */
+function gerarParDeChaves(alg) {
+  const opcoes = { publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" } };
+  if (alg === "RS256") {
+    return crypto.generateKeyPairSync("rsa", { modulusLength: 2048, ...opcoes });
+  }
+  if (alg === "ES256") {
+    return crypto.generateKeyPairSync("ec", { namedCurve: "P-256", ...opcoes });
+  }
+  throw new Error(`Algoritmo de chave não suportado: ${alg} (use ${ALGS_ASSIMETRICOS.join(" ou ")}).`);
+}
+
+export class JwtKeyStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dir            pasta das chaves (JWT_KEYS_DIR)
+   * @param {number} opts.carenciaHoras  quanto tempo uma chave retirada ainda verifica
+   * @param {number} [opts.recarregarMs] de quanto em quanto tempo reler a pasta
+   */
+  constructor({ dir, carenciaHoras, recarregarMs = 60 * 1000 }) {
+    this.dir = dir;
+    this.carenciaMs = carenciaHoras * 60 * 60 * 1000;
+    this.recarregarMs = recarregarMs;
+    this._cache = null;
+    this._carregadoEm = 0;
+  }
+
+  /**
+   * chaves({ forcar })
+   * Lista as chaves da pasta (com cache de "recarregarMs"). Chaves retiradas
+   * com carência vencida ficam de fora.
+   */
+  chaves({ forcar = false } = {}) {
+    if (forcar || !this._cache || Date.now() - this._carregadoEm > this.recarregarMs) {
+      this._cache = this._lerPasta();
+      this._carregadoEm = Date.now();
+    }
+    return this._cache.filter((c) => this._valida(c));
+  }
+
+  /**
+   * chaveAtiva(alg)
+   * Chave que assina os tokens novos. Se não houver nenhuma (1º boot) ou se
+   * o algoritmo configurado mudou, faz uma rotação automática.
+   */
+  chaveAtiva(alg) {
+    const ativa = this.chaves().find((c) => c.status === "ativa");
+    if (ativa && ativa.alg === alg) return ativa;
+
+    // Antes de gerar, relê a pasta: outro processo pode ter acabado de rotacionar
+    const atual = this.chaves({ forcar: true }).find((c) => c.status === "ativa");
+    if (atual && atual.alg === alg) return atual;
+    return this.rotacionar(alg).nova;
+  }
+
+  /**
+   * chavePorKid(kid)
+   * Chave (ativa ou retirada dentro da carência) para VERIFICAR um token.
+   * kid desconhecido → relê a pasta uma vez (pode ser uma chave recém-criada).
+   */
+  chavePorKid(kid) {
+    const achar = (lista) => lista.find((c) => c.kid === kid) || null;
+    return achar(this.chaves()) || achar(this.chaves({ forcar: true }));
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * rotacionar(alg)
+   * ----------------------------------------------------------------------------
+   *  1) gera uma chave nova e grava como "ativa";
+   *  2) marca a ativa anterior como "retirada" (retired_at = agora);
+   *  3) apaga as retiradas cuja carência já venceu.
+   * Retorna { nova, retiradas: [kid], removidas: [kid] }.
+   */
+  rotacionar(alg) {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    const agora = new Date().toISOString();
+    const todas = this._lerPasta();
+
+    const { publicKey, privateKey } = gerarParDeChaves(alg);
+    const kid = `${agora.slice(0, 10).replace(/-/g, "")}-${crypto.randomBytes(4).toString("hex")}`;
+    const nova = {
+      kid,
+      alg,
+      status: "ativa",
+      created_at: agora,
+      retired_at: null,
+      private_pem: privateKey,
+      public_pem: publicKey,
+    };
+    this._gravar(nova);
+
+    const retiradas = [];
+    const removidas = [];
+    for (const c of todas) {
+      if (c.status === "ativa") {
+        this._gravar({ ...c, status: "retirada", retired_at: agora });
+        retiradas.push(c.kid);
+      } else if (!this._valida(c)) {
+        fs.rmSync(path.join(this.dir, `${c.kid}.json`), { force: true });
+        removidas.push(c.kid);
+      }
+    }
+
+    this._cache = null; // próxima leitura pega o estado novo
+    return { nova, retiradas, removidas };
+  }
+
+  /**
+   * jwks()
+   * Conjunto de chaves PÚBLICAS no formato JWKS (RFC 7517), para quem quiser
+   * verificar nossos tokens. Inclui as retiradas ainda em carência.
+   */
+  jwks() {
+    return {
+      keys: this.chaves().map((c) => ({
+        ...crypto.createPublicKey(c.public_pem).export({ format: "jwk" }),
+        kid: c.kid,
+        alg: c.alg,
+        use: "sig",
+      })),
+    };
+  }
+
+  /** Ativa → sempre válida; retirada → só dentro da carência */
+  _valida(c) {
+    if (c.status === "ativa") return true;
+    return new Date(c.retired_at).getTime() + this.carenciaMs > Date.now();
+  }
+
+  _lerPasta() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs
+      .readdirSync(this.dir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => JSON.parse(fs.readFileSync(path.join(this.dir, f), "utf-8")))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  _gravar(chave) {
+    // Grava em arquivo temporário e renomeia: quem estiver lendo a pasta nunca
+    // vê um JSON pela metade.
+    const destino = path.join(this.dir, `${chave.kid}.json`);
+    const tmp = `${destino}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(chave, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, destino);
+  }
+}
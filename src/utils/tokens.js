@@ -0,0 +1,44 @@
+/**
+ * =============================================================================
+ *  utils/tokens.js
+ * -----------------------------------------------------------------------------
+ *  Funções utilitárias para TOKENS OPACOS (aleatórios), usados quando o JWT
+ *  não é a ferramenta certa. Exemplo: refresh tokens, que precisam ser
+ *  guardados no servidor para poderem ser revogados.
+ *
+ *  Conceitos fundamentais:
+ *   - O token entregue ao cliente é uma string aleatória (sem significado).
+ *   - No banco guardamos APENAS o hash SHA-256 do token (nunca o token puro).
+ *     Se o banco vazar, os hashes não servem para autenticar ninguém.
+ *
+ *  Por que SHA-256 e não bcrypt aqui?
+ *   - A senha é escolhida por humanos (baixa entropia) → precisa de hash lento.
+ *   - O token tem 256+ bits aleatórios → um hash rápido já é seguro e permite
+ *     buscar o registro pelo hash (WHERE token_hash = ?).
+ * =============================================================================
+ */
+
+import crypto from "crypto";
+
+/**
+ * -----------------------------------------------------------------------------
+ * gerarTokenAleatorio(bytes = 48)
+ * -----------------------------------------------------------------------------
+ * Gera um token criptograficamente seguro em Base64URL (seguro para URL/JSON).
+ *
+ * Retorno:
+ *  - string com ~64 caracteres (para 48 bytes)
+ */
+export function gerarTokenAleatorio(bytes = 48) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * hashToken(token)
+ * -----------------------------------------------------------------------------
+ * Devolve o hash SHA-256 (hex) do token. É este valor que vai para o banco.
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
@@ -0,0 +1,145 @@
+/**
+ * =============================================================================
+ *  utils/totp.js
+ * -----------------------------------------------------------------------------
+ *  TOTP (RFC 6238) — os códigos de 6 dígitos do Google Authenticator, Authy,
+ *  1Password etc. Implementado só com o módulo "crypto" do Node.
+ *
+ *  Como funciona (resumo):
+ *   - Servidor e app do celular compartilham um SEGREDO (bytes aleatórios,
+ *     trocados uma vez via QR code / URI "otpauth://").
+ *   - O tempo é dividido em "passos" de 30s: passo = floor(unix / 30).
+ *   - código = HMAC-SHA1(segredo, passo) → "truncamento dinâmico" (RFC 4226)
+ *     → 6 dígitos. Os dois lados calculam o mesmo número sem se falar.
+ *
+ *  Base32:
+ *   - Os apps esperam o segredo em Base32 (A–Z, 2–7), que não existe pronto no
+ *     Node. Por isso as funções base32Encode/base32Decode abaixo.
+ *
+ *  Tolerância de relógio:
+ *   - verificarTotp aceita o passo atual e ±janela passos (padrão 1 = ±30s),
+ *     porque o relógio do celular nunca está perfeitamente sincronizado.
+ * =============================================================================
+ */
+
+import crypto from "crypto";
+
+const ALFABETO_BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const PASSO_SEGUNDOS = 30;
+const DIGITOS = 6;
+
+/** base32Encode(buffer) → string Base32 sem "=" (formato aceito pelos apps) */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let valor = 0;
+  let saida = "";
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      saida += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) saida += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+  return saida;
+}
+
+/** base32Decode(texto) → Buffer. Ignora espaços, "=" e maiúsculas/minúsculas. */
+export function base32Decode(texto) {
+  const limpo = String(texto).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let valor = 0;
+  const bytes = [];
+  for (const c of limpo) {
+    const idx = ALFABETO_BASE32.indexOf(c);
+    if (idx < 0) throw new Error("Segredo Base32 inválido.");
+    valor = (valor << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * gerarSegredoTotp(bytes = 20)
+ * -----------------------------------------------------------------------------
+ * Segredo aleatório em Base32. 20 bytes (160 bits) é o tamanho recomendado
+ * para HMAC-SHA1 pela RFC 4226.
+ */
+export function gerarSegredoTotp(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/** passoAtual(agoraMs) → número do passo de 30s (o "contador" do TOTP) */
+export function passoAtual(agoraMs = Date.now()) {
+  return Math.floor(agoraMs / 1000 / PASSO_SEGUNDOS);
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * gerarTotp(segredo, passo)
+ * -----------------------------------------------------------------------------
+ * Calcula o código de 6 dígitos (string, com zeros à esquerda) de um passo.
+ */
+export function gerarTotp(segredo, passo = passoAtual()) {
+  // Contador em 8 bytes big-endian (RFC 4226)
+  const contador = Buffer.alloc(8);
+  contador.writeBigUInt64BE(BigInt(passo));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(segredo))
+    .update(contador)
+    .digest();
+
+  // Truncamento dinâmico: os 4 bits finais dizem de onde ler 4 bytes
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const numero = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(numero % 10 ** DIGITOS).padStart(DIGITOS, "0");
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * verificarTotp(segredo, codigo, { janela = 1, agoraMs })
+ * -----------------------------------------------------------------------------
+ * Confere o código digitado. Retorna o PASSO que casou (número) ou null.
+ * Devolver o passo permite ao service recusar o MESMO código duas vezes
+ * (anti-replay: guardamos o último passo usado).
+ */
+export function verificarTotp(segredo, codigo, { janela = 1, agoraMs } = {}) {
+  const limpo = String(codigo ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(limpo)) return null;
+
+  const atual = passoAtual(agoraMs);
+  for (let d = -janela; d <= janela; d++) {
+    const esperado = gerarTotp(segredo, atual + d);
+    // Comparação em tempo constante (não vaza quantos dígitos acertou)
+    if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(limpo))) {
+      return atual + d;
+    }
+  }
+  return null;
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * montarOtpauthUri({ segredo, conta, emissor })
+ * -----------------------------------------------------------------------------
+ * URI que os apps autenticadores entendem (geralmente exibida como QR code):
+ *   otpauth://totp/Emissor:conta?secret=...&issuer=Emissor&algorithm=SHA1&digits=6&period=30
+ */
+export function montarOtpauthUri({ segredo, conta, emissor }) {
+  const label = encodeURIComponent(`${emissor}:${conta}`);
+  const params = new URLSearchParams({
+    secret: segredo,
+    issuer: emissor,
+    algorithm: "SHA1",
+    digits: String(DIGITOS),
+    period: String(PASSO_SEGUNDOS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}